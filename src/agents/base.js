@@ -6,10 +6,27 @@
  *   • logToolCall()         — pretty-prints tool invocations to stdout
  *   • clearHistory()        — clears conversation messages
  *   • getHistoryStats()     — returns turn/message counts
+ *   • serialize()/restore() — snapshot state for the session store
+ *   • trimHistory()         — truncate or summarize-and-compact old turns
+ *   • reportUsage()         — pass per-call token usage to options.onUsage
+ *   • exportTranscript()/importTranscript() — hand a conversation to another agent
+ *   • getTools()            — the tool catalog filtered by this agent's config
+ *   • withCallSignal()      — options.signal plus the agent's timeout, per call
+ *   • resolveInput()/userMessage() — text and images from a send() input (see input.js)
  */
 import { loadAllInstructions } from '../utils/instructions.js';
+import { withTimeout } from '../utils/abort.js';
 import { colors } from '../ui/theme.js';
 import { loadConfig } from '../config.js';
+import { getAgentTools } from '../tools/registry.js';
+import { SUMMARY_PREFIX, isSummaryMessage, planCompaction, renderTranscript, toTranscript, withoutImages } from './history.js';
+import { foldInput, inputImages } from './input.js';
+
+// Compact once history reaches this share of the message limit
+const COMPACT_AT = 0.8;
+
+// Default per-call timeout in seconds; config.agents.<name>.timeout overrides, 0 disables
+const DEFAULT_TIMEOUT = 600;
 
 export class BaseAgent {
     constructor(name, config = {}) {
@@ -28,6 +45,30 @@ export class BaseAgent {
          * Default to 20 turns to keep context manageable.
          */
         this.maxTurns = config.maxTurns || 20;
+
+        /**
+         * History mode: 'truncate' (default) drops the oldest messages;
+         * 'compact' summarizes them into a pinned "conversation so far"
+         * message, using `summaryModel` if set (a cheaper model on the
+         * same provider) or the agent's own model.
+         */
+        this.historyMode = config.historyMode || 'truncate';
+        this.keepTurns = config.keepTurns || 4;
+
+        /** Compaction log: [{ at: ISO date, dropped: message count }] */
+        this.compactions = [];
+
+        /**
+         * How long one model call or CLI run may take, in ms (0 = no limit).
+         * Time spent waiting for a file-change approval does not count.
+         */
+        this.timeoutMs = (config.timeout ?? DEFAULT_TIMEOUT) * 1000;
+
+        /**
+         * Whether send() accepts image attachments. Vision-capable agents
+         * set it and build their provider's image parts in userMessage().
+         */
+        this.supportsImages = false;
     }
 
     /**
@@ -66,16 +107,242 @@ export class BaseAgent {
         }
     }
 
+    /**
+     * Keep history within limits after a turn, using the configured mode.
+     * Compaction falls back to plain truncation if summarizing fails.
+     * Images the model has now seen are dropped first, see forgetImages().
+     * @param {object} [options] - The send() options (for onUsage)
+     */
+    async trimHistory(options = {}) {
+        this.forgetImages();
+        if (this.historyMode !== 'compact') {
+            this.truncateHistory();
+            return;
+        }
+
+        const limit = this.maxTurns * 5;
+        if (this.messages.length < limit * COMPACT_AT) return;
+
+        try {
+            await this.compactHistory(options);
+        } catch {
+            // Summarizer unavailable — never lose the turn over it
+        }
+        this.truncateHistory();
+    }
+
+    /**
+     * Summarize everything before the last `keepTurns` user turns into a
+     * pinned summary message.
+     * @param {object} [options] - The send() options (for onUsage)
+     * @returns {Promise<boolean>} Whether anything was compacted
+     */
+    async compactHistory(options = {}) {
+        const plan = planCompaction(this.messages, this.keepTurns);
+        if (!plan) return false;
+
+        const summary = (await this.summarize(renderTranscript(plan.dropped), options)).trim();
+        if (!summary) throw new Error('Summarizer returned an empty summary');
+
+        this.messages = [...plan.head, ...this.summaryMessages(summary), ...plan.kept];
+        this.compactions.push({ at: new Date().toISOString(), dropped: plan.dropped.length });
+        return true;
+    }
+
+    /**
+     * Ask the model to summarize a transcript.
+     * Runs on a fresh instance so API error handling never touches this
+     * agent's history, and so `summaryModel` can differ from `model`.
+     * @param {string} transcript
+     * @param {object} [options] - Passed on to complete() (for onUsage)
+     * @returns {Promise<string>}
+     */
+    async summarize(transcript, options = {}) {
+        const summarizer = new this.constructor({
+            ...this.config,
+            model: this.config.summaryModel || this.model,
+            historyMode: 'truncate',
+        });
+        return summarizer.complete(
+            'Summarize the conversation below so it can replace the original messages. ' +
+            'Keep every instruction, preference and decision the user stated, the files, ' +
+            'commands and facts that were discussed, and any open tasks. ' +
+            'Write concise bullet points and nothing else.\n\n' + transcript,
+            { onUsage: options.onUsage, signal: options.signal }
+        );
+    }
+
+    /**
+     * One-shot completion without history or tools (used by summarize()).
+     * @param {string} prompt
+     * @param {object} [options]
+     * @param {(usage: object) => void} [options.onUsage] - Called with the call's token usage
+     * @param {AbortSignal} [options.signal] - Cancels the call
+     * @returns {Promise<string>}
+     */
+    async complete(prompt, options = {}) {
+        throw new Error(`Agent "${this.name}" does not support history compaction`);
+    }
+
+    /**
+     * The pinned summary as a user/assistant pair, which keeps role
+     * alternation valid for every provider.
+     * @param {string} summary
+     * @returns {object[]}
+     */
+    summaryMessages(summary) {
+        return [
+            this.transcriptMessage({ role: 'user', text: `${SUMMARY_PREFIX}\n${summary}` }),
+            this.transcriptMessage({ role: 'assistant', text: 'Got it — I will continue from this summary.' }),
+        ];
+    }
+
+    /**
+     * Build a text message in this agent's history format from a
+     * transcript turn. Gemini overrides the shape.
+     * @param {{ role: 'user' | 'assistant', text: string }} turn
+     * @returns {object}
+     */
+    transcriptMessage({ role, text }) {
+        return { role, content: text };
+    }
+
+    /**
+     * This conversation as a provider-neutral transcript (see history.js).
+     * @returns {{ role: 'user' | 'assistant', text: string }[]}
+     */
+    exportTranscript() {
+        return toTranscript(this.messages);
+    }
+
+    /**
+     * Replace history with a transcript taken over from another agent.
+     * @param {{ role: 'user' | 'assistant', text: string }[]} turns
+     * @returns {boolean} false when the agent keeps history elsewhere (CLI
+     *   sessions) — callers then fold the transcript into the prompt
+     */
+    importTranscript(turns) {
+        this.messages = turns.map((turn) => this.transcriptMessage(turn));
+        return true;
+    }
+
+    /**
+     * Append a prompt and an answer given by another agent, so the
+     * conversation stays whole after a failover.
+     * @param {import('./input.js').AgentInput} prompt
+     * @param {string} answer
+     */
+    recordExchange(prompt, answer) {
+        this.messages.push(
+            this.transcriptMessage({ role: 'user', text: foldInput(prompt, { imageMarkers: true }) }),
+            this.transcriptMessage({ role: 'assistant', text: answer }),
+        );
+    }
+
     /**
      * Send a message/prompt to the agent and get a response.
-     * @param {string} message
-     * @param {object} context - Additional context (conversation history, etc.)
+     *
+     * Agents that stream call `options.onToken` with each text fragment as it
+     * arrives; agents that cannot stream (CLI wrappers) never call it. Text
+     * from intermediate tool rounds may be streamed too, so the resolved
+     * string — not the concatenated tokens — is always the final answer.
+     *
+     * API agents call `options.onUsage` once per model call (tool rounds and
+     * compaction summaries included) with the tokens it consumed.
+     *
+     * File-editing tools (write_file, edit_file, apply_patch) only write
+     * after `options.approve` resolves true for the proposed diff; without
+     * it the model is told that approval is not available.
+     *
+     * When `options.signal` fires, the running CLI is killed or the HTTP
+     * request aborted, and the promise rejects with an error named
+     * "AbortError". Each model call or CLI run is also limited by the
+     * agent's `timeout` and rejects with a "TimeoutError" when it runs over.
+     *
+     * `message` is a string, or text with attachments (see input.js):
+     * documents are folded into the text, and images are refused by
+     * agents without `supportsImages`.
+     *
+     * @param {import('./input.js').AgentInput} message
+     * @param {object} [options]
+     * @param {boolean} [options.silent=false] - Suppress stdout output
+     * @param {(token: string) => void} [options.onToken] - Streaming callback
+     * @param {(usage: object) => void} [options.onUsage] - Usage callback, see reportUsage()
+     * @param {(request: { tool: string, files: string[], diff: string }) => Promise<boolean>} [options.approve]
+     *   Asks the user to approve a file change
+     * @param {(toolName: string) => boolean} [options.allowTool] - Narrows the tool
+     *   catalog further, e.g. to what the remote sender's role allows
+     * @param {AbortSignal} [options.signal] - Cancels the request
      * @returns {Promise<string>} The agent's response
      */
-    async send(message, context = {}) {
+    async send(message, options = {}) {
         throw new Error(`Agent "${this.name}" does not implement send()`);
     }
 
+    /**
+     * Run one model call or CLI run with a signal that fires when
+     * `options.signal` does or when the agent's timeout runs out.
+     * @param {object} options - The send() / complete() options
+     * @param {(signal: AbortSignal|undefined) => Promise<T>} run
+     * @returns {Promise<T>}
+     * @template T
+     */
+    async withCallSignal(options, run) {
+        const call = withTimeout(options?.signal, this.timeoutMs, `${this.name} request`);
+        try {
+            return await run(call.signal);
+        } finally {
+            call.release();
+        }
+    }
+
+    /**
+     * Split a send() input into prompt text (documents folded in) and
+     * base64 images.
+     * @param {import('./input.js').AgentInput} message
+     * @returns {{ text: string, images: { name: string, mimeType: string, data: string }[] }}
+     * @throws When there are images and the agent can't read them
+     */
+    resolveInput(message) {
+        const images = inputImages(message);
+        if (images.length > 0 && !this.supportsImages) {
+            throw new Error(`${this.name} can't read images. Try a vision-capable agent: claude-api, gemini-api or ollama with a vision model.`);
+        }
+        return { text: foldInput(message), images };
+    }
+
+    /**
+     * The user message for a send() input, in this agent's history format.
+     * Vision-capable agents override it to add their image parts.
+     * @param {import('./input.js').AgentInput} message
+     * @returns {object}
+     */
+    userMessage(message) {
+        return { role: 'user', content: this.resolveInput(message).text };
+    }
+
+    /**
+     * Pass one model call's token usage to `options.onUsage` as
+     * { agent, model, inputTokens, outputTokens, latencyMs }.
+     * A failing callback never fails the call.
+     *
+     * @param {object} options - The send() / complete() options
+     * @param {{ inputTokens?: number, outputTokens?: number } | null} usage - As parsed from the API response
+     * @param {number} startedAt - Date.now() before the call
+     */
+    reportUsage(options, usage, startedAt) {
+        if (!options?.onUsage || !usage) return;
+        try {
+            options.onUsage({
+                agent: this.name,
+                model: this.model,
+                inputTokens: usage.inputTokens || 0,
+                outputTokens: usage.outputTokens || 0,
+                latencyMs: Date.now() - startedAt,
+            });
+        } catch { }
+    }
+
     /**
      * Start an interactive session with the agent.
      * @returns {Promise<void>}
@@ -111,13 +378,30 @@ export class BaseAgent {
                 workspaceInfo += `- ${alias}: ${path}\n`;
             }
             workspaceInfo += `\nFiles listed via list_files will be prefixed with their folder name (e.g., "frontend/src/App.js").\n`;
-            workspaceInfo += `Use these prefixes when calling read_file.\n`;
+            workspaceInfo += `Use these prefixes when calling read_file, write_file or edit_file; search_code results include them too.\n`;
             context += workspaceInfo;
         }
 
         return context || null;
     }
 
+    /**
+     * Tools this agent may call: built-ins plus plugins, minus anything
+     * excluded by its `enabledTools` / `disabledTools` config or by the
+     * send's `options.allowTool`.
+     * @param {object} [options] - The send() options
+     * @returns {object[]} Catalog entries, for the tools/ converters
+     */
+    getTools({ allowTool } = {}) {
+        // Read the lists fresh so `tools enable/disable` applies to running agents
+        const live = loadConfig().agents?.[this.name] || {};
+        const tools = getAgentTools({
+            enabledTools: live.enabledTools ?? this.config.enabledTools,
+            disabledTools: live.disabledTools ?? this.config.disabledTools,
+        });
+        return allowTool ? tools.filter((tool) => allowTool(tool.name)) : tools;
+    }
+
     /**
      * Log a tool call to stdout (when not in silent mode).
      * @param {string} toolName
@@ -130,11 +414,23 @@ export class BaseAgent {
                 label = '🗂️  Listing files...';
                 break;
             case 'read_file':
-                label = `📄 Reading ${args.path || 'file'}...`;
+                label = args.start_line || args.end_line
+                    ? `📄 Reading ${args.path || 'file'} (lines ${args.start_line || 1}-${args.end_line || 'end'})...`
+                    : `📄 Reading ${args.path || 'file'}...`;
+                break;
+            case 'search_code':
+                label = `🔎 Searching for ${args.query || 'code'}...`;
                 break;
             case 'run_command':
                 label = `⚙️  Running: ${args.command || 'command'}`;
                 break;
+            case 'write_file':
+            case 'edit_file':
+                label = `✏️  Proposing changes to ${args.path || 'file'}...`;
+                break;
+            case 'apply_patch':
+                label = '✏️  Proposing a patch...';
+                break;
             default:
                 label = `🔧 ${toolName}...`;
                 break;
@@ -142,11 +438,44 @@ export class BaseAgent {
         process.stdout.write(`  ${colors.muted(label)}\n`);
     }
 
+    /**
+     * Replace the images in history with "[Image]" placeholders. Each one
+     * is up to 5 MB of base64, which would otherwise be re-sent on every
+     * later turn and written into every saved session.
+     */
+    forgetImages() {
+        this.messages = this.messages.map(withoutImages);
+    }
+
     /**
      * Clear the conversation history.
      */
     clearHistory() {
         this.messages = [];
+        this.compactions = [];
+    }
+
+    /**
+     * Snapshot the conversation so it can be persisted.
+     * System messages are rebuilt from instruction files on every send,
+     * so they are left out to avoid restoring stale context, and images
+     * never reach the disk.
+     * @returns {object} JSON-serializable state
+     */
+    serialize() {
+        return {
+            messages: this.messages.filter((m) => m.role !== 'system').map(withoutImages),
+            compactions: this.compactions,
+        };
+    }
+
+    /**
+     * Restore state produced by serialize().
+     * @param {object} state
+     */
+    restore(state = {}) {
+        this.messages = Array.isArray(state.messages) ? state.messages : [];
+        this.compactions = Array.isArray(state.compactions) ? state.compactions : [];
     }
 
     /**
@@ -155,7 +484,7 @@ export class BaseAgent {
      * @returns {{ turns: number, messages: number }}
      */
     getHistoryStats(userRole = 'user') {
-        const userMessages = this.messages.filter((m) => m.role === userRole).length;
+        const userMessages = this.messages.filter((m) => m.role === userRole && !isSummaryMessage(m)).length;
         return { turns: userMessages, messages: this.messages.length };
     }
 }
@@ -1,6 +1,7 @@
 import https from 'https';
 import { BaseAgent } from './base.js';
 import { toAnthropicTools, executeTool } from '../tools/index.js';
+import { abortRequest, throwIfAborted } from '../utils/abort.js';
 
 /**
  * Claude API Agent
@@ -12,6 +13,25 @@ export class ClaudeApiAgent extends BaseAgent {
         this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY || '';
         this.model = config.model || 'claude-3-7-sonnet-20250219';
         this.baseUrl = config.baseUrl || 'https://api.anthropic.com';
+        this.supportsImages = true;
+    }
+
+    /**
+     * Images go first as base64 image blocks, then the prompt text.
+     */
+    userMessage(message) {
+        const { text, images } = this.resolveInput(message);
+        if (images.length === 0) return { role: 'user', content: text };
+        return {
+            role: 'user',
+            content: [
+                ...images.map((image) => ({
+                    type: 'image',
+                    source: { type: 'base64', media_type: image.mimeType, data: image.data },
+                })),
+                ...(text ? [{ type: 'text', text }] : []),
+            ],
+        };
     }
 
     async send(message, options = {}) {
@@ -20,23 +40,30 @@ export class ClaudeApiAgent extends BaseAgent {
         }
 
         const silent = options.silent || false;
-        this.messages.push({ role: 'user', content: message });
+        const onToken = options.onToken;
+        this.messages.push(this.userMessage(message));
 
         // Build file-tree system context
         const systemContext = this.buildSystemContext();
 
         // Shared tools in Anthropic format
-        const tools = toAnthropicTools();
+        const agentTools = this.getTools(options);
+        const tools = toAnthropicTools(agentTools);
 
         // Tool-calling loop
         const MAX_TOOL_ROUNDS = 5;
 
         for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
-            const result = await this._callApi(this.messages, {
+            throwIfAborted(options.signal);
+            const startedAt = Date.now();
+            const result = await this.withCallSignal(options, (signal) => this._callApi(this.messages, {
                 system: systemContext,
                 tools,
                 silent,
-            });
+                onToken,
+                signal,
+            }));
+            this.reportUsage(options, result.usage, startedAt);
 
             // If the model returned tool calls, execute them and loop
             if (result.toolUse && result.toolUse.length > 0) {
@@ -51,7 +78,7 @@ export class ClaudeApiAgent extends BaseAgent {
                 for (const tu of result.toolUse) {
                     if (!silent) this.logToolCall(tu.name, tu.input || {});
 
-                    const toolResult = await executeTool(tu.name, tu.input || {});
+                    const toolResult = await executeTool(tu.name, tu.input || {}, { approve: options.approve, signal: options.signal, tools: agentTools });
                     toolResults.push({
                         type: 'tool_result',
                         tool_use_id: tu.id,
@@ -67,19 +94,26 @@ export class ClaudeApiAgent extends BaseAgent {
             if (result.text) {
                 this.messages.push({ role: 'assistant', content: result.text });
             }
-            this.truncateHistory();
+            await this.trimHistory(options);
             return result.text;
         }
 
-        this.truncateHistory();
+        await this.trimHistory(options);
         return '';
     }
 
+    async complete(prompt, options = {}) {
+        const startedAt = Date.now();
+        const result = await this.withCallSignal(options, (signal) => this._callApi([{ role: 'user', content: prompt }], { silent: true, signal }));
+        this.reportUsage(options, result.usage, startedAt);
+        return result.text;
+    }
+
     /**
      * Call the Anthropic Messages API once (streaming).
      * @private
      */
-    _callApi(messages, { system, tools, silent = false }) {
+    _callApi(messages, { system, tools, silent = false, onToken, signal }) {
         return new Promise((resolve, reject) => {
             const body = JSON.stringify({
                 model: this.model,
@@ -125,6 +159,7 @@ export class ClaudeApiAgent extends BaseAgent {
                     const toolUseBlocks = [];   // Track tool_use blocks
                     let currentToolUse = null;
                     let toolInputJson = '';
+                    const usage = { inputTokens: 0, outputTokens: 0 };
 
                     res.on('data', (chunk) => {
                         buffer += chunk.toString();
@@ -138,11 +173,21 @@ export class ClaudeApiAgent extends BaseAgent {
                             try {
                                 const json = JSON.parse(data);
 
+                                // Usage — input on message_start, cumulative output on message_delta
+                                if (json.type === 'message_start' && json.message?.usage) {
+                                    usage.inputTokens = json.message.usage.input_tokens || 0;
+                                    usage.outputTokens = json.message.usage.output_tokens || 0;
+                                }
+                                if (json.type === 'message_delta' && json.usage) {
+                                    usage.outputTokens = json.usage.output_tokens || usage.outputTokens;
+                                }
+
                                 // Text delta
                                 if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
                                     const token = json.delta.text;
                                     fullText += token;
                                     if (!silent) process.stdout.write(token);
+                                    if (onToken) onToken(token);
                                 }
 
                                 // Tool use start
@@ -192,6 +237,7 @@ export class ClaudeApiAgent extends BaseAgent {
                             text: fullText,
                             toolUse: toolUseBlocks.length > 0 ? toolUseBlocks : null,
                             contentBlocks,
+                            usage,
                         });
                     });
                     res.on('error', reject);
@@ -202,6 +248,7 @@ export class ClaudeApiAgent extends BaseAgent {
                 this.messages.pop();
                 reject(err);
             });
+            abortRequest(signal, req, reject);
             req.write(body);
             req.end();
         });
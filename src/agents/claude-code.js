@@ -68,6 +68,7 @@ export class ClaudeCodeAgent extends BaseAgent {
     }
 
     async send(message, options = {}) {
+        const prompt = this.resolveInput(message).text;
         const silent = options.silent || false;
         const config = loadConfig();
         const bridgeDir = this._ensureWorkspaceBridge(config);
@@ -83,13 +84,24 @@ export class ClaudeCodeAgent extends BaseAgent {
         }
         this.sessionContext = currentContext;
 
-        const args = ['-p', message, '--dangerously-skip-permissions', '--output-format', 'json'];
+        const args = ['-p', prompt, '--dangerously-skip-permissions', '--output-format', 'json'];
         if (this.sessionId) args.push('--resume', this.sessionId);
 
+        // One timeout covers the run and its retry
+        return this.withCallSignal(options, (signal) => this._run(prompt, args, { bridgeDir, silent, signal }));
+    }
+
+    /**
+     * Run the CLI once, retrying without --resume if the session is gone.
+     * A cancelled run rejects and is never retried.
+     * @private
+     */
+    async _run(prompt, args, { bridgeDir, silent, signal }) {
         const result = await execAgent(this.command, args, {
             env: this._getCleanEnv(),
             cwd: bridgeDir,
             silent: true,
+            signal,
         });
 
         if (result.code !== 0) {
@@ -97,9 +109,9 @@ export class ClaudeCodeAgent extends BaseAgent {
             if (this.sessionId) {
                 this.sessionId = null;
                 this.turnCount = 0;
-                const retryArgs = ['-p', message, '--dangerously-skip-permissions', '--output-format', 'json'];
+                const retryArgs = ['-p', prompt, '--dangerously-skip-permissions', '--output-format', 'json'];
                 const retry = await execAgent(this.command, retryArgs, {
-                    env: this._getCleanEnv(), cwd: bridgeDir, silent: true,
+                    env: this._getCleanEnv(), cwd: bridgeDir, silent: true, signal,
                 });
                 if (retry.code !== 0) {
                     throw new Error(`Claude Code exited with code ${retry.code}: ${retry.stderr || retry.stdout}`);
@@ -114,6 +126,23 @@ export class ClaudeCodeAgent extends BaseAgent {
         catch { if (!silent) process.stdout.write(result.stdout); return result.stdout.trim(); }
     }
 
+    serialize() {
+        return {
+            ...super.serialize(),
+            sessionId: this.sessionId,
+            sessionContext: this.sessionContext ?? null,
+            turnCount: this.turnCount,
+        };
+    }
+
+    restore(state = {}) {
+        super.restore(state);
+        this.sessionId = state.sessionId || null;
+        // A missing context means the session was started outside any workspace
+        this.sessionContext = this.sessionId ? (state.sessionContext ?? null) : undefined;
+        this.turnCount = state.turnCount || 0;
+    }
+
     clearHistory() {
         super.clearHistory();
         this.sessionId = null;
@@ -121,6 +150,14 @@ export class ClaudeCodeAgent extends BaseAgent {
         this.turnCount = 0;
     }
 
+    // The conversation lives in the CLI's own session, not in this.messages —
+    // a taken-over transcript is folded into the prompt instead
+    importTranscript() {
+        return false;
+    }
+
+    recordExchange() { }
+
     getHistoryStats() {
         return { turns: this.turnCount, messages: this.turnCount * 2 };
     }
@@ -0,0 +1,168 @@
+/**
+ * ─── Fallback Chains ────────────────────────────────────────────
+ *
+ * Keeps remote chats answered when a provider errors out: retries the
+ * chat's agent with backoff, then hands the conversation to the next
+ * agent in its configured chain.
+ *
+ *   "fallbacks": { "groq": ["ollama", "gemini-api"] }
+ *
+ * Design:
+ *   • Transient errors (rate limits, 5xx, timeouts, dropped sockets) are
+ *     retried on the same agent; anything else — no API key, server not
+ *     running — fails over straight away
+ *   • A failed attempt's history changes are rolled back, so retries and
+ *     failovers never see a half-finished turn
+ *   • A cancelled prompt (AbortError) stops right there; an agent that ran
+ *     past its own `timeout` fails over without retrying
+ *   • Fallback agents are throwaway instances that take over the
+ *     conversation as a provider-neutral transcript (see history.js);
+ *     the answer is then recorded in the chat's own agent
+ *   • Failovers are kept in a small in-memory log for `status`
+ */
+import { transcriptPrompt } from './history.js';
+import { inputText, withInputText } from './input.js';
+import { isAbortError } from '../utils/abort.js';
+
+const DEFAULT_ATTEMPTS = 3;      // Per agent, counting the first try
+const DEFAULT_BACKOFF_MS = 1000; // Doubles after every retry
+const MAX_FAILOVER_LOG = 20;
+
+const RETRYABLE = /rate limit|\b429\b|\(5\d\d\)|overloaded|timed? ?out|ETIMEDOUT|ECONNRESET|EAI_AGAIN|socket hang up/i;
+
+const failoverLog = [];
+
+/**
+ * The agents to try for a prompt, in order: the agent itself, then its
+ * configured fallbacks (duplicates removed).
+ * @param {string} agentName
+ * @param {object} config
+ * @returns {string[]}
+ */
+export function getFallbackChain(agentName, config) {
+    return [...new Set([agentName, ...(config.fallbacks?.[agentName] || [])])];
+}
+
+/**
+ * Whether an agent error is worth retrying on the same agent.
+ * @param {Error} err
+ */
+export function isRetryable(err) {
+    // A timed-out call already had the agent's whole allowance
+    if (isAbortError(err) || err?.name === 'TimeoutError') return false;
+    return RETRYABLE.test(err?.message || '');
+}
+
+/**
+ * Most recent failovers, oldest first.
+ * @returns {{ at: string, from: string, to: string, error: string, origin?: string }[]}
+ */
+export function listFailovers() {
+    return [...failoverLog];
+}
+
+function recordFailover(entry) {
+    failoverLog.push({ at: new Date().toISOString(), ...entry });
+    if (failoverLog.length > MAX_FAILOVER_LOG) failoverLog.shift();
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send through one agent, retrying transient errors with exponential backoff.
+ * `beforeAttempt` runs ahead of every try.
+ */
+async function sendWithRetry(agent, message, sendOptions, { attempts, backoffMs, sleep }, beforeAttempt) {
+    for (let attempt = 1; ; attempt++) {
+        beforeAttempt();
+        const snapshot = agent.serialize();
+        try {
+            return await agent.send(message, sendOptions);
+        } catch (err) {
+            agent.restore(snapshot);
+            if (attempt >= attempts || !isRetryable(err)) throw err;
+            await sleep(backoffMs * 2 ** (attempt - 1));
+        }
+    }
+}
+
+/**
+ * Send a prompt to the chat's agent, falling back down the chain on failure.
+ *
+ * @param {import('./base.js').BaseAgent} primary - The chat's own agent (chain[0])
+ * @param {import('./input.js').AgentInput} prompt
+ * @param {object} options
+ * @param {string[]} options.chain - Agent names from getFallbackChain()
+ * @param {(name: string) => import('./base.js').BaseAgent} options.createAgent - Builds fallback agents
+ * @param {object} [options.sendOptions] - Passed to every send() (silent, onToken, onUsage, signal)
+ * @param {(name: string) => boolean} [options.canUse] - Return false to skip a fallback (e.g. over budget)
+ * @param {() => void} [options.onRetry] - Called before each attempt after the first (a retry or a
+ *   fallback agent), so text streamed by the failed attempt can be thrown away
+ * @param {string} [options.origin] - Where the prompt came from, for the failover log
+ * @param {number} [options.attempts] - Tries per agent for transient errors
+ * @param {number} [options.backoffMs] - First retry delay
+ * @returns {Promise<{ response: string, agent: import('./base.js').BaseAgent, failovers: object[] }>}
+ * @throws The primary's own error when there are no fallbacks; otherwise an
+ *   error listing why each agent failed
+ */
+export async function sendWithFallback(primary, prompt, {
+    chain,
+    createAgent,
+    sendOptions = {},
+    canUse = () => true,
+    onRetry = () => { },
+    origin,
+    attempts = DEFAULT_ATTEMPTS,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    sleep = defaultSleep,
+}) {
+    const retry = { attempts, backoffMs, sleep };
+    const failovers = [];
+    const errors = [];
+    let lastFailed = null;
+    let transcript = null;
+    let tried = false;
+    const beforeAttempt = () => {
+        if (tried) onRetry();
+        tried = true;
+    };
+
+    for (const [index, name] of chain.entries()) {
+        let agent = primary;
+        let message = prompt;
+
+        if (index > 0) {
+            if (!canUse(name)) {
+                errors.push(`${name}: skipped`);
+                continue;
+            }
+            try {
+                agent = createAgent(name);
+            } catch (err) {
+                errors.push(`${name}: ${err.message}`);
+                continue;
+            }
+
+            transcript ||= primary.exportTranscript();
+            if (!agent.importTranscript(transcript)) {
+                message = withInputText(prompt, transcriptPrompt(transcript, inputText(prompt)));
+            }
+
+            const failover = { from: lastFailed.name, to: name, error: lastFailed.error, ...(origin ? { origin } : {}) };
+            failovers.push(failover);
+            recordFailover(failover);
+        }
+
+        try {
+            const response = await sendWithRetry(agent, message, sendOptions, retry, beforeAttempt);
+            if (agent !== primary) primary.recordExchange(prompt, response);
+            return { response, agent, failovers };
+        } catch (err) {
+            if (chain.length === 1 || isAbortError(err)) throw err;
+            errors.push(`${name}: ${err.message}`);
+            lastFailed = { name, error: err.message };
+        }
+    }
+
+    throw new Error(`All agents failed — ${errors.join('; ')}`);
+}
@@ -1,6 +1,7 @@
 import https from 'https';
 import { BaseAgent } from './base.js';
 import { toGeminiTools, executeTool } from '../tools/index.js';
+import { abortRequest, throwIfAborted } from '../utils/abort.js';
 
 /**
  * Gemini API Agent
@@ -12,6 +13,7 @@ export class GeminiApiAgent extends BaseAgent {
         this.apiKey = config.apiKey || process.env.GOOGLE_API_KEY || '';
         this.model = config.model || 'gemini-2.5-flash';
         this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com';
+        this.supportsImages = true;
     }
 
     async send(message, options = {}) {
@@ -22,23 +24,28 @@ export class GeminiApiAgent extends BaseAgent {
         const silent = options.silent || false;
 
         // Gemini expects alternating roles starting with 'user'
-        this.messages.push({ role: 'user', parts: [{ text: message }] });
+        this.messages.push(this.userMessage(message));
 
         // Build file-tree system context
         const systemContext = this.buildSystemContext();
 
         // Shared tools in Gemini format
-        const tools = toGeminiTools();
+        const agentTools = this.getTools(options);
+        const tools = toGeminiTools(agentTools);
 
         // Tool-calling loop
         const MAX_TOOL_ROUNDS = 5;
 
         for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
-            const result = await this._callApi(this.messages, {
+            throwIfAborted(options.signal);
+            const startedAt = Date.now();
+            const result = await this.withCallSignal(options, (signal) => this._callApi(this.messages, {
                 systemInstruction: systemContext,
                 tools,
                 silent,
-            });
+                signal,
+            }));
+            this.reportUsage(options, result.usage, startedAt);
 
             // If the model returned function calls, execute them and loop
             if (result.functionCalls && result.functionCalls.length > 0) {
@@ -55,7 +62,7 @@ export class GeminiApiAgent extends BaseAgent {
                 for (const fc of result.functionCalls) {
                     if (!silent) this.logToolCall(fc.name, fc.args || {});
 
-                    const toolResult = await executeTool(fc.name, fc.args || {});
+                    const toolResult = await executeTool(fc.name, fc.args || {}, { approve: options.approve, signal: options.signal, tools: agentTools });
                     responseParts.push({
                         functionResponse: {
                             name: fc.name,
@@ -73,14 +80,38 @@ export class GeminiApiAgent extends BaseAgent {
                 if (!silent) process.stdout.write(result.text);
                 this.messages.push({ role: 'model', parts: [{ text: result.text }] });
             }
-            this.truncateHistory();
+            await this.trimHistory(options);
             return result.text;
         }
 
-        this.truncateHistory();
+        await this.trimHistory(options);
         return '';
     }
 
+    async complete(prompt, options = {}) {
+        const startedAt = Date.now();
+        const result = await this.withCallSignal(options, (signal) => this._callApi([{ role: 'user', parts: [{ text: prompt }] }], { silent: true, signal }));
+        this.reportUsage(options, result.usage, startedAt);
+        return result.text;
+    }
+
+    /**
+     * Gemini stores text in `parts` and answers as 'model'.
+     */
+    transcriptMessage({ role, text }) {
+        return { role: role === 'assistant' ? 'model' : 'user', parts: [{ text }] };
+    }
+
+    /**
+     * Images become inlineData parts ahead of the prompt text.
+     */
+    userMessage(message) {
+        const { text, images } = this.resolveInput(message);
+        const parts = images.map((image) => ({ inlineData: { mimeType: image.mimeType, data: image.data } }));
+        if (text || parts.length === 0) parts.push({ text });
+        return { role: 'user', parts };
+    }
+
     /**
      * Override truncateHistory for Gemini role naming.
      */
@@ -113,7 +144,7 @@ export class GeminiApiAgent extends BaseAgent {
      * Call the Gemini API once (non-streaming for reliable function-call parsing).
      * @private
      */
-    _callApi(contents, { systemInstruction, tools, silent = false }) {
+    _callApi(contents, { systemInstruction, tools, silent = false, signal }) {
         return new Promise((resolve, reject) => {
             const body = JSON.stringify({
                 contents,
@@ -169,6 +200,14 @@ export class GeminiApiAgent extends BaseAgent {
                             const json = JSON.parse(responseBody);
                             const candidate = json.candidates?.[0];
                             const parts = candidate?.content?.parts || [];
+                            const usage = json.usageMetadata
+                                ? {
+                                    inputTokens: json.usageMetadata.promptTokenCount || 0,
+                                    // Thinking tokens are billed as output
+                                    outputTokens: (json.usageMetadata.candidatesTokenCount || 0)
+                                        + (json.usageMetadata.thoughtsTokenCount || 0),
+                                }
+                                : null;
 
                             // Check for function calls
                             const functionCalls = parts
@@ -179,7 +218,7 @@ export class GeminiApiAgent extends BaseAgent {
                                 }));
 
                             if (functionCalls.length > 0) {
-                                resolve({ text: '', functionCalls });
+                                resolve({ text: '', functionCalls, usage });
                                 return;
                             }
 
@@ -190,7 +229,7 @@ export class GeminiApiAgent extends BaseAgent {
                                 .join('');
 
                             if (text) {
-                                resolve({ text, functionCalls: null });
+                                resolve({ text, functionCalls: null, usage });
                             } else {
                                 this.messages.pop();
                                 reject(new Error('No content returned from Gemini'));
@@ -208,6 +247,7 @@ export class GeminiApiAgent extends BaseAgent {
                 this.messages.pop();
                 reject(err);
             });
+            abortRequest(signal, req, reject);
             req.write(body);
             req.end();
         });
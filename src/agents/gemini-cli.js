@@ -21,6 +21,7 @@ export class GeminiCliAgent extends BaseAgent {
     }
 
     async send(message, options = {}) {
+        const prompt = this.resolveInput(message).text;
         const silent = options.silent || false;
         const config = loadConfig();
 
@@ -59,9 +60,10 @@ export class GeminiCliAgent extends BaseAgent {
         }
 
         // -p/--prompt must come last to avoid clashing with positional args
-        args.push('-p', message);
+        args.push('-p', prompt);
 
-        const result = await execAgent(this.command, args, { silent: true, cwd: spawnCwd });
+        const result = await this.withCallSignal(options, (signal) =>
+            execAgent(this.command, args, { silent: true, cwd: spawnCwd, signal }));
 
         if (result.code !== 0) {
             throw new Error(`Gemini CLI exited with code ${result.code}: ${result.stderr || result.stdout}`);
@@ -95,6 +97,34 @@ export class GeminiCliAgent extends BaseAgent {
         }
     }
 
+    serialize() {
+        return {
+            ...super.serialize(),
+            sessionId: this.sessionId,
+            sessionContext: this.sessionContext ?? null,
+        };
+    }
+
+    restore(state = {}) {
+        super.restore(state);
+        this.sessionId = state.sessionId || null;
+        this.sessionContext = this.sessionId ? (state.sessionContext ?? null) : undefined;
+    }
+
+    clearHistory() {
+        super.clearHistory();
+        this.sessionId = null;
+        this.sessionContext = undefined;
+    }
+
+    // The conversation lives in the CLI's own session, not in this.messages —
+    // a taken-over transcript is folded into the prompt instead
+    importTranscript() {
+        return false;
+    }
+
+    recordExchange() { }
+
     async interactive() {
         const config = loadConfig();
         const args = ['--yolo'];
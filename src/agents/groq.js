@@ -1,6 +1,12 @@
 import https from 'https';
 import { BaseAgent } from './base.js';
 import { toOpenAITools, executeTool } from '../tools/index.js';
+import { abortRequest, throwIfAborted } from '../utils/abort.js';
+
+/** Normalize an OpenAI-style usage block. */
+function toUsage(usage) {
+    return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
 
 /**
  * Groq Cloud Agent — blazing-fast inference for open-source models.
@@ -25,6 +31,9 @@ export class GroqAgent extends BaseAgent {
      * @param {string} message - The user's prompt
      * @param {object} [options] - Options
      * @param {boolean} [options.silent=false] - If true, suppress stdout streaming
+     * @param {(token: string) => void} [options.onToken] - Called with each streamed token
+     * @param {(usage: object) => void} [options.onUsage] - Called with each API call's token usage
+     * @param {AbortSignal} [options.signal] - Aborts the request (and the tool loop)
      * @returns {Promise<string>} The full assistant response
      */
     async send(message, options = {}) {
@@ -35,30 +44,37 @@ export class GroqAgent extends BaseAgent {
         }
 
         const silent = options.silent || false;
+        const onToken = options.onToken;
 
         // Add the user message to conversation history
-        this.messages.push({ role: 'user', content: message });
+        this.messages.push(this.userMessage(message));
 
         // Build file-tree system context
         const systemContext = this.buildSystemContext();
         const systemMessage = systemContext ? { role: 'system', content: systemContext } : null;
 
         // Shared tools in OpenAI format
-        const tools = toOpenAITools();
+        const agentTools = this.getTools(options);
+        const tools = toOpenAITools(agentTools);
 
         // Tool-calling loop: keep calling until the model gives a final text response
         const MAX_TOOL_ROUNDS = 5;
 
         for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            throwIfAborted(options.signal);
             const apiMessages = [];
             if (systemMessage) apiMessages.push(systemMessage);
             apiMessages.push(...this.messages);
 
-            const result = await this._callApi(apiMessages, {
-                stream: false,
+            const startedAt = Date.now();
+            const result = await this.withCallSignal(options, (signal) => this._callApi(apiMessages, {
+                stream: true,
                 tools,
                 silent,
-            });
+                onToken,
+                signal,
+            }));
+            this.reportUsage(options, result.usage, startedAt);
 
             // If the model returned tool calls, execute them and loop
             if (result.toolCalls && result.toolCalls.length > 0) {
@@ -77,7 +93,7 @@ export class GroqAgent extends BaseAgent {
 
                     if (!silent) this.logToolCall(tc.function?.name, args);
 
-                    const toolResult = await executeTool(tc.function.name, args);
+                    const toolResult = await executeTool(tc.function.name, args, { approve: options.approve, signal: options.signal, tools: agentTools });
                     this.messages.push({
                         role: 'tool',
                         tool_call_id: tc.id,
@@ -92,25 +108,33 @@ export class GroqAgent extends BaseAgent {
             if (result.content) {
                 this.messages.push({ role: 'assistant', content: result.content });
             }
-            this.truncateHistory();
+            await this.trimHistory(options);
             return result.content;
         }
 
-        this.truncateHistory();
+        await this.trimHistory(options);
         return '';
     }
 
+    async complete(prompt, options = {}) {
+        const startedAt = Date.now();
+        const result = await this.withCallSignal(options, (signal) => this._callApi([{ role: 'user', content: prompt }], { stream: false, silent: true, signal }));
+        this.reportUsage(options, result.usage, startedAt);
+        return result.content;
+    }
+
     /**
      * Call the Groq API once.
      * @private
      */
-    _callApi(messages, { stream = false, tools, silent = false }) {
+    _callApi(messages, { stream = false, tools, silent = false, onToken, signal }) {
         return new Promise((resolve, reject) => {
             const body = JSON.stringify({
                 model: this.model,
                 messages,
                 stream,
-                ...(tools ? { tools, tool_choice: 'auto' } : {}),
+                ...(stream ? { stream_options: { include_usage: true } } : {}),
+                ...(tools && tools.length > 0 ? { tools, tool_choice: 'auto' } : {}),
             });
 
             const url = new URL('/openai/v1/chat/completions', this.baseUrl);
@@ -152,46 +176,50 @@ export class GroqAgent extends BaseAgent {
                     if (stream) {
                         let fullResponse = '';
                         let buffer = '';
+                        const toolCalls = []; // Tool-call deltas, accumulated by index
+                        let usage = null;
+
+                        const handleLine = (line) => {
+                            const trimmed = line.trim();
+                            if (!trimmed || !trimmed.startsWith('data: ')) return;
+                            const data = trimmed.slice(6);
+                            if (data === '[DONE]') return;
+                            try {
+                                const json = JSON.parse(data);
+                                // Sent on the last chunk (x_groq on older API versions)
+                                const reported = json.usage || json.x_groq?.usage;
+                                if (reported) usage = toUsage(reported);
+                                const delta = json.choices?.[0]?.delta || {};
+                                const token = delta.content;
+                                if (token) {
+                                    fullResponse += token;
+                                    if (!silent) process.stdout.write(token);
+                                    if (onToken) onToken(token);
+                                }
+                                for (const tc of delta.tool_calls || []) {
+                                    const slot = toolCalls[tc.index ?? 0] ||= {
+                                        id: '', type: 'function', function: { name: '', arguments: '' },
+                                    };
+                                    if (tc.id) slot.id = tc.id;
+                                    if (tc.function?.name) slot.function.name += tc.function.name;
+                                    if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+                                }
+                            } catch { }
+                        };
 
                         res.on('data', (chunk) => {
                             buffer += chunk.toString();
                             const lines = buffer.split('\n');
                             buffer = lines.pop() || '';
-
-                            for (const line of lines) {
-                                const trimmed = line.trim();
-                                if (!trimmed || !trimmed.startsWith('data: ')) continue;
-                                const data = trimmed.slice(6);
-                                if (data === '[DONE]') continue;
-                                try {
-                                    const json = JSON.parse(data);
-                                    const token = json.choices?.[0]?.delta?.content;
-                                    if (token) {
-                                        fullResponse += token;
-                                        if (!silent) process.stdout.write(token);
-                                    }
-                                } catch { }
-                            }
+                            lines.forEach(handleLine);
                         });
 
                         res.on('end', () => {
                             if (buffer.trim()) {
-                                for (const line of buffer.split('\n')) {
-                                    const trimmed = line.trim();
-                                    if (!trimmed || !trimmed.startsWith('data: ')) continue;
-                                    const data = trimmed.slice(6);
-                                    if (data === '[DONE]') continue;
-                                    try {
-                                        const json = JSON.parse(data);
-                                        const token = json.choices?.[0]?.delta?.content;
-                                        if (token) {
-                                            fullResponse += token;
-                                            if (!silent) process.stdout.write(token);
-                                        }
-                                    } catch { }
-                                }
+                                buffer.split('\n').forEach(handleLine);
                             }
-                            resolve({ content: fullResponse, toolCalls: null });
+                            const calls = toolCalls.filter(Boolean);
+                            resolve({ content: fullResponse, toolCalls: calls.length > 0 ? calls : null, usage });
                         });
                         res.on('error', reject);
                     } else {
@@ -203,12 +231,13 @@ export class GroqAgent extends BaseAgent {
                                 const choice = json.choices?.[0];
                                 const toolCalls = choice?.message?.tool_calls;
                                 const content = choice?.message?.content || '';
+                                const usage = json.usage ? toUsage(json.usage) : null;
 
                                 if (toolCalls && toolCalls.length > 0) {
-                                    resolve({ content: '', toolCalls });
+                                    resolve({ content: '', toolCalls, usage });
                                 } else {
                                     if (content && !silent) process.stdout.write(content);
-                                    resolve({ content, toolCalls: null });
+                                    resolve({ content, toolCalls: null, usage });
                                 }
                             } catch (err) {
                                 reject(new Error('Failed to parse Groq API response'));
@@ -227,6 +256,7 @@ export class GroqAgent extends BaseAgent {
                 }
             });
 
+            abortRequest(signal, req, reject);
             req.write(body);
             req.end();
         });
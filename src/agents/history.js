@@ -0,0 +1,220 @@
+/**
+ * ─── History Helpers ─────────────────────────────────────────────
+ *
+ * Provider-neutral views over conversation history, used by
+ * BaseAgent's summarize-and-compact mode and by fallback chains
+ * handing a conversation to another agent.
+ *
+ * Design:
+ *   • Understands the three message shapes the agents store:
+ *       OpenAI    — { role, content, tool_calls, images? } / { role: 'tool' } (images: Ollama)
+ *       Anthropic — { role, content: string | blocks (text, image, tool_use, tool_result) }
+ *       Gemini    — { role: 'user' | 'model', parts: [text | inlineData | functionCall | functionResponse] }
+ *   • Cuts only at the start of a user turn, so tool calls are never
+ *     separated from their results
+ *   • The pinned summary is a plain user message recognised by its prefix —
+ *     messages are sent to the APIs verbatim, so no marker fields are added
+ *   • A transcript is the neutral form: [{ role: 'user' | 'assistant', text }],
+ *     text only — tool calls and images are provider-specific and stay behind
+ *   • Images are only kept for the turn they were sent in; afterwards the
+ *     history holds an "[Image]" placeholder instead of the base64 data
+ */
+
+export const SUMMARY_PREFIX = '[Conversation so far]';
+
+export const IMAGE_PLACEHOLDER = '[Image]';
+
+const TOOL_RESULT_PREVIEW = 500;
+
+/**
+ * Whether a message carries tool results rather than a user prompt.
+ */
+function isToolResult(msg) {
+    if (msg.role === 'tool') return true;
+    if (Array.isArray(msg.content)) {
+        return msg.content.length > 0 && msg.content.every((b) => b.type === 'tool_result');
+    }
+    if (Array.isArray(msg.parts)) {
+        return msg.parts.length > 0 && msg.parts.every((p) => p.functionResponse);
+    }
+    return false;
+}
+
+/**
+ * Whether a message starts a new user turn (a prompt, not tool output).
+ */
+export function isTurnStart(msg) {
+    return msg.role === 'user' && !isToolResult(msg);
+}
+
+/**
+ * Plain text of a message, whatever its format.
+ */
+export function messageText(msg) {
+    if (typeof msg.content === 'string') return msg.content;
+    if (Array.isArray(msg.content)) {
+        return msg.content.filter((b) => b.type === 'text').map((b) => b.text).join('');
+    }
+    if (Array.isArray(msg.parts)) {
+        return msg.parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('');
+    }
+    return '';
+}
+
+/**
+ * Whether a message is the pinned compaction summary.
+ */
+export function isSummaryMessage(msg) {
+    return msg.role === 'user' && messageText(msg).startsWith(SUMMARY_PREFIX);
+}
+
+/**
+ * A message with its images replaced by IMAGE_PLACEHOLDER text, in the
+ * message's own format. Messages without images are returned as is.
+ */
+export function withoutImages(msg) {
+    if (Array.isArray(msg.content) && msg.content.some((b) => b.type === 'image')) {
+        return { ...msg, content: msg.content.map((b) => (b.type === 'image' ? { type: 'text', text: IMAGE_PLACEHOLDER } : b)) };
+    }
+    if (Array.isArray(msg.parts) && msg.parts.some((p) => p.inlineData)) {
+        return { ...msg, parts: msg.parts.map((p) => (p.inlineData ? { text: IMAGE_PLACEHOLDER } : p)) };
+    }
+    if (msg.images?.length) {
+        const { images, ...rest } = msg;
+        return { ...rest, content: [...images.map(() => IMAGE_PLACEHOLDER), rest.content].filter(Boolean).join('\n\n') };
+    }
+    return msg;
+}
+
+function preview(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > TOOL_RESULT_PREVIEW ? `${text.slice(0, TOOL_RESULT_PREVIEW)}...` : text;
+}
+
+/**
+ * Render messages as a plain transcript for the summarizer.
+ * Tool calls and (shortened) results are kept so the summary can
+ * mention what was looked at.
+ * @param {object[]} messages
+ * @returns {string}
+ */
+export function renderTranscript(messages) {
+    const lines = [];
+
+    for (const msg of messages) {
+        const speaker = msg.role === 'user' ? 'User' : 'Assistant';
+
+        if (msg.role === 'system') continue;
+
+        if (msg.role === 'tool') {
+            lines.push(`Tool result: ${preview(msg.content)}`);
+            continue;
+        }
+
+        if (Array.isArray(msg.content)) {
+            for (const block of msg.content) {
+                if (block.type === 'text' && block.text) lines.push(`${speaker}: ${block.text}`);
+                if (block.type === 'image') lines.push(`${speaker}: [Image]`);
+                if (block.type === 'tool_use') lines.push(`Tool call: ${block.name}(${preview(block.input || {})})`);
+                if (block.type === 'tool_result') lines.push(`Tool result: ${preview(block.content)}`);
+            }
+            continue;
+        }
+
+        if (Array.isArray(msg.parts)) {
+            for (const part of msg.parts) {
+                if (typeof part.text === 'string' && part.text) lines.push(`${speaker}: ${part.text}`);
+                if (part.inlineData) lines.push(`${speaker}: [Image]`);
+                if (part.functionCall) lines.push(`Tool call: ${part.functionCall.name}(${preview(part.functionCall.args || {})})`);
+                if (part.functionResponse) lines.push(`Tool result: ${preview(part.functionResponse.response)}`);
+            }
+            continue;
+        }
+
+        if (msg.content) lines.push(`${speaker}: ${msg.content}`);
+        lines.push(...(msg.images || []).map(() => `${speaker}: [Image]`));
+        for (const tc of msg.tool_calls || []) {
+            lines.push(`Tool call: ${tc.function?.name}(${preview(tc.function?.arguments || {})})`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Split history into the span to summarize and the span to keep.
+ *
+ * @param {object[]} messages
+ * @param {number} keepTurns - Number of most recent user turns to keep verbatim
+ * @returns {{ head: object[], dropped: object[], kept: object[] } | null}
+ *   head = leading system messages; null when there is nothing to drop
+ */
+export function planCompaction(messages, keepTurns) {
+    let start = 0;
+    while (start < messages.length && messages[start].role === 'system') start++;
+
+    // Walk back to the start of the keepTurns-th most recent user turn
+    let cut = -1;
+    let turns = 0;
+    for (let i = messages.length - 1; i >= start; i--) {
+        if (isTurnStart(messages[i]) && !isSummaryMessage(messages[i])) {
+            turns++;
+            if (turns === keepTurns) {
+                cut = i;
+                break;
+            }
+        }
+    }
+
+    if (cut <= start) return null;
+
+    // Only the previous summary (and its acknowledgement) would be dropped
+    const dropped = messages.slice(start, cut);
+    if (dropped.length <= 2 && isSummaryMessage(dropped[0])) return null;
+
+    return {
+        head: messages.slice(0, start),
+        dropped,
+        kept: messages.slice(cut),
+    };
+}
+
+/**
+ * Convert history in any format into a provider-neutral transcript.
+ * Tool calls and results are dropped; consecutive text from the same
+ * side (e.g. across tool rounds) is merged so roles keep alternating.
+ * @param {object[]} messages
+ * @returns {{ role: 'user' | 'assistant', text: string }[]}
+ */
+export function toTranscript(messages) {
+    const turns = [];
+
+    for (const msg of messages) {
+        if (msg.role === 'system' || isToolResult(msg)) continue;
+        const text = messageText(msg).trim();
+        if (!text) continue;
+
+        const role = msg.role === 'user' ? 'user' : 'assistant';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.text += `\n\n${text}`;
+        } else {
+            turns.push({ role, text });
+        }
+    }
+
+    return turns;
+}
+
+/**
+ * Fold a transcript into a single prompt, for agents whose history
+ * lives outside minigeri (CLI sessions).
+ * @param {{ role: string, text: string }[]} turns
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function transcriptPrompt(turns, prompt) {
+    if (turns.length === 0) return prompt;
+    const lines = turns.map((t) => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.text}`);
+    return `Conversation so far (continued from another assistant):\n${lines.join('\n')}\n\nCurrent message:\n${prompt}`;
+}
@@ -4,6 +4,7 @@ import { OllamaAgent } from './ollama.js';
 import { GroqAgent } from './groq.js';
 import { ClaudeApiAgent } from './claude-api.js';
 import { GeminiApiAgent } from './gemini-api.js';
+import { OpenAICompatibleAgent } from './openai-compatible.js';
 
 const AGENT_REGISTRY = {
     'claude-code': ClaudeCodeAgent,
@@ -12,13 +13,16 @@ const AGENT_REGISTRY = {
     'groq': GroqAgent,
     'claude-api': ClaudeApiAgent,
     'gemini-api': GeminiApiAgent,
+    'openai-compatible': OpenAICompatibleAgent,
 };
 
 /**
  * Create an agent instance by name.
+ * Named instances from config.agents (e.g. "lmstudio") resolve through
+ * their `provider` field, so config must be the entry from getAgent().
  */
 export function createAgent(name, config = {}) {
-    const AgentClass = AGENT_REGISTRY[name];
+    const AgentClass = AGENT_REGISTRY[name] || AGENT_REGISTRY[config.provider];
     if (!AgentClass) {
         const available = Object.keys(AGENT_REGISTRY).join(', ');
         throw new Error(`Unknown agent: "${name}". Available agents: ${available}`);
@@ -27,10 +31,26 @@ export function createAgent(name, config = {}) {
 }
 
 /**
- * List all registered agent names.
+ * List all usable agent names. The bare 'openai-compatible' provider is
+ * left out — it only works through named instances, which are included
+ * when the loaded config is passed.
+ * @param {object} [config] - Loaded config
  */
-export function listAgentNames() {
-    return Object.keys(AGENT_REGISTRY);
+export function listAgentNames(config) {
+    const builtIn = Object.keys(AGENT_REGISTRY).filter((name) => name !== 'openai-compatible');
+    return config ? [...builtIn, ...listCustomAgentNames(config)] : builtIn;
+}
+
+/**
+ * List the named openai-compatible instances defined in config.agents.
+ * Instances whose name clashes with a built-in agent are ignored.
+ * @param {object} config - Loaded config
+ * @returns {string[]}
+ */
+export function listCustomAgentNames(config) {
+    return Object.entries(config.agents || {})
+        .filter(([name, agent]) => agent?.provider === 'openai-compatible' && !AGENT_REGISTRY[name])
+        .map(([name]) => name);
 }
 
 export { AGENT_REGISTRY };
@@ -0,0 +1,81 @@
+/**
+ * ─── Agent Input ─────────────────────────────────────────────────
+ *
+ * The provider-neutral shape of a prompt, as passed to BaseAgent.send():
+ *
+ *   'Plain text'                                   — a text prompt
+ *   { text: 'What is in this picture?', attachments: [
+ *       { kind: 'image', name: 'photo.jpg', mimeType: 'image/jpeg', data: <Buffer> },
+ *       { kind: 'document', name: 'notes.md', mimeType: 'text/markdown', data: <Buffer> },
+ *   ] }
+ *
+ * Design:
+ *   • Documents are text files, folded into the prompt text so that every
+ *     agent can read them
+ *   • Images reach the model as base64; each agent builds its provider's
+ *     message in userMessage() and agents without `supportsImages` refuse them
+ *   • Anything text-only (transcripts, CLI fallbacks, recorded exchanges)
+ *     gets the folded text with an "[Image: name]" marker per image
+ */
+
+/**
+ * @typedef {{ kind: 'image' | 'document', name: string, mimeType: string, data: Buffer }} Attachment
+ * @typedef {string | { text?: string, attachments?: Attachment[] }} AgentInput
+ */
+
+/**
+ * The text typed with the prompt, without attachments.
+ * @param {AgentInput} input
+ * @returns {string}
+ */
+export function inputText(input) {
+    return typeof input === 'string' ? input : input?.text || '';
+}
+
+/**
+ * The same input with its text replaced.
+ * @param {AgentInput} input
+ * @param {string} text
+ * @returns {AgentInput}
+ */
+export function withInputText(input, text) {
+    return typeof input === 'string' ? text : { ...input, text };
+}
+
+/**
+ * The input's images, as base64 for the provider APIs.
+ * @param {AgentInput} input
+ * @returns {{ name: string, mimeType: string, data: string }[]}
+ */
+export function inputImages(input) {
+    const attachments = typeof input === 'string' ? [] : input?.attachments || [];
+    return attachments
+        .filter((a) => a.kind === 'image')
+        .map((a) => ({ name: a.name, mimeType: a.mimeType, data: a.data.toString('base64') }));
+}
+
+/**
+ * The prompt text with every document appended.
+ * @param {AgentInput} input
+ * @param {object} [options]
+ * @param {boolean} [options.imageMarkers=false] - Mention each image as "[Image: name]"
+ * @returns {string}
+ */
+export function foldInput(input, { imageMarkers = false } = {}) {
+    const attachments = typeof input === 'string' ? [] : input?.attachments || [];
+    const sections = [inputText(input)];
+
+    for (const attachment of attachments) {
+        if (attachment.kind === 'document') {
+            sections.push(
+                `--- Attached file: ${attachment.name} ---\n` +
+                `${attachment.data.toString('utf-8').trimEnd()}\n` +
+                `--- End of ${attachment.name} ---`
+            );
+        } else if (imageMarkers) {
+            sections.push(`[Image: ${attachment.name}]`);
+        }
+    }
+
+    return sections.filter(Boolean).join('\n\n');
+}
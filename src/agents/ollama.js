@@ -2,6 +2,12 @@ import http from 'http';
 import { BaseAgent } from './base.js';
 import { execAgent, execInteractive } from '../executor.js';
 import { toOpenAITools, executeTool } from '../tools/index.js';
+import { abortRequest, throwIfAborted } from '../utils/abort.js';
+
+/** Token counts from the final chunk of an /api/chat response. */
+function toUsage(json) {
+    return { inputTokens: json.prompt_eval_count || 0, outputTokens: json.eval_count || 0 };
+}
 
 /**
  * Ollama Agent — local LLM inference with tool calling.
@@ -16,19 +22,33 @@ export class OllamaAgent extends BaseAgent {
         this.model = config.model || 'llama3';
         this.baseUrl = config.baseUrl || 'http://localhost:11434';
         this.toolSupport = null; // null = unknown, true/false = known
+        this.supportsImages = true; // Used by llava-style models, ignored by others
+    }
+
+    /**
+     * Images ride along as base64 strings in the message's `images` field.
+     */
+    userMessage(message) {
+        const { text, images } = this.resolveInput(message);
+        return {
+            role: 'user',
+            content: text,
+            ...(images.length > 0 ? { images: images.map((image) => image.data) } : {}),
+        };
     }
 
     /**
      * Check if the current model supports tool calling.
      * Probes the API and caches the result.
+     * @param {object} [options] - The send() options (for the signal)
      * @returns {Promise<boolean>}
      */
-    async checkToolSupport() {
+    async checkToolSupport(options = {}) {
         if (this.toolSupport !== null) return this.toolSupport;
 
         try {
             // Small probe request with a dummy tool
-            await this._callApi([{ role: 'user', content: 'test' }], {
+            await this.withCallSignal(options, (signal) => this._callApi([{ role: 'user', content: 'test' }], {
                 stream: false,
                 tools: [{
                     type: 'function',
@@ -38,8 +58,9 @@ export class OllamaAgent extends BaseAgent {
                         parameters: { type: 'object', properties: {} }
                     }
                 }],
-                silent: true
-            });
+                silent: true,
+                signal,
+            }));
             this.toolSupport = true;
         } catch (err) {
             if (err.message.includes('does not support tools')) {
@@ -60,13 +81,17 @@ export class OllamaAgent extends BaseAgent {
      * @param {string} message - The user's prompt
      * @param {object} [options] - Options
      * @param {boolean} [options.silent=false] - If true, suppress stdout streaming
+     * @param {(token: string) => void} [options.onToken] - Called with each streamed token
+     * @param {(usage: object) => void} [options.onUsage] - Called with each API call's token usage
+     * @param {AbortSignal} [options.signal] - Aborts the request (and the tool loop)
      * @returns {Promise<string>} The full assistant response
      */
     async send(message, options = {}) {
         const silent = options.silent || false;
+        const onToken = options.onToken;
 
         // Add the user message to conversation history
-        this.messages.push({ role: 'user', content: message });
+        this.messages.push(this.userMessage(message));
 
         // Build file-tree system context
         const systemContext = this.buildSystemContext();
@@ -79,30 +104,41 @@ export class OllamaAgent extends BaseAgent {
         }
 
         // Check tool support
-        const supportsTools = await this.checkToolSupport();
+        const supportsTools = await this.checkToolSupport(options);
 
         // If tools are not supported, just do a normal chat
         if (!supportsTools) {
-            const result = await this._callApi(this.messages, {
+            const startedAt = Date.now();
+            const result = await this.withCallSignal(options, (signal) => this._callApi(this.messages, {
                 stream: true,
                 silent,
-            });
+                onToken,
+                signal,
+            }));
+            this.reportUsage(options, result.usage, startedAt);
             this.messages.push({ role: 'assistant', content: result.content });
+            await this.trimHistory(options);
             return result.content;
         }
 
         // Shared tools in OpenAI format (Ollama uses the same schema)
-        const tools = toOpenAITools();
+        const agentTools = this.getTools(options);
+        const tools = toOpenAITools(agentTools);
 
         // Tool-calling loop
         const MAX_TOOL_ROUNDS = 5;
 
         for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
-            const result = await this._callApi(this.messages, {
-                stream: false, // Non-streaming for tool-call detection
+            throwIfAborted(options.signal);
+            const startedAt = Date.now();
+            const result = await this.withCallSignal(options, (signal) => this._callApi(this.messages, {
+                stream: true, // Tool calls arrive as a whole in a single chunk
                 tools,
                 silent,
-            });
+                onToken,
+                signal,
+            }));
+            this.reportUsage(options, result.usage, startedAt);
 
             // If the model returned tool calls, execute them and loop
             if (result.toolCalls && result.toolCalls.length > 0) {
@@ -117,7 +153,7 @@ export class OllamaAgent extends BaseAgent {
 
                     if (!silent) this.logToolCall(tc.function?.name, args);
 
-                    const toolResult = await executeTool(tc.function.name, args);
+                    const toolResult = await executeTool(tc.function.name, args, { approve: options.approve, signal: options.signal, tools: agentTools });
                     this.messages.push({
                         role: 'tool',
                         content: toolResult,
@@ -129,22 +165,28 @@ export class OllamaAgent extends BaseAgent {
 
             // No tool calls — final text response
             if (result.content) {
-                if (!silent) process.stdout.write(result.content);
                 this.messages.push({ role: 'assistant', content: result.content });
             }
-            this.truncateHistory();
+            await this.trimHistory(options);
             return result.content;
         }
 
-        this.truncateHistory();
+        await this.trimHistory(options);
         return '';
     }
 
+    async complete(prompt, options = {}) {
+        const startedAt = Date.now();
+        const result = await this.withCallSignal(options, (signal) => this._callApi([{ role: 'user', content: prompt }], { stream: false, silent: true, signal }));
+        this.reportUsage(options, result.usage, startedAt);
+        return result.content;
+    }
+
     /**
      * Call the Ollama /api/chat endpoint.
      * @private
      */
-    _callApi(messages, { stream = false, tools, silent = false }) {
+    _callApi(messages, { stream = false, tools, silent = false, onToken, signal }) {
         return new Promise((resolve, reject) => {
             const bodyObj = {
                 model: this.model,
@@ -176,41 +218,40 @@ export class OllamaAgent extends BaseAgent {
                         // Streaming mode — token by token
                         let fullResponse = '';
                         let buffer = '';
+                        const toolCalls = [];
+                        let usage = null;
+
+                        const handleLine = (line) => {
+                            if (!line.trim()) return;
+                            try {
+                                const json = JSON.parse(line);
+                                if (json.error) {
+                                    reject(new Error(json.error));
+                                    return;
+                                }
+                                if (json.message?.content) {
+                                    const token = json.message.content;
+                                    fullResponse += token;
+                                    if (!silent) process.stdout.write(token);
+                                    if (onToken) onToken(token);
+                                }
+                                if (json.message?.tool_calls) {
+                                    toolCalls.push(...json.message.tool_calls);
+                                }
+                                if (json.done) usage = toUsage(json);
+                            } catch { }
+                        };
 
                         res.on('data', (chunk) => {
                             buffer += chunk.toString();
                             const lines = buffer.split('\n');
                             buffer = lines.pop() || '';
-
-                            for (const line of lines) {
-                                if (!line.trim()) continue;
-                                try {
-                                    const json = JSON.parse(line);
-                                    if (json.message?.content) {
-                                        const token = json.message.content;
-                                        fullResponse += token;
-                                        if (!silent) process.stdout.write(token);
-                                    }
-                                    if (json.error) {
-                                        reject(new Error(json.error));
-                                        return;
-                                    }
-                                } catch { }
-                            }
+                            lines.forEach(handleLine);
                         });
 
                         res.on('end', () => {
-                            if (buffer.trim()) {
-                                try {
-                                    const json = JSON.parse(buffer);
-                                    if (json.message?.content) {
-                                        const token = json.message.content;
-                                        fullResponse += token;
-                                        if (!silent) process.stdout.write(token);
-                                    }
-                                } catch { }
-                            }
-                            resolve({ content: fullResponse, toolCalls: null });
+                            handleLine(buffer);
+                            resolve({ content: fullResponse, toolCalls: toolCalls.length > 0 ? toolCalls : null, usage });
                         });
                         res.on('error', reject);
                     } else {
@@ -231,11 +272,12 @@ export class OllamaAgent extends BaseAgent {
                                 const message = json.message || {};
                                 const toolCalls = message.tool_calls;
                                 const content = message.content || '';
+                                const usage = toUsage(json);
 
                                 if (toolCalls && toolCalls.length > 0) {
-                                    resolve({ content: '', toolCalls });
+                                    resolve({ content: '', toolCalls, usage });
                                 } else {
-                                    resolve({ content, toolCalls: null });
+                                    resolve({ content, toolCalls: null, usage });
                                 }
                             } catch (err) {
                                 reject(new Error('Failed to parse Ollama API response'));
@@ -259,6 +301,7 @@ export class OllamaAgent extends BaseAgent {
                 }
             });
 
+            abortRequest(signal, req, reject);
             req.write(body);
             req.end();
         });
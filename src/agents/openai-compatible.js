@@ -0,0 +1,325 @@
+import http from 'http';
+import https from 'https';
+import { BaseAgent } from './base.js';
+import { toOpenAITools, executeTool } from '../tools/index.js';
+import { abortRequest, throwIfAborted } from '../utils/abort.js';
+
+/**
+ * OpenAI-compatible Agent — any server speaking the chat-completions protocol
+ * (LM Studio, llama.cpp server, vLLM, OpenRouter, ...).
+ *
+ * Several named instances can live side by side in config.agents:
+ *
+ *   "lmstudio": {
+ *     "provider": "openai-compatible",
+ *     "baseUrl": "http://localhost:1234/v1",
+ *     "model": "qwen2.5-coder-7b-instruct"
+ *   },
+ *   "openrouter": {
+ *     "provider": "openai-compatible",
+ *     "baseUrl": "https://openrouter.ai/api/v1",
+ *     "apiKey": "sk-or-...",
+ *     "model": "anthropic/claude-3.5-sonnet",
+ *     "headers": { "X-Title": "minigeri" }
+ *   }
+ *
+ * baseUrl points at the API root (usually ending in /v1);
+ * /chat/completions and /models are resolved relative to it.
+ */
+export class OpenAICompatibleAgent extends BaseAgent {
+    constructor(config = {}) {
+        super(config.name || 'openai-compatible', config);
+        this.baseUrl = config.baseUrl || 'http://localhost:1234/v1';
+        this.apiKey = config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : '') || '';
+        this.model = config.model || '';
+        this.headers = config.headers || {};
+        this.toolSupport = config.tools !== false;
+    }
+
+    /**
+     * Send a message using the /chat/completions endpoint.
+     * Supports tool calling — the model can request files as needed.
+     * Streams the response token-by-token to stdout (unless silent).
+     *
+     * @param {string} message - The user's prompt
+     * @param {object} [options] - Options
+     * @param {boolean} [options.silent=false] - If true, suppress stdout streaming
+     * @param {(token: string) => void} [options.onToken] - Called with each streamed token
+     * @param {(usage: object) => void} [options.onUsage] - Called with each API call's token usage
+     * @param {AbortSignal} [options.signal] - Aborts the request (and the tool loop)
+     * @returns {Promise<string>} The full assistant response
+     */
+    async send(message, options = {}) {
+        if (!this.model) {
+            throw new Error(`No model set for "${this.name}". Add "model" to config.agents.${this.name} in ~/.cli-bot/config.json`);
+        }
+
+        const silent = options.silent || false;
+        const onToken = options.onToken;
+
+        // Add the user message to conversation history
+        this.messages.push(this.userMessage(message));
+
+        // Build file-tree system context
+        const systemContext = this.buildSystemContext();
+        const systemMessage = systemContext ? { role: 'system', content: systemContext } : null;
+
+        // Shared tools in OpenAI format (disable with "tools": false for models without support)
+        const agentTools = this.getTools(options);
+        const tools = this.toolSupport ? toOpenAITools(agentTools) : undefined;
+
+        // Tool-calling loop: keep calling until the model gives a final text response
+        const MAX_TOOL_ROUNDS = 5;
+
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            throwIfAborted(options.signal);
+            const apiMessages = [];
+            if (systemMessage) apiMessages.push(systemMessage);
+            apiMessages.push(...this.messages);
+
+            const startedAt = Date.now();
+            const result = await this.withCallSignal(options, (signal) => this._callApi(apiMessages, { tools, silent, onToken, signal }));
+            this.reportUsage(options, result.usage, startedAt);
+
+            // If the model returned tool calls, execute them and loop
+            if (result.toolCalls && result.toolCalls.length > 0) {
+                this.messages.push({
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: result.toolCalls,
+                });
+
+                for (const tc of result.toolCalls) {
+                    let args = {};
+                    try {
+                        const parsed = JSON.parse(tc.function?.arguments || '{}');
+                        if (parsed && typeof parsed === 'object') args = parsed;
+                    } catch { }
+
+                    if (!silent) this.logToolCall(tc.function?.name, args);
+
+                    const toolResult = await executeTool(tc.function.name, args, { approve: options.approve, signal: options.signal, tools: agentTools });
+                    this.messages.push({
+                        role: 'tool',
+                        tool_call_id: tc.id,
+                        content: toolResult,
+                    });
+                }
+
+                continue;
+            }
+
+            // No tool calls — this is the final text response
+            if (result.content) {
+                this.messages.push({ role: 'assistant', content: result.content });
+            }
+            await this.trimHistory(options);
+            return result.content;
+        }
+
+        await this.trimHistory(options);
+        return '';
+    }
+
+    async complete(prompt, options = {}) {
+        const startedAt = Date.now();
+        const result = await this.withCallSignal(options, (signal) => this._callApi([{ role: 'user', content: prompt }], { silent: true, signal }));
+        this.reportUsage(options, result.usage, startedAt);
+        return result.content;
+    }
+
+    /**
+     * Resolve an endpoint path relative to baseUrl.
+     * @private
+     */
+    _url(path) {
+        return new URL(path, this.baseUrl.endsWith('/') ? this.baseUrl : `${this.baseUrl}/`);
+    }
+
+    /**
+     * Build request headers: JSON, bearer auth (if a key is set) and per-instance extras.
+     * @private
+     */
+    _headers(extra = {}) {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+            ...this.headers,
+            ...extra,
+        };
+    }
+
+    /**
+     * Issue an HTTP(S) request against the server.
+     * @private
+     */
+    _request(url, options, onResponse) {
+        const transport = url.protocol === 'https:' ? https : http;
+        const req = transport.request(
+            {
+                hostname: url.hostname,
+                port: url.port || (url.protocol === 'https:' ? 443 : 80),
+                path: url.pathname + url.search,
+                ...options,
+            },
+            onResponse
+        );
+        return req;
+    }
+
+    /**
+     * Call the chat-completions endpoint once, streaming (SSE).
+     * @private
+     */
+    _callApi(messages, { tools, silent = false, onToken, signal }) {
+        return new Promise((resolve, reject) => {
+            const body = JSON.stringify({
+                model: this.model,
+                messages,
+                stream: true,
+                stream_options: { include_usage: true },
+                ...(tools && tools.length > 0 ? { tools, tool_choice: 'auto' } : {}),
+            });
+
+            const url = this._url('chat/completions');
+            const req = this._request(
+                url,
+                {
+                    method: 'POST',
+                    headers: this._headers({ 'Content-Length': Buffer.byteLength(body) }),
+                },
+                (res) => {
+                    if (res.statusCode !== 200) {
+                        let errorBody = '';
+                        res.on('data', (c) => { errorBody += c.toString(); });
+                        res.on('end', () => {
+                            let detail = errorBody;
+                            try {
+                                detail = JSON.parse(errorBody).error?.message || errorBody;
+                            } catch { }
+                            reject(new Error(`${this.name} API error (${res.statusCode}): ${detail}`));
+                        });
+                        return;
+                    }
+
+                    let fullResponse = '';
+                    let buffer = '';
+                    const toolCalls = []; // Tool-call deltas, accumulated by index
+                    let usage = null;
+
+                    const handleLine = (line) => {
+                        const trimmed = line.trim();
+                        if (!trimmed || !trimmed.startsWith('data:')) return;
+                        const data = trimmed.slice(5).trim();
+                        if (data === '[DONE]') return;
+                        try {
+                            const json = JSON.parse(data);
+                            if (json.error) {
+                                reject(new Error(`${this.name} API error: ${json.error.message || json.error}`));
+                                return;
+                            }
+                            if (json.usage) {
+                                usage = {
+                                    inputTokens: json.usage.prompt_tokens || 0,
+                                    outputTokens: json.usage.completion_tokens || 0,
+                                };
+                            }
+                            const delta = json.choices?.[0]?.delta || {};
+                            const token = delta.content;
+                            if (token) {
+                                fullResponse += token;
+                                if (!silent) process.stdout.write(token);
+                                if (onToken) onToken(token);
+                            }
+                            for (const tc of delta.tool_calls || []) {
+                                const slot = toolCalls[tc.index ?? 0] ||= {
+                                    id: '', type: 'function', function: { name: '', arguments: '' },
+                                };
+                                if (tc.id) slot.id = tc.id;
+                                if (tc.function?.name) slot.function.name += tc.function.name;
+                                if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+                            }
+                        } catch { }
+                    };
+
+                    res.on('data', (chunk) => {
+                        buffer += chunk.toString();
+                        const lines = buffer.split('\n');
+                        buffer = lines.pop() || '';
+                        lines.forEach(handleLine);
+                    });
+
+                    res.on('end', () => {
+                        if (buffer.trim()) {
+                            buffer.split('\n').forEach(handleLine);
+                        }
+                        const calls = toolCalls.filter(Boolean);
+                        // Some servers omit ids on streamed tool calls; tool results need one
+                        calls.forEach((tc, i) => { if (!tc.id) tc.id = `call_${i}`; });
+                        resolve({ content: fullResponse, toolCalls: calls.length > 0 ? calls : null, usage });
+                    });
+                    res.on('error', reject);
+                }
+            );
+
+            req.on('error', (err) => {
+                if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
+                    reject(new Error(`Cannot reach ${this.name} at ${this.baseUrl}. Is the server running?`));
+                } else {
+                    reject(err);
+                }
+            });
+
+            abortRequest(signal, req, reject);
+            req.write(body);
+            req.end();
+        });
+    }
+
+    /**
+     * List models exposed by the server (GET /models).
+     * @returns {Promise<{ models: Array<{ id: string, owned_by: string }>, raw: string }>}
+     */
+    async listModels() {
+        return new Promise((resolve, reject) => {
+            const req = this._request(
+                this._url('models'),
+                { method: 'GET', headers: this._headers() },
+                (res) => {
+                    let body = '';
+                    res.on('data', (chunk) => { body += chunk.toString(); });
+                    res.on('end', () => {
+                        if (res.statusCode !== 200) {
+                            reject(new Error(`${this.name} API error (${res.statusCode}): ${body}`));
+                            return;
+                        }
+                        try {
+                            const parsed = JSON.parse(body);
+                            const models = (parsed.data || [])
+                                .map((m) => ({ id: m.id, owned_by: m.owned_by || '' }))
+                                .sort((a, b) => a.id.localeCompare(b.id));
+                            resolve({ models, raw: body });
+                        } catch {
+                            reject(new Error(`Failed to parse ${this.name} models response`));
+                        }
+                    });
+                    res.on('error', reject);
+                }
+            );
+
+            req.on('error', (err) => {
+                if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
+                    reject(new Error(`Cannot reach ${this.name} at ${this.baseUrl}. Is the server running?`));
+                } else {
+                    reject(err);
+                }
+            });
+
+            req.end();
+        });
+    }
+
+    async isAvailable() {
+        return !!(this.baseUrl && this.model);
+    }
+}
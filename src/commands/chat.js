@@ -1,7 +1,14 @@
 import chalk from 'chalk';
 import readline from 'readline';
 import { createAgent, listAgentNames } from '../agents/index.js';
-import { getAgent } from '../config.js';
+import { getAgent, loadConfig } from '../config.js';
+import { usageRecorder } from '../utils/usage.js';
+import { approveInShell, setApprovalInterface } from '../ui/approval.js';
+import { handleShellInterrupts, sendFromShell } from '../ui/interrupt.js';
+import { loadPluginTools } from '../tools/registry.js';
+import { connectAllMcpServers, disconnectAllMcpServers } from '../services/mcp.js';
+
+const recordUsage = usageRecorder({ surface: 'shell' });
 
 /**
  * Interactive chat loop — talk to an AI agent from the terminal.
@@ -18,6 +25,9 @@ export async function startChat(agentName, options = {}) {
         process.exit(1);
     }
 
+    await loadPluginTools();
+    await connectAllMcpServers();
+
     // If interactive mode requested, hand off to the agent's own REPL
     if (options.interactive) {
         console.log(chalk.cyan(`\n  ⟩ Launching ${agentConfig.name} interactive session...\n`));
@@ -27,7 +37,8 @@ export async function startChat(agentName, options = {}) {
 
     // Single prompt mode
     if (options.prompt) {
-        const response = await agent.send(options.prompt);
+        const response = await agent.send(options.prompt, { onUsage: recordUsage, approve: approveInShell });
+        await disconnectAllMcpServers();
         return;
     }
 
@@ -45,6 +56,8 @@ export async function startChat(agentName, options = {}) {
         output: process.stdout,
         prompt: chalk.green('  you ▸ '),
     });
+    setApprovalInterface(rl);
+    handleShellInterrupts(rl);
 
     rl.prompt();
 
@@ -65,7 +78,7 @@ export async function startChat(agentName, options = {}) {
         // Switch agent mid-conversation
         if (input.startsWith('/agent ')) {
             const newAgent = input.slice(7).trim();
-            const names = listAgentNames();
+            const names = listAgentNames(loadConfig());
             if (names.includes(newAgent)) {
                 console.log(chalk.yellow(`  Switched to ${newAgent}\n`));
                 // Restart with new agent
@@ -80,7 +93,7 @@ export async function startChat(agentName, options = {}) {
 
         try {
             console.log(chalk.dim('  Thinking...\n'));
-            await agent.send(input);
+            await sendFromShell(agent, input, { onUsage: recordUsage, approve: approveInShell });
             console.log('');
         } catch (err) {
             console.log(chalk.red(`  Error: ${err.message}\n`));
@@ -20,10 +20,10 @@ export async function showStatus() {
     console.log(chalk.bold('  Agents:'));
     console.log(chalk.dim('  ─────────────────────────────────'));
 
-    const agentNames = listAgentNames();
+    const agentNames = listAgentNames(config);
 
     for (const name of agentNames) {
-        const agentConfig = config.agents[name] || {};
+        const agentConfig = { name, ...config.agents[name] };
         const agent = createAgent(name, agentConfig);
         const available = await agent.isAvailable();
         const status = available
@@ -45,12 +45,12 @@ export async function showStatus() {
  * Set the default agent.
  */
 export function setDefaultAgent(name) {
-    const agentNames = listAgentNames();
+    const config = loadConfig();
+    const agentNames = listAgentNames(config);
     if (!agentNames.includes(name)) {
         console.log(chalk.red(`\n  Unknown agent: "${name}". Available: ${agentNames.join(', ')}\n`));
         process.exit(1);
     }
-    const config = loadConfig();
     config.defaultAgent = name;
     saveConfig(config);
     console.log(chalk.green(`\n  ✓ Default agent set to "${name}"\n`));
@@ -54,16 +54,47 @@ const DEFAULT_CONFIG = {
         saveHistory: true,
     },
     slackBotToken: process.env.SLACK_BOT_TOKEN || '',
+    slackAppToken: process.env.SLACK_APP_TOKEN || '',
+    slackAllowedUsers: process.env.SLACK_ALLOWED_USERS || '',
     telegramBotToken: process.env.TELEGRAM_BOT_TOKEN || '',
     telegramAllowedUsers: process.env.TELEGRAM_ALLOWED_USERS || '',
     telegramApiId: process.env.TELEGRAM_API_ID || '',
     telegramApiHash: process.env.TELEGRAM_API_HASH || '',
     telegramUserSession: process.env.TELEGRAM_USER_SESSION || '',
+    telegramMode: process.env.TELEGRAM_MODE || '',
+    telegramWebhookUrl: process.env.TELEGRAM_WEBHOOK_URL || '',
+    telegramWebhookPort: process.env.TELEGRAM_WEBHOOK_PORT || '',
     whatsappAllowedUsers: process.env.WHATSAPP_ALLOWED_USERS || '',
+    discordBotToken: process.env.DISCORD_BOT_TOKEN || '',
+    discordAllowedUsers: process.env.DISCORD_ALLOWED_USERS || '',
+    matrixHomeserver: process.env.MATRIX_HOMESERVER || '',
+    matrixAccessToken: process.env.MATRIX_ACCESS_TOKEN || '',
+    matrixAllowedUsers: process.env.MATRIX_ALLOWED_USERS || '',
+    matrixAllowedRooms: process.env.MATRIX_ALLOWED_ROOMS || '',
+    emailImapHost: process.env.EMAIL_IMAP_HOST || '',
+    emailImapPort: process.env.EMAIL_IMAP_PORT || '',
+    emailSmtpHost: process.env.EMAIL_SMTP_HOST || '',
+    emailSmtpPort: process.env.EMAIL_SMTP_PORT || '',
+    emailUser: process.env.EMAIL_USER || '',
+    emailPassword: process.env.EMAIL_PASSWORD || '',
+    emailAllowedSenders: process.env.EMAIL_ALLOWED_SENDERS || '',
+    emailTrustedAuthservId: process.env.EMAIL_TRUSTED_AUTHSERV_ID || '',
+    httpApiToken: process.env.HTTP_API_TOKEN || '',
+    httpApiPort: process.env.HTTP_API_PORT || '',
     theme: 'default',
     workspaces: {},
     activeWorkspace: null,
     allowedCmdCommands: ['cd', 'mkdir', 'ls'],
+    prices: {},   // USD per million tokens, e.g. { "my-model": { "input": 1, "output": 2 } }
+    budget: {},   // Daily caps in USD, e.g. { "daily": 5, "agents": { "claude-api": 2 } }
+    fallbacks: {}, // Agents to try when one fails, e.g. { "groq": ["ollama", "gemini-api"] }
+    roles: {},    // Extra roles or overrides, e.g. { "ci": { "commands": ["/help"], "agents": ["groq"], "workspaces": [], "binaries": [] } }
+    users: {},    // Remote users' roles by "<platform>:<id>", e.g. { "telegram:123456789": "developer" }
+    // Token buckets for remote agent prompts: `burst` at once, then `perMinute`; null = unlimited
+    rateLimit: {
+        user: { burst: 5, perMinute: 6 },
+        global: { burst: 20, perMinute: 30 },
+    },
 };
 
 export function ensureConfigDir() {
@@ -87,7 +118,10 @@ export function loadConfig() {
                 }
             }
 
-            return { ...DEFAULT_CONFIG, ...saved, agents: mergedAgents };
+            // A rate limit scope left out keeps its default
+            const rateLimit = { ...DEFAULT_CONFIG.rateLimit, ...(saved.rateLimit || {}) };
+
+            return { ...DEFAULT_CONFIG, ...saved, agents: mergedAgents, rateLimit };
         } catch {
             return { ...DEFAULT_CONFIG };
         }
@@ -107,12 +141,33 @@ export function syncConfigToEnv() {
     if (config.agents['gemini-api']?.apiKey) process.env.GOOGLE_API_KEY = config.agents['gemini-api'].apiKey;
     if (config.agents['groq']?.apiKey) process.env.GROQ_API_KEY = config.agents['groq'].apiKey;
     if (config.slackBotToken) process.env.SLACK_BOT_TOKEN = config.slackBotToken;
+    if (config.slackAppToken) process.env.SLACK_APP_TOKEN = config.slackAppToken;
+    if (config.slackAllowedUsers) process.env.SLACK_ALLOWED_USERS = config.slackAllowedUsers;
     if (config.telegramBotToken) process.env.TELEGRAM_BOT_TOKEN = config.telegramBotToken;
     if (config.telegramAllowedUsers) process.env.TELEGRAM_ALLOWED_USERS = config.telegramAllowedUsers;
     if (config.telegramApiId) process.env.TELEGRAM_API_ID = config.telegramApiId;
     if (config.telegramApiHash) process.env.TELEGRAM_API_HASH = config.telegramApiHash;
     if (config.telegramUserSession) process.env.TELEGRAM_USER_SESSION = config.telegramUserSession;
+    if (config.telegramMode) process.env.TELEGRAM_MODE = config.telegramMode;
+    if (config.telegramWebhookUrl) process.env.TELEGRAM_WEBHOOK_URL = config.telegramWebhookUrl;
+    if (config.telegramWebhookPort) process.env.TELEGRAM_WEBHOOK_PORT = String(config.telegramWebhookPort);
     if (config.whatsappAllowedUsers) process.env.WHATSAPP_ALLOWED_USERS = config.whatsappAllowedUsers;
+    if (config.discordBotToken) process.env.DISCORD_BOT_TOKEN = config.discordBotToken;
+    if (config.discordAllowedUsers) process.env.DISCORD_ALLOWED_USERS = config.discordAllowedUsers;
+    if (config.matrixHomeserver) process.env.MATRIX_HOMESERVER = config.matrixHomeserver;
+    if (config.matrixAccessToken) process.env.MATRIX_ACCESS_TOKEN = config.matrixAccessToken;
+    if (config.matrixAllowedUsers) process.env.MATRIX_ALLOWED_USERS = config.matrixAllowedUsers;
+    if (config.matrixAllowedRooms) process.env.MATRIX_ALLOWED_ROOMS = config.matrixAllowedRooms;
+    if (config.emailImapHost) process.env.EMAIL_IMAP_HOST = config.emailImapHost;
+    if (config.emailImapPort) process.env.EMAIL_IMAP_PORT = String(config.emailImapPort);
+    if (config.emailSmtpHost) process.env.EMAIL_SMTP_HOST = config.emailSmtpHost;
+    if (config.emailSmtpPort) process.env.EMAIL_SMTP_PORT = String(config.emailSmtpPort);
+    if (config.emailUser) process.env.EMAIL_USER = config.emailUser;
+    if (config.emailPassword) process.env.EMAIL_PASSWORD = config.emailPassword;
+    if (config.emailAllowedSenders) process.env.EMAIL_ALLOWED_SENDERS = config.emailAllowedSenders;
+    if (config.emailTrustedAuthservId) process.env.EMAIL_TRUSTED_AUTHSERV_ID = config.emailTrustedAuthservId;
+    if (config.httpApiToken) process.env.HTTP_API_TOKEN = config.httpApiToken;
+    if (config.httpApiPort) process.env.HTTP_API_PORT = String(config.httpApiPort);
 }
 
 export function getAgent(name) {
@@ -1,12 +1,35 @@
+import { formatTelegramMarkdown } from '../utils/telegram-format.js';
+import { getAssignedRole } from '../utils/roles.js';
+
 /**
  * Base Connector class — all messaging platform connectors extend this.
  * Connectors receive messages from external platforms and route them to agents.
+ *
+ * Subclasses own the platform client (polling, websockets, ...) and translate
+ * incoming events into the common (message, sender, reply) shape consumed by
+ * the shared router in router.js.
  */
 export class BaseConnector {
     constructor(name, config = {}) {
         this.name = name;
         this.config = config;
-        this.onMessage = null; // callback: (message, sender, reply) => {}
+        this.onMessage = null; // callback: (message, sender, reply, attachments?) => {}
+
+        /**
+         * Human-readable platform name used in terminal logs (e.g. "Telegram").
+         */
+        this.label = name;
+
+        /**
+         * Environment variable holding the comma-separated sender allowlist.
+         * Shown to the owner when an unauthorized message is blocked.
+         */
+        this.allowlistKey = null;
+
+        /**
+         * Maximum characters per outgoing message before replies are split.
+         */
+        this.maxMessageLength = 4000;
     }
 
     /**
@@ -23,11 +46,95 @@ export class BaseConnector {
         throw new Error(`Connector "${this.name}" does not implement stop()`);
     }
 
+    /**
+     * Whether the connector is currently connected to its platform.
+     * @returns {boolean}
+     */
+    isConnected() {
+        return false;
+    }
+
     /**
      * Set the message handler — called when a new message arrives.
-     * @param {function} handler - (message: string, sender: object, reply: function) => Promise<void>
+     * Connectors that receive photos or files pass them as `attachments`
+     * (see utils/attachments.js), with the caption as the message.
+     * @param {function} handler - (message: string, sender: object, reply: function, attachments?: object[]) => Promise<void>
      */
     setMessageHandler(handler) {
         this.onMessage = handler;
     }
+
+    /**
+     * Parse the allowlist from the environment variable named by allowlistKey.
+     * @returns {Set<string>} Allowed sender IDs (empty if unset)
+     */
+    getAllowedUsers() {
+        const raw = this.allowlistKey ? process.env[this.allowlistKey] : '';
+        if (!raw || raw.trim() === '') return new Set();
+        return new Set(raw.split(',').map(id => id.trim()).filter(Boolean));
+    }
+
+    /**
+     * Check whether a sender may use the bot: allowlisted, or granted a
+     * role with `users grant`. Fails closed by default.
+     * @param {string} senderId
+     * @returns {boolean}
+     */
+    isAllowed(senderId) {
+        return this.getAllowedUsers().has(String(senderId)) || !!getAssignedRole(this.name, senderId);
+    }
+
+    /**
+     * Remember a chat the bot has talked to (used by e.g. `tg chats`).
+     * @param {object} sender - The normalized sender object
+     */
+    trackChat(sender) {
+        // Optional — connectors without a chat list ignore this
+    }
+
+    /**
+     * Convert an agent's Markdown answer to the platform's dialect before
+     * it is split and sent. Defaults to Telegram-style Markdown (V1).
+     * @param {string} text
+     * @returns {string}
+     */
+    formatMarkdown(text) {
+        return formatTelegramMarkdown(text);
+    }
+
+    /**
+     * Send a text message to a chat.
+     * @param {string} chatId
+     * @param {string} text
+     * @param {object} [options]
+     * @param {boolean} [options.markdown=false] - Render using the platform's Markdown dialect
+     */
+    async sendText(chatId, text, options = {}) {
+        throw new Error(`Connector "${this.name}" does not implement sendText()`);
+    }
+
+    /**
+     * Send a local file to a chat.
+     * @param {string} chatId
+     * @param {string} filePath - Absolute path, already validated by the router
+     * @param {function} reply - Reply function for progress/fallback notices
+     */
+    async sendFile(chatId, filePath, reply) {
+        throw new Error(`${this.label} does not support sending files`);
+    }
+
+    /**
+     * Create a stream that renders an agent reply progressively.
+     * Returns null when the platform cannot edit messages in place; the
+     * router then sends the complete answer once the agent finishes.
+     *
+     * A stream implements start(placeholder), push(token), finish(text)
+     * and fail(errorText), and optionally reset() to drop what was pushed
+     * when a failed attempt is retried.
+     * @param {object} sender - Normalized sender of the prompt
+     * @returns {object|null}
+     */
+    createReplyStream(sender) {
+        return null;
+    }
 }
@@ -0,0 +1,264 @@
+/**
+ * ─── Discord Gateway ────────────────────────────────────────────
+ *
+ * Minimal client for the Discord Gateway (v10, JSON encoding) — just
+ * enough to receive MESSAGE_CREATE events for the Discord connector.
+ *
+ * Design:
+ *   • Hello → heartbeat loop → Identify, or Resume after a reconnect so
+ *     no events are lost while the socket was down
+ *   • A heartbeat that isn't acknowledged before the next one means the
+ *     connection is dead ("zombied"); it is closed and resumed
+ *   • Close codes that will never succeed (bad token, intents not
+ *     enabled in the developer portal) are fatal: connect() rejects and
+ *     no reconnect is attempted
+ *   • Dispatch events are emitted as ('dispatch', type, data)
+ *   • The socket factory is injectable so tests can drive a fake gateway
+ */
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+export const GATEWAY_URL = 'wss://gateway.discord.gg/?v=10&encoding=json';
+
+export const Intents = {
+    GUILDS: 1 << 0,
+    GUILD_MESSAGES: 1 << 9,
+    DIRECT_MESSAGES: 1 << 12,
+    MESSAGE_CONTENT: 1 << 15,
+};
+
+const Op = {
+    DISPATCH: 0,
+    HEARTBEAT: 1,
+    IDENTIFY: 2,
+    RESUME: 6,
+    RECONNECT: 7,
+    INVALID_SESSION: 9,
+    HELLO: 10,
+    HEARTBEAT_ACK: 11,
+};
+
+const FATAL_CLOSE_CODES = {
+    4004: 'Authentication failed — check DISCORD_BOT_TOKEN',
+    4010: 'Invalid shard',
+    4011: 'Sharding required',
+    4012: 'Invalid API version',
+    4013: 'Invalid intents',
+    4014: 'Disallowed intents — enable them for the bot in the Discord developer portal',
+};
+
+const MAX_RECONNECT_DELAY_MS = 60_000;
+
+export class DiscordGateway extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.token - Bot token
+     * @param {number} options.intents - Bitfield of Intents
+     * @param {string} [options.url] - Gateway URL
+     * @param {(url: string) => WebSocket} [options.createSocket]
+     */
+    constructor({ token, intents, url = GATEWAY_URL, createSocket = (u) => new WebSocket(u) }) {
+        super();
+        this.token = token;
+        this.intents = intents;
+        this.url = url;
+        this.createSocket = createSocket;
+
+        this.socket = null;
+        this.sessionId = null;
+        this.resumeUrl = null;
+        this.sequence = null;
+        this.user = null;
+
+        this.heartbeatTimer = null;
+        this.heartbeatAcked = true;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closed = false;
+    }
+
+    /**
+     * Open the connection and resolve with the READY payload.
+     * @returns {Promise<object>}
+     */
+    connect() {
+        this.closed = false;
+        return new Promise((resolve, reject) => {
+            const onReady = (data) => { cleanup(); resolve(data); };
+            const onFatal = (err) => { cleanup(); reject(err); };
+            const cleanup = () => {
+                this.off('ready', onReady);
+                this.off('fatal', onFatal);
+            };
+            this.once('ready', onReady);
+            this.once('fatal', onFatal);
+            this._open(this.url);
+        });
+    }
+
+    /**
+     * Close the connection for good.
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this._stopHeartbeat();
+        if (this.socket) {
+            this.socket.removeAllListeners();
+            this.socket.on('error', () => { });
+            this.socket.close(1000);
+            this.socket = null;
+        }
+        this.sessionId = null;
+        this.sequence = null;
+    }
+
+    isReady() {
+        return !!(this.socket && this.sessionId);
+    }
+
+    // ── Connection ──────────────────────────────────────────────
+
+    _open(url) {
+        const socket = this.createSocket(url);
+        this.socket = socket;
+        socket.on('message', (raw) => {
+            let payload;
+            try {
+                payload = JSON.parse(raw.toString());
+            } catch {
+                return;
+            }
+            this._onPayload(payload);
+        });
+        socket.on('close', (code) => {
+            if (socket === this.socket) this._onClose(code);
+        });
+        socket.on('error', (err) => this.emit('debug', `socket error: ${err.message}`));
+    }
+
+    _send(op, d) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ op, d }));
+        }
+    }
+
+    _onPayload({ op, d, s, t }) {
+        switch (op) {
+            case Op.HELLO:
+                this._startHeartbeat(d.heartbeat_interval);
+                if (this.sessionId && this.sequence !== null) {
+                    this._send(Op.RESUME, { token: this.token, session_id: this.sessionId, seq: this.sequence });
+                } else {
+                    this._identify();
+                }
+                break;
+            case Op.HEARTBEAT_ACK:
+                this.heartbeatAcked = true;
+                break;
+            case Op.HEARTBEAT:
+                this._send(Op.HEARTBEAT, this.sequence);
+                break;
+            case Op.RECONNECT:
+                this._reconnect();
+                break;
+            case Op.INVALID_SESSION:
+                // d === true: the session can still be resumed
+                if (!d) {
+                    this.sessionId = null;
+                    this.sequence = null;
+                }
+                this._reconnect(1000 + Math.random() * 4000);
+                break;
+            case Op.DISPATCH:
+                if (s !== null && s !== undefined) this.sequence = s;
+                if (t === 'READY') {
+                    this.sessionId = d.session_id;
+                    this.resumeUrl = d.resume_gateway_url ? `${d.resume_gateway_url}/?v=10&encoding=json` : null;
+                    this.user = d.user;
+                    this.reconnectAttempts = 0;
+                    this.emit('ready', d);
+                } else if (t === 'RESUMED') {
+                    this.reconnectAttempts = 0;
+                }
+                this.emit('dispatch', t, d);
+                break;
+        }
+    }
+
+    _identify() {
+        this._send(Op.IDENTIFY, {
+            token: this.token,
+            intents: this.intents,
+            properties: { os: process.platform, browser: 'minigeri', device: 'minigeri' },
+        });
+    }
+
+    _onClose(code) {
+        this._stopHeartbeat();
+        this.socket = null;
+        if (this.closed) return;
+
+        if (FATAL_CLOSE_CODES[code]) {
+            this.closed = true;
+            this.sessionId = null;
+            this.emit('fatal', new Error(`${FATAL_CLOSE_CODES[code]} (close code ${code})`));
+            return;
+        }
+        const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+        this.reconnectAttempts++;
+        this._scheduleOpen(delay);
+    }
+
+    /**
+     * Drop the current socket and open a new one (resuming when possible).
+     */
+    _reconnect(delay = 0) {
+        this._stopHeartbeat();
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.removeAllListeners();
+            socket.on('error', () => { });
+            // Any non-1000 code keeps the session resumable
+            socket.close(4000);
+        }
+        this._scheduleOpen(delay);
+    }
+
+    _scheduleOpen(delay) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            if (this.closed) return;
+            this.emit('debug', 'reconnecting');
+            this._open(this.sessionId && this.resumeUrl ? this.resumeUrl : this.url);
+        }, delay);
+    }
+
+    // ── Heartbeat ───────────────────────────────────────────────
+
+    _startHeartbeat(interval) {
+        this._stopHeartbeat();
+        this.heartbeatAcked = true;
+        const beat = () => {
+            if (!this.heartbeatAcked) {
+                this.emit('debug', 'heartbeat not acknowledged, reconnecting');
+                this._reconnect();
+                return;
+            }
+            this.heartbeatAcked = false;
+            this._send(Op.HEARTBEAT, this.sequence);
+        };
+        // The first beat is jittered, as the Gateway docs ask
+        this.heartbeatTimer = setTimeout(() => {
+            beat();
+            this.heartbeatTimer = setInterval(beat, interval);
+        }, interval * Math.random());
+    }
+
+    _stopHeartbeat() {
+        clearTimeout(this.heartbeatTimer);
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+}
@@ -0,0 +1,317 @@
+import https from 'https';
+import { readFileSync, statSync } from 'fs';
+import { basename } from 'path';
+import { randomBytes } from 'crypto';
+import { BaseConnector } from './base.js';
+import { DiscordGateway, Intents } from './discord-gateway.js';
+import { splitTelegramMessage } from '../utils/telegram-format.js';
+import { serveFileViaNgrok } from '../services/ngrok.js';
+
+const API_BASE = 'https://discord.com/api/v10';
+const CONNECT_TIMEOUT_MS = 30_000;
+
+// Upload limit for bots in servers without boosts
+const DISCORD_MAX_BYTES = 10 * 1024 * 1024;
+
+// Text and announcement channels
+const TEXT_CHANNEL_TYPES = new Set([0, 5]);
+
+/**
+ * Check if a token looks like a Discord bot token (three dot-separated parts).
+ * Rejects placeholder values like "your-discord-bot-token-here".
+ */
+export function isValidDiscordToken(token) {
+    if (!token || typeof token !== 'string') return false;
+    return /^[A-Za-z0-9_-]{20,}\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(token.trim());
+}
+
+/**
+ * Discord bot connector.
+ *
+ * Inbound messages arrive over the Gateway websocket; everything else is
+ * plain REST. Like Slack, the bot answers DMs and @mentions in servers,
+ * never channel chatter — Discord sends the text of those messages
+ * without the privileged Message Content intent.
+ */
+export class DiscordConnector extends BaseConnector {
+    constructor(config = {}) {
+        super('discord', config);
+        this.label = 'Discord';
+        this.allowlistKey = 'DISCORD_ALLOWED_USERS';
+        this.maxMessageLength = 2000;
+        this.gateway = null;
+        this.botInfo = null;
+        this.guilds = new Map();      // guildId → name
+        this.channels = new Map();    // channelId → { name, guildId }
+        this.recentChats = new Map(); // chatId → { name, type, lastMessage }
+    }
+
+    getToken() {
+        return this.config.token || process.env.DISCORD_BOT_TOKEN;
+    }
+
+    isConnected() {
+        return !!(this.gateway && this.botInfo);
+    }
+
+    /**
+     * Verify the token, open the Gateway and resolve with the bot user.
+     * @returns {Promise<object>} The bot's user object
+     */
+    async start() {
+        const token = this.getToken();
+        if (!isValidDiscordToken(token)) {
+            throw new Error('DISCORD_BOT_TOKEN not set or invalid.');
+        }
+        if (this.isConnected()) return this.botInfo;
+
+        try {
+            const user = await this.request('GET', '/users/@me');
+
+            this.gateway = new DiscordGateway({
+                token,
+                intents: Intents.GUILDS | Intents.GUILD_MESSAGES | Intents.DIRECT_MESSAGES,
+                ...(this.config.gatewayUrl ? { url: this.config.gatewayUrl } : {}),
+            });
+            this.gateway.on('dispatch', (type, data) => {
+                this._onDispatch(type, data).catch(() => {
+                    // Errors are reported by the router; never crash the gateway listener
+                });
+            });
+
+            let timer;
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Timed out connecting to the Discord Gateway')), CONNECT_TIMEOUT_MS);
+            });
+            await Promise.race([this.gateway.connect(), timeout]).finally(() => clearTimeout(timer));
+
+            this.botInfo = user;
+            return this.botInfo;
+        } catch (err) {
+            await this.stop();
+            throw err;
+        }
+    }
+
+    async stop() {
+        this.gateway?.close();
+        this.gateway = null;
+        this.botInfo = null;
+        this.guilds.clear();
+        this.channels.clear();
+    }
+
+    /**
+     * Call the Discord REST API. Rate-limited requests are retried once.
+     *
+     * @param {string} method
+     * @param {string} path - e.g. /channels/123/messages
+     * @param {object|{ buffer: Buffer, contentType: string }} [body] - JSON body, or a prepared multipart body
+     * @returns {Promise<object|null>}
+     */
+    async request(method, path, body, { retried = false } = {}) {
+        const isRaw = Buffer.isBuffer(body?.buffer);
+        const payload = body === undefined ? null : isRaw ? body.buffer : Buffer.from(JSON.stringify(body));
+
+        const { status, data, headers } = await new Promise((resolve, reject) => {
+            const req = https.request(`${API_BASE}${path}`, {
+                method,
+                headers: {
+                    Authorization: `Bot ${this.getToken()}`,
+                    'User-Agent': 'DiscordBot (https://github.com/GerardMR12/minigeri, 1.0)',
+                    ...(payload ? {
+                        'Content-Type': isRaw ? body.contentType : 'application/json',
+                        'Content-Length': payload.length,
+                    } : {}),
+                },
+            }, (res) => {
+                let raw = '';
+                res.on('data', (chunk) => { raw += chunk; });
+                res.on('end', () => {
+                    let parsed = null;
+                    try { parsed = raw ? JSON.parse(raw) : null; } catch { parsed = { message: raw }; }
+                    resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+                });
+            });
+            req.on('error', reject);
+            req.setTimeout(30_000, () => req.destroy(new Error('Discord API request timed out')));
+            if (payload) req.write(payload);
+            req.end();
+        });
+
+        if (status === 429 && !retried) {
+            const seconds = Number(data?.retry_after ?? headers['retry-after'] ?? 1);
+            await new Promise((r) => setTimeout(r, Math.ceil(seconds * 1000)));
+            return this.request(method, path, body, { retried: true });
+        }
+        if (status < 200 || status >= 300) {
+            throw new Error(`Discord API ${status}: ${data?.message || 'request failed'}`);
+        }
+        return data;
+    }
+
+    /**
+     * Resolve a send target to a channel ID: a channel ID, <#id>, #name
+     * (among the servers the bot is in) or @<user_id> for a DM.
+     * @returns {Promise<string|null>}
+     */
+    async resolveChannel(target) {
+        const value = String(target).trim();
+        if (/^\d{15,21}$/.test(value)) return value;
+
+        const mention = /^<#(\d+)>$/.exec(value);
+        if (mention) return mention[1];
+
+        const user = /^(?:@|<@!?)(\d{15,21})>?$/.exec(value);
+        if (user) {
+            const dm = await this.request('POST', '/users/@me/channels', { recipient_id: user[1] });
+            return dm.id;
+        }
+
+        const name = value.replace(/^#/, '').toLowerCase();
+        for (const [id, channel] of this.channels) {
+            if (channel.name.toLowerCase() === name) return id;
+        }
+        return null;
+    }
+
+    trackChat(sender) {
+        this.recentChats.set(String(sender.chatId), {
+            name: sender.chatName,
+            type: sender.chatType,
+            lastMessage: Date.now(),
+        });
+    }
+
+    /**
+     * Discord renders standard Markdown, so agent replies are sent as-is.
+     */
+    formatMarkdown(text) {
+        return text;
+    }
+
+    /**
+     * Send a message, split at Discord's 2000-character limit.
+     * @param {string} channel - See resolveChannel()
+     * @param {string} text
+     * @param {object} [options]
+     * @param {string} [options.replyTo] - Message ID the first part replies to
+     */
+    async sendText(channel, text, { replyTo } = {}) {
+        const channelId = await this.resolveChannel(channel);
+        if (!channelId) {
+            throw new Error(`Channel "${channel}" not found`);
+        }
+        return this._postText(channelId, text, replyTo);
+    }
+
+    /**
+     * Post text to a known channel ID, one message per 2000 characters.
+     * @private
+     */
+    async _postText(channelId, text, replyTo) {
+        let first = true;
+        let sent = null;
+        for (const chunk of splitTelegramMessage(text, this.maxMessageLength)) {
+            sent = await this.request('POST', `/channels/${channelId}/messages`, {
+                content: chunk,
+                // Agent output must never ping @everyone or roles
+                allowed_mentions: { parse: [] },
+                ...(first && replyTo ? { message_reference: { message_id: replyTo, fail_if_not_exists: false } } : {}),
+            });
+            first = false;
+        }
+        return sent;
+    }
+
+    /**
+     * Upload a file; files over the bot upload limit are shared as an ngrok link.
+     */
+    async sendFile(channelId, filePath, reply) {
+        const fileSize = statSync(filePath).size;
+        if (fileSize > DISCORD_MAX_BYTES) {
+            const sizeMB = (fileSize / 1024 / 1024).toFixed(1);
+            await reply(`⏳ File is ${sizeMB} MB — too large for Discord. Generating download link via ngrok...`);
+            const url = await serveFileViaNgrok(filePath);
+            await reply(`📥 **Download link** (expires after 1 download or 5 min):\n${url}`);
+            return;
+        }
+
+        const boundary = `minigeri-${randomBytes(12).toString('hex')}`;
+        const filename = basename(filePath).replace(/"/g, '');
+        const buffer = Buffer.concat([
+            Buffer.from(
+                `--${boundary}\r\nContent-Disposition: form-data; name="payload_json"\r\nContent-Type: application/json\r\n\r\n` +
+                `${JSON.stringify({ attachments: [{ id: 0, filename }] })}\r\n` +
+                `--${boundary}\r\nContent-Disposition: form-data; name="files[0]"; filename="${filename}"\r\nContent-Type: application/octet-stream\r\n\r\n`
+            ),
+            readFileSync(filePath),
+            Buffer.from(`\r\n--${boundary}--\r\n`),
+        ]);
+        await this.request('POST', `/channels/${channelId}/messages`, {
+            buffer,
+            contentType: `multipart/form-data; boundary=${boundary}`,
+        });
+    }
+
+    /**
+     * Keep the server/channel directory up to date and handle messages.
+     * @private
+     */
+    async _onDispatch(type, data) {
+        switch (type) {
+            case 'GUILD_CREATE':
+                this.guilds.set(data.id, data.name);
+                for (const channel of data.channels || []) {
+                    if (TEXT_CHANNEL_TYPES.has(channel.type)) {
+                        this.channels.set(channel.id, { name: channel.name, guildId: data.id });
+                    }
+                }
+                break;
+            case 'GUILD_DELETE':
+                this.guilds.delete(data.id);
+                for (const [id, channel] of this.channels) {
+                    if (channel.guildId === data.id) this.channels.delete(id);
+                }
+                break;
+            case 'CHANNEL_CREATE':
+            case 'CHANNEL_UPDATE':
+                if (data.guild_id && TEXT_CHANNEL_TYPES.has(data.type)) {
+                    this.channels.set(data.id, { name: data.name, guildId: data.guild_id });
+                }
+                break;
+            case 'CHANNEL_DELETE':
+                this.channels.delete(data.id);
+                break;
+            case 'MESSAGE_CREATE':
+                await this._handleMessage(data);
+                break;
+        }
+    }
+
+    /**
+     * Normalize a MESSAGE_CREATE event and hand it to the router.
+     * @private
+     */
+    async _handleMessage(msg) {
+        const botId = this.gateway?.user?.id || this.botInfo?.id;
+        if (!this.onMessage || !msg.author || msg.author.bot || msg.author.id === botId) return;
+
+        const isDirect = !msg.guild_id;
+        if (!isDirect && !(msg.mentions || []).some((user) => user.id === botId)) return;
+
+        const text = (msg.content || '').replace(new RegExp(`<@!?${botId}>`, 'g'), '').trim();
+        const name = msg.member?.nick || msg.author.global_name || msg.author.username || 'Unknown';
+
+        const sender = {
+            id: msg.author.id,
+            name,
+            chatId: msg.channel_id,
+            chatName: isDirect ? name : (this.channels.get(msg.channel_id)?.name || msg.channel_id),
+            chatType: isDirect ? 'private' : 'channel',
+        };
+        const reply = (replyText) => this._postText(msg.channel_id, replyText, msg.id);
+
+        await this.onMessage(text, sender, reply);
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * ─── IMAP Client ────────────────────────────────────────────────
+ *
+ * Minimal IMAP4rev1 client for the email connector: log in, find unseen
+ * mail in the inbox, download it and mark it read.
+ *
+ * Design:
+ *   • One command in flight at a time; untagged responses (with their
+ *     {literal} payloads) are collected until the tagged OK/NO/BAD
+ *   • Port 993 speaks TLS from the start; other ports upgrade with
+ *     STARTTLS when the server offers it
+ *   • Passwords are only sent in the clear to a server on this machine
+ *     (local test servers like GreenMail don't offer TLS)
+ */
+import net from 'net';
+import tls from 'tls';
+
+const COMMAND_TIMEOUT_MS = 60_000;
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+/**
+ * Quote a string for an IMAP command.
+ */
+function quote(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export class ImapClient {
+    /**
+     * @param {object} options
+     * @param {string} options.host
+     * @param {number} [options.port=993]
+     * @param {string} options.user
+     * @param {string} options.password
+     */
+    constructor({ host, port = 993, user, password }) {
+        this.host = host;
+        this.port = Number(port);
+        this.user = user;
+        this.password = password;
+
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.pending = null;      // { text, literals } of a response being read
+        this.current = null;      // { tag, untagged, resolve, reject, timer }
+        this.greeting = null;
+        this.tagCounter = 0;
+        this.queue = Promise.resolve();
+    }
+
+    isConnected() {
+        return !!this.socket && !this.socket.destroyed;
+    }
+
+    /**
+     * Connect, secure the connection, log in and select INBOX.
+     */
+    async connect() {
+        const implicitTls = this.port === 993;
+        this.socket = await this._open(implicitTls);
+        try {
+            await new Promise((resolve, reject) => {
+                this.greeting = { resolve, reject };
+            });
+
+            let capabilities = await this.capabilities();
+            if (!implicitTls) {
+                if (capabilities.has('STARTTLS')) {
+                    await this.command('STARTTLS');
+                    this.socket = await this._upgrade(this.socket);
+                    capabilities = await this.capabilities();
+                } else if (!LOCAL_HOSTS.has(this.host)) {
+                    throw new Error(`IMAP server ${this.host}:${this.port} offers no TLS — use port 993`);
+                }
+            }
+            if (capabilities.has('LOGINDISABLED')) {
+                throw new Error('IMAP server does not allow LOGIN');
+            }
+
+            await this.command(`LOGIN ${quote(this.user)} ${quote(this.password)}`);
+            await this.command('SELECT INBOX');
+        } catch (err) {
+            this.close();
+            throw err;
+        }
+    }
+
+    async capabilities() {
+        const { untagged } = await this.command('CAPABILITY');
+        const line = untagged.find((r) => /^\* CAPABILITY /i.test(r.text))?.text || '';
+        return new Set(line.split(' ').slice(2).map((c) => c.toUpperCase()));
+    }
+
+    /**
+     * UIDs of messages in the selected mailbox without the \Seen flag.
+     * @returns {Promise<number[]>}
+     */
+    async searchUnseen() {
+        const { untagged } = await this.command('UID SEARCH UNSEEN');
+        const line = untagged.find((r) => /^\* SEARCH\b/i.test(r.text))?.text || '';
+        return line.split(' ').slice(2).map(Number).filter(Boolean);
+    }
+
+    /**
+     * Download a full message without setting \Seen.
+     * @returns {Promise<Buffer|null>}
+     */
+    async fetchMessage(uid) {
+        const { untagged } = await this.command(`UID FETCH ${uid} (BODY.PEEK[])`);
+        const fetched = untagged.find((r) => /^\* \d+ FETCH /i.test(r.text) && r.literals.length > 0);
+        return fetched ? fetched.literals[0] : null;
+    }
+
+    async markSeen(uid) {
+        await this.command(`UID STORE ${uid} +FLAGS.SILENT (\\Seen)`);
+    }
+
+    async logout() {
+        if (!this.isConnected()) return;
+        try {
+            await this.command('LOGOUT');
+        } catch {
+            // The server may close the connection before the tagged OK
+        }
+        this.close();
+    }
+
+    close() {
+        this.socket?.destroy();
+        this.socket = null;
+    }
+
+    /**
+     * Run a command and resolve with its untagged responses once the
+     * tagged response is OK. Commands are queued, never interleaved.
+     * @returns {Promise<{ untagged: { text: string, literals: Buffer[] }[], text: string }>}
+     */
+    command(text) {
+        const run = () => new Promise((resolve, reject) => {
+            if (!this.isConnected()) {
+                reject(new Error('IMAP connection closed'));
+                return;
+            }
+            const tag = `A${++this.tagCounter}`;
+            const timer = setTimeout(() => {
+                this.current = null;
+                reject(new Error(`IMAP ${text.split(' ')[0]} timed out`));
+                this.close();
+            }, COMMAND_TIMEOUT_MS);
+            this.current = { tag, untagged: [], resolve, reject, timer };
+            this.socket.write(`${tag} ${text}\r\n`);
+        });
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => { });
+        return result;
+    }
+
+    // ── Connection ──────────────────────────────────────────────
+
+    _open(secure) {
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+                : net.connect({ host: this.host, port: this.port });
+            socket.once(secure ? 'secureConnect' : 'connect', () => {
+                socket.off('error', reject);
+                this._attach(socket);
+                resolve(socket);
+            });
+            socket.once('error', reject);
+            socket.setTimeout(COMMAND_TIMEOUT_MS, () => socket.destroy(new Error('IMAP connection timed out')));
+        });
+    }
+
+    _upgrade(plain) {
+        plain.removeAllListeners('data');
+        plain.removeAllListeners('close');
+        plain.removeAllListeners('error');
+        return new Promise((resolve, reject) => {
+            const socket = tls.connect({ socket: plain, servername: this.host });
+            socket.once('secureConnect', () => {
+                socket.off('error', reject);
+                this._attach(socket);
+                resolve(socket);
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    _attach(socket) {
+        this.buffer = Buffer.alloc(0);
+        socket.setTimeout(0);
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this._drain();
+        });
+        socket.on('error', () => { });
+        socket.on('close', () => {
+            // close() already let go of the socket; pending commands still fail
+            if (this.socket && this.socket !== socket) return;
+            this.socket = null;
+            const err = new Error('IMAP connection closed');
+            this.greeting?.reject(err);
+            this.greeting = null;
+            if (this.current) {
+                clearTimeout(this.current.timer);
+                this.current.reject(err);
+                this.current = null;
+            }
+        });
+    }
+
+    /**
+     * Read complete responses out of the buffer. A line ending in {n}
+     * is followed by n bytes of literal data, then the rest of the line.
+     */
+    _drain() {
+        while (true) {
+            const end = this.buffer.indexOf('\r\n');
+            if (end === -1) return;
+            const line = this.buffer.subarray(0, end).toString('utf8');
+            const literal = /\{(\d+)\}$/.exec(line);
+
+            if (literal) {
+                const size = Number(literal[1]);
+                if (this.buffer.length < end + 2 + size) return;
+                this.pending ||= { text: '', literals: [] };
+                this.pending.text += line;
+                this.pending.literals.push(Buffer.from(this.buffer.subarray(end + 2, end + 2 + size)));
+                this.buffer = this.buffer.subarray(end + 2 + size);
+                continue;
+            }
+
+            this.buffer = this.buffer.subarray(end + 2);
+            const response = this.pending || { text: '', literals: [] };
+            response.text += line;
+            this.pending = null;
+            this._onResponse(response);
+        }
+    }
+
+    _onResponse(response) {
+        if (this.greeting) {
+            const { resolve, reject } = this.greeting;
+            this.greeting = null;
+            if (/^\* (OK|PREAUTH)/i.test(response.text)) resolve();
+            else reject(new Error(`IMAP server refused the connection: ${response.text}`));
+            return;
+        }
+
+        const current = this.current;
+        if (!current) return;
+        if (!response.text.startsWith(`${current.tag} `)) {
+            current.untagged.push(response);
+            return;
+        }
+
+        clearTimeout(current.timer);
+        this.current = null;
+        const [, status, rest] = /^\S+ (\S+) ?(.*)$/.exec(response.text) || [];
+        if (status?.toUpperCase() === 'OK') {
+            current.resolve({ untagged: current.untagged, text: rest });
+        } else {
+            current.reject(new Error(`IMAP ${status || 'error'}: ${rest || response.text}`));
+        }
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * ─── SMTP Client ────────────────────────────────────────────────
+ *
+ * Sends one message per connection, which is all the email connector
+ * needs for replies.
+ *
+ * Design:
+ *   • Port 465 speaks TLS from the start; other ports (587, 25) upgrade
+ *     with STARTTLS when the server offers it
+ *   • AUTH PLAIN (or LOGIN) is used when the server advertises AUTH;
+ *     credentials are never sent unencrypted to a remote host
+ *   • Lines starting with "." are dot-stuffed (RFC 5321 §4.5.2)
+ */
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+
+const REPLY_TIMEOUT_MS = 60_000;
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+/**
+ * Line reader for multi-line SMTP replies ("250-..." continues, "250 ..." ends).
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const waiting = [];
+    const ready = [];
+    let failure = null;
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            lines.push(line);
+            if (/^\d{3}(?!-)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) };
+                lines = [];
+                if (waiting.length) waiting.shift().resolve(reply);
+                else ready.push(reply);
+            }
+        }
+    };
+    const onEnd = (err) => {
+        failure = err || new Error('SMTP connection closed');
+        while (waiting.length) waiting.shift().reject(failure);
+    };
+    socket.on('data', onData);
+    socket.on('error', onEnd);
+    socket.on('close', () => onEnd());
+
+    return {
+        next() {
+            if (ready.length) return Promise.resolve(ready.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        detach() {
+            socket.off('data', onData);
+            socket.off('error', onEnd);
+            socket.removeAllListeners('close');
+        },
+    };
+}
+
+function connectSocket({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port });
+        socket.once(secure ? 'secureConnect' : 'connect', () => {
+            socket.off('error', reject);
+            resolve(socket);
+        });
+        socket.once('error', reject);
+    });
+}
+
+function upgradeSocket(plain, host) {
+    return new Promise((resolve, reject) => {
+        const socket = tls.connect({ socket: plain, servername: host });
+        socket.once('secureConnect', () => {
+            socket.off('error', reject);
+            resolve(socket);
+        });
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Send one message.
+ *
+ * @param {object} server
+ * @param {string} server.host
+ * @param {number} [server.port=465]
+ * @param {string} [server.user]
+ * @param {string} [server.password]
+ * @param {object} envelope
+ * @param {string} envelope.from - Sender address
+ * @param {string} envelope.to - Recipient address
+ * @param {string} envelope.data - The full message (CRLF line endings)
+ */
+export async function sendMail({ host, port = 465, user, password }, { from, to, data }) {
+    port = Number(port);
+    let socket = await connectSocket({ host, port, secure: port === 465 });
+    let reader = createReplyReader(socket);
+    const timer = setTimeout(() => socket.destroy(new Error('SMTP server timed out')), REPLY_TIMEOUT_MS);
+
+    const expect = async (codes, step) => {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+    const send = (line, codes, step) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes, step);
+    };
+    const ehlo = async () => {
+        const reply = await send(`EHLO ${hostname() || 'localhost'}`, [250], 'EHLO');
+        return reply.lines.slice(1).map((l) => l.toUpperCase());
+    };
+
+    try {
+        await expect([220], 'greeting');
+        let extensions = await ehlo();
+
+        if (port !== 465) {
+            if (extensions.includes('STARTTLS')) {
+                await send('STARTTLS', [220], 'STARTTLS');
+                reader.detach();
+                socket = await upgradeSocket(socket, host);
+                reader = createReplyReader(socket);
+                extensions = await ehlo();
+            } else if (user && !LOCAL_HOSTS.has(host)) {
+                throw new Error(`SMTP server ${host}:${port} offers no TLS — use port 465 or 587`);
+            }
+        }
+
+        const auth = extensions.find((e) => e.startsWith('AUTH'));
+        if (user && auth) {
+            if (auth.includes('PLAIN')) {
+                const token = Buffer.from(`\0${user}\0${password}`).toString('base64');
+                await send(`AUTH PLAIN ${token}`, [235], 'login');
+            } else {
+                await send('AUTH LOGIN', [334], 'login');
+                await send(Buffer.from(user).toString('base64'), [334], 'login');
+                await send(Buffer.from(password || '').toString('base64'), [235], 'login');
+            }
+        }
+
+        await send(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+        await send(`RCPT TO:<${to}>`, [250, 251], 'RCPT TO');
+        await send('DATA', [354], 'DATA');
+        const body = data.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        socket.write(body.endsWith('\r\n') ? body : `${body}\r\n`);
+        await send('.', [250], 'message');
+        socket.write('QUIT\r\n');
+    } finally {
+        clearTimeout(timer);
+        socket.end();
+    }
+}
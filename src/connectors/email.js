@@ -0,0 +1,412 @@
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, statSync } from 'fs';
+import { BaseConnector } from './base.js';
+import { resolveAgentRoute } from './router.js';
+import { ImapClient } from './email-imap.js';
+import { sendMail } from './email-smtp.js';
+import { CONFIG_DIR } from '../config.js';
+import { getAssignedRole } from '../utils/roles.js';
+import { parseMessage, stripQuotedReply, baseSubject, buildMessage, createMessageId } from '../utils/mime.js';
+import { serveFileViaNgrok } from '../services/ngrok.js';
+
+export const EMAIL_DIR = join(CONFIG_DIR, 'email');
+const DEFAULT_POLL_SECONDS = 60;
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+// Thread lookups kept in threads.json; the oldest are dropped first
+const MAX_TRACKED_MESSAGES = 2000;
+
+const isCommand = (text) => /^\/\S/.test(text);
+
+/**
+ * Check that the receiving server vouches for a mail's From address.
+ *
+ * Only the topmost Authentication-Results header from `authservId` counts:
+ * the receiving server adds it above anything the sender wrote. It must
+ * show dmarc=pass, or dkim=pass signed by the From domain (or its parent).
+ *
+ * @param {object} mail - Parsed mail (utils/mime.js)
+ * @param {string} authservId - EMAIL_TRUSTED_AUTHSERV_ID, lowercase
+ * @returns {string|null} null when verified, else why not
+ */
+export function verifySender(mail, authservId) {
+    if (!authservId) return 'EMAIL_TRUSTED_AUTHSERV_ID is not set, so no sender can be verified';
+
+    const header = (mail.headers['authentication-results'] || [])
+        .map((value) => value.replace(/\([^)]*\)/g, ''))
+        .find((value) => value.split(';')[0].trim().split(/\s+/)[0].toLowerCase() === authservId);
+    if (!header) return `no Authentication-Results from ${authservId}`;
+
+    const address = mail.from.address.toLowerCase();
+    const fromDomain = address.slice(address.lastIndexOf('@') + 1);
+    const aligned = (domain) => !!domain && (fromDomain === domain || fromDomain.endsWith(`.${domain}`));
+
+    for (const clause of header.split(';').slice(1)) {
+        const match = clause.trim().match(/^(dmarc|dkim)\s*=\s*(\w+)(.*)$/is);
+        if (!match || match[2].toLowerCase() !== 'pass') continue;
+        const props = Object.fromEntries([...match[3].matchAll(/([\w.]+)\s*=\s*(\S+)/g)].map(([, k, v]) => [k.toLowerCase(), v.toLowerCase()]));
+
+        if (match[1].toLowerCase() === 'dmarc' && (!props['header.from'] || props['header.from'] === fromDomain)) return null;
+        const signer = props['header.d'] || props['header.i']?.slice(props['header.i'].lastIndexOf('@') + 1);
+        if (match[1].toLowerCase() === 'dkim' && aligned(signer)) return null;
+    }
+    return `${authservId} did not verify ${fromDomain} (no DMARC or aligned DKIM pass)`;
+}
+
+/**
+ * Email connector: polls an IMAP inbox and replies over SMTP.
+ *
+ * A mail thread is one conversation. Its chat ID is the Message-ID of the
+ * mail that started it, found through References/In-Reply-To, so the
+ * agent keeps its context across replies and restarts. The agent is
+ * picked by a leading /claude, /groq... in the body or the subject; later
+ * replies in the thread keep talking to the same agent.
+ *
+ * Use a dedicated mailbox: every unseen mail is marked as read.
+ *
+ * A From header can be forged, so a sender only counts as who they claim
+ * to be when the receiving server vouches for it: its Authentication-Results
+ * header (from EMAIL_TRUSTED_AUTHSERV_ID) must show DMARC, or DKIM for the
+ * From domain, passing. Other mail reaches the router as unverified and is
+ * blocked, whatever the allowlist says.
+ */
+export class EmailConnector extends BaseConnector {
+    constructor(config = {}) {
+        super('email', config);
+        this.label = 'Email';
+        this.allowlistKey = 'EMAIL_ALLOWED_SENDERS';
+        // One reply per answer — mail has no practical size limit
+        this.maxMessageLength = 200_000;
+        this.client = null;
+        this.running = false;
+        this.timer = null;
+        this.polling = null;
+        this.lastPoll = null;
+        this.lastError = null;
+        this.threads = null;
+        this.latest = new Map();      // threadId → last mail received in it
+        this.recentChats = new Map(); // threadId → { name, type, lastMessage }
+    }
+
+    getSettings() {
+        const env = process.env;
+        const user = this.config.user ?? env.EMAIL_USER ?? '';
+        return {
+            imap: {
+                host: this.config.imapHost ?? env.EMAIL_IMAP_HOST ?? '',
+                port: Number(this.config.imapPort ?? env.EMAIL_IMAP_PORT ?? 993),
+            },
+            smtp: {
+                host: this.config.smtpHost ?? env.EMAIL_SMTP_HOST ?? '',
+                port: Number(this.config.smtpPort ?? env.EMAIL_SMTP_PORT ?? 465),
+            },
+            user,
+            password: this.config.password ?? env.EMAIL_PASSWORD ?? '',
+            address: (this.config.address ?? env.EMAIL_ADDRESS ?? (user.includes('@') ? user : '')).toLowerCase(),
+            pollSeconds: Math.max(Number(this.config.pollSeconds ?? env.EMAIL_POLL_SECONDS) || DEFAULT_POLL_SECONDS, 5),
+            authservId: (this.config.trustedAuthservId ?? env.EMAIL_TRUSTED_AUTHSERV_ID ?? '').trim().toLowerCase(),
+        };
+    }
+
+    /**
+     * Whether both servers and the account are set (and not .env.example placeholders).
+     */
+    isConfigured() {
+        const { imap, smtp, user, password, address } = this.getSettings();
+        return [imap.host, smtp.host, user, password, address].every((v) => v && !v.startsWith('your'));
+    }
+
+    isConnected() {
+        return this.running;
+    }
+
+    /**
+     * Addresses are compared case-insensitively; an entry like
+     * "@example.com" allows a whole domain.
+     */
+    isAllowed(senderId) {
+        const address = String(senderId).toLowerCase();
+        const domain = address.slice(address.lastIndexOf('@'));
+        const allowed = [...this.getAllowedUsers()].map((a) => a.toLowerCase());
+        return allowed.includes(address) || (domain.length > 1 && allowed.includes(domain))
+            || !!getAssignedRole(this.name, address);
+    }
+
+    /**
+     * Log in to the IMAP server and start polling.
+     * @returns {Promise<{ address: string }>}
+     */
+    async start() {
+        if (!this.isConfigured()) {
+            throw new Error('Email is not configured (EMAIL_IMAP_HOST, EMAIL_SMTP_HOST, EMAIL_USER, EMAIL_PASSWORD).');
+        }
+        const settings = this.getSettings();
+        if (this.running) return { address: settings.address };
+
+        await this._openClient();
+        this.running = true;
+        this.lastError = null;
+        this._schedule(0);
+        return { address: settings.address };
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.polling?.catch(() => { });
+        await this.client?.logout();
+        this.client = null;
+    }
+
+    async _openClient() {
+        const { imap, user, password } = this.getSettings();
+        const client = new ImapClient({ ...imap, user, password });
+        await client.connect();
+        this.client = client;
+    }
+
+    _schedule(delayMs) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.polling = this.poll().finally(() => {
+                this.polling = null;
+                if (this.running) this._schedule(this.getSettings().pollSeconds * 1000);
+            });
+        }, delayMs);
+    }
+
+    /**
+     * Check the inbox once: every unseen mail is downloaded, marked as
+     * read and handed to the router. Connection errors are kept in
+     * lastError and the next poll reconnects.
+     */
+    async poll() {
+        try {
+            if (!this.client?.isConnected()) await this._openClient();
+            for (const uid of await this.client.searchUnseen()) {
+                const raw = await this.client.fetchMessage(uid);
+                await this.client.markSeen(uid);
+                if (!raw || !this.running) continue;
+                // Not awaited: an agent turn waiting for /approve must not
+                // block the poll that delivers the /approve mail
+                this._handleMail(parseMessage(raw)).catch(() => {
+                    // Errors are reported by the router; never stop polling
+                });
+            }
+            this.lastPoll = Date.now();
+            this.lastError = null;
+        } catch (err) {
+            this.lastError = err.message;
+            this.client?.close();
+            this.client = null;
+        }
+    }
+
+    // ── Threads ─────────────────────────────────────────────────
+
+    _threadsFile() {
+        return this.config.threadsFile || join(EMAIL_DIR, 'threads.json');
+    }
+
+    _loadThreads() {
+        if (!this.threads) {
+            try {
+                this.threads = JSON.parse(readFileSync(this._threadsFile(), 'utf-8'));
+            } catch {
+                this.threads = { messages: {}, threads: {} };
+            }
+        }
+        return this.threads;
+    }
+
+    _saveThreads() {
+        const store = this._loadThreads();
+        const ids = Object.keys(store.messages);
+        for (const id of ids.slice(0, Math.max(0, ids.length - MAX_TRACKED_MESSAGES))) {
+            delete store.messages[id];
+        }
+        try {
+            const file = this._threadsFile();
+            const dir = join(file, '..');
+            if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+            writeFileSync(file, JSON.stringify(store, null, 2), { mode: 0o600 });
+        } catch {
+            // Threading falls back to References when the store can't be written
+        }
+    }
+
+    /**
+     * Find the thread a mail belongs to: a known message it replies to,
+     * else the first message it references, else the mail itself.
+     */
+    _resolveThread(mail) {
+        const store = this._loadThreads();
+        const parents = [mail.inReplyTo, ...[...mail.references].reverse()].filter(Boolean);
+        const known = parents.map((id) => store.messages[id]).find(Boolean);
+        return known || mail.references[0] || mail.inReplyTo || mail.messageId;
+    }
+
+    _remember(messageId, threadId, updates = {}) {
+        const store = this._loadThreads();
+        if (messageId) store.messages[messageId] = threadId;
+        store.threads[threadId] = { ...store.threads[threadId], ...updates, updated: Date.now() };
+        this._saveThreads();
+    }
+
+    /**
+     * Build the router text for a mail: a command in the body wins, a
+     * reply continues with the thread's agent, else the subject's command.
+     * Mail without any command gets the help text.
+     */
+    _commandText(mail, thread) {
+        const subject = baseSubject(mail.subject);
+        const body = stripQuotedReply(mail.text);
+
+        if (isCommand(body)) return body;
+        if (thread?.command && mail.inReplyTo && body) return `${thread.command} ${body}`;
+        if (isCommand(subject)) return body ? `${subject}\n\n${body}` : subject;
+        return '/help';
+    }
+
+    // ── Incoming mail ───────────────────────────────────────────
+
+    /**
+     * Normalize a parsed mail and hand it to the router.
+     * @private
+     */
+    async _handleMail(mail) {
+        const { address } = this.getSettings();
+        const from = mail.from.address;
+        if (!this.onMessage || !from || from === address) return;
+
+        // Never answer auto-replies, bounces or lists — two bots can mail each other forever
+        const autoSubmitted = mail.headers['auto-submitted']?.[0]?.toLowerCase();
+        const precedence = mail.headers['precedence']?.[0]?.toLowerCase();
+        if ((autoSubmitted && autoSubmitted !== 'no') || ['bulk', 'junk', 'list'].includes(precedence)) return;
+        if (/^(mailer-daemon|postmaster)@/.test(from)) return;
+
+        const threadId = this._resolveThread(mail) || createMessageId(address);
+        const thread = this._loadThreads().threads[threadId];
+        const text = this._commandText(mail, thread);
+
+        const unverified = verifySender(mail, this.getSettings().authservId);
+        const allowed = !unverified && this.isAllowed(from);
+        if (allowed) {
+            const head = text.split(/\s+/)[0].toLowerCase();
+            this._remember(mail.messageId, threadId, {
+                subject: baseSubject(mail.subject) || thread?.subject || '(no subject)',
+                ...(resolveAgentRoute(head.slice(1)) ? { command: head } : {}),
+            });
+            this.latest.set(threadId, mail);
+        }
+
+        const sender = {
+            id: from,
+            name: mail.from.name || from,
+            chatId: threadId,
+            chatName: baseSubject(mail.subject) || '(no subject)',
+            chatType: 'private',
+            ...(unverified ? { unverified } : {}),
+        };
+        // Unknown senders get no answer: a reply to a forged or spam
+        // address would be backscatter
+        const reply = allowed
+            ? (replyText) => this._reply(mail, threadId, replyText)
+            : async () => { };
+
+        await this.onMessage(text, sender, reply);
+    }
+
+    /**
+     * Reply to a mail, threaded with In-Reply-To and References.
+     * @private
+     */
+    async _reply(mail, threadId, text, attachments = []) {
+        const { address } = this.getSettings();
+        const messageId = createMessageId(address);
+        const subject = baseSubject(mail.subject) || this._loadThreads().threads[threadId]?.subject || 'minigeri';
+        await this._send(mail.from.address, buildMessage({
+            from: address,
+            to: mail.from.address,
+            subject: `Re: ${subject}`,
+            text,
+            messageId,
+            inReplyTo: mail.messageId || undefined,
+            references: [...mail.references, mail.messageId].filter(Boolean),
+            attachments,
+        }));
+        this._remember(messageId, threadId);
+    }
+
+    _send(to, data) {
+        const { smtp, user, password, address } = this.getSettings();
+        return sendMail({ ...smtp, user, password }, { from: address, to, data });
+    }
+
+    trackChat(sender) {
+        this.recentChats.set(String(sender.chatId), {
+            name: `${sender.chatName} — ${sender.id}`,
+            type: sender.chatType,
+            lastMessage: Date.now(),
+        });
+    }
+
+    /**
+     * Mail is read as plain text; agent Markdown stays as it is.
+     */
+    formatMarkdown(text) {
+        return text;
+    }
+
+    /**
+     * Mail can't be edited, so nothing is streamed: the answer is held
+     * back and sent as one reply when the agent finishes. This also keeps
+     * the "🤖 Thinking..." notice out of the inbox.
+     */
+    createReplyStream(sender) {
+        const mail = this.latest.get(sender.chatId);
+        if (!mail || !this.isAllowed(sender.id)) return null;
+        return {
+            start: async () => { },
+            push: () => { },
+            finish: (text) => this._reply(mail, sender.chatId, text),
+            fail: (errorText) => this._reply(mail, sender.chatId, errorText),
+        };
+    }
+
+    /**
+     * Start a new thread with an address.
+     * @param {string} to - Email address
+     * @param {string} text
+     * @param {object} [options]
+     * @param {string} [options.subject='Message from minigeri']
+     */
+    async sendText(to, text, { subject = 'Message from minigeri' } = {}) {
+        const { address } = this.getSettings();
+        if (!/^[^\s@<>]+@[^\s@<>]+$/.test(to)) {
+            throw new Error(`"${to}" is not an email address`);
+        }
+        const messageId = createMessageId(address);
+        await this._send(to, buildMessage({ from: address, to, subject, text, messageId }));
+        this._remember(messageId, messageId, { subject });
+    }
+
+    /**
+     * Reply to the thread with the file attached; large files are shared
+     * as an ngrok link instead.
+     */
+    async sendFile(threadId, filePath, reply) {
+        const mail = this.latest.get(threadId);
+        if (!mail) throw new Error('No mail to reply to in this thread');
+
+        const fileSize = statSync(filePath).size;
+        if (fileSize > MAX_ATTACHMENT_BYTES) {
+            const url = await serveFileViaNgrok(filePath);
+            await reply(`📥 The file is ${(fileSize / 1024 / 1024).toFixed(1)} MB, too large to attach. Download link (expires after 1 download or 5 min):\n${url}`);
+            return;
+        }
+        await this._reply(mail, threadId, `📎 ${filePath.split(/[\\/]/).pop()}`, [
+            { path: filePath, content: readFileSync(filePath) },
+        ]);
+    }
+}
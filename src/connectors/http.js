@@ -0,0 +1,366 @@
+import http from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { BaseConnector } from './base.js';
+import { promptChatAgent, resolveAgentRoute, enqueueChatRequest, takeRateLimit } from './router.js';
+import { colors, icons } from '../ui/theme.js';
+import { beginAsyncOutput, endAsyncOutput } from '../ui/prompt.js';
+import { listAgentNames } from '../agents/index.js';
+import { loadConfig } from '../config.js';
+import { checkBudget } from '../utils/usage.js';
+import { recordAudit } from '../utils/audit.js';
+import { runCommand, listRegisteredCommands } from '../tools/command-runner.js';
+
+export const DEFAULT_API_PORT = 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+const SESSION_ID = /^[A-Za-z0-9_.:-]{1,128}$/;
+const MIN_TOKEN_LENGTH = 16;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sha256(text) {
+    return createHash('sha256').update(String(text)).digest();
+}
+
+/**
+ * Local HTTP REST API (bearer-token auth), for CI, cron jobs, Home
+ * Assistant, curl...
+ *
+ *   POST /v1/agents/:name/messages  { "message": "...", "session_id": "ci", "stream": false }
+ *   POST /v1/commands               { "command": "tg send 123 Build passed" }
+ *   GET  /v1/status
+ *
+ * Conversations are keyed by the client's session_id and persisted like
+ * a Telegram chat: a session answers one request at a time (later ones
+ * wait their turn) and draws from the config.rateLimit buckets as user
+ * "http:<session_id>". Agents can't edit files from here — there is
+ * nobody to approve the diff. A client that disconnects before its
+ * answer cancels the agent request, or drops it from the queue.
+ */
+export class HttpApiConnector extends BaseConnector {
+    constructor(config = {}) {
+        super('http', config);
+        this.label = 'HTTP API';
+        this.server = null;
+        this.startedAt = null;
+        this.requestCount = 0;
+    }
+
+    getToken() {
+        return this.config.token || process.env.HTTP_API_TOKEN;
+    }
+
+    getPort() {
+        return Number(this.config.port ?? process.env.HTTP_API_PORT ?? DEFAULT_API_PORT);
+    }
+
+    getHost() {
+        return this.config.host || process.env.HTTP_API_HOST || '127.0.0.1';
+    }
+
+    /**
+     * A token is usable when it is long enough and not the .env.example placeholder.
+     */
+    hasValidToken() {
+        const token = this.getToken();
+        return !!token && token.length >= MIN_TOKEN_LENGTH && !token.startsWith('your_');
+    }
+
+    isConnected() {
+        return !!this.server?.listening;
+    }
+
+    /**
+     * The bound address (the real port when started with port 0).
+     */
+    address() {
+        const addr = this.server?.address();
+        return addr ? { host: addr.address, port: addr.port } : null;
+    }
+
+    /**
+     * Check an Authorization header against HTTP_API_TOKEN in constant time.
+     */
+    isAuthorized(header) {
+        const match = /^Bearer\s+(.+)$/i.exec(header || '');
+        if (!match || !this.hasValidToken()) return false;
+        return timingSafeEqual(sha256(match[1].trim()), sha256(this.getToken()));
+    }
+
+    async start() {
+        if (!this.hasValidToken()) {
+            throw new Error(`HTTP_API_TOKEN not set or shorter than ${MIN_TOKEN_LENGTH} characters.`);
+        }
+        if (this.isConnected()) return this.address();
+
+        this.server = http.createServer((req, res) => {
+            this._handle(req, res).catch((err) => this._sendError(res, err));
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', (err) => {
+                this.server = null;
+                reject(err.code === 'EADDRINUSE' ? new Error(`Port ${this.getPort()} is already in use`) : err);
+            });
+            this.server.listen(this.getPort(), this.getHost(), resolve);
+        });
+        this.startedAt = Date.now();
+        return this.address();
+    }
+
+    async stop() {
+        if (!this.server) return;
+        const server = this.server;
+        this.server = null;
+        server.closeAllConnections?.();
+        await new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    async sendText() {
+        throw new Error('The HTTP API only answers requests; it cannot send messages on its own');
+    }
+
+    // ── Request handling ────────────────────────────────────────
+
+    async _handle(req, res) {
+        this.requestCount++;
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (!this.isAuthorized(req.headers.authorization)) {
+            this._audit(req, null, `${req.method} ${pathname}`, '', 'blocked');
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            throw new HttpError(401, 'Missing or invalid bearer token');
+        }
+
+        const agentMatch = /^\/v1\/agents\/([^/]+)\/messages$/.exec(pathname);
+        if (agentMatch) {
+            this._requireMethod(req, 'POST');
+            return this._handleAgentMessage(req, res, decodeURIComponent(agentMatch[1]));
+        }
+        if (pathname === '/v1/commands') {
+            this._requireMethod(req, 'POST');
+            return this._handleCommand(req, res);
+        }
+        if (pathname === '/v1/status') {
+            this._requireMethod(req, 'GET');
+            return this._sendJson(res, 200, {
+                status: 'ok',
+                uptime_s: Math.round((Date.now() - this.startedAt) / 1000),
+                agents: listAgentNames(loadConfig()),
+                commands: listRegisteredCommands(),
+            });
+        }
+        throw new HttpError(404, `No route for ${req.method} ${pathname}`);
+    }
+
+    async _handleAgentMessage(req, res, name) {
+        const body = await this._readJson(req);
+        const message = typeof body.message === 'string' ? body.message.trim() : '';
+        if (!message) throw new HttpError(400, '"message" must be a non-empty string');
+
+        const sessionId = String(body.session_id ?? req.headers['x-session-id'] ?? 'default');
+        if (!SESSION_ID.test(sessionId)) {
+            throw new HttpError(400, '"session_id" may only contain letters, digits, _ . : - (max 128)');
+        }
+
+        const config = loadConfig();
+        const route = resolveAgentRoute(name, config);
+        if (!route) throw new HttpError(404, `Unknown agent "${name}". Available: ${listAgentNames(config).join(', ')}`);
+
+        const overBudget = checkBudget(route.agentName, config);
+        if (overBudget) {
+            this._audit(req, sessionId, `/${name}`, message, 'budget reached');
+            throw new HttpError(429, `Daily budget of $${overBudget.limit.toFixed(2)} reached ($${overBudget.spent.toFixed(2)} spent today)`);
+        }
+
+        const limited = takeRateLimit(this, sessionId, config);
+        if (!limited.allowed) {
+            const seconds = Math.ceil(limited.retryAfterMs / 1000);
+            this._audit(req, sessionId, `/${name}`, message, `rate limited (${limited.scope})`);
+            res.setHeader('Retry-After', String(seconds));
+            throw new HttpError(429, `Too many requests (${limited.scope} limit). Try again in ${seconds}s`);
+        }
+
+        const stream = body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+        this._log(`📩 ${this.label} → ${route.agentName}`, `session: ${sessionId}`, message);
+
+        // One request per session at a time, like a chat — they share its agent
+        const signal = this._disconnectSignal(res);
+        const job = enqueueChatRequest(this, sessionId);
+        try {
+            if (job.ahead > 0) {
+                await new Promise((resolve) => {
+                    job.ready.then(resolve);
+                    signal.addEventListener('abort', resolve, { once: true });
+                });
+                if (signal.aborted) {
+                    this._audit(req, sessionId, `/${name}`, message, 'cancelled');
+                    return;
+                }
+            }
+            await this._answerAgentMessage(req, res, { name, sessionId, message, route, stream, signal });
+        } finally {
+            job.done();
+        }
+    }
+
+    async _answerAgentMessage(req, res, { name, sessionId, message, route, stream, signal }) {
+        if (!stream) {
+            let result;
+            try {
+                result = await promptChatAgent(this, sessionId, route.family, route.agentName, message, { signal });
+            } catch (err) {
+                this._audit(req, sessionId, `/${name}`, message, signal.aborted ? 'cancelled' : `error: ${err.message}`);
+                throw err;
+            }
+            this._audit(req, sessionId, `/${name}`, message, `ok — answered by ${result.agent.name}`);
+            this._logReply(result);
+            return this._sendJson(res, 200, this._resultBody(result, sessionId));
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+        const send = (event, data) => {
+            if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        try {
+            const result = await promptChatAgent(this, sessionId, route.family, route.agentName, message, {
+                onToken: (text) => send('token', { text }),
+                onRetry: () => send('retry', {}),
+                signal,
+            });
+            this._audit(req, sessionId, `/${name}`, message, `ok — answered by ${result.agent.name}`);
+            this._logReply(result);
+            send('done', this._resultBody(result, sessionId));
+        } catch (err) {
+            if (signal.aborted) {
+                this._audit(req, sessionId, `/${name}`, message, 'cancelled');
+                console.log(colors.warning(`  ${icons.warning} ${this.label} client went away — ${route.agentName} request cancelled`));
+                return;
+            }
+            this._audit(req, sessionId, `/${name}`, message, `error: ${err.message}`);
+            console.log(colors.error(`  ${icons.cross} ${this.label} error from ${route.agentName}: ${err.message}`));
+            send('error', { error: err.message });
+        }
+        res.end();
+    }
+
+    /**
+     * A signal that fires when the client disconnects before its reply is
+     * written, so the agent request it was waiting for is aborted.
+     */
+    _disconnectSignal(res) {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+        return controller.signal;
+    }
+
+    async _handleCommand(req, res) {
+        const body = await this._readJson(req);
+        const command = typeof body.command === 'string' ? body.command.trim() : '';
+        if (!command) throw new HttpError(400, '"command" must be a non-empty string');
+
+        this._log(`📩 ${this.label} command`, null, command);
+        const output = await runCommand(command);
+        if (/^\[Error: command "[^"]*" is not allowed/.test(output)) {
+            this._audit(req, null, 'command', command, 'denied');
+            throw new HttpError(403, output.slice(8, -1));
+        }
+        this._audit(req, null, 'command', command, 'ok');
+        return this._sendJson(res, 200, { output });
+    }
+
+    /**
+     * Record a request in the audit log. Clients are known by address;
+     * agent requests also carry their session id.
+     */
+    _audit(req, sessionId, action, args, outcome) {
+        recordAudit({
+            platform: this.name,
+            sender: { id: req.socket.remoteAddress || 'unknown' },
+            ...(sessionId ? { chatId: sessionId } : {}),
+            action,
+            args,
+            outcome,
+        });
+    }
+
+    _resultBody({ response, agent, failovers }, sessionId) {
+        return {
+            response: response || '',
+            agent: agent.name,
+            session_id: sessionId,
+            failovers: failovers.map((f) => f.from),
+        };
+    }
+
+    _requireMethod(req, method) {
+        if (req.method !== method) throw new HttpError(405, `Use ${method} for this endpoint`);
+    }
+
+    _readJson(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new HttpError(413, 'Request body too large (max 1 MB)'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                const raw = Buffer.concat(chunks).toString('utf-8');
+                if (!raw.trim()) return resolve({});
+                try {
+                    const parsed = JSON.parse(raw);
+                    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error();
+                    resolve(parsed);
+                } catch {
+                    reject(new HttpError(400, 'Body must be a JSON object'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    _sendJson(res, status, body) {
+        if (res.headersSent) return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    _sendError(res, err) {
+        const status = err.status || 500;
+        if (status === 500) console.log(colors.error(`  ${icons.cross} ${this.label} error: ${err.message}`));
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        this._sendJson(res, status, { error: err.message });
+    }
+
+    _log(title, detail, text) {
+        beginAsyncOutput();
+        console.log('');
+        console.log(colors.primary(`  ${title}`));
+        if (detail) console.log(colors.muted(`     ${detail}`));
+        console.log(colors.text(`     ${text.length > 200 ? text.slice(0, 200) + '...' : text}`));
+        endAsyncOutput();
+    }
+
+    _logReply({ agent, failovers }) {
+        const note = failovers.length ? ` (after ${failovers.map((f) => f.from).join(', ')} failed)` : '';
+        console.log(colors.muted(`  ${icons.check} Answered ${this.label} request with ${agent.name}${note}`));
+    }
+}
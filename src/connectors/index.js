@@ -1,23 +1,36 @@
-// Connector registry — messaging platform connectors will be registered here.
-// Future: import { WhatsAppConnector } from './whatsapp.js';
+import { TelegramConnector } from './telegram.js';
+import { WhatsAppConnector } from './whatsapp.js';
+import { SlackConnector } from './slack.js';
+import { DiscordConnector } from './discord.js';
+import { MatrixConnector } from './matrix.js';
+import { EmailConnector } from './email.js';
+import { HttpApiConnector } from './http.js';
 
 const CONNECTOR_REGISTRY = {
-    // 'whatsapp': WhatsAppConnector,
-    // 'telegram': TelegramConnector,
+    'telegram': TelegramConnector,
+    'whatsapp': WhatsAppConnector,
+    'slack': SlackConnector,
+    'discord': DiscordConnector,
+    'matrix': MatrixConnector,
+    'email': EmailConnector,
+    'http': HttpApiConnector,
 };
 
+/**
+ * Create a connector instance by name.
+ */
 export function createConnector(name, config = {}) {
     const ConnectorClass = CONNECTOR_REGISTRY[name];
     if (!ConnectorClass) {
-        const available = Object.keys(CONNECTOR_REGISTRY);
-        if (available.length === 0) {
-            throw new Error(`No connectors installed yet. Coming soon: whatsapp, telegram`);
-        }
-        throw new Error(`Unknown connector: "${name}". Available: ${available.join(', ')}`);
+        const available = Object.keys(CONNECTOR_REGISTRY).join(', ');
+        throw new Error(`Unknown connector: "${name}". Available: ${available}`);
     }
     return new ConnectorClass(config);
 }
 
+/**
+ * List all registered connector names.
+ */
 export function listConnectorNames() {
     return Object.keys(CONNECTOR_REGISTRY);
 }
@@ -0,0 +1,386 @@
+import http from 'http';
+import https from 'https';
+import { readFileSync, statSync } from 'fs';
+import { basename } from 'path';
+import { randomBytes } from 'crypto';
+import { BaseConnector } from './base.js';
+
+const SYNC_TIMEOUT_MS = 30_000;
+const MAX_BACKOFF_MS = 60_000;
+
+// Only what the bot needs from /sync: messages, room names and invites
+const SYNC_FILTER = JSON.stringify({
+    presence: { not_types: ['*'] },
+    account_data: { not_types: ['*'] },
+    room: {
+        timeline: { limit: 50, types: ['m.room.message', 'm.room.name', 'm.room.canonical_alias'] },
+        state: { types: ['m.room.name', 'm.room.canonical_alias'] },
+        ephemeral: { not_types: ['*'] },
+        account_data: { not_types: ['*'] },
+    },
+});
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render the Markdown agents write as the HTML subset Matrix clients
+ * display (org.matrix.custom.html): code blocks, inline code, bold,
+ * italics and line breaks.
+ */
+export function markdownToMatrixHtml(text) {
+    const blocks = [];
+    let html = escapeHtml(text).replace(/```[^\n]*\n([\s\S]*?)```/g, (_, code) => {
+        blocks.push(`<pre><code>${code}</code></pre>`);
+        return `\u0000${blocks.length - 1}\u0000`;
+    });
+    html = html
+        .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1<em>$2</em>')
+        .replace(/\n/g, '<br>');
+    return html.replace(/\u0000(\d+)\u0000/g, (_, i) => blocks[Number(i)]);
+}
+
+/**
+ * Matrix client-server API connector (access token + /sync long polling).
+ *
+ * Works with any homeserver (Synapse, Conduit, Dendrite...). The bot
+ * joins rooms it is invited to by an allowed user, answers in the room
+ * and keeps one agent conversation per room. Encrypted rooms are not
+ * supported — the bot only sees unencrypted m.room.message events.
+ */
+export class MatrixConnector extends BaseConnector {
+    constructor(config = {}) {
+        super('matrix', config);
+        this.label = 'Matrix';
+        this.allowlistKey = 'MATRIX_ALLOWED_USERS';
+        this.userId = null;
+        this.running = false;
+        this.syncing = null;        // Promise of the sync loop
+        this.activeRequest = null;  // In-flight /sync, aborted by stop()
+        this.since = null;
+        this.lastError = null;
+        this._wake = null;
+        this.rooms = new Map();       // roomId → { name }
+        this.recentChats = new Map(); // roomId → { name, type, lastMessage }
+    }
+
+    getHomeserver() {
+        return (this.config.homeserver || process.env.MATRIX_HOMESERVER || '').replace(/\/+$/, '');
+    }
+
+    getToken() {
+        return this.config.accessToken || process.env.MATRIX_ACCESS_TOKEN;
+    }
+
+    /**
+     * Whether the homeserver URL and access token look usable (not the .env.example placeholders).
+     */
+    isConfigured() {
+        const token = this.getToken();
+        return /^https?:\/\/[^/\s]+/.test(this.getHomeserver()) && !!token && !token.startsWith('your');
+    }
+
+    /**
+     * Room IDs the bot may answer in (empty = any room an allowed user invites it to).
+     * @returns {Set<string>}
+     */
+    getAllowedRooms() {
+        const raw = this.config.allowedRooms ?? process.env.MATRIX_ALLOWED_ROOMS;
+        if (!raw || raw.trim() === '') return new Set();
+        return new Set(raw.split(',').map(id => id.trim()).filter(Boolean));
+    }
+
+    isRoomAllowed(roomId) {
+        const rooms = this.getAllowedRooms();
+        return rooms.size === 0 || rooms.has(roomId);
+    }
+
+    isConnected() {
+        return this.running && !!this.userId;
+    }
+
+    /**
+     * Check the token, skip the backlog and start the sync loop.
+     * @returns {Promise<{ user_id: string }>} The whoami result
+     */
+    async start() {
+        if (!this.isConfigured()) {
+            throw new Error('MATRIX_HOMESERVER or MATRIX_ACCESS_TOKEN not set.');
+        }
+        if (this.isConnected()) return { user_id: this.userId };
+
+        const whoami = await this.request('GET', '/_matrix/client/v3/account/whoami');
+        // An initial sync without a timeout returns the current position —
+        // messages sent while minigeri was offline are not replayed
+        const initial = await this.request('GET', '/_matrix/client/v3/sync', {
+            query: { filter: SYNC_FILTER, timeout: 0 },
+        });
+        this.userId = whoami.user_id;
+        this.since = initial.next_batch;
+        this._updateRooms(initial);
+
+        this.running = true;
+        this.lastError = null;
+        this.syncing = this._syncLoop();
+        return whoami;
+    }
+
+    async stop() {
+        this.running = false;
+        this.activeRequest?.destroy();
+        this._wake?.();
+        await this.syncing?.catch(() => { });
+        this.syncing = null;
+        this.userId = null;
+        this.since = null;
+    }
+
+    /**
+     * Call the client-server API. Rate-limited requests are retried once.
+     *
+     * @param {string} method
+     * @param {string} path - e.g. /_matrix/client/v3/joined_rooms
+     * @param {object} [options]
+     * @param {object} [options.query]
+     * @param {object} [options.body] - JSON body
+     * @param {{ buffer: Buffer, contentType: string }} [options.raw] - Binary body (media upload)
+     * @param {number} [options.timeoutMs=30000]
+     * @param {boolean} [options.track] - Make the request abortable by stop()
+     * @returns {Promise<object>}
+     */
+    async request(method, path, { query, body, raw, timeoutMs = 30_000, track = false } = {}, retried = false) {
+        const url = new URL(`${this.getHomeserver()}${path}`);
+        for (const [key, value] of Object.entries(query || {})) url.searchParams.set(key, String(value));
+        const payload = raw ? raw.buffer : body !== undefined ? Buffer.from(JSON.stringify(body)) : null;
+        const transport = url.protocol === 'http:' ? http : https;
+
+        const { status, data } = await new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method,
+                headers: {
+                    Authorization: `Bearer ${this.getToken()}`,
+                    ...(payload ? {
+                        'Content-Type': raw ? raw.contentType : 'application/json',
+                        'Content-Length': payload.length,
+                    } : {}),
+                },
+            }, (res) => {
+                let text = '';
+                res.on('data', (chunk) => { text += chunk; });
+                res.on('end', () => {
+                    let parsed = {};
+                    try { parsed = text ? JSON.parse(text) : {}; } catch { parsed = { error: text }; }
+                    resolve({ status: res.statusCode, data: parsed });
+                });
+            });
+            if (track) this.activeRequest = req;
+            req.on('error', reject);
+            req.on('close', () => {
+                if (this.activeRequest === req) this.activeRequest = null;
+            });
+            req.setTimeout(timeoutMs, () => req.destroy(new Error('Matrix request timed out')));
+            if (payload) req.write(payload);
+            req.end();
+        });
+
+        if (status === 429 && !retried) {
+            await new Promise((r) => setTimeout(r, data.retry_after_ms ?? 1000));
+            return this.request(method, path, { query, body, raw, timeoutMs, track }, true);
+        }
+        if (status < 200 || status >= 300) {
+            throw new Error(`Matrix ${data.errcode || status}: ${data.error || 'request failed'}`);
+        }
+        return data;
+    }
+
+    /**
+     * Long-poll /sync until stop(); network errors back off and retry.
+     * @private
+     */
+    async _syncLoop() {
+        let backoff = 1000;
+        while (this.running) {
+            try {
+                const response = await this.request('GET', '/_matrix/client/v3/sync', {
+                    query: { filter: SYNC_FILTER, since: this.since, timeout: SYNC_TIMEOUT_MS },
+                    timeoutMs: SYNC_TIMEOUT_MS + 15_000,
+                    track: true,
+                });
+                if (!this.running) return;
+                this.since = response.next_batch;
+                this.lastError = null;
+                backoff = 1000;
+                await this._handleSync(response);
+            } catch (err) {
+                if (!this.running) return;
+                this.lastError = err.message;
+                await this._sleep(backoff);
+                backoff = Math.min(backoff * 2, MAX_BACKOFF_MS);
+            }
+        }
+    }
+
+    /**
+     * Wait between sync retries; stop() cuts the wait short.
+     * @private
+     */
+    _sleep(ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, ms);
+            this._wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Remember room names from state and timeline events.
+     * @private
+     */
+    _updateRooms(response) {
+        for (const [roomId, room] of Object.entries(response.rooms?.join || {})) {
+            const entry = this.rooms.get(roomId) || { name: roomId };
+            for (const event of [...(room.state?.events || []), ...(room.timeline?.events || [])]) {
+                if (event.type === 'm.room.name' && event.content?.name) entry.name = event.content.name;
+                if (event.type === 'm.room.canonical_alias' && event.content?.alias && entry.name === roomId) {
+                    entry.name = event.content.alias;
+                }
+            }
+            this.rooms.set(roomId, entry);
+        }
+        for (const roomId of Object.keys(response.rooms?.leave || {})) {
+            this.rooms.delete(roomId);
+        }
+    }
+
+    /**
+     * Accept invites and route new messages from one /sync response.
+     * @private
+     */
+    async _handleSync(response) {
+        this._updateRooms(response);
+
+        for (const [roomId, room] of Object.entries(response.rooms?.invite || {})) {
+            const invite = (room.invite_state?.events || []).find(
+                (e) => e.type === 'm.room.member' && e.state_key === this.userId
+            );
+            if (invite && this.isAllowed(invite.sender) && this.isRoomAllowed(roomId)) {
+                try {
+                    await this.request('POST', `/_matrix/client/v3/join/${encodeURIComponent(roomId)}`, { body: {} });
+                    this.rooms.set(roomId, { name: roomId });
+                } catch {
+                    // The invite was withdrawn or the room is gone
+                }
+            }
+        }
+
+        // Not awaited: an agent turn waiting for /approve must not block
+        // the sync that delivers the /approve
+        for (const [roomId, room] of Object.entries(response.rooms?.join || {})) {
+            for (const event of room.timeline?.events || []) {
+                this._handleEvent(roomId, event).catch(() => {
+                    // Errors are reported by the router; never stop the sync loop
+                });
+            }
+        }
+    }
+
+    /**
+     * Normalize an m.room.message event and hand it to the router.
+     * @private
+     */
+    async _handleEvent(roomId, event) {
+        if (!this.onMessage || event.type !== 'm.room.message' || event.sender === this.userId) return;
+        if (!this.isRoomAllowed(roomId)) return;
+
+        const content = event.content || {};
+        // Edits arrive as new events that replace an earlier one
+        if (content['m.relates_to']?.rel_type === 'm.replace') return;
+        // m.notice is what other bots send
+        if (content.msgtype !== 'm.text') return;
+
+        const sender = {
+            id: event.sender,
+            name: event.sender.replace(/^@/, '').split(':')[0],
+            chatId: roomId,
+            chatName: this.rooms.get(roomId)?.name || roomId,
+            chatType: 'room',
+        };
+        const reply = (text, options) => this.sendText(roomId, text, options);
+
+        await this.onMessage(content.body || '', sender, reply);
+    }
+
+    trackChat(sender) {
+        this.recentChats.set(String(sender.chatId), {
+            name: sender.chatName,
+            type: sender.chatType,
+            lastMessage: Date.now(),
+        });
+    }
+
+    /**
+     * Matrix clients render HTML, built from the agent's own Markdown.
+     */
+    formatMarkdown(text) {
+        return text;
+    }
+
+    /**
+     * Resolve a room ID (!abc:server) or alias (#room:server) to a room ID.
+     */
+    async resolveRoom(target) {
+        if (target.startsWith('!')) return target;
+        if (target.startsWith('#')) {
+            const { room_id: roomId } = await this.request('GET', `/_matrix/client/v3/directory/room/${encodeURIComponent(target)}`);
+            return roomId;
+        }
+        for (const [id, room] of this.rooms) {
+            if (room.name.toLowerCase() === target.toLowerCase()) return id;
+        }
+        throw new Error(`Room "${target}" not found — use a room ID (!...) or alias (#...)`);
+    }
+
+    /**
+     * @param {string} room - Room ID, alias or name
+     * @param {string} text
+     * @param {object} [options]
+     * @param {boolean} [options.markdown=false] - Also send an HTML rendering
+     */
+    async sendText(room, text, { markdown = false } = {}) {
+        const roomId = await this.resolveRoom(room);
+        const content = { msgtype: 'm.text', body: text };
+        if (markdown) {
+            content.format = 'org.matrix.custom.html';
+            content.formatted_body = markdownToMatrixHtml(text);
+        }
+        return this._sendEvent(roomId, content);
+    }
+
+    /**
+     * Upload a file to the media repository and post it to the room.
+     */
+    async sendFile(roomId, filePath) {
+        const name = basename(filePath);
+        const { content_uri: url } = await this.request('POST', '/_matrix/media/v3/upload', {
+            query: { filename: name },
+            raw: { buffer: readFileSync(filePath), contentType: 'application/octet-stream' },
+            timeoutMs: 5 * 60_000,
+        });
+        await this._sendEvent(roomId, { msgtype: 'm.file', body: name, url, info: { size: statSync(filePath).size } });
+    }
+
+    /** @private */
+    _sendEvent(roomId, content) {
+        const txnId = `minigeri.${Date.now()}.${randomBytes(4).toString('hex')}`;
+        return this.request(
+            'PUT',
+            `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${txnId}`,
+            { body: content }
+        );
+    }
+}
@@ -0,0 +1,826 @@
+/**
+ * ─── Shared Message Router ────────────────────────────────────────
+ *
+ * Routes incoming messages from every messaging connector (Telegram,
+ * WhatsApp, Slack, ...) to slash commands and AI agents.
+ *
+ * Design:
+ *   • Connectors normalize platform events into (message, sender, reply)
+ *   • Access control is delegated to connector.isAllowed(); what an
+ *     allowed user may do comes from their role (utils/roles.js)
+ *   • Slash commands and agent routes are declared once in the tables
+ *     below — a new entry shows up on every platform at once
+ *   • Agents are kept per chat so conversations keep their context, and
+ *     persisted through the session store so they survive restarts
+ *   • Agent prompts go through the configured fallback chain, so a failing
+ *     provider hands the conversation to the next one
+ *   • File edits proposed by agents are sent to the chat as a diff and
+ *     wait for `/approve <id>` — messages are handled concurrently, so the
+ *     answer arrives while the agent's turn is still waiting
+ *   • Every command, agent prompt, denial and blocked message ends up in
+ *     the audit log (utils/audit.js); handlers return their outcome
+ *   • Photos and text files sent with an agent command as their caption
+ *     go to the agent as attachments (utils/attachments.js), downloaded
+ *     only once the prompt has passed every check
+ *   • Agent prompts run one at a time per chat — later ones wait in the
+ *     chat's queue, `/cancel` aborts the running one (killing its CLI or
+ *     HTTP request) — and draw from the per-user and global token buckets
+ *     in config.rateLimit
+ */
+
+import { resolve, join } from 'path';
+import { existsSync } from 'fs';
+import { homedir } from 'os';
+import { colors, icons } from '../ui/theme.js';
+import { beginAsyncOutput, endAsyncOutput } from '../ui/prompt.js';
+import { createAgent, listAgentNames, listCustomAgentNames } from '../agents/index.js';
+import { getFallbackChain, sendWithFallback } from '../agents/fallback.js';
+import { getAgent, loadConfig } from '../config.js';
+import { getHelpText } from '../ui/help.js';
+import { handleSafeCommand, handleSafeCommandInWorkspace } from '../utils/cmd.js';
+import { splitTelegramMessage } from '../utils/telegram-format.js';
+import { restoreSession, saveSession, deleteSession } from '../utils/session-store.js';
+import { checkBudget, usageRecorder } from '../utils/usage.js';
+import { handleNgrok } from '../services/ngrok.js';
+import { runCommand } from '../tools/index.js';
+import { requestApproval, resolveApproval } from '../tools/approvals.js';
+import { resolveRole, canUseCommand, canUseAgent, canUseWorkspace, canRunBinary, canUseTool, hasOwnTools } from '../utils/roles.js';
+import { recordAudit } from '../utils/audit.js';
+import { RateLimiter } from '../utils/rate-limit.js';
+import { onAbort } from '../utils/abort.js';
+import { attachmentKind, loadAttachments } from '../utils/attachments.js';
+
+// ── Agent routes ────────────────────────────────────────────────
+// Each route maps a slash command to an agent family. The family is
+// the key under which the chat's agent instance is cached, so switching
+// e.g. claude between cli/api mode replaces the cached instance.
+
+const AGENT_ROUTES = {
+    '/gemini': {
+        family: 'gemini',
+        resolve: (config) => (config.geminiMode === 'api' ? 'gemini-api' : 'gemini-cli'),
+    },
+    '/claude': {
+        family: 'claude',
+        resolve: (config) => (config.claudeMode === 'api' ? 'claude-api' : 'claude-code'),
+    },
+    '/ollama': { family: 'ollama', resolve: () => 'ollama' },
+    '/groq': { family: 'groq', resolve: () => 'groq' },
+};
+
+/**
+ * Find the agent route for a slash command. Besides the built-in table,
+ * every openai-compatible instance in config.agents gets `/<name>`.
+ */
+function findAgentRoute(command, config) {
+    if (AGENT_ROUTES[command]) return AGENT_ROUTES[command];
+
+    const name = command.slice(1);
+    if (command.startsWith('/') && listCustomAgentNames(config).includes(name)) {
+        return { family: name, resolve: () => name };
+    }
+    return null;
+}
+
+// ── Command routes ──────────────────────────────────────────────
+// Handlers receive (ctx, argStr). ctx = { connector, sender, reply, color, role,
+// attachments }.
+// They may return an outcome for the audit log ("denied", "error"...);
+// returning nothing records "ok".
+
+const COMMAND_ROUTES = {
+    'help': handleHelp,
+    '/help': handleHelp,
+    '/folder': handleFolder,
+    '/ngrok': handleNgrokCommand,
+    '/cmd': handleCmd,
+    '/cmd-workspace': handleCmdWorkspace,
+    '/file': handleFile,
+    '/workspace': handleWorkspaceCommand,
+    '/clear': handleClear,
+    '/reset': handleClear,
+    '/approve': (ctx, argStr) => handleApproval(ctx, argStr, true),
+    '/reject': (ctx, argStr) => handleApproval(ctx, argStr, false),
+    '/cancel': handleCancel,
+};
+
+// ── Per-chat agent sessions ─────────────────────────────────────
+// `${connector}:${chatId}` → { lastMessage, agents: Map<family, agent> }
+
+const chatSessions = new Map();
+
+const SESSION_IDLE_MS = 60 * 60 * 1000;
+const SESSION_PRUNE_THRESHOLD = 25;
+
+/**
+ * Prune inactive agent instances to save memory.
+ * Removes chats that haven't been messaged in 1 hour if the cache is getting large.
+ * Their history stays on disk and is restored on the next message.
+ */
+function pruneOldSessions() {
+    if (chatSessions.size <= SESSION_PRUNE_THRESHOLD) return;
+
+    const now = Date.now();
+    for (const [key, session] of chatSessions.entries()) {
+        if (now - session.lastMessage > SESSION_IDLE_MS) {
+            chatSessions.delete(key);
+        }
+    }
+}
+
+function sessionKey(connector, chatId) {
+    return `${connector.name}:${chatId}`;
+}
+
+function touchSession(connector, chatId) {
+    const key = sessionKey(connector, chatId);
+    let session = chatSessions.get(key);
+    if (!session) {
+        session = { lastMessage: Date.now(), agents: new Map() };
+        chatSessions.set(key, session);
+    }
+    session.lastMessage = Date.now();
+    return session;
+}
+
+/**
+ * Get (or create) the agent a chat uses for a given family.
+ * The instance is recreated if the resolved agent name changed (e.g. mode switch);
+ * new instances pick up any history stored for this chat.
+ */
+function getChatAgent(connector, chatId, family, agentName) {
+    const session = touchSession(connector, chatId);
+    let agent = session.agents.get(family);
+    if (!agent || agent.name !== agentName) {
+        agent = createAgent(agentName, getAgent(agentName));
+        restoreSession(connector.name, chatId, agent);
+        session.agents.set(family, agent);
+    }
+    return agent;
+}
+
+// ── Per-chat request queue ──────────────────────────────────────
+// `${connector}:${chatId}` → { active: job|null, waiting: job[] }
+// A job is one agent prompt; its AbortController is what /cancel fires.
+
+const chatQueues = new Map();
+
+/**
+ * Queue an agent request for a chat. `job.ready` resolves when it's the
+ * job's turn; call `job.done()` when it finishes (or was cancelled).
+ * Chat routes use it, and so does the HTTP API for its sessions.
+ *
+ * @returns {{ ahead: number, signal: AbortSignal, ready: Promise<void>, done: () => void }}
+ */
+export function enqueueChatRequest(connector, chatId) {
+    const key = sessionKey(connector, chatId);
+    let queue = chatQueues.get(key);
+    if (!queue) {
+        queue = { active: null, waiting: [] };
+        chatQueues.set(key, queue);
+    }
+
+    const controller = new AbortController();
+    const job = {
+        controller,
+        signal: controller.signal,
+        ahead: (queue.active ? 1 : 0) + queue.waiting.length,
+    };
+    job.ready = new Promise((resolve) => { job.start = resolve; });
+    job.done = () => {
+        if (queue.active !== job) {
+            queue.waiting = queue.waiting.filter((waiting) => waiting !== job);
+            return;
+        }
+        queue.active = queue.waiting.shift() || null;
+        if (queue.active) queue.active.start();
+        else chatQueues.delete(key);
+    };
+
+    if (queue.active) {
+        queue.waiting.push(job);
+    } else {
+        queue.active = job;
+        job.start();
+    }
+    return job;
+}
+
+/**
+ * Abort a chat's running agent request, and its queued ones with `all`.
+ * @returns {{ running: boolean, queued: number }}
+ */
+function cancelChatRequests(connector, chatId, { all = false } = {}) {
+    const queue = chatQueues.get(sessionKey(connector, chatId));
+    if (!queue) return { running: false, queued: 0 };
+
+    const running = !!queue.active && !queue.active.signal.aborted;
+    queue.active?.controller.abort();
+
+    let queued = 0;
+    if (all) {
+        const waiting = queue.waiting;
+        queue.waiting = [];
+        for (const job of waiting) {
+            job.controller.abort();
+            job.start();
+            queued++;
+        }
+    }
+    return { running, queued };
+}
+
+// ── Rate limits ─────────────────────────────────────────────────
+
+const rateLimiter = new RateLimiter();
+
+/**
+ * Take a token from a remote user's bucket and the global one
+ * (config.rateLimit), for one agent request.
+ *
+ * @returns {ReturnType<RateLimiter['take']>}
+ */
+export function takeRateLimit(connector, userId, config = loadConfig()) {
+    return rateLimiter.take(`${connector.name}:${userId}`, config.rateLimit);
+}
+
+/**
+ * Drop every cached agent for a chat, in memory and on disk.
+ */
+export function clearChatAgents(connector, chatId) {
+    chatSessions.delete(sessionKey(connector, chatId));
+    deleteSession(connector.name, chatId);
+}
+
+// ── Router factory ──────────────────────────────────────────────
+
+/**
+ * Create the message handler for a connector.
+ * Pass the result to connector.setMessageHandler().
+ *
+ * @param {import('./base.js').BaseConnector} connector
+ * @returns {(message: string, sender: object, reply: function, attachments?: object[]) => Promise<void>}
+ */
+export function createMessageRouter(connector) {
+    return async (message, sender, reply, attachments = []) => {
+        pruneOldSessions(); // Prevent memory leaks from old chats
+        const color = colors[connector.name] || colors.primary;
+        const text = (message || '').trim();
+
+        // ─── Access Control ───────────────────────────────────────
+        // Connectors mark senders they couldn't verify (a forged mail From)
+        const role = sender.unverified ? null : resolveRole(connector, sender.id);
+        if (!role) {
+            beginAsyncOutput();
+            console.log('');
+            console.log(colors.warning(`  🚫 Unauthorized ${connector.label} message blocked`));
+            console.log(colors.muted(`     From: ${sender.name} (user ID: ${sender.id}, chat: ${sender.chatId})`));
+            console.log(colors.muted(`     Text: ${text || '[non-text]'}`));
+            if (sender.unverified) {
+                console.log(colors.muted(`     Unverified sender: ${sender.unverified}`));
+            } else if (connector.allowlistKey) {
+                console.log(colors.muted(`     Run: ${colors.primary(`config set ${connector.allowlistKey} ${sender.id}`)} to allow access`));
+            }
+            console.log('');
+            endAsyncOutput();
+
+            recordAudit({
+                platform: connector.name,
+                sender,
+                chatId: sender.chatId,
+                action: 'message',
+                args: text,
+                outcome: sender.unverified ? 'blocked (unverified sender)' : 'blocked',
+            });
+            try {
+                await reply('🔒 Access denied. You are not authorized to use this bot.');
+            } catch {
+                // Ignore send errors for unauthorized users
+            }
+            return;
+        }
+
+        connector.trackChat(sender);
+
+        const typeLabel = sender.chatType === 'private'
+            ? 'DM'
+            : sender.chatName ? `#${sender.chatName}` : 'Message';
+        beginAsyncOutput();
+        console.log('');
+        console.log(color(`  📩 ${connector.label} ${typeLabel}`));
+        console.log(colors.muted(`     From: ${sender.name} (chat: ${sender.chatId})`));
+        if (text || attachments.length === 0) {
+            console.log(colors.text(`     ${text || '[non-text message]'}`));
+        }
+        for (const attachment of attachments) {
+            console.log(colors.muted(`     📎 ${attachment.name || 'attachment'}${attachment.mimeType ? ` (${attachment.mimeType})` : ''}`));
+        }
+
+        if (text) {
+            const ctx = { connector, sender, reply, color, role, attachments };
+            try {
+                await routeText(ctx, text);
+            } catch (err) {
+                console.log(colors.error(`  ${icons.cross} ${connector.label} handler error: ${err.message}`));
+                await reply(`❌ ${err.message}`).catch(() => { });
+            }
+        } else if (attachments.length > 0 && sender.chatType === 'private') {
+            await reply('📎 Add a caption with an agent command to send this to an agent, e.g. `/claude What is in this picture?`', { markdown: true }).catch(() => { });
+        }
+
+        console.log('');
+        endAsyncOutput();
+    };
+}
+
+/**
+ * Dispatch a message to the matching command or agent route.
+ * Messages that match no route are logged but not answered.
+ */
+async function routeText(ctx, text) {
+    const head = text.split(/\s+/)[0];
+    const command = head.toLowerCase();
+    const argStr = text.slice(head.length).trim();
+
+    if (COMMAND_ROUTES[command]) {
+        if (!canUseCommand(ctx.role, command)) {
+            auditAction(ctx, command, argStr, await denyRequest(ctx, command));
+            return;
+        }
+        await runAudited(ctx, command, argStr, () => COMMAND_ROUTES[command](ctx, argStr));
+        return;
+    }
+
+    const config = loadConfig();
+    const route = findAgentRoute(command, config);
+    if (route) {
+        const agentName = route.resolve(config);
+        const auditArgs = withAttachmentNames(argStr, ctx.attachments);
+        if (!canUseAgent(ctx.role, route.family, agentName)) {
+            const what = hasOwnTools(agentName)
+                ? `the ${agentName} agent, which runs commands and edits files on its own`
+                : `the ${agentName} agent`;
+            auditAction(ctx, command, auditArgs, await denyRequest(ctx, what));
+            return;
+        }
+        await runAudited(ctx, command, auditArgs, () => handleAgentPrompt(ctx, route.family, agentName, argStr));
+    }
+}
+
+/**
+ * A prompt as recorded in the audit log: its text plus attachment names.
+ */
+function withAttachmentNames(argStr, attachments = []) {
+    if (attachments.length === 0) return argStr;
+    const names = attachments.map((a) => a.name || 'attachment').join(', ');
+    return `${argStr} [attached: ${names}]`.trim();
+}
+
+/**
+ * Refuse something the sender's role doesn't allow, and log it for the owner.
+ * @returns {Promise<string>} The audit outcome
+ */
+async function denyRequest({ connector, sender, reply, role }, what) {
+    console.log(colors.warning(`  🚫 Denied ${what} for ${connector.label} user ${sender.name} (${sender.id}, role: ${role.name})`));
+    await reply(`🚫 Your role (${role.name}) doesn't allow ${what}.`);
+    return 'denied';
+}
+
+// ── Audit ───────────────────────────────────────────────────────
+
+function auditAction({ connector, sender, role }, action, args, outcome) {
+    recordAudit({
+        platform: connector.name,
+        sender,
+        chatId: sender.chatId,
+        role: role.name,
+        action,
+        args,
+        outcome,
+    });
+}
+
+/**
+ * Run a handler and record its outcome; errors are recorded and rethrown.
+ */
+async function runAudited(ctx, action, args, handler) {
+    let outcome;
+    try {
+        outcome = await handler();
+    } catch (err) {
+        auditAction(ctx, action, args, `error: ${err.message}`);
+        throw err;
+    }
+    auditAction(ctx, action, args, outcome || 'ok');
+}
+
+/**
+ * Outcome of a /cmd-style reply: the safe command helpers answer errors with ❌.
+ */
+function commandOutcome(response) {
+    return response.trimStart().startsWith('❌') ? 'error' : 'ok';
+}
+
+// ── Agent prompts ───────────────────────────────────────────────
+
+function agentColor(agentName) {
+    if (agentName.startsWith('gemini')) return colors.gemini;
+    if (agentName.startsWith('claude')) return colors.claude;
+    if (agentName === 'groq') return colors.groq;
+    if (agentName === 'ollama') return colors.ollama;
+    return colors.accent;
+}
+
+async function handleAgentPrompt(ctx, family, agentName, prompt) {
+    const { connector, sender, reply, attachments = [] } = ctx;
+
+    if (!prompt && attachments.length === 0) {
+        const pureName = agentName.replace('-cli', '').replace('-code', '').replace('-api', '');
+        await reply(`Please provide a prompt. Example: /${pureName} Hello!`);
+        return 'invalid';
+    }
+
+    // Claude Code, the default /claude route, and the other agents without
+    // vision would only fail once the request's turn comes. Ask the chat's
+    // own agent, the one that will answer
+    const hasImages = attachments.some((attachment) => attachmentKind(attachment) === 'image');
+    if (hasImages && !getChatAgent(connector, sender.chatId, family, agentName).supportsImages) {
+        await reply(`📎 ${agentName} can't read images. Send them to a vision-capable agent: /claude after \`claude mode api\`, /gemini after \`gemini mode api\`, or /ollama with a vision model.`, { markdown: true });
+        console.log(colors.warning(`  ${icons.warning} Refused ${connector.label} image for ${agentName}: no vision`));
+        return `invalid attachment: ${agentName} can't read images`;
+    }
+
+    const config = loadConfig();
+    const overBudget = checkBudget(agentName, config);
+    if (overBudget) {
+        const scope = overBudget.scope === 'daily' ? 'Daily' : `Daily ${overBudget.scope}`;
+        await reply(`💸 ${scope} budget of $${overBudget.limit.toFixed(2)} reached ($${overBudget.spent.toFixed(2)} spent today). Try again tomorrow.`);
+        console.log(colors.warning(`  ${icons.warning} Refused ${connector.label} request for ${agentName}: ${scope.toLowerCase()} budget reached`));
+        return 'budget reached';
+    }
+
+    const limited = takeRateLimit(connector, sender.id, config);
+    if (!limited.allowed) {
+        const seconds = Math.ceil(limited.retryAfterMs / 1000);
+        const who = limited.scope === 'user' ? 'You are' : 'The bot is';
+        await reply(`🐢 ${who} sending requests too fast. Try again in ${seconds}s.`);
+        console.log(colors.warning(`  ${icons.warning} Rate limited ${connector.label} user ${sender.name} (${limited.scope} limit, retry in ${seconds}s)`));
+        return `rate limited (${limited.scope})`;
+    }
+
+    let input = prompt;
+    if (attachments.length > 0) {
+        const loaded = await loadAttachments(attachments);
+        if (loaded.refused.length > 0) {
+            await reply(`📎 Can't send that to ${agentName}:\n${loaded.refused.map((r) => `• ${r}`).join('\n')}`);
+            return `invalid attachment: ${loaded.refused.join('; ')}`;
+        }
+        input = { text: prompt, attachments: loaded.attachments };
+    }
+
+    const job = enqueueChatRequest(connector, sender.chatId);
+    try {
+        if (job.ahead > 0) {
+            await reply(`⏳ Queued, ${job.ahead} ahead. Send /cancel to stop the running request.`).catch(() => { });
+            console.log(colors.muted(`  [${connector.label} chat ${sender.chatId}: queued, ${job.ahead} ahead]`));
+            await job.ready;
+            if (job.signal.aborted) return 'cancelled';
+        }
+        return await runAgentPrompt(ctx, family, agentName, input, job.signal);
+    } finally {
+        job.done();
+    }
+}
+
+async function runAgentPrompt(ctx, family, agentName, prompt, signal) {
+    const { connector, sender, reply } = ctx;
+    console.log(colors.muted(`\n  [Routing ${connector.label} message to ${agentName}...]`));
+
+    // Platforms that can edit messages render the reply as it streams in
+    let stream = connector.createReplyStream(sender);
+    const approver = createChatApprover(ctx);
+
+    try {
+        // Quick reply so the user knows we are processing
+        if (stream) {
+            await stream.start('🤖 Thinking...').catch(() => { stream = null; });
+        }
+        if (!stream) {
+            await reply('🤖 Thinking...').catch(() => { });
+        }
+
+        // The next queued prompt starts only once a cancelled one has unwound,
+        // so two turns never share the chat's agent. The agent gets only the
+        // tools the sender's role could use directly, and only falls back
+        // to agents the role may use
+        const { response, agent: answeredBy, failovers } = await promptChatAgent(connector, sender.chatId, family, agentName, prompt, {
+            onToken: stream ? (token) => { if (!signal.aborted) stream.push(token); } : undefined,
+            onRetry: () => stream?.reset?.(),
+            approve: approver,
+            allowTool: (tool) => canUseTool(ctx.role, tool),
+            allowAgent: (name) => canUseAgent(ctx.role, name, name),
+            signal,
+        });
+
+        let textToSend = response || '[No response]';
+        if (failovers.length > 0) {
+            const failed = failovers.map((f) => f.from).join(', ');
+            textToSend = `↪️ Answered by ${answeredBy.name} — ${failed} failed\n\n${textToSend}`;
+            console.log(colors.warning(`  ${icons.warning} ${failed} failed, answered by ${answeredBy.name}`));
+        }
+        if (stream) {
+            await stream.finish(textToSend);
+        } else {
+            const formattedText = connector.formatMarkdown(textToSend);
+            const chunks = splitTelegramMessage(formattedText, connector.maxMessageLength);
+
+            for (const chunk of chunks) {
+                await reply(chunk, { markdown: true });
+            }
+        }
+
+        console.log(agentColor(answeredBy.name)(`  ${icons.check} Replied to ${connector.label} user with ${answeredBy.name} response`));
+        return `ok — answered by ${answeredBy.name}`;
+    } catch (err) {
+        if (signal.aborted) {
+            await stream?.fail('🛑 Cancelled.').catch(() => { });
+            console.log(colors.warning(`  ${icons.warning} ${connector.label} request to ${agentName} cancelled`));
+            return 'cancelled';
+        }
+        const errorText = `❌ Error from ${agentName}: ${err.message}`;
+        if (stream) {
+            await stream.fail(errorText).catch(() => { });
+        } else {
+            await reply(errorText).catch(() => { });
+        }
+        console.log(colors.error(`  ${icons.cross} Error from agent: ${err.message}`));
+        return `error: ${err.message}`;
+    }
+}
+
+/**
+ * Send a prompt to a chat's agent and persist the conversation: the
+ * chat's restored history, the configured fallback chain, budgets and
+ * usage tracking all apply. Chat routes use it, and so do connectors
+ * with their own front door (the HTTP API).
+ *
+ * @param {import('./base.js').BaseConnector} connector
+ * @param {string} chatId - Chat (or client session) the conversation belongs to
+ * @param {string} family - Agent cache key, see AGENT_ROUTES
+ * @param {string} agentName
+ * @param {import('../agents/input.js').AgentInput} prompt - Text, or text with attachments
+ * @param {object} [options]
+ * @param {(token: string) => void} [options.onToken]
+ * @param {() => void} [options.onRetry] - A failed attempt is being retried; drop its streamed tokens
+ * @param {(request: object) => Promise<boolean>} [options.approve] - File edit approver
+ * @param {(toolName: string) => boolean} [options.allowTool] - Tools the agent may be offered
+ * @param {(agentName: string) => boolean} [options.allowAgent] - Fallback agents that may answer
+ * @param {AbortSignal} [options.signal] - Cancels the request; nothing is saved then
+ * @returns {Promise<{ response: string, agent: object, failovers: object[] }>}
+ */
+export async function promptChatAgent(connector, chatId, family, agentName, prompt, { onToken, onRetry, approve, allowTool, allowAgent = () => true, signal } = {}) {
+    const config = loadConfig();
+    const agent = getChatAgent(connector, chatId, family, agentName);
+    const result = await sendWithFallback(agent, prompt, {
+        chain: getFallbackChain(agentName, config),
+        createAgent: (name) => createAgent(name, getAgent(name)),
+        canUse: (name) => allowAgent(name) && !checkBudget(name, config),
+        onRetry,
+        origin: `${connector.label} ${chatId}`,
+        attempts: config.retry?.attempts,
+        backoffMs: config.retry?.backoffMs,
+        sendOptions: {
+            silent: true,
+            onToken,
+            onUsage: usageRecorder({ surface: connector.name, chatId }),
+            approve,
+            allowTool,
+            signal,
+        },
+    });
+
+    try {
+        saveSession(connector.name, chatId, agent);
+    } catch (err) {
+        console.log(colors.warning(`  ${icons.warning} Could not save session: ${err.message}`));
+    }
+    return result;
+}
+
+/**
+ * Resolve an agent by route family ("claude" follows claudeMode) or by
+ * agent name ("groq", "claude-api", an openai-compatible instance).
+ *
+ * @returns {{ family: string, agentName: string }|null}
+ */
+export function resolveAgentRoute(name, config = loadConfig()) {
+    const route = findAgentRoute(`/${name}`, config);
+    if (route) return { family: route.family, agentName: route.resolve(config) };
+    if (listAgentNames(config).includes(name)) return { family: name, agentName: name };
+    return null;
+}
+
+// ── File edit approvals ─────────────────────────────────────────
+
+const MAX_DIFF_PREVIEW = 3000;
+
+/**
+ * Build the send() approver for a chat: post the diff, then wait for
+ * /approve or /reject from the same chat. A cancelled request rejects
+ * its pending change.
+ */
+function createChatApprover(ctx) {
+    const { connector, sender, reply, role } = ctx;
+    return async (request, { signal } = {}) => {
+        if (signal?.aborted) return false;
+        // Nobody asked could apply the change — discard it right away
+        if (!canUseCommand(role, '/approve')) {
+            console.log(colors.warning(`  🚫 Denied a file change to ${request.files.join(', ')} for ${connector.label} user ${sender.name} (role: ${role.name})`));
+            auditAction(ctx, 'file change', request.files.join(', '), 'denied');
+            await reply(`🚫 The agent proposed a change to ${request.files.join(', ')}, but your role (${role.name}) can't approve file changes. It was discarded.`);
+            return false;
+        }
+        const { id, promise } = requestApproval(sessionKey(connector, sender.chatId), request);
+        const diff = request.diff.length > MAX_DIFF_PREVIEW
+            ? `${request.diff.slice(0, MAX_DIFF_PREVIEW)}\n... (diff truncated)`
+            : request.diff;
+
+        await reply(
+            `✏️ *Proposed change* to \`${request.files.join('\`, \`')}\` (${request.tool})\n\n` +
+            `\`\`\`\n${diff}\n\`\`\`\n` +
+            `Reply \`/approve ${id}\` to apply it or \`/reject ${id}\` to discard it.`,
+            { markdown: true }
+        );
+        console.log(colors.warning(`  ${icons.warning} Waiting for ${connector.label} approval ${id}: ${request.files.join(', ')}`));
+        const unlink = onAbort(signal, () => resolveApproval(sessionKey(connector, sender.chatId), id, false));
+        return promise.finally(unlink);
+    };
+}
+
+async function handleApproval({ connector, sender, reply, color }, argStr, approved) {
+    const request = resolveApproval(sessionKey(connector, sender.chatId), argStr.split(/\s+/)[0], approved);
+    if (!request) {
+        const usage = approved ? '/approve <id>' : '/reject <id>';
+        await reply(`❌ No pending change${argStr ? ` with id \`${argStr}\`` : ''} for this chat. Usage: \`${usage}\``, { markdown: true });
+        return 'not found';
+    }
+
+    const files = request.files.join(', ');
+    await reply(approved ? `✅ Applying changes to ${files}...` : `🚫 Discarded changes to ${files}.`);
+    console.log(color(`  ${icons.check} ${connector.label} user ${approved ? 'approved' : 'rejected'} changes to ${files}`));
+    return `${approved ? 'approved' : 'rejected'}: ${files}`;
+}
+
+// ── Command handlers ────────────────────────────────────────────
+
+async function handleHelp({ connector, reply, color }) {
+    await reply(getHelpText(listCustomAgentNames(loadConfig())), { markdown: true });
+    console.log(color(`  ${icons.check} Sent help message to ${connector.label} user`));
+}
+
+async function handleFolder({ connector, reply, color }) {
+    const config = loadConfig();
+    let folderMsg = `📁 *Current Directory:*\n\`${process.cwd()}\``;
+    if (config.activeWorkspace && config.workspaces?.[config.activeWorkspace]) {
+        const wsName = config.activeWorkspace;
+        const wsFolders = config.workspaces[wsName];
+        folderMsg += `\n\n✅ *Virtual Workspace:* \`${wsName}\``;
+        for (const [alias, path] of Object.entries(wsFolders)) {
+            folderMsg += `\n  • \`${alias}\` → \`${path}\``;
+        }
+    } else {
+        folderMsg += `\n\n_No virtual workspace active._`;
+    }
+    await reply(folderMsg, { markdown: true });
+    console.log(color(`  ${icons.check} Sent folder path to ${connector.label} user`));
+}
+
+async function handleNgrokCommand({ connector, reply, color }) {
+    console.log(color(`  [Starting ngrok via ${connector.label}: 8080]`));
+    const response = await handleNgrok(['8080'], true);
+    await reply(response, { markdown: true });
+}
+
+async function handleCmd(ctx, cmdStr) {
+    const { connector, reply, color } = ctx;
+    if (!cmdStr) {
+        await reply('Please provide a command. Example: /cmd ls -la');
+        return 'invalid';
+    }
+    const binary = cmdStr.trim().split(/\s+/)[0];
+    if (!canRunBinary(ctx.role, binary)) {
+        return denyRequest(ctx, `running \`${binary}\``);
+    }
+    console.log(color(`  [Running secure command via ${connector.label}: ${cmdStr}]`));
+    const response = await handleSafeCommand(cmdStr);
+    await reply(response, { markdown: true });
+    return commandOutcome(response);
+}
+
+async function handleCmdWorkspace(ctx, cmdStr) {
+    const { connector, reply, color } = ctx;
+    if (!cmdStr) {
+        await reply('Please provide a command. Example: /cmd-workspace flutter build\nOr target a specific alias: /cmd-workspace frontend ls');
+        return 'invalid';
+    }
+    const config = loadConfig();
+    if (config.activeWorkspace && !canUseWorkspace(ctx.role, config.activeWorkspace)) {
+        return denyRequest(ctx, `the ${config.activeWorkspace} workspace`);
+    }
+    const [first, second] = cmdStr.trim().split(/\s+/);
+    const binary = config.workspaces?.[config.activeWorkspace]?.[first] ? second : first;
+    if (binary && !canRunBinary(ctx.role, binary)) {
+        return denyRequest(ctx, `running \`${binary}\``);
+    }
+    console.log(color(`  [Running workspace command via ${connector.label}: ${cmdStr}]`));
+    const response = await handleSafeCommandInWorkspace(cmdStr, config);
+    await reply(response, { markdown: true });
+    return commandOutcome(response);
+}
+
+// Subcommands that name the workspace they act on; the others act on the active one
+const NAMED_WORKSPACE_SUBCOMMANDS = new Set(['create', 'new', 'use', 'set', 'activate', 'remove', 'rm', 'delete']);
+const ACTIVE_WORKSPACE_SUBCOMMANDS = new Set(['add']);
+
+async function handleWorkspaceCommand(ctx, argStr) {
+    const { connector, reply, color } = ctx;
+    const [sub = '', name] = argStr.trim().split(/\s+/);
+    const target = NAMED_WORKSPACE_SUBCOMMANDS.has(sub.toLowerCase())
+        ? name
+        : ACTIVE_WORKSPACE_SUBCOMMANDS.has(sub.toLowerCase()) ? loadConfig().activeWorkspace : null;
+    if (target && !canUseWorkspace(ctx.role, target)) {
+        return denyRequest(ctx, `the ${target} workspace`);
+    }
+    const cmdStr = `workspace ${argStr}`.trim();
+    console.log(color(`  [Running workspace command via ${connector.label}: ${cmdStr}]`));
+    const response = await runCommand(cmdStr);
+    await reply(`🛠️ *Workspace Manager*\n\n${response}`, { markdown: true });
+}
+
+async function handleCancel({ connector, sender, reply, color }, argStr) {
+    const all = argStr.trim().toLowerCase() === 'all';
+    const { running, queued } = cancelChatRequests(connector, sender.chatId, { all });
+    if (!running && queued === 0) {
+        await reply('Nothing to cancel. Send /cancel all to also drop queued requests.');
+        return 'nothing to cancel';
+    }
+    const parts = [running ? 'the running request' : null, queued ? `${queued} queued` : null].filter(Boolean);
+    await reply(`🛑 Cancelled ${parts.join(' and ')}.`);
+    console.log(color(`  ${icons.check} ${connector.label} user cancelled ${parts.join(' and ')}`));
+    return `cancelled ${parts.join(' and ')}`;
+}
+
+async function handleClear({ connector, sender, reply, color }) {
+    clearChatAgents(connector, sender.chatId);
+    await reply('🧹 *History cleared.* All agent sessions have been reset for this chat.', { markdown: true });
+    console.log(color(`  ${icons.check} Cleared agent history for ${connector.label} chat ${sender.chatId}`));
+}
+
+/**
+ * Check whether a path is inside the working directory or the active
+ * workspace (when the sender's role may use it).
+ */
+function isPathAllowed(resolved, role) {
+    const config = loadConfig();
+    const wsName = config?.activeWorkspace && canUseWorkspace(role, config.activeWorkspace) ? config.activeWorkspace : null;
+    const wsFolders = wsName ? Object.values(config?.workspaces?.[wsName] || {}) : [];
+    const isUnderDir = (parent, child) => {
+        const sep = process.platform === 'win32' ? '\\' : '/';
+        const p = parent.endsWith(sep) ? parent : parent + sep;
+        return child.startsWith(p) || child === parent;
+    };
+    const wsSymlinkDir = wsName ? join(homedir(), '.cli-bot', 'workspaces', wsName) : null;
+    const inCwd = isUnderDir(process.cwd(), resolved);
+    const inWorkspace = wsFolders.some(folder => isUnderDir(folder, resolved))
+        || (wsSymlinkDir != null && isUnderDir(wsSymlinkDir, resolved));
+    return inCwd || inWorkspace;
+}
+
+async function handleFile({ connector, sender, reply, color, role }, filePath) {
+    if (!filePath) {
+        await reply('Please provide a file path. Example: /file README.md');
+        return 'invalid';
+    }
+
+    const resolved = resolve(process.cwd(), filePath);
+    if (!isPathAllowed(resolved, role)) {
+        await reply('❌ Access denied: path is outside the working directory.');
+        return `denied: ${resolved}`;
+    }
+    if (!existsSync(resolved)) {
+        await reply(`❌ File not found: \`${filePath}\``, { markdown: true });
+        return 'not found';
+    }
+
+    try {
+        await connector.sendFile(sender.chatId, resolved, reply);
+        console.log(color(`  ${icons.check} Sent file to ${connector.label}: ${resolved}`));
+        return `ok: ${resolved}`;
+    } catch (err) {
+        await reply(`❌ Failed to send file: ${err.message}`);
+        console.log(colors.error(`  ${icons.cross} Failed to send file: ${err.message}`));
+        return `error: ${err.message}`;
+    }
+}
+
+export { AGENT_ROUTES, COMMAND_ROUTES };
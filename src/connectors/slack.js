@@ -0,0 +1,196 @@
+import { WebClient } from '@slack/web-api';
+import { SocketModeClient, LogLevel } from '@slack/socket-mode';
+import { basename } from 'path';
+import { BaseConnector } from './base.js';
+
+/**
+ * Slack connector.
+ *
+ * Outbound messages go through the Web API (bot token, xoxb-). Inbound
+ * messages arrive over Socket Mode (app-level token, xapp-) so no public
+ * URL is needed: the bot answers DMs and @mentions, always in a thread.
+ *
+ * Slack's own client swallows messages that start with "/" as slash
+ * commands, so router commands are typed with "!" instead (`!claude hi`)
+ * and rewritten to "/" before routing.
+ */
+export class SlackConnector extends BaseConnector {
+    constructor(config = {}) {
+        super('slack', config);
+        this.label = 'Slack';
+        this.allowlistKey = 'SLACK_ALLOWED_USERS';
+        this.client = null;
+        this.socket = null;
+        this.botInfo = null;
+        this.userNames = new Map();
+    }
+
+    getToken() {
+        return this.config.token || process.env.SLACK_BOT_TOKEN;
+    }
+
+    getAppToken() {
+        return this.config.appToken || process.env.SLACK_APP_TOKEN;
+    }
+
+    isConnected() {
+        return !!(this.client && this.botInfo);
+    }
+
+    /**
+     * Whether inbound messages are being received over Socket Mode.
+     */
+    isListening() {
+        return !!this.socket;
+    }
+
+    /**
+     * Authenticate with the bot token and resolve with the auth.test() result.
+     * When an app-level token is configured, also open the Socket Mode connection.
+     */
+    async start() {
+        const token = this.getToken();
+        if (!token) {
+            throw new Error('SLACK_BOT_TOKEN not set.');
+        }
+
+        try {
+            this.client = new WebClient(token);
+            this.botInfo = await this.client.auth.test();
+
+            const appToken = this.getAppToken();
+            if (appToken) {
+                this.socket = new SocketModeClient({ appToken, logLevel: LogLevel.ERROR });
+                this.socket.on('message', ({ event, ack }) => this._onEvent(event, ack));
+                this.socket.on('app_mention', ({ event, ack }) => this._onEvent(event, ack));
+                await this.socket.start();
+            }
+
+            return this.botInfo;
+        } catch (err) {
+            await this.stop();
+            throw err;
+        }
+    }
+
+    async stop() {
+        if (this.socket) {
+            try {
+                await this.socket.disconnect();
+            } catch {
+                // Already closed
+            }
+        }
+        this.socket = null;
+        this.client = null;
+        this.botInfo = null;
+    }
+
+    /**
+     * Resolve a channel name (with or without #) or ID to a channel ID.
+     * @returns {Promise<string|null>}
+     */
+    async resolveChannel(channel) {
+        if (channel.startsWith('C') || channel.startsWith('D') || channel.startsWith('G')) {
+            return channel;
+        }
+
+        const name = channel.replace(/^#/, '');
+        try {
+            const result = await this.client.conversations.list({
+                types: 'public_channel,private_channel',
+                limit: 200,
+            });
+            const match = result.channels.find((ch) => ch.name === name);
+            return match?.id || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} channel - Channel name or ID
+     * @param {string} text
+     * @param {object} [options]
+     * @param {string} [options.threadTs] - Reply inside this thread
+     */
+    async sendText(channel, text, { threadTs } = {}) {
+        const channelId = await this.resolveChannel(channel);
+        if (!channelId) {
+            throw new Error(`Channel "${channel}" not found`);
+        }
+        return this.client.chat.postMessage({ channel: channelId, text, thread_ts: threadTs });
+    }
+
+    async sendFile(channel, filePath) {
+        await this.client.files.uploadV2({
+            channel_id: channel,
+            file: filePath,
+            filename: basename(filePath),
+        });
+    }
+
+    /**
+     * Look up (and cache) a user's display name.
+     * @private
+     */
+    async _getUserName(userId) {
+        if (!this.userNames.has(userId)) {
+            try {
+                const info = await this.client.users.info({ user: userId });
+                this.userNames.set(userId, info.user.real_name || info.user.name || userId);
+            } catch {
+                this.userNames.set(userId, userId);
+            }
+        }
+        return this.userNames.get(userId);
+    }
+
+    /**
+     * Acknowledge a Socket Mode envelope, then handle its event.
+     * @private
+     */
+    async _onEvent(event, ack) {
+        await ack();
+        try {
+            await this._handleEvent(event);
+        } catch {
+            // Errors are reported by the router; never crash the socket listener
+        }
+    }
+
+    /**
+     * Normalize a Slack event and hand it to the router.
+     *
+     * DMs arrive as `message` events with channel_type "im"; in channels
+     * the bot only reacts to `app_mention` so it never answers chatter.
+     * @private
+     */
+    async _handleEvent(event) {
+        if (!this.onMessage || !event?.user) return;
+
+        // Skip edits, joins, bot posts and our own replies
+        if (event.subtype || event.bot_id || event.user === this.botInfo?.user_id) return;
+
+        const isDirect = event.channel_type === 'im' || event.channel?.startsWith('D');
+        if (event.type === 'message' && !isDirect) return;
+        if (event.type === 'app_mention' && isDirect) return;
+
+        const text = (event.text || '').replace(/<@[A-Z0-9]+>/g, '').trim().replace(/^!(?=\S)/, '/');
+        const threadTs = event.thread_ts || event.ts;
+
+        const sender = {
+            id: event.user,
+            name: await this._getUserName(event.user),
+            chatId: event.channel,
+            chatType: isDirect ? 'private' : 'channel',
+        };
+        const reply = (replyText) => this.client.chat.postMessage({
+            channel: event.channel,
+            text: replyText,
+            thread_ts: threadTs,
+        });
+
+        await this.onMessage(text, sender, reply);
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * ─── Telegram Reply Stream ──────────────────────────────────────
+ *
+ * Progressively renders a streaming agent reply into Telegram messages
+ * by editing a placeholder as tokens arrive.
+ *
+ * Design:
+ *   • Edits are throttled (one per `intervalMs`) to stay under Telegram's
+ *     per-chat edit rate limits; tokens arriving in between are batched.
+ *   • When the live text outgrows `limit`, the current message is frozen at
+ *     the same split point splitTelegramMessage() would pick and streaming
+ *     continues in a fresh message.
+ *   • Streamed edits are plain text (partial Markdown is often invalid);
+ *     finish() re-renders the final answer with Markdown.
+ *   • reset() throws the streamed text away when a retry or fallback agent
+ *     starts over, so its answer isn't appended to the failed one.
+ */
+import { formatTelegramMarkdown, splitTelegramMessage } from '../utils/telegram-format.js';
+
+export class TelegramReplyStream {
+    /**
+     * @param {object} bot - node-telegram-bot-api instance (sendMessage / editMessageText / deleteMessage)
+     * @param {string|number} chatId
+     * @param {object} [options]
+     * @param {number} [options.limit=4000] - Max characters per message
+     * @param {number} [options.intervalMs=1000] - Minimum delay between edits
+     */
+    constructor(bot, chatId, { limit = 4000, intervalMs = 1000 } = {}) {
+        this.bot = bot;
+        this.chatId = chatId;
+        this.limit = limit;
+        this.intervalMs = intervalMs;
+
+        this.text = '';          // Everything streamed so far
+        this.offset = 0;         // Where the current (live) message starts in this.text
+        this.messageIds = [];    // Messages owned by this stream, in order
+        this.lastRendered = '';  // Last text written to the live message
+        this.lastEdit = 0;
+        this.timer = null;
+        this.queue = Promise.resolve(); // Serializes Telegram API calls
+    }
+
+    /**
+     * Send the placeholder message that will be edited as tokens arrive.
+     * @param {string} placeholder
+     */
+    async start(placeholder) {
+        const msg = await this.bot.sendMessage(this.chatId, placeholder);
+        this.messageIds.push(msg.message_id);
+        this.lastRendered = placeholder;
+    }
+
+    /**
+     * Append a streamed token. Rendering happens asynchronously, throttled.
+     * @param {string} token
+     */
+    push(token) {
+        if (!token) return;
+        this.text += token;
+        if (this.timer) return;
+
+        const wait = Math.max(0, this.lastEdit + this.intervalMs - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._enqueue(() => this._flush());
+        }, wait);
+    }
+
+    /**
+     * Drop everything streamed so far and show `placeholder` in the first
+     * message again; any messages the stream rolled over into are deleted.
+     * @param {string} [placeholder]
+     */
+    reset(placeholder = '🔄 Retrying...') {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.text = '';
+        // Rollovers happen inside queued flushes, so trim the messages in turn
+        this._enqueue(async () => {
+            this.offset = 0;
+            for (const messageId of this.messageIds.splice(1)) {
+                await this.bot.deleteMessage(this.chatId, messageId).catch(() => { });
+            }
+            await this._edit(placeholder);
+        });
+    }
+
+    /**
+     * Replace the streamed text with the final, Markdown-formatted answer.
+     * Reuses the stream's messages in order, sends more if needed and deletes
+     * any left over (the final text can be shorter than what was streamed).
+     * @param {string} finalText
+     */
+    async finish(finalText) {
+        await this._settle();
+
+        const chunks = splitTelegramMessage(formatTelegramMarkdown(finalText), this.limit);
+        await this._enqueue(async () => {
+            for (let i = 0; i < chunks.length; i++) {
+                const messageId = this.messageIds[i];
+                if (messageId === undefined) {
+                    await this._sendMarkdown(chunks[i]);
+                } else {
+                    await this._editMarkdown(messageId, chunks[i]);
+                }
+            }
+            for (const messageId of this.messageIds.slice(chunks.length)) {
+                await this.bot.deleteMessage(this.chatId, messageId).catch(() => { });
+            }
+        });
+    }
+
+    /**
+     * Stop streaming and show an error in the live message.
+     * @param {string} errorText
+     */
+    async fail(errorText) {
+        await this._settle();
+        await this._enqueue(() => this._edit(errorText));
+    }
+
+    // ── Internals ───────────────────────────────────────────────
+
+    /** Cancel any pending edit and wait for in-flight API calls. */
+    async _settle() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        await this.queue;
+    }
+
+    _enqueue(task) {
+        this.queue = this.queue.then(task).catch(() => { });
+        return this.queue;
+    }
+
+    async _flush() {
+        let live = this.text.slice(this.offset);
+
+        // Roll over into a new message at the split point
+        while (live.length > this.limit) {
+            const [head] = splitTelegramMessage(live, this.limit);
+            await this._edit(head);
+
+            const rest = live.slice(head.length);
+            this.offset += head.length + (rest.length - rest.trimStart().length);
+
+            const msg = await this.bot.sendMessage(this.chatId, '…');
+            this.messageIds.push(msg.message_id);
+            this.lastRendered = '…';
+            live = this.text.slice(this.offset);
+        }
+
+        if (live.trim()) await this._edit(live);
+        this.lastEdit = Date.now();
+    }
+
+    /** Plain-text edit of the live (last) message. */
+    async _edit(text) {
+        if (text === this.lastRendered) return;
+        const messageId = this.messageIds[this.messageIds.length - 1];
+        try {
+            await this.bot.editMessageText(text, { chat_id: this.chatId, message_id: messageId });
+            this.lastRendered = text;
+        } catch {
+            // Rate limited or "message is not modified" — the next flush catches up
+        }
+    }
+
+    async _editMarkdown(messageId, text) {
+        const target = { chat_id: this.chatId, message_id: messageId };
+        try {
+            await this.bot.editMessageText(text, { ...target, parse_mode: 'Markdown' });
+        } catch {
+            // Fallback if Markdown parsing fails
+            await this.bot.editMessageText(text, target).catch(() => { });
+        }
+    }
+
+    async _sendMarkdown(text) {
+        try {
+            await this.bot.sendMessage(this.chatId, text, { parse_mode: 'Markdown' });
+        } catch {
+            await this.bot.sendMessage(this.chatId, text).catch(() => { });
+        }
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * ─── Telegram Webhook ───────────────────────────────────────────
+ *
+ * Receives Telegram updates over HTTPS instead of long polling. A local
+ * HTTP listener takes the POSTs Telegram sends to the public URL (ngrok
+ * or a reverse proxy) and hands them to the bot's processUpdate().
+ *
+ * Design:
+ *   • setWebHook() registers a random secret_token on every start;
+ *     requests without the matching X-Telegram-Bot-Api-Secret-Token
+ *     header are refused, so nobody else can inject updates
+ *   • Updates are acknowledged right away and processed afterwards —
+ *     Telegram retries (and duplicates) requests that answer slowly
+ *   • The listener binds to 127.0.0.1 by default; the tunnel or proxy
+ *     in front of it is what faces the internet
+ */
+import http from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+
+export const WEBHOOK_PATH = '/telegram/webhook';
+export const DEFAULT_WEBHOOK_PORT = 8788;
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const MAX_UPDATE_BYTES = 1024 * 1024;
+
+function secretMatches(received, secret) {
+    const a = Buffer.from(String(received || ''));
+    const b = Buffer.from(secret);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Create the HTTP listener for webhook updates.
+ *
+ * @param {object} options
+ * @param {string} options.secret - Expected secret token header
+ * @param {(update: object) => void} options.onUpdate
+ * @returns {http.Server}
+ */
+export function createWebhookServer({ secret, onUpdate }) {
+    return http.createServer((req, res) => {
+        const reply = (status) => {
+            res.writeHead(status);
+            res.end();
+        };
+
+        if (new URL(req.url, 'http://localhost').pathname !== WEBHOOK_PATH) return reply(404);
+        if (req.method !== 'POST') return reply(405);
+        if (!secretMatches(req.headers[SECRET_HEADER], secret)) return reply(401);
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_UPDATE_BYTES) {
+                reply(413);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+            } catch {
+                return reply(400);
+            }
+            reply(200);
+            onUpdate(update);
+        });
+    });
+}
+
+/**
+ * Start the listener and register it with Telegram.
+ *
+ * @param {object} bot - node-telegram-bot-api instance (setWebHook / deleteWebHook / processUpdate)
+ * @param {object} options
+ * @param {number} [options.port=8788] - Local port (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1']
+ * @param {(port: number) => Promise<{ url: string, close?: () => void }>} options.getPublicUrl
+ *   Public HTTPS base URL that forwards to the local port
+ * @returns {Promise<{ url: string, port: number, close: () => Promise<void> }>}
+ */
+export async function startTelegramWebhook(bot, { port = DEFAULT_WEBHOOK_PORT, host = '127.0.0.1', getPublicUrl }) {
+    const secret = randomBytes(32).toString('hex');
+    const server = createWebhookServer({ secret, onUpdate: (update) => bot.processUpdate(update) });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', (err) => {
+            reject(err.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : err);
+        });
+        server.listen(port, host, resolve);
+    });
+    const boundPort = server.address().port;
+
+    let tunnel = null;
+    const closeServer = () => new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+    });
+
+    try {
+        tunnel = await getPublicUrl(boundPort);
+        if (!/^https:\/\//.test(tunnel.url)) {
+            throw new Error(`Telegram webhooks need an https:// URL (got ${tunnel.url})`);
+        }
+        const url = `${tunnel.url.replace(/\/+$/, '')}${WEBHOOK_PATH}`;
+        await bot.setWebHook(url, { secret_token: secret });
+
+        return {
+            url,
+            port: boundPort,
+            async close() {
+                try { await bot.deleteWebHook(); } catch { /* offline — polling removes it later */ }
+                tunnel.close?.();
+                await closeServer();
+            },
+        };
+    } catch (err) {
+        tunnel?.close?.();
+        await closeServer();
+        throw err;
+    }
+}
@@ -0,0 +1,222 @@
+import TelegramBot from 'node-telegram-bot-api';
+import { statSync } from 'fs';
+import { BaseConnector } from './base.js';
+import { TelegramReplyStream } from './telegram-stream.js';
+import { startTelegramWebhook, DEFAULT_WEBHOOK_PORT } from './telegram-webhook.js';
+import { colors, icons } from '../ui/theme.js';
+import { serveFileViaNgrok, openNgrokTunnel } from '../services/ngrok.js';
+import { tgMtprotoAvailable, tgSendLargeFileToSelf } from '../services/telegram-mtproto.js';
+import { MAX_IMAGE_BYTES, readStream } from '../utils/attachments.js';
+
+// Bot API upload limit — larger files go through MTProto or ngrok
+const TELEGRAM_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Check if a token looks like a valid Telegram bot token.
+ * Valid format: <digits>:<alphanumeric+special>  (e.g. 123456789:AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw)
+ * Rejects placeholder values like "your-telegram-bot-token-here".
+ */
+export function isValidTokenFormat(token) {
+    if (!token || typeof token !== 'string') return false;
+    return /^\d+:[A-Za-z0-9_-]+$/.test(token.trim());
+}
+
+/**
+ * Telegram Bot API connector — long polling, or a webhook when
+ * TELEGRAM_MODE=webhook (falls back to polling if the webhook can't be set up).
+ */
+export class TelegramConnector extends BaseConnector {
+    constructor(config = {}) {
+        super('telegram', config);
+        this.label = 'Telegram';
+        this.allowlistKey = 'TELEGRAM_ALLOWED_USERS';
+        this.bot = null;
+        this.botInfo = null;
+        this.mode = null;            // 'polling' | 'webhook' while connected
+        this.webhook = null;         // { url, port, close } in webhook mode
+        this.webhookError = null;    // Why webhook mode fell back to polling
+        this.recentChats = new Map(); // chatId → { name, type, lastMessage }
+    }
+
+    getToken() {
+        return this.config.token || process.env.TELEGRAM_BOT_TOKEN;
+    }
+
+    /**
+     * The configured mode: 'webhook' or 'polling' (default).
+     */
+    getMode() {
+        const mode = (this.config.mode || process.env.TELEGRAM_MODE || 'polling').toLowerCase();
+        return mode === 'webhook' ? 'webhook' : 'polling';
+    }
+
+    isConnected() {
+        return !!(this.bot && this.botInfo);
+    }
+
+    /**
+     * Start receiving messages and resolve with the bot's own user info.
+     * @param {object} [options]
+     * @param {(err: Error) => void} [options.onPollingError] - Polling error callback
+     * @param {(err: Error) => void} [options.onWebhookFallback] - Webhook setup failed, polling instead
+     * @returns {Promise<object>} The getMe() result
+     */
+    async start({ onPollingError, onWebhookFallback } = {}) {
+        const token = this.getToken();
+        if (!isValidTokenFormat(token)) {
+            throw new Error('TELEGRAM_BOT_TOKEN not set or invalid.');
+        }
+        if (this.isConnected()) return this.botInfo;
+
+        try {
+            this.bot = new TelegramBot(token, { polling: false });
+            this.bot.on('polling_error', onPollingError || (() => { }));
+
+            this.botInfo = await this.bot.getMe();
+            this.bot.on('message', (msg) => this._handleMessage(msg));
+
+            this.webhookError = null;
+            if (this.getMode() === 'webhook') {
+                try {
+                    this.webhook = await startTelegramWebhook(this.bot, {
+                        port: Number(this.config.webhookPort ?? process.env.TELEGRAM_WEBHOOK_PORT ?? DEFAULT_WEBHOOK_PORT),
+                        host: this.config.webhookHost || process.env.TELEGRAM_WEBHOOK_HOST || '127.0.0.1',
+                        getPublicUrl: (port) => {
+                            const url = this.config.webhookUrl || process.env.TELEGRAM_WEBHOOK_URL;
+                            return url ? { url } : openNgrokTunnel(port);
+                        },
+                    });
+                    this.mode = 'webhook';
+                } catch (err) {
+                    this.webhookError = err.message;
+                    onWebhookFallback?.(err);
+                }
+            }
+
+            if (!this.webhook) {
+                // Not awaited — the first getUpdates call is a long poll.
+                // Polling also removes a webhook left over from a previous run.
+                this.bot.startPolling();
+                this.mode = 'polling';
+            }
+            return this.botInfo;
+        } catch (err) {
+            // Stop polling if it was already started before the failure
+            await this.stop();
+            throw err;
+        }
+    }
+
+    async stop() {
+        if (this.webhook) {
+            await this.webhook.close();
+        } else if (this.bot) {
+            try { await this.bot.stopPolling(); } catch { /* ignore */ }
+        }
+        this.bot = null;
+        this.botInfo = null;
+        this.mode = null;
+        this.webhook = null;
+    }
+
+    trackChat(sender) {
+        this.recentChats.set(String(sender.chatId), {
+            name: sender.chatName,
+            type: sender.chatType,
+            lastMessage: Date.now(),
+        });
+    }
+
+    async sendText(chatId, text, { markdown = false } = {}) {
+        if (!markdown) return this.bot.sendMessage(chatId, text);
+        try {
+            return await this.bot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+        } catch {
+            // If Markdown parsing fails (ex. unclosed backticks), fallback to raw text without parse_mode
+            return this.bot.sendMessage(chatId, text);
+        }
+    }
+
+    /**
+     * Stream agent replies by editing a placeholder message.
+     */
+    createReplyStream(sender) {
+        if (!this.isConnected()) return null;
+        return new TelegramReplyStream(this.bot, sender.chatId, { limit: this.maxMessageLength });
+    }
+
+    /**
+     * Send a file, routing large files through MTProto (Saved Messages) or an ngrok link.
+     */
+    async sendFile(chatId, filePath, reply) {
+        const fileSize = statSync(filePath).size;
+        if (fileSize <= TELEGRAM_MAX_BYTES) {
+            await this.bot.sendDocument(chatId, filePath);
+            return;
+        }
+
+        const sizeMB = (fileSize / 1024 / 1024).toFixed(1);
+        if (tgMtprotoAvailable()) {
+            try {
+                await reply(`⏳ File is ${sizeMB} MB — uploading to your Saved Messages via MTProto...`);
+                console.log(colors.telegram(`  Uploading large file via MTProto: ${filePath}`));
+                await tgSendLargeFileToSelf(filePath, (pct) => {
+                    process.stdout.write(`\r  MTProto upload: ${pct}%   `);
+                });
+                process.stdout.write('\r');
+                await reply(`✅ File sent to your *Saved Messages* on Telegram!\n\nOpen the Saved Messages chat in your Telegram app to download it.`, { markdown: true });
+                return;
+            } catch (err) {
+                process.stdout.write('\r');
+                console.log(colors.error(`  ${icons.cross} MTProto upload failed: ${err.message}`));
+                // Fall back to ngrok if MTProto upload fails
+                await reply('⚠️ MTProto upload failed, trying ngrok fallback...');
+            }
+        } else {
+            await reply(`⏳ File is ${sizeMB} MB — too large for Telegram. Generating download link via ngrok...`);
+        }
+
+        const url = await serveFileViaNgrok(filePath);
+        await reply(`📥 *Download link* (expires after 1 download or 5 min):\n${url}`, { markdown: true });
+    }
+
+    /**
+     * Normalize a Bot API message and hand it to the router.
+     * @private
+     */
+    async _handleMessage(msg) {
+        if (!this.onMessage) return;
+        const chatId = msg.chat.id;
+        const sender = {
+            id: String(msg.from.id),
+            name: msg.from.first_name || msg.from.username || 'Unknown',
+            chatId: String(chatId),
+            chatName: msg.chat.title || msg.chat.first_name || msg.chat.username || String(chatId),
+            chatType: msg.chat.type,
+        };
+        const reply = (text, options) => this.sendText(chatId, text, options);
+        // A photo's or document's caption is its prompt
+        await this.onMessage(msg.text || msg.caption || '', sender, reply, this._attachments(msg));
+    }
+
+    /**
+     * Describe a message's photo or document for the router; files are
+     * only downloaded if it hands them to an agent.
+     * @private
+     */
+    _attachments(msg) {
+        const download = (fileId) => async () => ({ data: await readStream(this.bot.getFileStream(fileId)) });
+
+        if (msg.photo?.length) {
+            // Sizes come smallest first — take the largest one within the image cap
+            const fitting = msg.photo.filter((p) => !p.file_size || p.file_size <= MAX_IMAGE_BYTES);
+            const photo = fitting[fitting.length - 1] || msg.photo[msg.photo.length - 1];
+            return [{ name: 'photo.jpg', mimeType: 'image/jpeg', size: photo.file_size, load: download(photo.file_id) }];
+        }
+        if (msg.document) {
+            const { file_id: fileId, file_name: name, mime_type: mimeType, file_size: size } = msg.document;
+            return [{ name: name || 'document', mimeType, size, load: download(fileId) }];
+        }
+        return [];
+    }
+}
@@ -0,0 +1,184 @@
+import pkg from 'whatsapp-web.js';
+const { Client, LocalAuth, MessageMedia } = pkg;
+import qrcode from 'qrcode-terminal';
+import { join } from 'path';
+import { homedir } from 'os';
+import { BaseConnector } from './base.js';
+import { colors, icons } from '../ui/theme.js';
+import { beginAsyncOutput, endAsyncOutput } from '../ui/prompt.js';
+import { getAssignedRole } from '../utils/roles.js';
+
+export const AUTH_PATH = join(homedir(), '.cli-bot', 'whatsapp-auth');
+
+/**
+ * WhatsApp Web connector (whatsapp-web.js, QR code auth).
+ */
+export class WhatsAppConnector extends BaseConnector {
+    constructor(config = {}) {
+        super('whatsapp', config);
+        this.label = 'WhatsApp';
+        this.allowlistKey = 'WHATSAPP_ALLOWED_USERS';
+        this.client = null;
+        this.isReady = false;
+        this.isConnecting = false;
+    }
+
+    /**
+     * Parse the allowed WhatsApp users (phone numbers) from the environment.
+     * Numbers are normalized to digits only.
+     */
+    getAllowedUsers() {
+        const raw = process.env.WHATSAPP_ALLOWED_USERS;
+        if (!raw || raw.trim() === '') return new Set();
+        return new Set(raw.split(',').map(id => id.trim().replace(/[^0-9]/g, '')).filter(Boolean));
+    }
+
+    /**
+     * WhatsApp is open access when no allowlist is set (NOT recommended).
+     */
+    isAllowed(senderId) {
+        const allowed = this.getAllowedUsers();
+        return allowed.size === 0 || allowed.has(String(senderId).replace(/[^0-9]/g, ''))
+            || !!getAssignedRole(this.name, senderId);
+    }
+
+    isConnected() {
+        return this.isReady;
+    }
+
+    /**
+     * Get the WhatsApp client, creating it if needed.
+     * @private
+     */
+    _getClient() {
+        if (!this.client) {
+            this.client = new Client({
+                authStrategy: new LocalAuth({ dataPath: AUTH_PATH }),
+                puppeteer: {
+                    headless: true,
+                    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+                },
+            });
+
+            this.client.on('qr', (qr) => {
+                qrcode.generate(qr, { small: true }, (qrString) => {
+                    // Indent QR code
+                    const indented = qrString.split('\n').map(line => '    ' + line).join('\n');
+                    console.log(indented);
+                    console.log(colors.muted('\n  Waiting for scan...'));
+                });
+            });
+
+            this.client.on('authenticated', () => {
+                console.log(colors.whatsapp(`\n  ${icons.check} WhatsApp authenticated`));
+            });
+
+            this.client.on('auth_failure', (msg) => {
+                console.log(colors.error(`\n  ${icons.cross} WhatsApp auth failed: ${msg}`));
+                this.isConnecting = false;
+            });
+
+            this.client.on('ready', () => {
+                this.isReady = true;
+                this.isConnecting = false;
+                beginAsyncOutput();
+                console.log(colors.whatsapp(`\n  ${icons.check} WhatsApp is ready!`));
+                console.log(colors.muted('  You can now send messages with: wa send <number> <message>'));
+                console.log('');
+                endAsyncOutput();
+            });
+
+            this.client.on('message', (msg) => this._handleMessage(msg));
+
+            this.client.on('disconnected', (reason) => {
+                console.log(colors.warning(`\n  ${icons.warning} WhatsApp disconnected: ${reason}`));
+                this.isReady = false;
+                this.isConnecting = false;
+            });
+        }
+        return this.client;
+    }
+
+    /**
+     * Initialize the client. Resolves once the browser session is up;
+     * readiness is signalled later through the 'ready' event.
+     */
+    async start() {
+        this.isConnecting = true;
+        try {
+            await this._getClient().initialize();
+        } catch (err) {
+            this.isConnecting = false;
+            throw err;
+        }
+    }
+
+    async stop() {
+        if (this.client) {
+            await this.client.destroy();
+        }
+        this.client = null;
+        this.isReady = false;
+        this.isConnecting = false;
+    }
+
+    /**
+     * Normalize a phone number or chat ID into a WhatsApp chat ID (number@c.us).
+     */
+    toChatId(to) {
+        return to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@c.us`;
+    }
+
+    async sendText(chatId, text) {
+        return this.client.sendMessage(this.toChatId(chatId), text);
+    }
+
+    async sendFile(chatId, filePath) {
+        const media = MessageMedia.fromFilePath(filePath);
+        await this.client.sendMessage(this.toChatId(chatId), media);
+    }
+
+    /**
+     * Normalize a whatsapp-web.js message and hand it to the router.
+     * @private
+     */
+    async _handleMessage(msg) {
+        if (!this.onMessage) return;
+        const from = msg.from;
+        const contact = await msg.getContact();
+        const sender = {
+            id: from.replace(/[^0-9]/g, ''),
+            name: contact.pushname || contact.name || from,
+            chatId: from,
+            chatType: from.endsWith('@g.us') ? 'group' : 'private',
+        };
+        const reply = (text) => msg.reply(text);
+        // For media messages the body is the caption, which is the prompt
+        await this.onMessage(msg.body || '', sender, reply, this._attachments(msg));
+    }
+
+    /**
+     * Describe an image or document for the router; the media is only
+     * downloaded if it hands it to an agent. The type and size come from
+     * the message, so the router can refuse it before that.
+     * @private
+     */
+    _attachments(msg) {
+        if (!msg.hasMedia || (msg.type !== 'image' && msg.type !== 'document')) return [];
+        const { mimetype, filename, size } = msg._data || {};
+        return [{
+            name: filename || (msg.type === 'image' ? 'image' : 'document'),
+            mimeType: mimetype || (msg.type === 'image' ? 'image/jpeg' : undefined),
+            size,
+            load: async () => {
+                const media = await msg.downloadMedia();
+                if (!media) throw new Error('media is no longer available');
+                return {
+                    data: Buffer.from(media.data, 'base64'),
+                    mimeType: media.mimetype,
+                    name: media.filename || undefined,
+                };
+            },
+        }];
+    }
+}
@@ -1,20 +1,34 @@
 import { spawn } from 'child_process';
 import chalk from 'chalk';
+import { abortError, onAbort } from './utils/abort.js';
+
+// How long a cancelled CLI gets to exit on SIGTERM before it is killed
+const KILL_GRACE_MS = 3000;
 
 /**
  * Execute a CLI-based AI agent with the given prompt.
  * Streams stdout/stderr in real-time.
  *
+ * When `options.signal` fires, the process gets SIGTERM (then SIGKILL if it
+ * lingers) and the promise rejects with the signal's AbortError/TimeoutError.
+ *
  * @param {string} command - The CLI command (e.g. 'claude', 'gemini')
  * @param {string[]} args - Arguments to pass
- * @param {object} options - Spawn options
+ * @param {object} options - Spawn options, plus `silent` and `signal`
  * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
  */
 export function execAgent(command, args = [], options = {}) {
     return new Promise((resolve, reject) => {
+        const { signal, ...spawnOptions } = options;
+        if (signal?.aborted) {
+            reject(abortError(signal));
+            return;
+        }
+
         const stdout = [];
         const stderr = [];
         const silent = options.silent || false;
+        let aborted = null;
 
         // On Windows, spawn with shell:true joins args with spaces but does not
         // quote them, so args containing spaces get split by the shell.
@@ -26,7 +40,15 @@ export function execAgent(command, args = [], options = {}) {
             stdio: ['inherit', 'pipe', 'pipe'],
             shell: process.platform === 'win32',
 
-            ...options,
+            ...spawnOptions,
+        });
+
+        const unlink = onAbort(signal, (err) => {
+            aborted = err;
+            proc.kill('SIGTERM');
+            setTimeout(() => {
+                if (proc.exitCode === null && proc.signalCode === null) proc.kill('SIGKILL');
+            }, KILL_GRACE_MS).unref();
         });
 
         proc.stdout.on('data', (data) => {
@@ -42,10 +64,16 @@ export function execAgent(command, args = [], options = {}) {
         });
 
         proc.on('error', (err) => {
+            unlink();
             reject(new Error(`Failed to start "${command}": ${err.message}`));
         });
 
         proc.on('close', (code) => {
+            unlink();
+            if (aborted) {
+                reject(aborted);
+                return;
+            }
             resolve({
                 code,
                 stdout: stdout.join(''),
@@ -0,0 +1,45 @@
+import { apiStart, apiStatus, apiStop, generateApiToken } from '../services/http-api.js';
+import { loadConfig, saveConfig, syncConfigToEnv } from '../config.js';
+import { colors, icons } from '../ui/theme.js';
+
+export async function handleApi(args) {
+    const subcommand = args[0]?.toLowerCase();
+
+    switch (subcommand) {
+        case 'start': {
+            const port = args[1] !== undefined ? Number(args[1]) : undefined;
+            if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+                console.log(colors.warning(`  Usage: ${colors.primary('api start [port]')}`));
+                return;
+            }
+            await apiStart(port);
+            break;
+        }
+
+        case undefined:
+        case 'status':
+            apiStatus();
+            break;
+
+        case 'stop':
+            await apiStop();
+            break;
+
+        case 'token': {
+            const token = generateApiToken();
+            const config = loadConfig();
+            config.httpApiToken = token;
+            saveConfig(config);
+            syncConfigToEnv();
+            console.log(colors.success(`  ${icons.check} New HTTP_API_TOKEN saved — the old one no longer works.`));
+            console.log(colors.muted('  Send it as a bearer token; it is not shown again:'));
+            console.log(`    ${colors.text.bold(token)}`);
+            break;
+        }
+
+        default:
+            console.log(colors.warning(`  Unknown api command: ${subcommand}`));
+            console.log(colors.muted('  Available: start [port], stop, status, token'));
+            break;
+    }
+}
@@ -0,0 +1,93 @@
+import { colors, icons } from '../ui/theme.js';
+import { readAudit, searchAudit, verifyAudit, AUDIT_DIR } from '../utils/audit.js';
+
+const DEFAULT_TAIL = 20;
+
+function outcomeColor(outcome = '') {
+    if (outcome === 'blocked' || outcome.startsWith('denied')) return colors.warning;
+    if (outcome.startsWith('error')) return colors.error;
+    return colors.success;
+}
+
+function printEntry(entry) {
+    const when = entry.ts ? entry.ts.replace('T', ' ').slice(0, 19) : '?';
+    const who = entry.sender?.name ? `${entry.sender.name} (${entry.sender.id})` : entry.sender?.id || '?';
+    const where = entry.chatId && entry.chatId !== entry.sender?.id ? ` · chat ${entry.chatId}` : '';
+    const role = entry.role ? colors.muted(` [${entry.role}]`) : '';
+    const args = entry.args ? ` ${colors.text(entry.args.length > 120 ? `${entry.args.slice(0, 120)}…` : entry.args)}` : '';
+
+    console.log(`  ${colors.muted(when)}  ${colors.accent(entry.platform)} ${colors.text(who)}${role}${colors.muted(where)}`);
+    console.log(`    ${colors.primary.bold(entry.action)}${args} ${colors.muted('→')} ${outcomeColor(entry.outcome)(entry.outcome)}`);
+}
+
+function printEntries(title, entries) {
+    console.log(`\n  ${colors.primary.bold(title)}`);
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    if (entries.length === 0) {
+        console.log(colors.muted('  No matching entries.'));
+    }
+    for (const entry of entries) printEntry(entry);
+    console.log('');
+}
+
+function printUsage() {
+    console.log(colors.warning(`\n  Usage: ${colors.primary('audit tail [n]')}`));
+    console.log(colors.warning(`         ${colors.primary('audit search <text>')}`));
+    console.log(colors.warning(`         ${colors.primary('audit verify')}`));
+    console.log(colors.muted('  Example: audit search /cmd\n'));
+}
+
+function verify() {
+    const result = verifyAudit();
+    console.log(`\n  ${colors.primary.bold('Audit Log')} ${colors.muted(`— ${AUDIT_DIR}`)}`);
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    if (result.ok) {
+        console.log(`  ${colors.success(icons.check)} ${colors.text(`${result.entries} entries, hash chain intact`)}`);
+        console.log(colors.muted(`  Head: ${result.head}`));
+        console.log(colors.muted('  Keep the head hash somewhere else — removing the newest lines only shows against a copy.\n'));
+    } else {
+        console.log(`  ${colors.error(icons.cross)} ${colors.error(`${result.file} line ${result.line}: ${result.error}`)}`);
+        console.log(colors.muted(`  The ${result.entries} entries before it are intact.\n`));
+    }
+}
+
+/**
+ * Handle `audit tail [n] | search <text> | verify` — review remote actions.
+ * @param {string[]} args
+ */
+export function handleAudit(args) {
+    const subcommand = args[0]?.toLowerCase();
+
+    switch (subcommand) {
+        case undefined:
+        case 'tail': {
+            const count = args[1] ? parseInt(args[1], 10) : DEFAULT_TAIL;
+            if (!(count > 0)) {
+                printUsage();
+                return;
+            }
+            const entries = readAudit().slice(-count);
+            printEntries(`Audit Log ${colors.muted(`— last ${entries.length}`)}`, entries);
+            break;
+        }
+
+        case 'search': {
+            const query = args.slice(1).join(' ').trim();
+            if (!query) {
+                printUsage();
+                return;
+            }
+            const entries = searchAudit(query);
+            printEntries(`Audit Log ${colors.muted(`— ${entries.length} match(es) for "${query}"`)}`, entries);
+            break;
+        }
+
+        case 'verify':
+            verify();
+            break;
+
+        default:
+            printUsage();
+            break;
+    }
+}
@@ -0,0 +1,248 @@
+import { spawn } from 'child_process';
+import { mkdirSync, openSync, closeSync, writeFileSync, existsSync, unlinkSync } from 'fs';
+import { format } from 'util';
+import { colors, icons } from '../ui/theme.js';
+import {
+    DAEMON_DIR, SOCKET_PATH, PID_FILE, LOG_FILE,
+    createControlServer, daemonRequest, getDaemonStatus, runInDaemon, readDaemonPid, tailDaemonLog,
+} from '../services/daemon.js';
+import { slackAutoConnect, slackDisconnect } from '../services/slack.js';
+import { tgAutoConnect, tgDisconnect } from '../services/telegram.js';
+import { waAutoConnect, waDisconnect } from '../services/whatsapp.js';
+import { discordAutoConnect, discordDisconnect } from '../services/discord.js';
+import { matrixAutoConnect, matrixDisconnect } from '../services/matrix.js';
+import { emailAutoConnect, emailDisconnect } from '../services/email.js';
+import { apiAutoConnect, apiStop } from '../services/http-api.js';
+import { stopNgrok } from '../services/ngrok.js';
+import { connectAllMcpServers, disconnectAllMcpServers } from '../services/mcp.js';
+import { loadPluginTools } from '../tools/registry.js';
+import { runCommand } from '../tools/command-runner.js';
+
+const START_TIMEOUT_MS = 20_000;
+const STOP_TIMEOUT_MS = 10_000;
+
+// Shell commands that drive connectors — sent to the daemon when one is running
+export const DAEMON_COMMANDS = { wa: 'wa', whatsapp: 'wa', slack: 'slack', tg: 'tg', telegram: 'tg', discord: 'discord', matrix: 'matrix', email: 'email' };
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function formatUptime(ms) {
+    const minutes = Math.floor(ms / 60_000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Print command output captured in the daemon, re-indented like local output.
+ */
+export function printDaemonOutput(output) {
+    for (const line of output.split('\n')) {
+        console.log(line.startsWith('  ') || !line ? line : `  ${line}`);
+    }
+}
+
+// ── daemon start | stop | status | logs ─────────────────────────
+
+async function startDaemon(entry) {
+    const running = await getDaemonStatus();
+    if (running) {
+        console.log(colors.muted(`\n  Daemon already running (pid ${running.pid}).\n`));
+        return;
+    }
+
+    mkdirSync(DAEMON_DIR, { recursive: true, mode: 0o700 });
+    const log = openSync(LOG_FILE, 'a');
+    const child = spawn(process.execPath, [entry, 'daemon', 'run'], {
+        cwd: process.cwd(),
+        detached: true,
+        stdio: ['ignore', log, log],
+    });
+    closeSync(log);
+
+    let exitCode = null;
+    child.once('exit', (code) => { exitCode = code; });
+    child.unref();
+
+    console.log(colors.muted(`\n  Starting daemon...`));
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    while (Date.now() < deadline && exitCode === null) {
+        const status = await getDaemonStatus();
+        if (status) {
+            console.log(`  ${colors.success(icons.check)} Daemon running ${colors.muted(`(pid ${status.pid})`)}`);
+            console.log(colors.muted(`    Log:    ${LOG_FILE}`));
+            console.log(colors.muted(`    Socket: ${SOCKET_PATH}\n`));
+            return;
+        }
+        await sleep(250);
+    }
+
+    console.log(colors.error(`  ${icons.cross} Daemon did not start${exitCode !== null ? ` (exit code ${exitCode})` : ''}. Last log lines:`));
+    for (const line of tailDaemonLog(10)) console.log(colors.muted(`    ${line}`));
+    console.log('');
+}
+
+async function stopDaemon() {
+    const running = await getDaemonStatus();
+    if (!running) {
+        if (readDaemonPid() !== null && existsSync(PID_FILE)) unlinkSync(PID_FILE); // stale
+        console.log(colors.muted('\n  Daemon is not running.\n'));
+        return;
+    }
+
+    await daemonRequest({ type: 'stop' });
+    const deadline = Date.now() + STOP_TIMEOUT_MS;
+    while (Date.now() < deadline && await getDaemonStatus()) {
+        await sleep(250);
+    }
+    console.log(`\n  ${colors.success(icons.check)} Daemon stopped ${colors.muted(`(pid ${running.pid})`)}\n`);
+}
+
+async function showDaemonStatus() {
+    const status = await getDaemonStatus();
+    console.log(`\n  ${colors.primary.bold('Daemon')}`);
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    if (!status) {
+        console.log(colors.muted(`  ${icons.circle} Not running — start it with ${colors.primary('minigeri daemon start')}\n`));
+        return;
+    }
+
+    console.log(colors.success(`  ${icons.bullet} Running`) + colors.muted(` — pid ${status.pid}, up ${formatUptime(Date.now() - status.startedAt)}, v${status.version}`));
+    console.log(colors.muted(`    Folder: ${status.cwd}`));
+    console.log(colors.muted(`    Log:    ${status.logFile}`));
+    console.log(colors.muted(`    Socket: ${SOCKET_PATH}`));
+    console.log('');
+    printDaemonOutput(await runInDaemon('status'));
+    console.log('');
+}
+
+function showDaemonLogs(count) {
+    const lines = tailDaemonLog(Number(count) || 40);
+    if (lines.length === 0) {
+        console.log(colors.muted(`\n  No daemon log yet (${LOG_FILE}).\n`));
+        return;
+    }
+    console.log('');
+    for (const line of lines) console.log(`  ${line}`);
+    console.log('');
+}
+
+// ── The daemon process itself (`minigeri daemon run`) ───────────
+
+/**
+ * Prefix log lines with a timestamp and copy them to attached shells.
+ */
+function installDaemonLogging(broadcast) {
+    const write = (...args) => {
+        const text = format(...args);
+        process.stdout.write(text ? `[${new Date().toISOString()}] ${text}\n` : '\n');
+        broadcast(text);
+    };
+    console.log = console.info = console.warn = console.error = write;
+}
+
+async function runDaemon(version) {
+    const startedAt = Date.now();
+    let shuttingDown = false;
+
+    const shutdown = async () => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log('Daemon stopping');
+        await server.close();
+        await Promise.allSettled([slackDisconnect(), tgDisconnect(), waDisconnect(), discordDisconnect(), matrixDisconnect(), emailDisconnect(), apiStop(), disconnectAllMcpServers()]);
+        stopNgrok();
+        if (readDaemonPid() === process.pid) unlinkSync(PID_FILE);
+        process.exit(0);
+    };
+
+    const server = createControlServer({
+        run: (command) => runCommand(command),
+        status: async () => ({
+            pid: process.pid,
+            version,
+            startedAt,
+            cwd: process.cwd(),
+            logFile: LOG_FILE,
+        }),
+        stop: () => shutdown(),
+    });
+
+    installDaemonLogging((text) => server.broadcast(text));
+    await server.listen();
+    writeFileSync(PID_FILE, String(process.pid));
+    console.log(`Daemon ${version} started (pid ${process.pid}) in ${process.cwd()}`);
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+
+    const plugins = await loadPluginTools();
+    if (plugins.errors.length > 0) console.log(`${plugins.errors.length} plugin tool file(s) failed to load`);
+    for (const { name, error } of (await connectAllMcpServers()).filter((r) => r.error)) {
+        console.log(`MCP server ${name} failed to connect: ${error}`);
+    }
+
+    await slackAutoConnect();
+    await tgAutoConnect();
+    await waAutoConnect();
+    await discordAutoConnect();
+    await matrixAutoConnect();
+    await emailAutoConnect();
+    await apiAutoConnect();
+    console.log('Connectors started');
+}
+
+/**
+ * Handle `minigeri daemon [start | stop | status | logs [n] | run]`.
+ *
+ * @param {string[]} args
+ * @param {{ entry: string, version: string }} context - Path of minigeri.js and the package version
+ */
+export async function handleDaemon(args, { entry, version }) {
+    const subcommand = args[0]?.toLowerCase();
+
+    switch (subcommand) {
+        case 'start':
+            await startDaemon(entry);
+            break;
+        case 'stop':
+            await stopDaemon();
+            break;
+        case undefined:
+        case 'status':
+            await showDaemonStatus();
+            break;
+        case 'logs':
+            showDaemonLogs(args[1]);
+            break;
+        case 'run':
+            // Foreground — what `daemon start` spawns
+            await runDaemon(version);
+            break;
+        default:
+            console.log(colors.warning(`\n  Usage: ${colors.primary('minigeri daemon [start | stop | status | logs [n]]')}\n`));
+    }
+}
+
+/**
+ * Handle `minigeri run "<command>"` — run one command in the daemon.
+ * @returns {Promise<number>} Exit code
+ */
+export async function handleRun(args) {
+    const command = args.join(' ').trim();
+    if (!command) {
+        console.log(colors.warning(`\n  Usage: ${colors.primary('minigeri run "tg send <chat> <message>"')}\n`));
+        return 1;
+    }
+    if (!(await getDaemonStatus())) {
+        console.error(colors.error(`  ${icons.cross} The minigeri daemon is not running. Start it with ${colors.primary('minigeri daemon start')}`));
+        return 1;
+    }
+
+    const [name, ...rest] = command.split(/\s+/);
+    const canonical = DAEMON_COMMANDS[name.toLowerCase()] || name;
+    const output = await runInDaemon([canonical, ...rest].join(' '));
+    printDaemonOutput(output);
+    return output.startsWith('[Error:') ? 1 : 0;
+}
@@ -0,0 +1,46 @@
+import {
+    discordConnect, discordSend, discordChannels,
+    discordStatus, discordDisconnect
+} from '../services/discord.js';
+import { colors } from '../ui/theme.js';
+
+export async function handleDiscord(args) {
+    const subcommand = args[0]?.toLowerCase();
+
+    switch (subcommand) {
+        case 'connect':
+            await discordConnect();
+            break;
+
+        case 'send': {
+            const target = args[1];
+            const message = args.slice(2).join(' ');
+            if (!target || !message) {
+                console.log(colors.warning(`  Usage: ${colors.discord('discord send <channel_id|#name|@user_id> <message>')}`));
+                console.log(colors.muted('  Example: discord send #general Build passed!'));
+                console.log(colors.muted('  Tip: Use discord channels to find channel IDs'));
+                return;
+            }
+            await discordSend(target, message);
+            break;
+        }
+
+        case 'channels':
+        case 'ch':
+            discordChannels();
+            break;
+
+        case 'status':
+            discordStatus();
+            break;
+
+        case 'disconnect':
+            await discordDisconnect();
+            break;
+
+        default:
+            console.log(colors.warning(`  Unknown Discord command: ${subcommand || '(none)'}`));
+            console.log(colors.muted('  Available: connect, send, channels, status, disconnect'));
+            break;
+    }
+}
@@ -0,0 +1,48 @@
+import {
+    emailConnect, emailSend, emailCheck, emailThreads,
+    emailStatus, emailDisconnect
+} from '../services/email.js';
+import { colors } from '../ui/theme.js';
+
+export async function handleEmail(args) {
+    const subcommand = args[0]?.toLowerCase();
+
+    switch (subcommand) {
+        case 'connect':
+            await emailConnect();
+            break;
+
+        case 'send': {
+            const to = args[1];
+            const message = args.slice(2).join(' ');
+            if (!to || !message) {
+                console.log(colors.warning(`  Usage: ${colors.email('email send <address> <message>')}`));
+                console.log(colors.muted('  Example: email send me@example.com Nightly build finished'));
+                return;
+            }
+            await emailSend(to, message);
+            break;
+        }
+
+        case 'check':
+            await emailCheck();
+            break;
+
+        case 'threads':
+            emailThreads();
+            break;
+
+        case 'status':
+            emailStatus();
+            break;
+
+        case 'disconnect':
+            await emailDisconnect();
+            break;
+
+        default:
+            console.log(colors.warning(`  Unknown email command: ${subcommand || '(none)'}`));
+            console.log(colors.muted('  Available: connect, send, check, threads, status, disconnect'));
+            break;
+    }
+}
@@ -0,0 +1,45 @@
+import {
+    matrixConnect, matrixSend, matrixRooms,
+    matrixStatus, matrixDisconnect
+} from '../services/matrix.js';
+import { colors } from '../ui/theme.js';
+
+export async function handleMatrix(args) {
+    const subcommand = args[0]?.toLowerCase();
+
+    switch (subcommand) {
+        case 'connect':
+            await matrixConnect();
+            break;
+
+        case 'send': {
+            const room = args[1];
+            const message = args.slice(2).join(' ');
+            if (!room || !message) {
+                console.log(colors.warning(`  Usage: ${colors.matrix('matrix send <room_id|#alias:server> <message>')}`));
+                console.log(colors.muted('  Example: matrix send #ops:example.org Backup finished'));
+                console.log(colors.muted('  Tip: Use matrix rooms to find room IDs'));
+                return;
+            }
+            await matrixSend(room, message);
+            break;
+        }
+
+        case 'rooms':
+            matrixRooms();
+            break;
+
+        case 'status':
+            matrixStatus();
+            break;
+
+        case 'disconnect':
+            await matrixDisconnect();
+            break;
+
+        default:
+            console.log(colors.warning(`  Unknown Matrix command: ${subcommand || '(none)'}`));
+            console.log(colors.muted('  Available: connect, send, rooms, status, disconnect'));
+            break;
+    }
+}
@@ -0,0 +1,116 @@
+import { colors, icons } from '../ui/theme.js';
+import {
+    getMcpStatus, getMcpServers, getMcpClient, connectMcpServer, disconnectMcpServer, mcpToolName,
+} from '../services/mcp.js';
+
+function printServers() {
+    const servers = getMcpStatus();
+
+    console.log(`\n  ${colors.primary.bold('MCP Servers')}`);
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    if (servers.length === 0) {
+        console.log(colors.muted('  None configured. Add "mcpServers" to ~/.cli-bot/config.json:'));
+        console.log(colors.muted('    { "files": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-filesystem", "."] } }\n'));
+        return;
+    }
+
+    for (const server of servers) {
+        let state;
+        if (server.connected) state = colors.success(`${icons.check} connected · ${server.tools} tool(s)`);
+        else if (server.disabled) state = colors.muted('disabled');
+        else if (server.error) state = colors.error(`${icons.cross} failed`);
+        else state = colors.muted('not connected');
+
+        console.log(`  ${colors.text.bold(server.name)} ${colors.muted(`(${server.kind})`)}  ${state}`);
+        console.log(colors.muted(`    ${server.target}`));
+        if (server.serverInfo) {
+            console.log(colors.muted(`    ${server.serverInfo.name || 'server'} ${server.serverInfo.version || ''}`.trimEnd()));
+        }
+        if (server.error) console.log(colors.error(`    ${server.error}`));
+    }
+    console.log(colors.muted(`\n  Also: ${colors.primary('mcp connect [name] | disconnect <name> | tools [name]')}\n`));
+}
+
+async function connect(names) {
+    console.log('');
+    for (const name of names) {
+        try {
+            const client = await connectMcpServer(name);
+            console.log(`  ${colors.success(icons.check)} ${colors.text.bold(name)} connected — ${client.tools.length} tool(s)`);
+        } catch (err) {
+            console.log(colors.error(`  ${icons.cross} ${name}: ${err.message}`));
+        }
+    }
+    console.log('');
+}
+
+function printTools(names) {
+    let shown = 0;
+    for (const name of names) {
+        const client = getMcpClient(name);
+        if (!client) continue;
+        shown++;
+        console.log(`\n  ${colors.primary.bold(name)}`);
+        console.log(colors.muted('  ─────────────────────────────────────────────'));
+        for (const tool of client.tools) {
+            const description = tool.description || '';
+            const summary = description.length > 70 ? description.slice(0, 70) + '...' : description;
+            console.log(`  ${colors.text.bold(mcpToolName(name, tool.name))}`);
+            if (summary) console.log(`    ${colors.muted(summary)}`);
+        }
+    }
+    if (shown === 0) {
+        console.log(colors.warning(`\n  ${icons.warning} No connected MCP servers. Run ${colors.primary('mcp connect')} first.`));
+    }
+    console.log('');
+}
+
+/**
+ * Handle `mcp [list | connect [name] | disconnect <name> | tools [name]]`.
+ */
+export async function handleMcp(args) {
+    const subcommand = args[0]?.toLowerCase();
+    const name = args[1];
+    const servers = getMcpServers();
+
+    if (name && !servers[name] && subcommand !== 'list') {
+        console.log(colors.error(`\n  ${icons.cross} No MCP server named "${name}". Configured: ${Object.keys(servers).join(', ') || 'none'}\n`));
+        return;
+    }
+
+    switch (subcommand) {
+        case undefined:
+        case 'list':
+            printServers();
+            break;
+
+        case 'connect': {
+            const names = name ? [name] : Object.keys(servers).filter((n) => !servers[n].disabled);
+            if (names.length === 0) {
+                printServers();
+                return;
+            }
+            await connect(names);
+            break;
+        }
+
+        case 'disconnect':
+            if (!name) {
+                console.log(colors.warning(`\n  Usage: ${colors.primary('mcp disconnect <name>')}\n`));
+                return;
+            }
+            if (await disconnectMcpServer(name)) {
+                console.log(`\n  ${colors.success(icons.check)} Disconnected ${colors.text.bold(name)}\n`);
+            } else {
+                console.log(colors.muted(`\n  ${name} was not connected.\n`));
+            }
+            break;
+
+        case 'tools':
+            printTools(name ? [name] : Object.keys(servers));
+            break;
+
+        default:
+            console.log(colors.warning(`\n  Usage: ${colors.primary('mcp [list | connect [name] | disconnect <name> | tools [name]]')}\n`));
+    }
+}
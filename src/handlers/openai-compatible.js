@@ -0,0 +1,146 @@
+import { colors, icons } from '../ui/theme.js';
+import { printConversation } from '../ui/history.js';
+import { approveInShell } from '../ui/approval.js';
+import { sendFromShell } from '../ui/interrupt.js';
+import { createAgent, listCustomAgentNames } from '../agents/index.js';
+import { getAgent, loadConfig, saveConfig } from '../config.js';
+import { restoreSession, saveSession, deleteSession, SHELL_PLATFORM, SHELL_CHAT } from '../utils/session-store.js';
+import { usageRecorder } from '../utils/usage.js';
+
+// Persistent shell agents, one per configured instance — keeps context across calls
+const shellAgents = new Map(); // name → { agent, model }
+
+/**
+ * Whether `name` is a configured openai-compatible instance.
+ */
+export function isCustomAgent(name) {
+    return listCustomAgentNames(loadConfig()).includes(name);
+}
+
+/**
+ * Get (or create) the shell agent for an instance.
+ * Recreated when the instance's model changes; restores any saved session.
+ */
+export function getCustomAgent(name) {
+    const agentConfig = getAgent(name);
+    const cached = shellAgents.get(name);
+    if (cached && cached.model === agentConfig.model) {
+        return { agent: cached.agent, agentConfig };
+    }
+
+    const agent = createAgent(name, agentConfig);
+    restoreSession(SHELL_PLATFORM, SHELL_CHAT, agent);
+    shellAgents.set(name, { agent, model: agentConfig.model });
+    return { agent, agentConfig };
+}
+
+/**
+ * Handle `<instance> ...` shell commands for openai-compatible agents.
+ * @param {string} name - Instance name from config.agents
+ * @param {string[]} args
+ */
+export async function handleCustomAgent(name, args) {
+    const subcommand = args[0]?.toLowerCase();
+    const { agent, agentConfig } = getCustomAgent(name);
+    const label = colors.accent.bold(name);
+
+    switch (subcommand) {
+        // List models exposed by the server
+        case 'models':
+        case 'list': {
+            console.log(colors.muted(`\n  Fetching models from ${agent.baseUrl}...`));
+            try {
+                const { models } = await agent.listModels();
+                console.log(`\n  ${label} ${colors.muted('— available models')}`);
+                console.log(colors.muted('  ─────────────────────────────────────────────'));
+                if (models.length === 0) {
+                    console.log(colors.muted('  No models reported by the server.'));
+                }
+                for (const m of models) {
+                    const isActive = m.id === agentConfig.model;
+                    const marker = isActive ? colors.success(` ${icons.check} active`) : '';
+                    console.log(`  ${colors.accent(icons.bullet)} ${colors.text(m.id)}${marker}`);
+                }
+            } catch (err) {
+                console.log(colors.error(`  ${icons.cross} ${err.message}`));
+            }
+            console.log('');
+            break;
+        }
+
+        // Switch the active model
+        case 'use':
+        case 'set': {
+            const modelName = args[1];
+            if (!modelName) {
+                console.log(colors.warning(`\n  Usage: ${colors.accent(`${name} use <model_name>`)}`));
+                console.log(colors.muted('  Tip: Use ') + colors.accent(`${name} models`) + colors.muted(' to see available models\n'));
+                return;
+            }
+            const config = loadConfig();
+            config.agents[name].model = modelName;
+            saveConfig(config);
+            deleteSession(SHELL_PLATFORM, SHELL_CHAT, name);
+            shellAgents.delete(name);
+            console.log(`\n  ${colors.success(icons.check)} Active model for ${label} set to ${colors.accent.bold(modelName)}`);
+            console.log(colors.muted('  Conversation history has been reset.\n'));
+            break;
+        }
+
+        // Clear conversation history
+        case 'clear':
+        case 'reset': {
+            agent.clearHistory();
+            deleteSession(SHELL_PLATFORM, SHELL_CHAT, name);
+            console.log(`\n  ${colors.success(icons.check)} Conversation history cleared\n`);
+            break;
+        }
+
+        // Show conversation history
+        case 'history':
+        case 'ctx': {
+            const stats = agent.getHistoryStats();
+            console.log(`\n  ${colors.accent.bold('Conversation History')} ${colors.muted('—')} ${colors.accent(`${name} (${agentConfig.model})`)}`);
+            console.log(colors.muted('  ─────────────────────────────────────────────'));
+            if (stats.turns === 0) {
+                console.log(colors.muted('  No conversation yet. Send a prompt to start chatting.'));
+            } else {
+                console.log(colors.muted(`  ${stats.turns} turn(s), ${stats.messages} message(s)\n`));
+                printConversation(agent, colors.accent.bold(`${name}:`));
+            }
+            console.log('');
+            break;
+        }
+
+        // No subcommand → instance info + usage
+        case undefined: {
+            console.log(colors.accent(`\n  ${icons.spark} ${name} — OpenAI-compatible endpoint`));
+            console.log(colors.muted('  ─────────────────────────────────────────────'));
+            console.log(colors.muted(`  Server: ${agent.baseUrl}`));
+            console.log(colors.muted(`  Model:  ${agentConfig.model || '(not set)'}`));
+            console.log(colors.muted('  Usage: ') + colors.accent(`${name} <prompt>`));
+            console.log(colors.muted('  Also: ') + colors.accent(`${name} models | use <model> | history | clear\n`));
+            break;
+        }
+
+        // Anything else → treat as a prompt (with conversation context)
+        default: {
+            const prompt = args.join(' ').trim();
+            const stats = agent.getHistoryStats();
+            const ctxLabel = stats.turns > 0
+                ? colors.muted(` (turn ${stats.turns + 1}, with context)`)
+                : '';
+            console.log(colors.accent(`\n  ${icons.spark} Asking ${name} (${agentConfig.model})...`) + ctxLabel);
+            console.log(colors.muted('  ─────────────────────────────────────────────\n'));
+            try {
+                await sendFromShell(agent, prompt, { onUsage: usageRecorder({ surface: 'shell' }), approve: approveInShell });
+                saveSession(SHELL_PLATFORM, SHELL_CHAT, agent);
+                console.log(colors.muted('\n\n  ─────────────────────────────────────────────'));
+            } catch (err) {
+                console.log(colors.error(`\n  ${icons.cross} Error: ${err.message}`));
+            }
+            console.log('');
+            break;
+        }
+    }
+}
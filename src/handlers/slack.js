@@ -46,7 +46,7 @@ export async function handleSlack(args) {
             break;
 
         case 'disconnect':
-            slackDisconnect();
+            await slackDisconnect();
             break;
 
         default:
@@ -0,0 +1,125 @@
+import { colors, icons } from '../ui/theme.js';
+import { loadConfig, saveConfig } from '../config.js';
+import { TOOL_CATALOG } from '../tools/definitions.js';
+import { listCustomAgentNames } from '../agents/index.js';
+import {
+    getToolCatalog, listToolLoadErrors, loadPluginTools, pluginDirs, isToolEnabled,
+} from '../tools/registry.js';
+
+const API_AGENTS = ['claude-api', 'gemini-api', 'groq', 'ollama'];
+
+function toolAgents(config) {
+    return [...API_AGENTS, ...listCustomAgentNames(config)];
+}
+
+function printTools(config) {
+    const catalog = getToolCatalog();
+    const builtIn = new Set(TOOL_CATALOG.map((t) => t.name));
+    const width = Math.max(...catalog.map((t) => t.name.length));
+
+    console.log(`\n  ${colors.primary.bold('Agent Tools')}`);
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    for (const tool of catalog) {
+        const source = builtIn.has(tool.name) ? colors.muted('built-in') : colors.accent(tool.source);
+        const summary = tool.description.length > 70 ? tool.description.slice(0, 70) + '...' : tool.description;
+        console.log(`  ${colors.text.bold(tool.name.padEnd(width))}  ${source}`);
+        console.log(`  ${' '.repeat(width)}  ${colors.muted(summary)}`);
+    }
+
+    // Per-agent filters, only for agents that have any
+    const filtered = toolAgents(config).filter((name) => {
+        const agent = config.agents?.[name] || {};
+        return Array.isArray(agent.enabledTools) || Array.isArray(agent.disabledTools);
+    });
+    if (filtered.length > 0) {
+        console.log(`\n  ${colors.primary.bold('Per-agent')}`);
+        for (const name of filtered) {
+            const off = catalog.filter((t) => !isToolEnabled(t.name, config.agents[name])).map((t) => t.name);
+            console.log(`  ${colors.text(name)}  ${colors.muted(off.length ? `disabled: ${off.join(', ')}` : 'all tools enabled')}`);
+        }
+    }
+
+    const errors = listToolLoadErrors();
+    if (errors.length > 0) {
+        console.log(`\n  ${colors.error.bold('Failed to load')}`);
+        for (const { file, error } of errors) {
+            console.log(colors.error(`  ${icons.cross} ${file}`));
+            console.log(colors.muted(`    ${error}`));
+        }
+    }
+
+    console.log(colors.muted(`\n  Plugin folders: ${pluginDirs().join(', ')}`));
+    console.log(colors.muted(`  Also: ${colors.primary('tools reload | enable <agent> <tool> | disable <agent> <tool>')}\n`));
+}
+
+/**
+ * Turn one tool on or off for an agent by editing its enabledTools /
+ * disabledTools lists in config.
+ */
+function setToolEnabled(config, agentName, toolName, enabled) {
+    const agent = config.agents[agentName];
+    if (enabled) {
+        if (Array.isArray(agent.disabledTools)) {
+            agent.disabledTools = agent.disabledTools.filter((t) => t !== toolName);
+            if (agent.disabledTools.length === 0) delete agent.disabledTools;
+        }
+        if (Array.isArray(agent.enabledTools) && !agent.enabledTools.includes(toolName)) {
+            agent.enabledTools.push(toolName);
+        }
+    } else {
+        agent.disabledTools = [...new Set([...(agent.disabledTools || []), toolName])];
+    }
+}
+
+/**
+ * Handle `tools [list | reload | enable <agent> <tool> | disable <agent> <tool>]`.
+ */
+export async function handleTools(args) {
+    const subcommand = args[0]?.toLowerCase();
+    const config = loadConfig();
+
+    switch (subcommand) {
+        case undefined:
+        case 'list':
+            printTools(config);
+            break;
+
+        case 'reload': {
+            const { loaded, errors } = await loadPluginTools();
+            console.log(`\n  ${colors.success(icons.check)} Loaded ${loaded.length} plugin tool(s)${loaded.length ? `: ${loaded.join(', ')}` : ''}`);
+            if (errors.length > 0) {
+                console.log(colors.warning(`  ${icons.warning} ${errors.length} file(s) failed to load — run ${colors.primary('tools')} for details`));
+            }
+            console.log('');
+            break;
+        }
+
+        case 'enable':
+        case 'disable': {
+            const [, agentName, toolName] = args;
+            if (!agentName || !toolName) {
+                console.log(colors.warning(`\n  Usage: ${colors.primary(`tools ${subcommand} <agent> <tool>`)}`));
+                console.log(colors.muted(`  Agents: ${toolAgents(config).join(', ')}\n`));
+                return;
+            }
+            if (!toolAgents(config).includes(agentName)) {
+                console.log(colors.error(`\n  ${icons.cross} "${agentName}" does not use tools. Agents: ${toolAgents(config).join(', ')}\n`));
+                return;
+            }
+            if (!getToolCatalog().some((t) => t.name === toolName)) {
+                console.log(colors.error(`\n  ${icons.cross} Unknown tool "${toolName}". Run ${colors.primary('tools')} to list them.\n`));
+                return;
+            }
+
+            config.agents[agentName] ||= {};
+            setToolEnabled(config, agentName, toolName, subcommand === 'enable');
+            saveConfig(config);
+            const state = subcommand === 'enable' ? colors.success('enabled') : colors.warning('disabled');
+            console.log(`\n  ${colors.success(icons.check)} ${colors.text.bold(toolName)} ${state} for ${colors.accent(agentName)}\n`);
+            break;
+        }
+
+        default:
+            console.log(colors.warning(`\n  Usage: ${colors.primary('tools [list | reload | enable <agent> <tool> | disable <agent> <tool>]')}\n`));
+    }
+}
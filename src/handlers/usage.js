@@ -0,0 +1,112 @@
+import { colors, icons } from '../ui/theme.js';
+import { loadConfig } from '../config.js';
+import { readUsage, summarizeUsage, getPrices, dayKey } from '../utils/usage.js';
+
+const DEFAULT_DAYS = 7;
+
+function formatTokens(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+    if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+    return String(n);
+}
+
+function formatCost(cost) {
+    return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+function printSection(title, buckets) {
+    const rows = Object.entries(buckets);
+    if (rows.length === 0) return;
+
+    const width = Math.max(...rows.map(([key]) => key.length));
+    console.log(`\n  ${colors.primary.bold(title)}`);
+    for (const [key, b] of rows) {
+        const latency = b.requests ? Math.round(b.latencyMs / b.requests) : 0;
+        console.log(
+            `  ${colors.text(key.padEnd(width))}  ` +
+            colors.muted(`${String(b.requests).padStart(4)} req  `) +
+            colors.muted(`${formatTokens(b.inputTokens).padStart(6)} in  ${formatTokens(b.outputTokens).padStart(6)} out  `) +
+            colors.muted(`${String(latency).padStart(6)} ms avg  `) +
+            colors.accent(formatCost(b.cost))
+        );
+    }
+}
+
+function printBudget(config) {
+    const budget = config.budget || {};
+    const caps = [
+        ...(budget.daily > 0 ? [['daily', budget.daily, null]] : []),
+        ...Object.entries(budget.agents || {}).map(([agent, limit]) => [agent, limit, agent]),
+    ];
+    if (caps.length === 0) return;
+
+    const today = summarizeUsage(readUsage({ days: 1 }), getPrices(config));
+    console.log(`\n  ${colors.primary.bold('Budget (today)')}`);
+    for (const [scope, limit, agent] of caps) {
+        const spent = agent ? (today.byAgent[agent]?.cost || 0) : today.total.cost;
+        const state = spent >= limit
+            ? colors.error(`${icons.cross} reached — remote requests refused`)
+            : colors.success(icons.check);
+        console.log(`  ${colors.text(scope)}  ${colors.muted(`${formatCost(spent)} of $${Number(limit).toFixed(2)}`)}  ${state}`);
+    }
+}
+
+function printPrices(config) {
+    const prices = getPrices(config);
+    console.log(`\n  ${colors.primary.bold('Price Table')} ${colors.muted('— USD per million tokens')}`);
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    const width = Math.max(...Object.keys(prices).map((m) => m.length));
+    for (const [model, price] of Object.entries(prices)) {
+        const custom = config.prices?.[model] ? colors.accent(' (config)') : '';
+        console.log(`  ${colors.text(model.padEnd(width))}  ${colors.muted(`in $${price.input}  out $${price.output}`)}${custom}`);
+    }
+    console.log(colors.muted('\n  Override or add models under "prices" in ~/.cli-bot/config.json\n'));
+}
+
+/**
+ * Handle `usage [today | <days> | prices]` — token and cost totals from the usage ledger.
+ */
+export function handleUsage(args) {
+    const subcommand = args[0]?.toLowerCase();
+    const config = loadConfig();
+
+    if (subcommand === 'prices') {
+        printPrices(config);
+        return;
+    }
+
+    let days = DEFAULT_DAYS;
+    if (subcommand === 'today') {
+        days = 1;
+    } else if (subcommand) {
+        days = parseInt(subcommand, 10);
+        if (!(days > 0)) {
+            console.log(colors.warning(`\n  Usage: ${colors.primary('usage [today | <days> | prices]')}`));
+            console.log(colors.muted('  Example: usage 30\n'));
+            return;
+        }
+    }
+
+    const summary = summarizeUsage(readUsage({ days }), getPrices(config));
+    const period = days === 1 ? `today (${dayKey()})` : `last ${days} days`;
+
+    console.log(`\n  ${colors.primary.bold('Usage')} ${colors.muted(`— ${period}`)}`);
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+
+    if (summary.total.requests === 0) {
+        console.log(colors.muted('  No usage recorded yet.'));
+    } else {
+        const { total } = summary;
+        console.log(`  ${colors.text(`${total.requests} request(s)`)}  ${colors.muted(`${formatTokens(total.inputTokens)} in, ${formatTokens(total.outputTokens)} out`)}  ${colors.accent.bold(formatCost(total.cost))}`);
+        if (days > 1) printSection('By day', summary.byDay);
+        printSection('By agent', summary.byAgent);
+        printSection('By chat', summary.byChat);
+
+        if (summary.unpriced.length > 0) {
+            console.log(colors.muted(`\n  Unpriced (counted as $0): ${summary.unpriced.join(', ')}`));
+        }
+    }
+
+    printBudget(config);
+    console.log('');
+}
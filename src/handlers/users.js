@@ -0,0 +1,137 @@
+import { colors, icons } from '../ui/theme.js';
+import { loadConfig, saveConfig } from '../config.js';
+import { getRoles, PLATFORMS, resolvePlatform, normalizeUserId } from '../utils/roles.js';
+
+function describePolicy(value) {
+    if (value === '*') return 'all';
+    if (!Array.isArray(value) || value.length === 0) return 'none';
+    return value.join(', ');
+}
+
+function printUsage() {
+    console.log(colors.warning(`\n  Usage: ${colors.primary('users list')}`));
+    console.log(colors.warning(`         ${colors.primary('users grant <platform> <id> <role>')}`));
+    console.log(colors.warning(`         ${colors.primary('users revoke <platform> <id>')}`));
+    console.log(colors.muted(`  Platforms: ${Object.keys(PLATFORMS).join(', ')} (tg, wa)`));
+    console.log(colors.muted('  Example: users grant tg 123456789 developer\n'));
+}
+
+/**
+ * The platform allowlist, normalized like the connectors compare it.
+ */
+function getAllowlist(platform) {
+    const raw = process.env[PLATFORMS[platform]] || '';
+    return raw.split(',').map((id) => id.trim()).filter(Boolean).map((id) => normalizeUserId(platform, id));
+}
+
+function listUsers() {
+    const config = loadConfig();
+    const roles = getRoles(config);
+
+    console.log(colors.primary.bold('\n  Roles'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    for (const [name, policy] of Object.entries(roles)) {
+        console.log(`  ${colors.accent.bold(name)} ${colors.muted(policy.description ? `— ${policy.description}` : '')}`);
+        console.log(colors.muted(`    commands: ${describePolicy(policy.commands)}`));
+        console.log(colors.muted(`    agents: ${describePolicy(policy.agents)} · workspaces: ${describePolicy(policy.workspaces)} · /cmd binaries: ${describePolicy(policy.binaries)}`));
+    }
+
+    console.log(colors.primary.bold('\n  Users'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    const grants = Object.entries(config.users || {});
+    const shown = new Set();
+    for (const [key, role] of grants) {
+        shown.add(key);
+        const known = roles[role] ? colors.accent(role) : colors.error(`${role} (unknown role — denied)`);
+        console.log(`  ${colors.text(key)} ${colors.muted('→')} ${known}`);
+    }
+    for (const platform of Object.keys(PLATFORMS)) {
+        for (const id of getAllowlist(platform)) {
+            const key = `${platform}:${id}`;
+            if (shown.has(key)) continue;
+            shown.add(key);
+            console.log(`  ${colors.text(key)} ${colors.muted('→')} ${colors.accent('owner')} ${colors.muted(`(${PLATFORMS[platform]})`)}`);
+        }
+    }
+    if (shown.size === 0) {
+        console.log(colors.muted('  No remote users yet. Add one with: users grant <platform> <id> <role>'));
+    }
+    console.log('');
+}
+
+function grantRole(args) {
+    const [platformArg, idArg, roleName] = args;
+    const platform = resolvePlatform(platformArg);
+    if (!platform || !idArg || !roleName) {
+        printUsage();
+        return;
+    }
+
+    const config = loadConfig();
+    const roles = getRoles(config);
+    if (!roles[roleName]) {
+        console.log(colors.error(`\n  ${icons.cross} Unknown role "${roleName}". Available: ${Object.keys(roles).join(', ')}\n`));
+        return;
+    }
+
+    const key = `${platform}:${normalizeUserId(platform, idArg)}`;
+    config.users = { ...(config.users || {}), [key]: roleName };
+    saveConfig(config);
+    console.log(`\n  ${colors.success(icons.check)} ${colors.text(key)} is now ${colors.accent.bold(roleName)}.\n`);
+}
+
+function revokeRole(args) {
+    const [platformArg, idArg] = args;
+    const platform = resolvePlatform(platformArg);
+    if (!platform || !idArg) {
+        printUsage();
+        return;
+    }
+
+    const config = loadConfig();
+    const id = normalizeUserId(platform, idArg);
+    const key = `${platform}:${id}`;
+    if (!config.users?.[key]) {
+        console.log(colors.warning(`\n  ${icons.warning} ${key} has no role.\n`));
+    } else {
+        const { [key]: _removed, ...rest } = config.users;
+        config.users = rest;
+        saveConfig(config);
+        console.log(`\n  ${colors.success(icons.check)} Revoked the role of ${colors.text(key)}.`);
+    }
+
+    if (getAllowlist(platform).includes(id)) {
+        console.log(colors.warning(`  ${icons.warning} ${id} is still in ${PLATFORMS[platform]}, so they keep owner access.`));
+        console.log(colors.muted(`  Remove them there with: config set ${PLATFORMS[platform]} <ids>\n`));
+    } else {
+        console.log('');
+    }
+}
+
+/**
+ * Handle `users list|grant|revoke`.
+ * @param {string[]} args
+ */
+export function handleUsers(args) {
+    const subcommand = args[0]?.toLowerCase();
+
+    switch (subcommand) {
+        case undefined:
+        case 'list':
+        case 'ls':
+            listUsers();
+            break;
+
+        case 'grant':
+            grantRole(args.slice(1));
+            break;
+
+        case 'revoke':
+            revokeRole(args.slice(1));
+            break;
+
+        default:
+            printUsage();
+            break;
+    }
+}
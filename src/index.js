@@ -10,6 +10,7 @@ import { readFileSync } from 'fs';
 import { startChat } from './commands/chat.js';
 import { showStatus, setDefaultAgent } from './commands/status.js';
 import { listAgentNames } from './agents/index.js';
+import { loadConfig } from './config.js';
 import { listConnectorNames } from './connectors/index.js';
 
 // Load .env from project root
@@ -88,7 +89,7 @@ program
     .command('agents')
     .description('List available AI agents')
     .action(() => {
-        const agents = listAgentNames();
+        const agents = listAgentNames(loadConfig());
         console.log(chalk.bold('  Available Agents:\n'));
         agents.forEach((a) => {
             console.log(`    ${chalk.green('●')} ${a}`);
@@ -102,16 +103,11 @@ program
     .description('List available messaging connectors')
     .action(() => {
         const connectors = listConnectorNames();
-        if (connectors.length === 0) {
-            console.log(chalk.dim('  No connectors installed yet.'));
-            console.log(chalk.dim('  Coming soon: whatsapp, telegram\n'));
-        } else {
-            console.log(chalk.bold('  Available Connectors:\n'));
-            connectors.forEach((c) => {
-                console.log(`    ${chalk.green('●')} ${c}`);
-            });
-            console.log('');
-        }
+        console.log(chalk.bold('  Available Connectors:\n'));
+        connectors.forEach((c) => {
+            console.log(`    ${chalk.green('●')} ${c}`);
+        });
+        console.log('');
     });
 
 // ─── Default action (no command) ───────────────────────────────────
@@ -0,0 +1,286 @@
+/**
+ * ─── Daemon Control Socket ──────────────────────────────────────
+ *
+ * `minigeri daemon start` keeps the connectors (Telegram, WhatsApp,
+ * Slack) and the agents they route to running in the background. Other
+ * minigeri processes talk to it over a local socket:
+ *
+ *   ~/.cli-bot/daemon/minigeri.sock   (a named pipe on Windows)
+ *   ~/.cli-bot/daemon/daemon.pid
+ *   ~/.cli-bot/daemon/daemon.log
+ *
+ * Protocol: newline-delimited JSON. Each request carries an id and gets
+ * exactly one response with the same id:
+ *
+ *   { id, type: 'run', command: 'tg send 123 hi' } → { id, ok, output }
+ *   { id, type: 'status' }                         → { id, ok, pid, version, startedAt, ... }
+ *   { id, type: 'stop' }                           → { id, ok }
+ *   { id, type: 'subscribe' }                      → { id, ok }, then { type: 'log', text } events
+ *
+ * Design:
+ *   • `run` goes through runCommand(), so ALLOWED_COMMANDS applies just
+ *     as it does for agents, and shares its queue with every other
+ *     caller. `status` is answered immediately, so a long agent run
+ *     never makes the daemon look dead
+ *   • The socket is created with 0600 permissions — only this user can
+ *     drive the daemon
+ *   • A stale socket file (daemon crashed) is detected and replaced
+ */
+import net from 'net';
+import { existsSync, mkdirSync, readFileSync, unlinkSync, chmodSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { homedir, userInfo } from 'os';
+
+export const DAEMON_DIR = join(homedir(), '.cli-bot', 'daemon');
+export const SOCKET_PATH = process.platform === 'win32'
+    ? `\\\\.\\pipe\\minigeri-${userInfo().username}`
+    : join(DAEMON_DIR, 'minigeri.sock');
+export const PID_FILE = join(DAEMON_DIR, 'daemon.pid');
+export const LOG_FILE = join(DAEMON_DIR, 'daemon.log');
+
+const RUN_TIMEOUT_MS = 10 * 60 * 1000;
+
+// ── Line-delimited JSON helpers ─────────────────────────────────
+
+function onJsonLines(socket, handler) {
+    let buffer = '';
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line) continue;
+            try {
+                handler(JSON.parse(line));
+            } catch {
+                // Ignore malformed lines
+            }
+        }
+    });
+}
+
+function sendJson(socket, message) {
+    if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n');
+}
+
+// ── Server (inside the daemon) ──────────────────────────────────
+
+/**
+ * Create the daemon's control server.
+ *
+ * @param {object} handlers
+ * @param {(command: string) => Promise<string>} handlers.run
+ * @param {() => Promise<object>} handlers.status
+ * @param {() => void} handlers.stop - Called after the stop response is sent
+ * @returns {{ listen: (path?: string) => Promise<void>, close: () => Promise<void>, broadcast: (text: string) => void }}
+ */
+export function createControlServer({ run, status, stop }) {
+    const subscribers = new Set();
+    let queue = Promise.resolve();
+    let socketPath = null;
+
+    const serialize = (fn) => {
+        const job = queue.then(fn);
+        queue = job.catch(() => { });
+        return job;
+    };
+
+    const server = net.createServer((socket) => {
+        socket.on('error', () => { });
+        socket.on('close', () => subscribers.delete(socket));
+
+        onJsonLines(socket, async (request) => {
+            const { id, type } = request;
+            try {
+                switch (type) {
+                    case 'run': {
+                        const output = await serialize(() => run(String(request.command || '')));
+                        sendJson(socket, { id, ok: true, output });
+                        break;
+                    }
+                    case 'status':
+                        sendJson(socket, { id, ok: true, ...(await status()) });
+                        break;
+                    case 'subscribe':
+                        subscribers.add(socket);
+                        sendJson(socket, { id, ok: true });
+                        break;
+                    case 'stop':
+                        sendJson(socket, { id, ok: true });
+                        socket.end(() => stop());
+                        break;
+                    default:
+                        sendJson(socket, { id, ok: false, error: `Unknown request type "${type}"` });
+                }
+            } catch (err) {
+                sendJson(socket, { id, ok: false, error: err.message });
+            }
+        });
+    });
+
+    return {
+        async listen(path = SOCKET_PATH) {
+            if (process.platform !== 'win32') {
+                mkdirSync(join(path, '..'), { recursive: true, mode: 0o700 });
+                if (existsSync(path)) {
+                    if (await probeSocket(path)) throw new Error(`A minigeri daemon is already listening on ${path}`);
+                    unlinkSync(path); // left behind by a crashed daemon
+                }
+            }
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(path, () => {
+                    server.off('error', reject);
+                    resolve();
+                });
+            });
+            if (process.platform !== 'win32') chmodSync(path, 0o600);
+            socketPath = path;
+        },
+
+        async close() {
+            for (const socket of subscribers) socket.destroy();
+            subscribers.clear();
+            await new Promise((resolve) => server.close(() => resolve()));
+            if (socketPath && process.platform !== 'win32' && existsSync(socketPath)) {
+                try { unlinkSync(socketPath); } catch { }
+            }
+        },
+
+        broadcast(text) {
+            for (const socket of subscribers) sendJson(socket, { type: 'log', text });
+        },
+    };
+}
+
+function probeSocket(path) {
+    return new Promise((resolve) => {
+        const socket = net.connect(path);
+        socket.once('connect', () => { socket.destroy(); resolve(true); });
+        socket.once('error', () => resolve(false));
+    });
+}
+
+// ── Client (shell, `minigeri run`, `minigeri daemon ...`) ───────
+
+let nextRequestId = 1;
+
+/**
+ * Send one request to the daemon and wait for its response.
+ *
+ * @param {object} request - { type, ...fields }
+ * @param {object} [options]
+ * @param {string} [options.socketPath]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<object>} The response (ok: false responses reject)
+ * @throws When no daemon is listening, on timeout, or on an error response
+ */
+export function daemonRequest(request, { socketPath = SOCKET_PATH, timeoutMs = 5000 } = {}) {
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(socketPath);
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error(`The daemon did not answer within ${Math.round(timeoutMs / 1000)}s`));
+        }, timeoutMs);
+        const finish = (fn, value) => {
+            clearTimeout(timer);
+            socket.end();
+            fn(value);
+        };
+
+        socket.once('error', (err) => finish(reject, new Error(`Cannot reach the minigeri daemon: ${err.message}`)));
+        socket.once('connect', () => sendJson(socket, { id, ...request }));
+        onJsonLines(socket, (response) => {
+            if (response.id !== id) return;
+            if (response.ok) finish(resolve, response);
+            else finish(reject, new Error(response.error || 'Daemon request failed'));
+        });
+    });
+}
+
+/**
+ * The running daemon's status, or null when none is reachable.
+ * @param {object} [options] - Passed to daemonRequest()
+ */
+export async function getDaemonStatus(options) {
+    try {
+        return await daemonRequest({ type: 'status' }, options);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Run a minigeri command inside the daemon.
+ * @returns {Promise<string>} The command's output
+ */
+export async function runInDaemon(command, options = {}) {
+    const response = await daemonRequest({ type: 'run', command }, { timeoutMs: RUN_TIMEOUT_MS, ...options });
+    return response.output;
+}
+
+/**
+ * Stream the daemon's log output (incoming messages, agent replies...).
+ *
+ * @param {(text: string) => void} onLog
+ * @param {object} [options]
+ * @param {string} [options.socketPath]
+ * @param {() => void} [options.onClose] - The daemon went away
+ * @returns {Promise<{ close: () => void }>}
+ */
+export function subscribeToDaemon(onLog, { socketPath = SOCKET_PATH, onClose } = {}) {
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(socketPath);
+        let subscribed = false;
+
+        socket.once('error', (err) => {
+            if (!subscribed) reject(new Error(`Cannot reach the minigeri daemon: ${err.message}`));
+        });
+        socket.once('connect', () => sendJson(socket, { id, type: 'subscribe' }));
+        socket.on('close', () => {
+            if (subscribed) onClose?.();
+        });
+        onJsonLines(socket, (message) => {
+            if (message.id === id) {
+                subscribed = true;
+                resolve({ close: () => socket.destroy() });
+            } else if (message.type === 'log') {
+                onLog(message.text);
+            }
+        });
+    });
+}
+
+// ── Files ───────────────────────────────────────────────────────
+
+/**
+ * PID recorded by the last daemon that started, or null.
+ */
+export function readDaemonPid() {
+    try {
+        const pid = parseInt(readFileSync(PID_FILE, 'utf-8'), 10);
+        return Number.isInteger(pid) ? pid : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The last `lines` lines of the daemon log (reads at most the final 64 KB).
+ */
+export function tailDaemonLog(lines = 40, file = LOG_FILE) {
+    if (!existsSync(file)) return [];
+    const size = statSync(file).size;
+    const length = Math.min(size, 64 * 1024);
+    const buffer = Buffer.alloc(length);
+    const fd = openSync(file, 'r');
+    try {
+        readSync(fd, buffer, 0, length, size - length);
+    } finally {
+        closeSync(fd);
+    }
+    return buffer.toString('utf-8').split('\n').filter(Boolean).slice(-lines);
+}
@@ -0,0 +1,157 @@
+import { colors, icons } from '../ui/theme.js';
+import { createConnector } from '../connectors/index.js';
+import { createMessageRouter } from '../connectors/router.js';
+import { isValidDiscordToken } from '../connectors/discord.js';
+
+let connector = null;
+
+/**
+ * Get the Discord connector, creating it (and wiring the shared router) if needed.
+ */
+function getConnector() {
+    if (!connector) {
+        connector = createConnector('discord');
+        connector.setMessageHandler(createMessageRouter(connector));
+    }
+    return connector;
+}
+
+function printAccess(discord) {
+    const allowed = discord.getAllowedUsers();
+    if (allowed.size > 0) {
+        console.log(colors.muted(`    🔒 Restricted to ${allowed.size} allowed user(s)`));
+    } else {
+        console.log(colors.warning(`    ⚠️  DISCORD_ALLOWED_USERS not set — bot is locked down and will reject all messages.`));
+        console.log(colors.muted(`    Run: ${colors.primary('config set DISCORD_ALLOWED_USERS <your_user_id>')} to allow access`));
+    }
+}
+
+/**
+ * Connect the Discord bot and start listening on the Gateway.
+ */
+export async function discordConnect() {
+    if (!isValidDiscordToken(process.env.DISCORD_BOT_TOKEN)) {
+        console.log(colors.error(`  ${icons.cross} DISCORD_BOT_TOKEN not set or invalid.`));
+        console.log(colors.muted('  1. Create an application at https://discord.com/developers/applications'));
+        console.log(colors.muted('  2. Bot → Reset Token, then invite the bot with the "bot" scope'));
+        console.log(colors.muted('  3. Run: ') + colors.primary('config set DISCORD_BOT_TOKEN <token>'));
+        return;
+    }
+
+    const discord = getConnector();
+    if (discord.isConnected()) {
+        console.log(colors.discord(`  ${icons.check} Discord bot is already connected!`));
+        return;
+    }
+
+    try {
+        const bot = await discord.start();
+        console.log(colors.discord(`  ${icons.check} Discord bot connected!`));
+        console.log(colors.muted(`    Bot: @${bot.username} (${bot.id})`));
+        printAccess(discord);
+        console.log(colors.muted('    Listening for DMs and @mentions...'));
+    } catch (err) {
+        console.log(colors.error(`  ${icons.cross} Discord connection failed: ${err.message}`));
+    }
+}
+
+/**
+ * Auto-connect if a token is available (called on startup).
+ */
+export async function discordAutoConnect() {
+    if (!isValidDiscordToken(process.env.DISCORD_BOT_TOKEN) || getConnector().isConnected()) return;
+    try {
+        await getConnector().start();
+    } catch {
+        // Silent fail on auto-connect — `discord connect` reports why
+    }
+}
+
+/**
+ * Send a message to a Discord channel or user.
+ * @param {string} target - Channel ID, #name, or @<user_id> for a DM
+ * @param {string} message
+ */
+export async function discordSend(target, message) {
+    const discord = getConnector();
+    if (!discord.isConnected()) {
+        console.log(colors.error(`  ${icons.cross} Discord bot not connected. Run ${colors.discord('discord connect')} first.`));
+        return;
+    }
+
+    try {
+        await discord.sendText(target, message);
+        console.log(colors.discord(`  ${icons.check} Message sent to ${target}`));
+    } catch (err) {
+        console.log(colors.error(`  ${icons.cross} Failed to send: ${err.message}`));
+        if (err.message.includes('Missing Access') || err.message.includes('Missing Permissions')) {
+            console.log(colors.muted('  Make sure the bot can view and send messages in that channel.'));
+        }
+    }
+}
+
+/**
+ * List the servers' text channels and recent DMs.
+ */
+export function discordChannels() {
+    const discord = getConnector();
+    if (!discord.isConnected()) {
+        console.log(colors.error(`  ${icons.cross} Discord bot not connected. Run ${colors.discord('discord connect')} first.`));
+        return;
+    }
+
+    console.log(colors.discord.bold('\n  Discord Channels'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+
+    if (discord.guilds.size === 0) {
+        console.log(colors.muted('  The bot is not in any server yet.'));
+    }
+    for (const [guildId, guildName] of discord.guilds) {
+        console.log(`  ${colors.discord.bold(guildName)}`);
+        for (const [id, channel] of discord.channels) {
+            if (channel.guildId === guildId) {
+                console.log(`    ${colors.muted('#')} ${colors.text(channel.name)} ${colors.muted(`(${id})`)}`);
+            }
+        }
+    }
+
+    const dms = [...discord.recentChats].filter(([, info]) => info.type === 'private');
+    if (dms.length > 0) {
+        console.log(`  ${colors.discord.bold('Direct messages')}`);
+        for (const [id, info] of dms) {
+            const ago = Math.round((Date.now() - info.lastMessage) / 1000);
+            const timeStr = ago < 60 ? `${ago}s ago` : `${Math.round(ago / 60)}m ago`;
+            console.log(`    👤 ${colors.text(info.name)} ${colors.muted(`(${id})`)} ${colors.muted(`— ${timeStr}`)}`);
+        }
+    }
+    console.log('');
+}
+
+/**
+ * Show Discord bot status.
+ */
+export function discordStatus() {
+    const discord = getConnector();
+    if (discord.isConnected()) {
+        console.log(colors.discord(`  ${icons.bullet} Discord: Connected`));
+        console.log(colors.muted(`    Bot: @${discord.botInfo.username} — ${discord.guilds.size} server(s), ${discord.recentChats.size} recent chat(s)`));
+        printAccess(discord);
+    } else if (process.env.DISCORD_BOT_TOKEN) {
+        console.log(colors.warning(`  ${icons.circle} Discord: Token set but not connected`));
+    } else {
+        console.log(colors.muted(`  ${icons.circle} Discord: No token configured`));
+    }
+}
+
+/**
+ * Disconnect the Discord bot.
+ */
+export async function discordDisconnect() {
+    const discord = getConnector();
+    if (discord.isConnected()) {
+        await discord.stop();
+        console.log(colors.muted(`  ${icons.check} Discord bot disconnected`));
+    } else {
+        console.log(colors.muted('  Not connected'));
+    }
+}
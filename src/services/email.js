@@ -0,0 +1,161 @@
+import { colors, icons } from '../ui/theme.js';
+import { createConnector } from '../connectors/index.js';
+import { createMessageRouter } from '../connectors/router.js';
+
+let connector = null;
+
+/**
+ * Get the email connector, creating it (and wiring the shared router) if needed.
+ */
+function getConnector() {
+    if (!connector) {
+        connector = createConnector('email');
+        connector.setMessageHandler(createMessageRouter(connector));
+    }
+    return connector;
+}
+
+function printAccess(email) {
+    const allowed = email.getAllowedUsers();
+    if (allowed.size > 0) {
+        console.log(colors.muted(`    🔒 Accepting mail from ${allowed.size} allowed sender(s)`));
+    } else {
+        console.log(colors.warning(`    ⚠️  EMAIL_ALLOWED_SENDERS not set — every mail is ignored.`));
+        console.log(colors.muted(`    Run: ${colors.primary('config set EMAIL_ALLOWED_SENDERS you@example.com')} to allow access`));
+    }
+}
+
+/**
+ * Log in to the IMAP server and start polling the inbox.
+ */
+export async function emailConnect() {
+    const email = getConnector();
+    if (!email.isConfigured()) {
+        console.log(colors.error(`  ${icons.cross} Email is not configured.`));
+        console.log(colors.muted('  Use a dedicated mailbox for the bot — every unseen mail in it is marked as read.'));
+        console.log(colors.muted('  Run: ') + colors.primary('config set EMAIL_IMAP_HOST imap.example.com'));
+        console.log(colors.muted('       ') + colors.primary('config set EMAIL_SMTP_HOST smtp.example.com'));
+        console.log(colors.muted('       ') + colors.primary('config set EMAIL_USER bot@example.com'));
+        console.log(colors.muted('       ') + colors.primary('config set EMAIL_PASSWORD <app password>'));
+        return;
+    }
+    if (email.isConnected()) {
+        console.log(colors.email(`  ${icons.check} Email is already connected!`));
+        return;
+    }
+
+    try {
+        const { address } = await email.start();
+        const { imap, smtp, pollSeconds } = email.getSettings();
+        console.log(colors.email(`  ${icons.check} Email connected!`));
+        console.log(colors.muted(`    Mailbox: ${address} (IMAP ${imap.host}:${imap.port}, SMTP ${smtp.host}:${smtp.port})`));
+        console.log(colors.muted(`    Checking for new mail every ${pollSeconds}s`));
+        printAccess(email);
+    } catch (err) {
+        console.log(colors.error(`  ${icons.cross} Email connection failed: ${err.message}`));
+    }
+}
+
+/**
+ * Auto-connect if the mailbox is configured (called on startup).
+ */
+export async function emailAutoConnect() {
+    const email = getConnector();
+    if (!email.isConfigured() || email.isConnected()) return;
+    try {
+        await email.start();
+    } catch {
+        // Silent fail on auto-connect — `email connect` reports why
+    }
+}
+
+/**
+ * Mail a message to an address (starts a new thread).
+ * @param {string} to - Email address
+ * @param {string} message
+ */
+export async function emailSend(to, message) {
+    const email = getConnector();
+    if (!email.isConfigured()) {
+        console.log(colors.error(`  ${icons.cross} Email is not configured. Run ${colors.email('email connect')} for setup steps.`));
+        return;
+    }
+
+    try {
+        await email.sendText(to, message);
+        console.log(colors.email(`  ${icons.check} Mail sent to ${to}`));
+    } catch (err) {
+        console.log(colors.error(`  ${icons.cross} Failed to send: ${err.message}`));
+    }
+}
+
+/**
+ * Check the inbox now instead of waiting for the next poll.
+ */
+export async function emailCheck() {
+    const email = getConnector();
+    if (!email.isConnected()) {
+        console.log(colors.error(`  ${icons.cross} Email not connected. Run ${colors.email('email connect')} first.`));
+        return;
+    }
+    await email.poll();
+    if (email.lastError) {
+        console.log(colors.error(`  ${icons.cross} Checking the inbox failed: ${email.lastError}`));
+    } else {
+        console.log(colors.email(`  ${icons.check} Inbox checked`));
+    }
+}
+
+/**
+ * Show the mail threads handled since startup.
+ */
+export function emailThreads() {
+    const email = getConnector();
+    if (email.recentChats.size === 0) {
+        console.log(colors.muted('  No mail threads yet.'));
+        return;
+    }
+
+    console.log(colors.email.bold('\n  Recent Email Threads'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    for (const [id, info] of email.recentChats) {
+        const ago = Math.round((Date.now() - info.lastMessage) / 1000);
+        const timeStr = ago < 60 ? `${ago}s ago` : `${Math.round(ago / 60)}m ago`;
+        console.log(`  ✉️  ${colors.text(info.name)} ${colors.muted(`(${id})`)} ${colors.muted(`— ${timeStr}`)}`);
+    }
+    console.log('');
+}
+
+/**
+ * Show email connection status.
+ */
+export function emailStatus() {
+    const email = getConnector();
+    if (email.isConnected()) {
+        const { address, pollSeconds } = email.getSettings();
+        console.log(colors.email(`  ${icons.bullet} Email: Connected`) + colors.muted(` as ${address}`));
+        const last = email.lastPoll ? `${Math.round((Date.now() - email.lastPoll) / 1000)}s ago` : 'not yet';
+        console.log(colors.muted(`    Polling every ${pollSeconds}s — last check ${last}`));
+        if (email.lastError) {
+            console.log(colors.warning(`    ⚠️  Last check failed: ${email.lastError}`));
+        }
+        printAccess(email);
+    } else if (email.isConfigured()) {
+        console.log(colors.warning(`  ${icons.circle} Email: Configured but not connected`));
+    } else {
+        console.log(colors.muted(`  ${icons.circle} Email: Not configured`));
+    }
+}
+
+/**
+ * Stop polling and log out.
+ */
+export async function emailDisconnect() {
+    const email = getConnector();
+    if (email.isConnected()) {
+        await email.stop();
+        console.log(colors.muted(`  ${icons.check} Email disconnected`));
+    } else {
+        console.log(colors.muted('  Not connected'));
+    }
+}
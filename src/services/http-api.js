@@ -0,0 +1,97 @@
+import { randomBytes } from 'crypto';
+import { colors, icons } from '../ui/theme.js';
+import { createConnector } from '../connectors/index.js';
+
+let connector = null;
+
+/**
+ * Get the HTTP API connector, creating it if needed.
+ * It has its own routes, so no message router is wired.
+ */
+function getConnector() {
+    if (!connector) {
+        connector = createConnector('http');
+    }
+    return connector;
+}
+
+function printEndpoints() {
+    const { host, port } = getConnector().address();
+    const base = `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+    console.log(colors.muted(`    ${base}/v1/agents/<name>/messages   POST`));
+    console.log(colors.muted(`    ${base}/v1/commands                POST`));
+    console.log(colors.muted(`    ${base}/v1/status                  GET`));
+}
+
+/**
+ * Start the HTTP API server.
+ * @param {number} [port] - Overrides HTTP_API_PORT for this run
+ */
+export async function apiStart(port) {
+    const api = getConnector();
+    if (api.isConnected()) {
+        console.log(colors.success(`  ${icons.check} HTTP API already running on port ${api.address().port}`));
+        return;
+    }
+    if (!api.hasValidToken()) {
+        console.log(colors.error(`  ${icons.cross} HTTP_API_TOKEN not set (or shorter than 16 characters).`));
+        console.log(colors.muted('  Run ') + colors.primary('api token') + colors.muted(' to generate one.'));
+        return;
+    }
+
+    if (port !== undefined) api.config.port = port;
+    try {
+        await api.start();
+        console.log(colors.success(`  ${icons.check} HTTP API listening`));
+        printEndpoints();
+    } catch (err) {
+        console.log(colors.error(`  ${icons.cross} HTTP API failed to start: ${err.message}`));
+    }
+}
+
+/**
+ * Start the API on startup when a token is configured.
+ */
+export async function apiAutoConnect() {
+    const api = getConnector();
+    if (!api.hasValidToken() || api.isConnected()) return;
+    try {
+        await api.start();
+    } catch {
+        // Port taken (e.g. by the daemon) — `api start` reports why
+    }
+}
+
+/**
+ * Show HTTP API status.
+ */
+export function apiStatus() {
+    const api = getConnector();
+    if (api.isConnected()) {
+        console.log(colors.success(`  ${icons.bullet} HTTP API: Listening on port ${api.address().port}`) + colors.muted(` (${api.requestCount} request(s))`));
+    } else if (api.hasValidToken()) {
+        console.log(colors.warning(`  ${icons.circle} HTTP API: Token set but not running`));
+    } else {
+        console.log(colors.muted(`  ${icons.circle} HTTP API: No token configured`));
+    }
+}
+
+/**
+ * Stop the HTTP API server.
+ */
+export async function apiStop() {
+    const api = getConnector();
+    if (api.isConnected()) {
+        await api.stop();
+        console.log(colors.muted(`  ${icons.check} HTTP API stopped`));
+    } else {
+        console.log(colors.muted('  Not running'));
+    }
+}
+
+/**
+ * Generate a random bearer token for HTTP_API_TOKEN.
+ */
+export function generateApiToken() {
+    return randomBytes(24).toString('base64url');
+}
@@ -0,0 +1,152 @@
+import { colors, icons } from '../ui/theme.js';
+import { createConnector } from '../connectors/index.js';
+import { createMessageRouter } from '../connectors/router.js';
+
+let connector = null;
+
+/**
+ * Get the Matrix connector, creating it (and wiring the shared router) if needed.
+ */
+function getConnector() {
+    if (!connector) {
+        connector = createConnector('matrix');
+        connector.setMessageHandler(createMessageRouter(connector));
+    }
+    return connector;
+}
+
+function printAccess(matrix) {
+    const allowed = matrix.getAllowedUsers();
+    if (allowed.size > 0) {
+        console.log(colors.muted(`    🔒 Restricted to ${allowed.size} allowed user(s)`));
+    } else {
+        console.log(colors.warning(`    ⚠️  MATRIX_ALLOWED_USERS not set — bot is locked down and will reject all messages.`));
+        console.log(colors.muted(`    Run: ${colors.primary('config set MATRIX_ALLOWED_USERS @you:example.org')} to allow access`));
+    }
+    const rooms = matrix.getAllowedRooms();
+    if (rooms.size > 0) {
+        console.log(colors.muted(`    🔒 Answers in ${rooms.size} allowed room(s) only`));
+    }
+}
+
+/**
+ * Log in with the access token and start the sync loop.
+ */
+export async function matrixConnect() {
+    const matrix = getConnector();
+    if (!matrix.isConfigured()) {
+        console.log(colors.error(`  ${icons.cross} MATRIX_HOMESERVER or MATRIX_ACCESS_TOKEN not set.`));
+        console.log(colors.muted('  1. Create a user for the bot on your homeserver'));
+        console.log(colors.muted('  2. Log in as the bot (e.g. in Element → Settings → Help & About → Access Token)'));
+        console.log(colors.muted('  3. Run: ') + colors.primary('config set MATRIX_HOMESERVER https://matrix.example.org'));
+        console.log(colors.muted('     and: ') + colors.primary('config set MATRIX_ACCESS_TOKEN <token>'));
+        return;
+    }
+    if (matrix.isConnected()) {
+        console.log(colors.matrix(`  ${icons.check} Matrix is already connected!`));
+        return;
+    }
+
+    try {
+        const { user_id: userId } = await matrix.start();
+        console.log(colors.matrix(`  ${icons.check} Matrix connected!`));
+        console.log(colors.muted(`    Bot: ${userId} on ${matrix.getHomeserver()}`));
+        printAccess(matrix);
+        console.log(colors.muted('    Invite the bot to a room to talk to it.'));
+    } catch (err) {
+        console.log(colors.error(`  ${icons.cross} Matrix connection failed: ${err.message}`));
+    }
+}
+
+/**
+ * Auto-connect if the homeserver and token are configured (called on startup).
+ */
+export async function matrixAutoConnect() {
+    const matrix = getConnector();
+    if (!matrix.isConfigured() || matrix.isConnected()) return;
+    try {
+        await matrix.start();
+    } catch {
+        // Silent fail on auto-connect — `matrix connect` reports why
+    }
+}
+
+/**
+ * Send a message to a Matrix room.
+ * @param {string} room - Room ID (!...), alias (#...) or name
+ * @param {string} message
+ */
+export async function matrixSend(room, message) {
+    const matrix = getConnector();
+    if (!matrix.isConnected()) {
+        console.log(colors.error(`  ${icons.cross} Matrix not connected. Run ${colors.matrix('matrix connect')} first.`));
+        return;
+    }
+
+    try {
+        await matrix.sendText(room, message, { markdown: true });
+        console.log(colors.matrix(`  ${icons.check} Message sent to ${room}`));
+    } catch (err) {
+        console.log(colors.error(`  ${icons.cross} Failed to send: ${err.message}`));
+    }
+}
+
+/**
+ * List the rooms the bot has joined.
+ */
+export function matrixRooms() {
+    const matrix = getConnector();
+    if (!matrix.isConnected()) {
+        console.log(colors.error(`  ${icons.cross} Matrix not connected. Run ${colors.matrix('matrix connect')} first.`));
+        return;
+    }
+
+    if (matrix.rooms.size === 0) {
+        console.log(colors.muted('  The bot has not joined any room yet.'));
+        console.log(colors.muted('  Invite it from an allowed account and it joins automatically.'));
+        return;
+    }
+
+    console.log(colors.matrix.bold('\n  Matrix Rooms'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    for (const [id, room] of matrix.rooms) {
+        const recent = matrix.recentChats.get(id);
+        const ago = recent ? Math.round((Date.now() - recent.lastMessage) / 1000) : null;
+        const timeStr = ago === null ? '' : colors.muted(` — ${ago < 60 ? `${ago}s` : `${Math.round(ago / 60)}m`} ago`);
+        const blocked = matrix.isRoomAllowed(id) ? '' : colors.warning(' (not in MATRIX_ALLOWED_ROOMS)');
+        console.log(`  ${colors.text(room.name)} ${colors.muted(`(${id})`)}${blocked}${timeStr}`);
+    }
+    console.log('');
+}
+
+/**
+ * Show Matrix connection status.
+ */
+export function matrixStatus() {
+    const matrix = getConnector();
+    if (matrix.isConnected()) {
+        console.log(colors.matrix(`  ${icons.bullet} Matrix: Connected`) + colors.muted(` as ${matrix.userId}`));
+        console.log(colors.muted(`    Homeserver: ${matrix.getHomeserver()} — ${matrix.rooms.size} room(s)`));
+        if (matrix.lastError) {
+            console.log(colors.warning(`    ⚠️  Sync is retrying: ${matrix.lastError}`));
+        }
+        printAccess(matrix);
+    } else if (matrix.isConfigured()) {
+        console.log(colors.warning(`  ${icons.circle} Matrix: Token set but not connected`));
+    } else {
+        console.log(colors.muted(`  ${icons.circle} Matrix: Not configured`));
+    }
+}
+
+/**
+ * Stop the sync loop.
+ */
+export async function matrixDisconnect() {
+    const matrix = getConnector();
+    if (matrix.isConnected()) {
+        await matrix.stop();
+        console.log(colors.muted(`  ${icons.check} Matrix disconnected`));
+    } else {
+        console.log(colors.muted('  Not connected'));
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * ─── MCP Server ─────────────────────────────────────────────────
+ *
+ * `minigeri mcp-serve` — exposes minigeri to any MCP host (Claude Code,
+ * Gemini CLI, Claude Desktop...) over stdio:
+ *
+ *   claude mcp add minigeri -- minigeri mcp-serve
+ *
+ * Tools offered:
+ *   • run_command  — any registered command in ALLOWED_COMMANDS
+ *                    (slack send, tg send, workspace, status, ...)
+ *   • list_files, read_file, search_code — the read-only project tools
+ *
+ * Design:
+ *   • Same executor and command runner the agents use, so the
+ *     ALLOWED_COMMANDS gate applies unchanged
+ *   • File-writing tools are not served: they need minigeri's own
+ *     approval prompt, which an MCP host can't show
+ *   • stdout is the protocol channel — calls run one at a time, and
+ *     run_command shares runCommand()'s queue with every other caller
+ *   • Connector commands (tg send, wa send...) go to the running daemon,
+ *     which holds the connections; this process never connects a bot
+ *     itself, which would fight the daemon or shell over polling
+ */
+import { TOOL_CATALOG } from '../tools/definitions.js';
+import { executeTool } from '../tools/executor.js';
+import { listRegisteredCommands } from '../tools/command-runner.js';
+import { getDaemonStatus, runInDaemon } from './daemon.js';
+
+export const SERVED_TOOLS = ['run_command', 'list_files', 'read_file', 'search_code'];
+const SUPPORTED_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+function servedCatalog() {
+    return TOOL_CATALOG.filter((tool) => SERVED_TOOLS.includes(tool.name));
+}
+
+function toMcpTool(tool) {
+    let description = tool.description;
+    if (tool.name === 'run_command') {
+        description = description.replace(/See the commands instruction file.*$/, '')
+            + `Available commands: ${listRegisteredCommands().join(', ')}.`;
+    }
+    return {
+        name: tool.name,
+        description,
+        inputSchema: {
+            type: 'object',
+            properties: tool.parameters.properties,
+            required: tool.parameters.required,
+        },
+    };
+}
+
+/**
+ * Create a JSON-RPC message handler for the MCP server.
+ *
+ * @param {object} [options]
+ * @param {string} [options.version] - Reported in serverInfo
+ * @param {string} [options.cwd] - Project directory for the file tools
+ * @param {Record<string, string>} [options.daemonCommands] - Command names
+ *   that run in the daemon, mapped to their canonical name (DAEMON_COMMANDS)
+ * @param {string} [options.socketPath] - Daemon control socket
+ * @returns {{ handle: (msg: object) => Promise<object|null> }}
+ *   handle() resolves to the response, or null for notifications
+ */
+export function createMcpServer({ version = '1.0.0', cwd, daemonCommands = {}, socketPath } = {}) {
+    let queue = Promise.resolve();
+
+    const runConnectorCommand = async (canonical, rest) => {
+        if (!(await getDaemonStatus({ socketPath }))) {
+            return `[Error: "${canonical}" commands need the minigeri daemon, which holds the connection. Start it with "minigeri daemon start".]`;
+        }
+        return runInDaemon([canonical, ...rest].join(' '), { socketPath });
+    };
+
+    const execute = (name, args) => {
+        if (name === 'run_command') {
+            const [command = '', ...rest] = String(args.command || '').trim().split(/\s+/);
+            const canonical = daemonCommands[command.toLowerCase()];
+            if (canonical) return runConnectorCommand(canonical, rest);
+        }
+        return executeTool(name, args, { cwd, tools: servedCatalog() });
+    };
+
+    // One tool call at a time (see Design above)
+    const callTool = (name, args) => {
+        const run = queue.then(() => execute(name, args));
+        queue = run.catch(() => { });
+        return run;
+    };
+
+    async function handle(msg) {
+        if (msg.id === undefined) return null; // notifications need no reply
+        const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+        const fail = (code, message) => ({ jsonrpc: '2.0', id: msg.id, error: { code, message } });
+
+        switch (msg.method) {
+            case 'initialize': {
+                const requested = msg.params?.protocolVersion;
+                return reply({
+                    protocolVersion: SUPPORTED_VERSIONS.includes(requested) ? requested : SUPPORTED_VERSIONS[0],
+                    capabilities: { tools: {} },
+                    serverInfo: { name: 'minigeri', version },
+                });
+            }
+
+            case 'ping':
+                return reply({});
+
+            case 'tools/list':
+                return reply({ tools: servedCatalog().map(toMcpTool) });
+
+            case 'tools/call': {
+                const { name, arguments: args = {} } = msg.params || {};
+                if (!SERVED_TOOLS.includes(name)) return fail(-32602, `Unknown tool: ${name}`);
+                try {
+                    const text = await callTool(name, args);
+                    const isError = /^\[(Error|Rejected):/.test(text);
+                    return reply({ content: [{ type: 'text', text }], isError });
+                } catch (err) {
+                    return reply({ content: [{ type: 'text', text: err.message }], isError: true });
+                }
+            }
+
+            default:
+                return fail(-32601, `Method not found: ${msg.method}`);
+        }
+    }
+
+    return { handle };
+}
+
+/**
+ * Serve MCP over newline-delimited JSON on a pair of streams.
+ *
+ * @param {{ handle: Function }} server - From createMcpServer()
+ * @param {object} [streams]
+ * @param {NodeJS.ReadableStream} [streams.input]
+ * @param {(line: string) => void} [streams.write] - Writes one protocol line
+ * @returns {Promise<void>} Resolves when the input closes
+ */
+export function serveMcpStdio(server, {
+    input = process.stdin,
+    write = process.stdout.write.bind(process.stdout),
+} = {}) {
+    return new Promise((resolve) => {
+        let buffer = '';
+        const pending = new Set();
+
+        const dispatch = (line) => {
+            let msg;
+            try {
+                msg = JSON.parse(line);
+            } catch {
+                write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }) + '\n');
+                return;
+            }
+            const job = server.handle(msg).then((response) => {
+                if (response) write(JSON.stringify(response) + '\n');
+            });
+            pending.add(job);
+            job.finally(() => pending.delete(job));
+        };
+
+        input.on('data', (chunk) => {
+            buffer += chunk.toString();
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+                if (line) dispatch(line);
+            }
+        });
+        input.on('end', async () => {
+            await Promise.allSettled([...pending]);
+            resolve();
+        });
+    });
+}
@@ -0,0 +1,540 @@
+/**
+ * ─── MCP Client ─────────────────────────────────────────────────
+ *
+ * A native Model Context Protocol client, so API agents (claude-api,
+ * gemini-api, groq, ollama, openai-compatible) can call tools from any
+ * MCP server — not just Gemini CLI.
+ *
+ * Servers are configured in ~/.cli-bot/config.json, in the same shape
+ * Claude Desktop and Gemini CLI use:
+ *
+ *   "mcpServers": {
+ *     "files":    { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-filesystem", "."] },
+ *     "supabase": { "url": "https://mcp.supabase.com/mcp", "headers": { "Authorization": "Bearer ..." } }
+ *   }
+ *
+ * Design:
+ *   • Hand-rolled JSON-RPC 2.0 over two transports: stdio (newline-
+ *     delimited JSON to a child process) and streamable HTTP (POST, with
+ *     JSON or SSE responses and an Mcp-Session-Id)
+ *   • Connected servers' tools are registered in the tool registry as
+ *     `<server>__<tool>`, so every agent's catalog and the `tools`
+ *     command pick them up; disconnecting removes them again
+ *   • Supabase keeps working from SUPABASE_MCP_URL / SUPABASE_ACCESS_TOKEN
+ *     (see services/supabase.js) unless a "supabase" server is configured
+ */
+import { spawn } from 'child_process';
+import http from 'http';
+import https from 'https';
+import { loadConfig } from '../config.js';
+import { registerTool, unregisterTool } from '../tools/registry.js';
+import { supabaseMcpServer } from './supabase.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_INFO = { name: 'minigeri', version: '1.0.0' };
+const DEFAULT_TIMEOUT_MS = 30_000;
+const MAX_STDERR_LINES = 20;
+
+// ── Transports ──────────────────────────────────────────────────
+// Both expose start(), send(message), close() and call onmessage(msg)
+// for every JSON-RPC message received from the server.
+
+class StdioTransport {
+    constructor({ command, args = [], env = {}, cwd }) {
+        this.command = command;
+        this.args = args;
+        this.env = env;
+        this.cwd = cwd;
+        this.child = null;
+        this.stderr = [];
+        this.onmessage = null;
+        this.onclose = null;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.child = spawn(this.command, this.args, {
+                cwd: this.cwd,
+                env: { ...process.env, ...this.env },
+                stdio: ['pipe', 'pipe', 'pipe'],
+                shell: process.platform === 'win32',
+            });
+
+            let buffer = '';
+            this.child.stdout.on('data', (chunk) => {
+                buffer += chunk.toString();
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).trim();
+                    buffer = buffer.slice(newline + 1);
+                    if (!line) continue;
+                    try {
+                        this.onmessage?.(JSON.parse(line));
+                    } catch {
+                        // Not JSON-RPC (some servers log to stdout) — ignore
+                    }
+                }
+            });
+
+            this.child.stderr.on('data', (chunk) => {
+                this.stderr.push(...chunk.toString().split('\n').filter(Boolean));
+                this.stderr.splice(0, Math.max(0, this.stderr.length - MAX_STDERR_LINES));
+            });
+
+            this.child.on('error', (err) => reject(new Error(`Could not start "${this.command}": ${err.message}`)));
+            this.child.on('spawn', () => resolve());
+            this.child.on('exit', (code) => {
+                this.child = null;
+                const detail = this.stderr.length ? `: ${this.stderr.slice(-3).join(' | ')}` : '';
+                this.onclose?.(new Error(`Server process exited (code ${code})${detail}`));
+            });
+        });
+    }
+
+    async send(message) {
+        if (!this.child) throw new Error('Server process is not running');
+        this.child.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    async close() {
+        if (!this.child) return;
+        const child = this.child;
+        this.child = null;
+        child.stdin.end();
+        child.kill();
+    }
+}
+
+class HttpTransport {
+    constructor({ url, headers = {} }) {
+        this.url = new URL(url);
+        this.headers = headers;
+        this.sessionId = null;
+        this.protocolVersion = null;
+        this.onmessage = null;
+        this.onclose = null;
+    }
+
+    async start() { }
+
+    _request(method, body) {
+        const lib = this.url.protocol === 'https:' ? https : http;
+        const headers = {
+            Accept: 'application/json, text/event-stream',
+            ...this.headers,
+            ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+            ...(this.protocolVersion ? { 'MCP-Protocol-Version': this.protocolVersion } : {}),
+        };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = lib.request(this.url, { method, headers }, (res) => {
+                const sessionId = res.headers['mcp-session-id'];
+                if (sessionId) this.sessionId = sessionId;
+
+                if (res.statusCode >= 400) {
+                    let errorBody = '';
+                    res.on('data', (c) => { errorBody += c.toString(); });
+                    res.on('end', () => reject(new Error(`MCP server error (${res.statusCode}): ${errorBody.slice(0, 200) || res.statusMessage}`)));
+                    return;
+                }
+
+                const isStream = (res.headers['content-type'] || '').includes('text/event-stream');
+                let buffer = '';
+                let data = '';
+                const dispatch = (text) => {
+                    try {
+                        const parsed = JSON.parse(text);
+                        for (const msg of Array.isArray(parsed) ? parsed : [parsed]) this.onmessage?.(msg);
+                    } catch { }
+                };
+
+                res.on('data', (chunk) => {
+                    buffer += chunk.toString();
+                    if (!isStream) return;
+                    // SSE: events are separated by a blank line; payload in data: lines
+                    let newline;
+                    while ((newline = buffer.indexOf('\n')) !== -1) {
+                        const line = buffer.slice(0, newline).replace(/\r$/, '');
+                        buffer = buffer.slice(newline + 1);
+                        if (line.startsWith('data:')) {
+                            data += (data ? '\n' : '') + line.slice(5).trim();
+                        } else if (line === '' && data) {
+                            dispatch(data);
+                            data = '';
+                        }
+                    }
+                });
+                res.on('end', () => {
+                    if (isStream) {
+                        if (data) dispatch(data);
+                    } else if (buffer.trim()) {
+                        dispatch(buffer);
+                    }
+                    resolve();
+                });
+            });
+            req.on('error', reject);
+            if (body) req.write(body);
+            req.end();
+        });
+    }
+
+    async send(message) {
+        await this._request('POST', JSON.stringify(message));
+    }
+
+    async close() {
+        if (!this.sessionId) return;
+        try {
+            await this._request('DELETE');
+        } catch {
+            // Servers may not support explicit session termination
+        }
+        this.sessionId = null;
+    }
+}
+
+// ── Client ──────────────────────────────────────────────────────
+
+/**
+ * One connection to one MCP server.
+ */
+export class McpClient {
+    /**
+     * @param {string} name - Server name from config.mcpServers
+     * @param {object} server - { command, args, env, cwd } or { url, headers }, plus optional timeoutMs
+     */
+    constructor(name, server) {
+        this.name = name;
+        this.server = server;
+        this.timeoutMs = server.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.transport = null;
+        this.serverInfo = null;
+        this.tools = [];
+        this.connected = false;
+        this.nextId = 1;
+        this.pending = new Map(); // id → { resolve, reject, timer }
+    }
+
+    get kind() {
+        return this.server.url ? 'http' : 'stdio';
+    }
+
+    /**
+     * Start the transport, run the initialize handshake and fetch the tool list.
+     */
+    async connect() {
+        if (!this.server.url && !this.server.command) {
+            throw new Error(`MCP server "${this.name}" needs a "command" or a "url"`);
+        }
+
+        this.transport = this.server.url ? new HttpTransport(this.server) : new StdioTransport(this.server);
+        this.transport.onmessage = (msg) => this._handleMessage(msg);
+        this.transport.onclose = (err) => this._handleClose(err);
+
+        try {
+            await this.transport.start();
+            const init = await this._request('initialize', {
+                protocolVersion: MCP_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: CLIENT_INFO,
+            });
+            this.serverInfo = init.serverInfo || null;
+            if (this.transport instanceof HttpTransport) {
+                this.transport.protocolVersion = init.protocolVersion || MCP_PROTOCOL_VERSION;
+            }
+            await this._notify('notifications/initialized');
+            this.connected = true;
+            this.tools = await this.listTools();
+        } catch (err) {
+            await this.close();
+            throw err;
+        }
+        return this;
+    }
+
+    /**
+     * Fetch every tool the server offers, following pagination cursors.
+     * @returns {Promise<{ name: string, description?: string, inputSchema?: object }[]>}
+     */
+    async listTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const page = await this._request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(page.tools || []));
+            cursor = page.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    /**
+     * Call a tool and flatten its content blocks into text.
+     * @returns {Promise<string>}
+     */
+    async callTool(name, args = {}) {
+        const result = await this._request('tools/call', { name, arguments: args });
+        const text = formatContent(result);
+        return result.isError ? `[Error: ${text || 'tool failed'}]` : text;
+    }
+
+    async close() {
+        this.connected = false;
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(new Error(`MCP server "${this.name}" disconnected`));
+        }
+        this.pending.clear();
+        const transport = this.transport;
+        this.transport = null;
+        if (transport) await transport.close();
+    }
+
+    _request(method, params) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`MCP server "${this.name}" timed out on ${method}`));
+            }, this.timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+
+            this.transport.send({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) }).catch((err) => {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(err);
+            });
+        });
+    }
+
+    _notify(method, params) {
+        return this.transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    }
+
+    _handleMessage(msg) {
+        // Response to one of our requests
+        if (msg.id !== undefined && !msg.method) {
+            const entry = this.pending.get(msg.id);
+            if (!entry) return;
+            clearTimeout(entry.timer);
+            this.pending.delete(msg.id);
+            if (msg.error) {
+                entry.reject(new Error(`MCP error ${msg.error.code}: ${msg.error.message}`));
+            } else {
+                entry.resolve(msg.result || {});
+            }
+            return;
+        }
+
+        // Request from the server — we only implement ping
+        if (msg.id !== undefined && msg.method) {
+            const reply = msg.method === 'ping'
+                ? { jsonrpc: '2.0', id: msg.id, result: {} }
+                : { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not supported: ${msg.method}` } };
+            this.transport?.send(reply).catch(() => { });
+        }
+        // Notifications (logging, list_changed, progress) are ignored
+    }
+
+    _handleClose(err) {
+        const wasConnected = this.connected;
+        this.connected = false;
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(err);
+        }
+        this.pending.clear();
+        if (wasConnected) {
+            unregisterServerTools(this);
+            connectErrors.set(this.name, err.message);
+        }
+    }
+}
+
+/**
+ * Turn a tools/call result's content blocks into plain text.
+ */
+function formatContent(result) {
+    const blocks = result.content || [];
+    const parts = blocks.map((block) => {
+        switch (block.type) {
+            case 'text':
+                return block.text;
+            case 'image':
+            case 'audio':
+                return `[${block.type}: ${block.mimeType || 'binary'}]`;
+            case 'resource':
+                return block.resource?.text ?? `[resource: ${block.resource?.uri}]`;
+            case 'resource_link':
+                return `[resource: ${block.uri}]`;
+            default:
+                return JSON.stringify(block);
+        }
+    });
+    if (parts.length === 0 && result.structuredContent) {
+        return JSON.stringify(result.structuredContent, null, 2);
+    }
+    return parts.join('\n');
+}
+
+// ── Registry integration ────────────────────────────────────────
+
+const clients = new Map(); // server name → McpClient
+const connectErrors = new Map(); // server name → last connect error
+
+/**
+ * The catalog name of an MCP tool: `<server>__<tool>`, reduced to the
+ * characters every provider accepts and at most 64 long.
+ */
+export function mcpToolName(server, tool) {
+    return `${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+/**
+ * Bring an MCP input schema into catalog shape: every property gets a
+ * single string type (providers reject unions and missing types).
+ */
+function toCatalogParameters(inputSchema = {}) {
+    const properties = {};
+    for (const [key, schema] of Object.entries(inputSchema.properties || {})) {
+        const types = [].concat(schema?.type || 'string').filter((t) => t !== 'null');
+        properties[key] = { ...schema, type: types[0] || 'string' };
+    }
+    return { properties, required: inputSchema.required || [] };
+}
+
+function registerServerTools(client) {
+    for (const tool of client.tools) {
+        try {
+            registerTool({
+                name: mcpToolName(client.name, tool.name),
+                description: tool.description || `${tool.name} (from MCP server ${client.name})`,
+                parameters: toCatalogParameters(tool.inputSchema),
+                execute: (args) => client.callTool(tool.name, args),
+            }, `mcp:${client.name}`);
+        } catch {
+            // Name clash after sanitizing — skip the duplicate
+        }
+    }
+}
+
+function unregisterServerTools(client) {
+    for (const tool of client.tools) {
+        unregisterTool(mcpToolName(client.name, tool.name));
+    }
+}
+
+/**
+ * Configured MCP servers, including the Supabase server from env vars.
+ * @param {object} [config]
+ * @returns {Record<string, object>}
+ */
+export function getMcpServers(config = loadConfig()) {
+    const servers = { ...(config.mcpServers || {}) };
+    const supabase = supabaseMcpServer();
+    if (supabase && !servers.supabase) servers.supabase = supabase;
+    return servers;
+}
+
+/**
+ * Connect to a configured server (reconnecting if already connected)
+ * and register its tools.
+ *
+ * @param {string} name
+ * @param {object} [server] - Overrides the configured definition (tests)
+ * @returns {Promise<McpClient>}
+ */
+export async function connectMcpServer(name, server = getMcpServers()[name]) {
+    if (!server) throw new Error(`No MCP server named "${name}" in config.mcpServers`);
+    await disconnectMcpServer(name);
+
+    const client = new McpClient(name, server);
+    try {
+        await client.connect();
+    } catch (err) {
+        connectErrors.set(name, err.message);
+        throw err;
+    }
+    connectErrors.delete(name);
+    clients.set(name, client);
+    registerServerTools(client);
+    return client;
+}
+
+/**
+ * Disconnect a server and remove its tools.
+ * @returns {Promise<boolean>} Whether it was connected
+ */
+export async function disconnectMcpServer(name) {
+    const client = clients.get(name);
+    if (!client) return false;
+    clients.delete(name);
+    unregisterServerTools(client);
+    await client.close();
+    return true;
+}
+
+/**
+ * Disconnect every server (used before a one-shot command exits).
+ */
+export async function disconnectAllMcpServers() {
+    await Promise.all([...clients.keys()].map((name) => disconnectMcpServer(name)));
+}
+
+/**
+ * Connect every configured server that isn't disabled or opted out of
+ * auto-connecting. Failures are returned, not thrown.
+ * @returns {Promise<{ name: string, client?: McpClient, error?: string }[]>}
+ */
+export async function connectAllMcpServers() {
+    const results = [];
+    for (const [name, server] of Object.entries(getMcpServers())) {
+        if (server.disabled || server.autoConnect === false) continue;
+        try {
+            results.push({ name, client: await connectMcpServer(name, server) });
+        } catch (err) {
+            results.push({ name, error: err.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * The live client for a server, if connected.
+ * @returns {McpClient|null}
+ */
+export function getMcpClient(name) {
+    const client = clients.get(name);
+    return client?.connected ? client : null;
+}
+
+/**
+ * Every configured server with its connection state, for `mcp list`.
+ * @returns {{ name: string, kind: string, target: string, connected: boolean, tools: number, serverInfo: object|null, error: string|null, disabled: boolean }[]}
+ */
+export function getMcpStatus() {
+    return Object.entries(getMcpServers()).map(([name, server]) => {
+        const client = getMcpClient(name);
+        return {
+            name,
+            kind: server.url ? 'http' : 'stdio',
+            target: server.url || [server.command, ...(server.args || [])].join(' '),
+            connected: !!client,
+            tools: client ? client.tools.length : 0,
+            serverInfo: client?.serverInfo || null,
+            error: client ? null : connectErrors.get(name) || null,
+            disabled: !!server.disabled,
+        };
+    });
+}
+
+// Don't leave stdio servers running after minigeri exits
+process.on('exit', () => {
+    for (const client of clients.values()) {
+        client.transport?.child?.kill();
+    }
+});
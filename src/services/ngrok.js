@@ -197,6 +197,39 @@ export function isNgrokRunning() {
     return ngrokProcess !== null;
 }
 
+/**
+ * Get a public https URL that forwards to a local port. Reuses a running
+ * ngrok tunnel for that port, otherwise starts a dedicated ngrok process.
+ * @param {number} port - Local port
+ * @returns {Promise<{ url: string, close: () => void }>} close() stops the ngrok process it started
+ */
+export async function openNgrokTunnel(port) {
+    const findTunnel = async () => {
+        const data = await fetchNgrokTunnels();
+        return (data.tunnels || []).find(t => t.proto === 'https' && t.config?.addr?.endsWith(`:${port}`));
+    };
+
+    const existing = await findTunnel().catch(() => null);
+    if (existing) return { url: existing.public_url, close: () => { } };
+
+    const child = spawn('ngrok', ['http', String(port), '--log=stdout', '--log-format=json'], {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: false,
+    });
+    let failure = null;
+    child.on('error', (err) => { failure = err; });
+    child.on('exit', () => { failure = failure || new Error('ngrok exited'); });
+
+    for (let i = 0; i < 15 && !failure; i++) {
+        await new Promise(r => setTimeout(r, 500));
+        const tunnel = await findTunnel().catch(() => null);
+        if (tunnel) return { url: tunnel.public_url, close: () => child.kill() };
+    }
+
+    child.kill();
+    throw new Error(failure ? `Failed to start ngrok: ${failure.message}` : 'Could not retrieve the ngrok tunnel URL.');
+}
+
 const FILE_SERVER_PORT = 19237;
 let fileServerNgrokProcess = null;
 
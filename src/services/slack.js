@@ -1,12 +1,42 @@
-import { WebClient } from '@slack/web-api';
 import { colors, icons } from '../ui/theme.js';
+import { createConnector } from '../connectors/index.js';
+import { createMessageRouter } from '../connectors/router.js';
 
-let client = null;
-let isConnected = false;
-let botInfo = null;
+let connector = null;
+
+/**
+ * Get the Slack connector, creating it (and wiring the shared router) if needed.
+ */
+function getConnector() {
+    if (!connector) {
+        connector = createConnector('slack');
+        connector.setMessageHandler(createMessageRouter(connector));
+    }
+    return connector;
+}
+
+/**
+ * Print whether (and for whom) the bot answers incoming messages.
+ */
+function printInboundStatus() {
+    const slack = getConnector();
+    if (!slack.isListening()) {
+        console.log(colors.muted(`    Send-only: set ${colors.primary('config set SLACK_APP_TOKEN xapp-...')} to receive DMs and @mentions`));
+        return;
+    }
+
+    const allowed = slack.getAllowedUsers();
+    if (allowed.size > 0) {
+        console.log(colors.muted(`    🔒 Socket Mode on — restricted to ${allowed.size} allowed user(s)`));
+    } else {
+        console.log(colors.warning(`    ⚠️  SLACK_ALLOWED_USERS not set — bot is locked down and will reject all messages.`));
+        console.log(colors.muted(`    Run: ${colors.primary('config set SLACK_ALLOWED_USERS <member_id>')} to allow access`));
+    }
+}
 
 /**
  * Connect to Slack using a Bot Token from the environment.
+ * With SLACK_APP_TOKEN also set, incoming DMs and @mentions are routed to agents.
  */
 export async function slackConnect() {
     const token = process.env.SLACK_BOT_TOKEN;
@@ -21,17 +51,13 @@ export async function slackConnect() {
     }
 
     try {
-        client = new WebClient(token);
-
         // Test the connection
-        const authResult = await client.auth.test();
-        botInfo = authResult;
-        isConnected = true;
+        const authResult = await getConnector().start();
 
         console.log(colors.slack(`  ${icons.check} Slack connected!`));
         console.log(colors.muted(`    Bot: ${authResult.user} (${authResult.team})`));
+        printInboundStatus();
     } catch (err) {
-        isConnected = false;
         console.log(colors.error(`  ${icons.cross} Slack connection failed: ${err.message}`));
     }
 }
@@ -40,12 +66,9 @@ export async function slackConnect() {
  * Auto-connect if token is available (called on startup).
  */
 export async function slackAutoConnect() {
-    if (process.env.SLACK_BOT_TOKEN && !isConnected) {
+    if (process.env.SLACK_BOT_TOKEN && !getConnector().isConnected()) {
         try {
-            client = new WebClient(process.env.SLACK_BOT_TOKEN);
-            const authResult = await client.auth.test();
-            botInfo = authResult;
-            isConnected = true;
+            await getConnector().start();
         } catch {
             // Silent fail on auto-connect
         }
@@ -58,26 +81,14 @@ export async function slackAutoConnect() {
  * @param {string} message - Message text
  */
 export async function slackSend(channel, message) {
-    if (!isConnected) {
+    if (!getConnector().isConnected()) {
         console.log(colors.error(`  ${icons.cross} Slack is not connected. Run ${colors.slack('slack connect')} first.`));
         return;
     }
 
     try {
-        // If channel is a name (not ID), try to resolve it
-        let channelId = channel;
-        if (!channel.startsWith('C') && !channel.startsWith('D') && !channel.startsWith('G')) {
-            channelId = await resolveChannel(channel.replace(/^#/, ''));
-            if (!channelId) {
-                console.log(colors.error(`  ${icons.cross} Channel "${channel}" not found`));
-                return;
-            }
-        }
-
-        await client.chat.postMessage({
-            channel: channelId,
-            text: message,
-        });
+        // If channel is a name (not ID), the connector resolves it
+        await getConnector().sendText(channel, message);
         console.log(colors.slack(`  ${icons.check} Message sent to #${channel}`));
     } catch (err) {
         console.log(colors.error(`  ${icons.cross} Failed to send: ${err.message}`));
@@ -88,13 +99,13 @@ export async function slackSend(channel, message) {
  * List available Slack channels.
  */
 export async function slackChannels() {
-    if (!isConnected) {
+    if (!getConnector().isConnected()) {
         console.log(colors.error(`  ${icons.cross} Slack is not connected. Run ${colors.slack('slack connect')} first.`));
         return;
     }
 
     try {
-        const result = await client.conversations.list({
+        const result = await getConnector().client.conversations.list({
             types: 'public_channel,private_channel',
             limit: 50,
         });
@@ -119,19 +130,17 @@ export async function slackChannels() {
  * @param {number} count - Number of messages to fetch
  */
 export async function slackRead(channel, count = 10) {
-    if (!isConnected) {
+    if (!getConnector().isConnected()) {
         console.log(colors.error(`  ${icons.cross} Slack is not connected. Run ${colors.slack('slack connect')} first.`));
         return;
     }
 
     try {
-        let channelId = channel;
-        if (!channel.startsWith('C') && !channel.startsWith('D') && !channel.startsWith('G')) {
-            channelId = await resolveChannel(channel.replace(/^#/, ''));
-            if (!channelId) {
-                console.log(colors.error(`  ${icons.cross} Channel "${channel}" not found`));
-                return;
-            }
+        const client = getConnector().client;
+        const channelId = await getConnector().resolveChannel(channel);
+        if (!channelId) {
+            console.log(colors.error(`  ${icons.cross} Channel "${channel}" not found`));
+            return;
         }
 
         const result = await client.conversations.history({
@@ -172,9 +181,11 @@ export async function slackRead(channel, count = 10) {
  * Show Slack connection status.
  */
 export function slackStatus() {
-    if (isConnected && botInfo) {
+    const { botInfo } = getConnector();
+    if (getConnector().isConnected()) {
         console.log(colors.slack(`  ${icons.bullet} Slack: Connected`));
         console.log(colors.muted(`    Bot: ${botInfo.user} (${botInfo.team})`));
+        printInboundStatus();
     } else if (process.env.SLACK_BOT_TOKEN) {
         console.log(colors.warning(`  ${icons.circle} Slack: Token set but not connected`));
     } else {
@@ -185,28 +196,11 @@ export function slackStatus() {
 /**
  * Disconnect from Slack.
  */
-export function slackDisconnect() {
-    if (isConnected) {
-        client = null;
-        isConnected = false;
-        botInfo = null;
+export async function slackDisconnect() {
+    if (getConnector().isConnected()) {
+        await getConnector().stop();
         console.log(colors.muted(`  ${icons.check} Slack disconnected`));
     } else {
         console.log(colors.muted('  Not connected'));
     }
 }
-
-// ─── Helpers ───────────────────────────────────────────────────────
-
-async function resolveChannel(name) {
-    try {
-        const result = await client.conversations.list({
-            types: 'public_channel,private_channel',
-            limit: 200,
-        });
-        const match = result.channels.find((ch) => ch.name === name);
-        return match?.id || null;
-    } catch {
-        return null;
-    }
-}
@@ -1,2 +1,15 @@
-// Supabase MCP is handled natively by Gemini CLI via ~/.gemini/settings.json.
-// No custom client code is needed here.
+// Supabase MCP is handled natively by Gemini CLI via ~/.gemini/settings.json
+// (see syncGeminiMcp in minigeri.js), and by the API agents through the
+// MCP client in services/mcp.js using the server definition below.
+
+/**
+ * The Supabase MCP server from SUPABASE_MCP_URL / SUPABASE_ACCESS_TOKEN,
+ * in config.mcpServers shape — or null when either is unset.
+ */
+export function supabaseMcpServer() {
+    const url = process.env.SUPABASE_MCP_URL;
+    const token = process.env.SUPABASE_ACCESS_TOKEN;
+    // Skip unset values and the .env.example placeholders
+    if (!url || !token || !/^https?:\/\//.test(url) || token.startsWith('your_')) return null;
+    return { url, headers: { Authorization: `Bearer ${token}` } };
+}
@@ -1,72 +1,33 @@
-import TelegramBot from 'node-telegram-bot-api';
-import { resolve, join } from 'path';
-import { existsSync, statSync } from 'fs';
-import { homedir } from 'os';
 import { colors, icons } from '../ui/theme.js';
-import { createAgent } from '../agents/index.js';
-import { getAgent, loadConfig } from '../config.js';
-import { getHelpText } from '../ui/help.js';
-import { handleSafeCommand, handleSafeCommandInWorkspace } from '../utils/cmd.js';
-import { formatTelegramMarkdown, splitTelegramMessage } from '../utils/telegram-format.js';
-import { handleNgrok, serveFileViaNgrok } from './ngrok.js';
-import { tgMtprotoAvailable, tgSendLargeFileToSelf } from './telegram-mtproto.js';
-import { runCommand } from '../tools/index.js';
+import { createConnector } from '../connectors/index.js';
+import { createMessageRouter } from '../connectors/router.js';
+import { isValidTokenFormat } from '../connectors/telegram.js';
 
-let bot = null;
-let isConnected = false;
-let botInfoCache = null;
-let recentChats = new Map(); // chatId → { name, type }
-let ollamaAgents = new Map(); // chatId → OllamaAgent (persistent for context)
-let groqAgents = new Map(); // chatId → GroqAgent (persistent for context)
-let geminiAgents = new Map(); // chatId → GeminiAgent (persistent for context)
-let claudeAgents = new Map(); // chatId → ClaudeAgent (persistent for context)
+let connector = null;
 
 /**
- * Prune inactive agent instances to save memory.
- * Removes agents that haven't been messaged in 1 hour if the cache is getting large.
+ * Get the Telegram connector, creating it (and wiring the shared router) if needed.
  */
-function pruneOldAgents() {
-    const ONE_HOUR = 60 * 60 * 1000;
-    const now = Date.now();
-    
-    // If we have more than 25 agents, start pruning
-    if (recentChats.size > 25) {
-        for (const [chatId, info] of recentChats.entries()) {
-            if (now - info.lastMessage > ONE_HOUR) {
-                ollamaAgents.delete(chatId);
-                groqAgents.delete(chatId);
-                geminiAgents.set(chatId, null); // Clear from memory
-                geminiAgents.delete(chatId);
-                claudeAgents.delete(chatId);
-                recentChats.delete(chatId);
-            }
-        }
+function getConnector() {
+    if (!connector) {
+        connector = createConnector('telegram');
+        connector.setMessageHandler(createMessageRouter(connector));
     }
+    return connector;
 }
 
-/**
- * Parse the allowed Telegram user IDs from the environment.
- * Returns an empty set if not set (fails closed — highly recommended).
- * Returns a Set of allowed user ID strings if set.
- */
-function getAllowedUsers() {
-    const raw = process.env.TELEGRAM_ALLOWED_USERS;
-    if (!raw || raw.trim() === '') return new Set();
-    return new Set(raw.split(',').map(id => id.trim()).filter(Boolean));
-}
-
-/**
- * Check if a token looks like a valid Telegram bot token.
- * Valid format: <digits>:<alphanumeric+special>  (e.g. 123456789:AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw)
- * Rejects placeholder values like "your-telegram-bot-token-here".
- */
-function isValidTokenFormat(token) {
-    if (!token || typeof token !== 'string') return false;
-    return /^\d+:[A-Za-z0-9_-]+$/.test(token.trim());
+function printMode(tg) {
+    if (tg.mode === 'webhook') {
+        console.log(colors.muted(`    Mode: webhook → ${tg.webhook.url} (local port ${tg.webhook.port})`));
+    } else if (tg.webhookError) {
+        console.log(colors.warning(`    Mode: polling (webhook failed: ${tg.webhookError})`));
+    } else {
+        console.log(colors.muted('    Mode: polling'));
+    }
 }
 
 /**
- * Connect the Telegram bot and start polling for messages.
+ * Connect the Telegram bot and start receiving messages (polling or webhook).
  */
 export async function tgConnect() {
     const token = process.env.TELEGRAM_BOT_TOKEN;
@@ -78,30 +39,32 @@ export async function tgConnect() {
         return;
     }
 
-    if (isConnected) {
+    const tg = getConnector();
+    if (tg.isConnected()) {
         console.log(colors.telegram(`  ${icons.check} Telegram bot is already connected!`));
         return;
     }
 
     try {
-        bot = new TelegramBot(token, { polling: true });
-
-        bot.on('polling_error', (err) => {
-            // Only log meaningful errors, not cancellations
-            if (err.code !== 'ETELEGRAM' || !err.message.includes('terminated')) {
-                console.log(colors.error(`\n  ${icons.cross} Telegram polling error: ${err.message}`));
-            }
+        const botInfo = await tg.start({
+            onPollingError: (err) => {
+                // Only log meaningful errors, not cancellations
+                if (err.code !== 'ETELEGRAM' || !err.message.includes('terminated')) {
+                    console.log(colors.error(`\n  ${icons.cross} Telegram polling error: ${err.message}`));
+                }
+            },
+            onWebhookFallback: (err) => {
+                console.log(colors.warning(`  ${icons.warning} Webhook setup failed: ${err.message}`));
+                console.log(colors.muted('    Falling back to polling.'));
+            },
         });
 
-        // Get bot info
-        botInfoCache = await bot.getMe();
-        isConnected = true;
-
         console.log(colors.telegram(`  ${icons.check} Telegram bot connected!`));
-        console.log(colors.muted(`    Bot: @${botInfoCache.username} (${botInfoCache.first_name})`));
-        console.log(colors.muted(`    Bot ID: ${botInfoCache.id}`));
+        console.log(colors.muted(`    Bot: @${botInfo.username} (${botInfo.first_name})`));
+        console.log(colors.muted(`    Bot ID: ${botInfo.id}`));
+        printMode(tg);
 
-        const allowed = getAllowedUsers();
+        const allowed = tg.getAllowedUsers();
         if (allowed.size > 0) {
             console.log(colors.muted(`    🔒 Access restricted to ${allowed.size} allowed user(s)`));
         } else {
@@ -110,17 +73,7 @@ export async function tgConnect() {
         }
 
         console.log(colors.muted(`    Listening for incoming messages...`));
-
-        // Handle incoming messages
-        bot.on('message', (msg) => handleIncomingMessage(msg, bot));
-
     } catch (err) {
-        // Stop polling if it was already started before the failure
-        if (bot) {
-            try { await bot.stopPolling(); } catch { /* ignore */ }
-            bot = null;
-        }
-        isConnected = false;
         console.log(colors.error(`  ${icons.cross} Telegram connection failed: ${err.message}`));
     }
 }
@@ -131,26 +84,13 @@ export async function tgConnect() {
  */
 export async function tgAutoConnect() {
     const token = process.env.TELEGRAM_BOT_TOKEN;
-    if (!token || !isValidTokenFormat(token) || isConnected) return;
+    if (!token || !isValidTokenFormat(token) || getConnector().isConnected()) return;
 
     try {
-        bot = new TelegramBot(token, { polling: true });
-
-        bot.on('polling_error', () => { }); // Suppress in auto-connect immediately to avoid unhandled logging
-
-        botInfoCache = await bot.getMe();
-        isConnected = true;
-
-        // Set up message listener silently
-        bot.on('message', (msg) => handleIncomingMessage(msg, bot));
-
+        // Polling errors are suppressed in auto-connect to avoid unhandled logging
+        await getConnector().start();
     } catch {
-        // Token exists but is invalid or bot was deleted — stop polling and clean up
-        if (bot) {
-            try { bot.stopPolling(); } catch { /* ignore */ }
-            bot = null;
-        }
-        isConnected = false;
+        // Token exists but is invalid or bot was deleted — start() already cleaned up
     }
 }
 
@@ -160,14 +100,15 @@ export async function tgAutoConnect() {
  * @param {string} message - Message text
  */
 export async function tgSend(chatId, message) {
-    if (!isConnected) {
+    const tg = getConnector();
+    if (!tg.isConnected()) {
         console.log(colors.error(`  ${icons.cross} Telegram bot not connected. Run ${colors.telegram('tg connect')} first.`));
         return;
     }
 
     try {
-        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-        const chatInfo = recentChats.get(chatId.toString());
+        await tg.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        const chatInfo = tg.recentChats.get(chatId.toString());
         const label = chatInfo ? chatInfo.name : chatId;
         console.log(colors.telegram(`  ${icons.check} Message sent to ${label}`));
     } catch (err) {
@@ -183,12 +124,13 @@ export async function tgSend(chatId, message) {
  * Show recent chats the bot has interacted with.
  */
 export function tgChats() {
-    if (!isConnected) {
+    const tg = getConnector();
+    if (!tg.isConnected()) {
         console.log(colors.error(`  ${icons.cross} Telegram bot not connected. Run ${colors.telegram('tg connect')} first.`));
         return;
     }
 
-    if (recentChats.size === 0) {
+    if (tg.recentChats.size === 0) {
         console.log(colors.muted('  No recent chats yet.'));
         console.log(colors.muted('  Send a message to your bot on Telegram to see chats here.'));
         return;
@@ -197,7 +139,7 @@ export function tgChats() {
     console.log(colors.telegram.bold('\n  Recent Telegram Chats'));
     console.log(colors.muted('  ─────────────────────────────────────────────'));
 
-    for (const [id, info] of recentChats) {
+    for (const [id, info] of tg.recentChats) {
         const typeIcon = info.type === 'private' ? '👤' : '👥';
         const ago = Math.round((Date.now() - info.lastMessage) / 1000);
         const timeStr = ago < 60 ? `${ago}s ago` : `${Math.round(ago / 60)}m ago`;
@@ -210,11 +152,13 @@ export function tgChats() {
  * Show Telegram bot status.
  */
 export function tgStatus() {
-    if (isConnected && botInfoCache) {
+    const tg = getConnector();
+    if (tg.isConnected()) {
         console.log(colors.telegram(`  ${icons.bullet} Telegram: Connected`));
-        console.log(colors.muted(`    Bot: @${botInfoCache.username} (${botInfoCache.first_name})`));
-        console.log(colors.muted(`    Recent chats: ${recentChats.size}`));
-        const allowed = getAllowedUsers();
+        console.log(colors.muted(`    Bot: @${tg.botInfo.username} (${tg.botInfo.first_name})`));
+        printMode(tg);
+        console.log(colors.muted(`    Recent chats: ${tg.recentChats.size}`));
+        const allowed = tg.getAllowedUsers();
         if (allowed.size > 0) {
             console.log(colors.muted(`    🔒 Restricted to ${allowed.size} allowed user(s)`));
         } else {
@@ -231,282 +175,11 @@ export function tgStatus() {
  * Disconnect the Telegram bot.
  */
 export async function tgDisconnect() {
-    if (bot && isConnected) {
-        try {
-            await bot.stopPolling();
-        } catch {
-            // Ignore stop errors
-        }
-        bot = null;
-        isConnected = false;
-        botInfoCache = null;
+    const tg = getConnector();
+    if (tg.isConnected()) {
+        await tg.stop();
         console.log(colors.muted(`  ${icons.check} Telegram bot disconnected`));
     } else {
         console.log(colors.muted('  Not connected'));
     }
 }
-
-/**
- * Handle incoming Telegram messages and route bot commands.
- */
-async function handleIncomingMessage(msg, botInstance) {
-    pruneOldAgents(); // Prevent memory leaks from old chats
-    const chatId = msg.chat.id;
-    const chatName = msg.chat.title || msg.chat.first_name || msg.chat.username || String(chatId);
-    const sender = msg.from.first_name || msg.from.username || 'Unknown';
-    const senderId = String(msg.from.id);
-    const chatType = msg.chat.type;
-
-    // ─── Access Control ───────────────────────────────────────────
-    const allowed = getAllowedUsers();
-    if (!allowed.has(senderId)) {
-        console.log('');
-        console.log(colors.warning(`  🚫 Unauthorized Telegram message blocked`));
-        console.log(colors.muted(`     From: ${sender} (user ID: ${senderId}, chat: ${chatId})`));
-        console.log(colors.muted(`     Text: ${msg.text || '[non-text]'}`));
-        console.log(colors.muted(`     Run: ${colors.primary(`config set TELEGRAM_ALLOWED_USERS ${senderId}`)} to allow access`));
-        console.log('');
-        process.stdout.write(colors.primary('  minigeri ▸ '));
-
-        try {
-            await botInstance.sendMessage(chatId, '🔒 Access denied. You are not authorized to use this bot.');
-        } catch {
-            // Ignore send errors for unauthorized users
-        }
-        return;
-    }
-
-    recentChats.set(chatId.toString(), {
-        name: chatName,
-        type: chatType,
-        lastMessage: Date.now(),
-    });
-
-    const typeLabel = chatType === 'private' ? 'DM' : `#${chatName}`;
-    console.log('');
-    console.log(colors.telegram(`  📩 Telegram ${typeLabel}`));
-    console.log(colors.muted(`     From: ${sender} (chat: ${chatId})`));
-    console.log(colors.text(`     ${msg.text || '[non-text message]'}`));
-
-    // Process bot commands like /gemini or /claude
-    if (msg.text) {
-        const textStr = msg.text.trim();
-        const lowText = textStr.toLowerCase();
-        let agentName = null;
-        let prompt = '';
-
-        if (lowText === 'help' || lowText === '/help') {
-            botInstance.sendMessage(chatId, getHelpText(), { parse_mode: 'Markdown' });
-            console.log(colors.telegram(`  ${icons.check} Sent help message to Telegram user`));
-        } else if (lowText === '/folder') {
-            const config = loadConfig();
-            let folderMsg = `📁 *Current Directory:*\n\`${process.cwd()}\``;
-            if (config.activeWorkspace && config.workspaces?.[config.activeWorkspace]) {
-                const wsName = config.activeWorkspace;
-                const wsFolders = config.workspaces[wsName];
-                folderMsg += `\n\n✅ *Virtual Workspace:* \`${wsName}\``;
-                for (const [alias, path] of Object.entries(wsFolders)) {
-                    folderMsg += `\n  • \`${alias}\` → \`${path}\``;
-                }
-            } else {
-                folderMsg += `\n\n_No virtual workspace active._`;
-            }
-            botInstance.sendMessage(chatId, folderMsg, { parse_mode: 'Markdown' });
-            console.log(colors.telegram(`  ${icons.check} Sent folder path to Telegram user`));
-        } else if (lowText === '/ngrok') {
-            console.log(colors.telegram(`  [Starting ngrok via Telegram: 8080]`));
-            const response = await handleNgrok(['8080'], true);
-            botInstance.sendMessage(chatId, response, { parse_mode: 'Markdown' });
-        } else if (textStr.startsWith('/cmd ') || textStr === '/cmd') {
-            const cmdStr = textStr.substring(5).trim();
-            if (!cmdStr) {
-                botInstance.sendMessage(chatId, `Please provide a command. Example: /cmd ls -la`);
-            } else {
-                console.log(colors.telegram(`  [Running secure command via Telegram: ${cmdStr}]`));
-                const response = await handleSafeCommand(cmdStr);
-                botInstance.sendMessage(chatId, response, { parse_mode: 'Markdown' });
-            }
-        } else if (textStr.startsWith('/cmd-workspace ') || textStr === '/cmd-workspace') {
-            const cmdStr = textStr.substring(15).trim();
-            if (!cmdStr) {
-                botInstance.sendMessage(chatId, `Please provide a command. Example: /cmd-workspace flutter build\nOr target a specific alias: /cmd-workspace frontend ls`);
-            } else {
-                const config = loadConfig();
-                console.log(colors.telegram(`  [Running workspace command via Telegram: ${cmdStr}]`));
-                const response = await handleSafeCommandInWorkspace(cmdStr, config);
-                botInstance.sendMessage(chatId, response, { parse_mode: 'Markdown' });
-            }
-        } else if (textStr.startsWith('/file ') || textStr === '/file') {
-            const filePath = textStr.substring(6).trim();
-            if (!filePath) {
-                botInstance.sendMessage(chatId, 'Please provide a file path. Example: /file README.md');
-            } else {
-                const resolved = resolve(process.cwd(), filePath);
-                const fileConfig = loadConfig();
-                const wsName = fileConfig?.activeWorkspace;
-                const wsFolders = wsName ? Object.values(fileConfig?.workspaces?.[wsName] || {}) : [];
-                const isUnderDir = (parent, child) => {
-                    const sep = process.platform === 'win32' ? '\\' : '/';
-                    const p = parent.endsWith(sep) ? parent : parent + sep;
-                    return child.startsWith(p) || child === parent;
-                };
-                const wsSymlinkDir = wsName ? join(homedir(), '.cli-bot', 'workspaces', wsName) : null;
-                const inCwd = isUnderDir(process.cwd(), resolved);
-                const inWorkspace = wsFolders.some(folder => isUnderDir(folder, resolved))
-                    || (wsSymlinkDir != null && isUnderDir(wsSymlinkDir, resolved));
-                if (!inCwd && !inWorkspace) {
-                    botInstance.sendMessage(chatId, '❌ Access denied: path is outside the working directory.');
-                } else if (!existsSync(resolved)) {
-                    botInstance.sendMessage(chatId, `❌ File not found: \`${filePath}\``, { parse_mode: 'Markdown' });
-                } else {
-                    const TELEGRAM_MAX_BYTES = 50 * 1024 * 1024;
-                    const fileSize = statSync(resolved).size;
-                    if (fileSize > TELEGRAM_MAX_BYTES) {
-                        const sizeMB = (fileSize / 1024 / 1024).toFixed(1);
-                        if (tgMtprotoAvailable()) {
-                            try {
-                                await botInstance.sendMessage(chatId, `⏳ File is ${sizeMB} MB — uploading to your Saved Messages via MTProto...`);
-                                console.log(colors.telegram(`  Uploading large file via MTProto: ${resolved}`));
-                                await tgSendLargeFileToSelf(resolved, (pct) => {
-                                    process.stdout.write(`\r  MTProto upload: ${pct}%   `);
-                                });
-                                process.stdout.write('\r');
-                                await botInstance.sendMessage(chatId, `✅ File sent to your *Saved Messages* on Telegram!\n\nOpen the Saved Messages chat in your Telegram app to download it.`, { parse_mode: 'Markdown' });
-                                console.log(colors.telegram(`  ${icons.check} Large file uploaded via MTProto: ${resolved}`));
-                            } catch (err) {
-                                process.stdout.write('\r');
-                                console.log(colors.error(`  ${icons.cross} MTProto upload failed: ${err.message}`));
-                                // Fall back to ngrok if MTProto upload fails
-                                try {
-                                    await botInstance.sendMessage(chatId, `⚠️ MTProto upload failed, trying ngrok fallback...`);
-                                    const url = await serveFileViaNgrok(resolved);
-                                    botInstance.sendMessage(chatId, `📥 *Download link* (expires after 1 download or 5 min):\n${url}`, { parse_mode: 'Markdown' });
-                                    console.log(colors.telegram(`  ${icons.check} Fell back to ngrok: ${resolved}`));
-                                } catch (ngrokErr) {
-                                    botInstance.sendMessage(chatId, `❌ Could not deliver file: ${ngrokErr.message}`);
-                                    console.log(colors.error(`  ${icons.cross} ngrok fallback also failed: ${ngrokErr.message}`));
-                                }
-                            }
-                        } else {
-                            try {
-                                botInstance.sendMessage(chatId, `⏳ File is ${sizeMB} MB — too large for Telegram. Generating download link via ngrok...`);
-                                const url = await serveFileViaNgrok(resolved);
-                                botInstance.sendMessage(chatId, `📥 *Download link* (expires after 1 download or 5 min):\n${url}`, { parse_mode: 'Markdown' });
-                                console.log(colors.telegram(`  ${icons.check} Serving large file via ngrok: ${resolved}`));
-                            } catch (err) {
-                                botInstance.sendMessage(chatId, `❌ Could not generate download link: ${err.message}`);
-                                console.log(colors.error(`  ${icons.cross} serveFileViaNgrok failed: ${err.message}`));
-                            }
-                        }
-                    } else {
-                        try {
-                            await botInstance.sendDocument(chatId, resolved);
-                            console.log(colors.telegram(`  ${icons.check} Sent file to Telegram: ${resolved}`));
-                        } catch (err) {
-                            botInstance.sendMessage(chatId, `❌ Failed to send file: ${err.message}`);
-                            console.log(colors.error(`  ${icons.cross} Failed to send file: ${err.message}`));
-                        }
-                    }
-                }
-            }
-        } else if (textStr.startsWith('/workspace ') || textStr === '/workspace') {
-            const cmdStr = textStr.substring(1).trim(); // Remove leading slash
-            console.log(colors.telegram(`  [Running workspace command via Telegram: ${cmdStr}]`));
-            const response = await runCommand(cmdStr);
-            botInstance.sendMessage(chatId, `🛠️ *Workspace Manager*\n\n${response}`, { parse_mode: 'Markdown' });
-        } else if (lowText === '/clear' || lowText === '/reset') {
-            const chatKey = String(chatId);
-            ollamaAgents.delete(chatKey);
-            groqAgents.delete(chatKey);
-            geminiAgents.delete(chatKey);
-            claudeAgents.delete(chatKey);
-            botInstance.sendMessage(chatId, `🧹 *History cleared.* All agent sessions have been reset for this chat.`, { parse_mode: 'Markdown' });
-            console.log(colors.telegram(`  ${icons.check} Cleared agent history for Telegram user ${chatId}`));
-        } else if (textStr.startsWith('/gemini ') || textStr === '/gemini') {
-            const config = loadConfig();
-            agentName = config.geminiMode === 'api' ? 'gemini-api' : 'gemini-cli';
-            prompt = textStr.substring(7).trim();
-        } else if (textStr.startsWith('/claude ') || textStr === '/claude') {
-            const config = loadConfig();
-            agentName = config.claudeMode === 'api' ? 'claude-api' : 'claude-code';
-            prompt = textStr.substring(7).trim();
-        } else if (textStr.startsWith('/ollama ') || textStr === '/ollama') {
-            agentName = 'ollama';
-            prompt = textStr.substring(7).trim();
-        } else if (textStr.startsWith('/groq ') || textStr === '/groq') {
-            agentName = 'groq';
-            prompt = textStr.substring(5).trim();
-        }
-
-        if (agentName) {
-            if (!prompt) {
-                const pureName = agentName.replace('-cli', '').replace('-code', '').replace('-api', '');
-                botInstance.sendMessage(chatId, `Please provide a prompt. Example: /${pureName} Hello!`);
-            } else {
-                console.log(colors.muted(`\n  [Routing Telegram message to ${agentName}...]`));
-                let botColor;
-                if (agentName.startsWith('gemini')) botColor = colors.gemini;
-                else if (agentName.startsWith('claude')) botColor = colors.claude;
-                else if (agentName === 'groq') botColor = colors.groq;
-                else botColor = colors.ollama;
-
-                try {
-                    // Quick reply so the user knows we are processing
-                    await botInstance.sendMessage(chatId, `🤖 Thinking...`).catch(() => { });
-
-                    const config = getAgent(agentName);
-                    let agent;
-                    const chatKey = String(chatId);
-
-                    if (agentName === 'ollama') {
-                        if (!ollamaAgents.has(chatKey)) {
-                            ollamaAgents.set(chatKey, createAgent(agentName, config));
-                        }
-                        agent = ollamaAgents.get(chatKey);
-                    } else if (agentName === 'groq') {
-                        if (!groqAgents.has(chatKey)) {
-                            groqAgents.set(chatKey, createAgent(agentName, config));
-                        }
-                        agent = groqAgents.get(chatKey);
-                    } else if (agentName.startsWith('gemini')) {
-                        if (!geminiAgents.has(chatKey) || geminiAgents.get(chatKey).name !== agentName) {
-                            geminiAgents.set(chatKey, createAgent(agentName, config));
-                        }
-                        agent = geminiAgents.get(chatKey);
-                    } else if (agentName.startsWith('claude')) {
-                        if (!claudeAgents.has(chatKey) || claudeAgents.get(chatKey).name !== agentName) {
-                            claudeAgents.set(chatKey, createAgent(agentName, config));
-                        }
-                        agent = claudeAgents.get(chatKey);
-                    } else {
-                        agent = createAgent(agentName, config);
-                    }
-
-                    const response = await agent.send(prompt, { silent: true });
-
-                    // Send back
-                    const textToSend = response || '[No response]';
-                    const formattedText = formatTelegramMarkdown(textToSend);
-                    const chunks = splitTelegramMessage(formattedText);
-
-                    for (const chunk of chunks) {
-                        try {
-                            await botInstance.sendMessage(chatId, chunk, { parse_mode: 'Markdown' });
-                        } catch (err) {
-                            // If Markdown parsing fails (ex. unclosed backticks), fallback to raw text without parse_mode
-                            await botInstance.sendMessage(chatId, chunk);
-                        }
-                    }
-
-                    console.log(botColor(`  ${icons.check} Replied to Telegram user with ${agentName} response`));
-                } catch (err) {
-                    botInstance.sendMessage(chatId, `❌ Error from ${agentName}: ${err.message}`);
-                    console.log(colors.error(`  ${icons.cross} Error from agent: ${err.message}`));
-                }
-            }
-        }
-    }
-
-    console.log('');
-    process.stdout.write(colors.primary('  minigeri ▸ '));
-}
@@ -0,0 +1,81 @@
+/**
+ * ─── Remote Approvals ───────────────────────────────────────────
+ *
+ * Pending file-change approvals for chats on messaging platforms. The
+ * agent's tool call waits on a promise while the diff is sent to the
+ * chat; `/approve <id>` or `/reject <id>` from the same chat settles it.
+ *
+ * Design:
+ *   • Short random ids, scoped to the chat that was asked — another chat
+ *     (or another platform) cannot approve someone else's change
+ *   • Unanswered requests are rejected after a timeout so the agent's
+ *     turn never hangs forever
+ */
+import { randomBytes } from 'crypto';
+
+const APPROVAL_TIMEOUT_MS = 10 * 60 * 1000;
+
+// id → { scope, request, createdAt, settle }
+const pending = new Map();
+
+/**
+ * Register a change that needs approval.
+ *
+ * @param {string} scope - Who may answer, e.g. "telegram:12345"
+ * @param {object} request - The approval request ({ tool, files, diff })
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Reject automatically after this long
+ * @returns {{ id: string, promise: Promise<boolean> }}
+ */
+export function requestApproval(scope, request, { timeoutMs = APPROVAL_TIMEOUT_MS } = {}) {
+    let id;
+    do {
+        id = randomBytes(3).toString('hex');
+    } while (pending.has(id));
+
+    const promise = new Promise((resolve) => {
+        const timer = setTimeout(() => settle(false), timeoutMs);
+        timer.unref?.();
+        const settle = (approved) => {
+            clearTimeout(timer);
+            pending.delete(id);
+            resolve(approved);
+        };
+        pending.set(id, { scope, request, createdAt: Date.now(), settle });
+    });
+
+    return { id, promise };
+}
+
+/**
+ * Approve or reject a pending change.
+ *
+ * @param {string} scope - The chat answering
+ * @param {string} [id] - May be omitted when the chat has exactly one pending request
+ * @param {boolean} approved
+ * @returns {object|null} The settled request, or null if no matching request
+ */
+export function resolveApproval(scope, id, approved) {
+    let entryId = id?.trim().toLowerCase();
+    if (!entryId) {
+        const mine = listPendingApprovals(scope);
+        if (mine.length !== 1) return null;
+        entryId = mine[0].id;
+    }
+
+    const entry = pending.get(entryId);
+    if (!entry || entry.scope !== scope) return null;
+    entry.settle(approved);
+    return entry.request;
+}
+
+/**
+ * Pending requests for one chat, oldest first.
+ * @param {string} scope
+ * @returns {{ id: string, request: object, createdAt: number }[]}
+ */
+export function listPendingApprovals(scope) {
+    return [...pending.entries()]
+        .filter(([, entry]) => entry.scope === scope)
+        .map(([id, { request, createdAt }]) => ({ id, request, createdAt }));
+}
@@ -8,10 +8,12 @@
  *
  * Design:
  *   • Validates commands against an explicit allowlist before execution
- *   • Temporarily intercepts stdout/stderr writes to capture output
+ *   • Temporarily intercepts stdout/stderr writes to capture output —
+ *     only the command's own, see "Output capture" below
  *   • Delegates to the same handler functions used by the shell
  *   • Returns the captured text so agents can reason about it
  */
+import { AsyncLocalStorage } from 'async_hooks';
 
 // ── Security: allowed commands ──────────────────────────────────
 // Only commands in this set can be executed by AI agents.
@@ -25,14 +27,83 @@ const ALLOWED_COMMANDS = new Set([
     'wa',
     'slack',
     'tg',
+    'discord',
+    'matrix',
+    'email',
     'ngrok',
     'folder',
     'workspace',
     'status',
+    'usage',
+    'tools',
+    'mcp',
     'theme',
     'cd',
 ]);
 
+// Commands agents may only use to look, not to change anything: just the
+// bare command and these subcommands. `tools enable` would let an agent
+// widen its own tool list, `tools reload` runs plugin code from disk and
+// `mcp connect` spawns MCP server processes.
+const READ_ONLY_SUBCOMMANDS = {
+    tools: ['list'],
+    mcp: ['list', 'tools'],
+};
+
+// ── Output capture ──────────────────────────────────────────────
+// While any command runs, console.* and process.stdout/stderr.write are
+// patched. Each write is attributed through AsyncLocalStorage: only code
+// running on behalf of a command lands in its buffer. Everything else —
+// connector logs from other chats in the daemon, a second command, the
+// test reporter — passes through to the functions that were installed.
+
+const capture = new AsyncLocalStorage();
+let activeCaptures = 0;
+let originals = null;
+
+// ANSI strip regex — remove color codes so agents get clean text
+const stripAnsi = (str) => str.replace(/\x1B\[[0-9;]*[a-zA-Z]/g, '');
+
+function installCapture() {
+    if (activeCaptures++ > 0) return;
+    originals = {
+        stdoutWrite: process.stdout.write,
+        stderrWrite: process.stderr.write,
+        log: console.log,
+        info: console.info,
+        warn: console.warn,
+        error: console.error,
+    };
+
+    const captureWrite = (stream, original) => function (chunk, ...rest) {
+        const buffer = capture.getStore();
+        if (!buffer?.open) return original.call(stream, chunk, ...rest);
+        buffer.output.push(stripAnsi(String(chunk)));
+        return true;
+    };
+    const captureLog = (original) => (...args) => {
+        const buffer = capture.getStore();
+        if (!buffer?.open) return original.apply(console, args);
+        buffer.output.push(stripAnsi(args.map(String).join(' ')) + '\n');
+    };
+
+    process.stdout.write = captureWrite(process.stdout, originals.stdoutWrite);
+    process.stderr.write = captureWrite(process.stderr, originals.stderrWrite);
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        console[method] = captureLog(originals[method]);
+    }
+}
+
+function uninstallCapture() {
+    if (--activeCaptures > 0) return;
+    process.stdout.write = originals.stdoutWrite;
+    process.stderr.write = originals.stderrWrite;
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        console[method] = originals[method];
+    }
+    originals = null;
+}
+
 // ── Command registry ────────────────────────────────────────────
 // Handler functions are registered here by minigeri.js at startup.
 // This avoids circular imports — the runner doesn't import minigeri.
@@ -59,15 +130,32 @@ export function listRegisteredCommands() {
         .sort();
 }
 
+// Commands run one at a time, whoever calls: agents, /cmd, the daemon,
+// mcp-serve and the HTTP API all share this queue
+let queue = Promise.resolve();
+
 /**
  * Execute a minigeri command by name and capture its console output.
  * The command must be in the ALLOWED_COMMANDS set — any unrecognized
- * or disallowed command is rejected before execution.
+ * or disallowed command is rejected before execution, and so is a
+ * subcommand outside READ_ONLY_SUBCOMMANDS.
+ *
+ * Commands are serialized. A command run from inside another one (an
+ * agent's run_command during `claude ...`) runs right away instead of
+ * waiting for the queue its caller holds.
  *
  * @param {string} commandString - Full command string (e.g. "folder", "slack channels")
  * @returns {Promise<string>} The captured text output
  */
-export async function runCommand(commandString) {
+export function runCommand(commandString) {
+    if (capture.getStore()?.open) return executeCommand(commandString);
+
+    const run = queue.then(() => executeCommand(commandString));
+    queue = run.catch(() => { });
+    return run;
+}
+
+async function executeCommand(commandString) {
     const trimmed = (commandString || '').trim();
     if (!trimmed) return '[Error: empty command]';
 
@@ -80,54 +168,29 @@ export async function runCommand(commandString) {
         return `[Error: command "${cmd}" is not allowed. Permitted commands: ${allowed}]`;
     }
 
+    const readOnly = READ_ONLY_SUBCOMMANDS[cmd];
+    if (readOnly && args[0] && !readOnly.includes(args[0].toLowerCase())) {
+        const permitted = [cmd, ...readOnly.map((sub) => `${cmd} ${sub}`)].join(', ');
+        return `[Error: "${cmd} ${args[0]}" is not allowed. Permitted: ${permitted}]`;
+    }
+
     const handler = registry[cmd];
     if (!handler) {
         const available = listRegisteredCommands().join(', ');
         return `[Error: command "${cmd}" is allowed but not registered. Available: ${available}]`;
     }
 
-    // Capture all console output during execution
-    const output = [];
-    const origWrite = process.stdout.write;
-    const origErrWrite = process.stderr.write;
-    const origLog = console.log;
-    const origError = console.error;
-    const origWarn = console.warn;
-
-    // ANSI strip regex — remove color codes so agents get clean text
-    const stripAnsi = (str) => str.replace(/\x1B\[[0-9;]*[a-zA-Z]/g, '');
-
-    process.stdout.write = (chunk) => {
-        output.push(stripAnsi(String(chunk)));
-        return true;
-    };
-    process.stderr.write = (chunk) => {
-        output.push(stripAnsi(String(chunk)));
-        return true;
-    };
-    console.log = (...a) => {
-        output.push(stripAnsi(a.map(String).join(' ')) + '\n');
-    };
-    console.error = (...a) => {
-        output.push(stripAnsi(a.map(String).join(' ')) + '\n');
-    };
-    console.warn = (...a) => {
-        output.push(stripAnsi(a.map(String).join(' ')) + '\n');
-    };
-
+    const buffer = { output: [], open: true };
+    installCapture();
     try {
-        await handler(args);
+        await capture.run(buffer, () => handler(args));
     } catch (err) {
-        output.push(`[Error: ${err.message}]\n`);
+        buffer.output.push(`[Error: ${err.message}]\n`);
     } finally {
-        // Restore originals
-        process.stdout.write = origWrite;
-        process.stderr.write = origErrWrite;
-        console.log = origLog;
-        console.error = origError;
-        console.warn = origWarn;
+        buffer.open = false;
+        uninstallCapture();
     }
 
-    return output.join('').trim() || '(no output)';
+    return buffer.output.join('').trim() || '(no output)';
 }
 
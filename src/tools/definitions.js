@@ -5,10 +5,13 @@
  * here in a canonical format. Converter functions translate them into
  * the specific JSON schemas required by each provider.
  *
- * To add a new tool:
+ * To add a new built-in tool:
  *   1. Add an entry to TOOL_CATALOG below.
  *   2. Add the execution logic in executor.js.
  *   That's it — every agent picks it up automatically.
+ *
+ * User-defined tools don't touch this file: they are plugins loaded by
+ * registry.js, and agents pass the combined list to the converters.
  */
 
 // ── Canonical tool catalog ───────────────────────────────────────
@@ -27,17 +30,59 @@ export const TOOL_CATALOG = [
     {
         name: 'read_file',
         description:
-            'Read the contents of a specific project file. Use this to inspect source code, configs, data files, etc.',
+            'Read the contents of a specific project file. Use this to inspect source code, configs, data files, etc. Output is line-numbered ("12<TAB>text" — the numbers are not part of the file) and headed by the total line count. Large files come back in pages of about 8 KB; use start_line / end_line to read further or to jump to a search_code match.',
         parameters: {
             properties: {
                 path: {
                     type: 'string',
                     description: 'Relative path to the file, e.g. "src/ui/banner.js"',
                 },
+                start_line: {
+                    type: 'number',
+                    description: 'First line to read, 1-based (default 1)',
+                },
+                end_line: {
+                    type: 'number',
+                    description: 'Last line to read, inclusive (default: end of file, within the page size)',
+                },
             },
             required: ['path'],
         },
     },
+    {
+        name: 'search_code',
+        description:
+            'Search the contents of all project files (respecting .gitignore) for a string or regular expression. Returns grep-style matches as "path:line: text", with context lines as "path-line- text". Use this to find where something is defined or used instead of reading files one by one.',
+        parameters: {
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'The text to search for, e.g. "createAgent(" — or a regular expression if regex is true',
+                },
+                regex: {
+                    type: 'boolean',
+                    description: 'Treat query as a JavaScript regular expression (default false: literal text)',
+                },
+                case_sensitive: {
+                    type: 'boolean',
+                    description: 'Match case exactly (default false)',
+                },
+                path: {
+                    type: 'string',
+                    description: 'Only search under this directory or file, e.g. "src/agents"',
+                },
+                context: {
+                    type: 'number',
+                    description: 'Lines of context to show around each match, 0-5 (default 2)',
+                },
+                max_results: {
+                    type: 'number',
+                    description: 'Maximum number of matching lines to return, up to 200 (default 50)',
+                },
+            },
+            required: ['query'],
+        },
+    },
     {
         name: 'run_command',
         description:
@@ -52,6 +97,64 @@ export const TOOL_CATALOG = [
             required: ['command'],
         },
     },
+    {
+        name: 'write_file',
+        description:
+            'Create a new project file or overwrite an existing one with the given content. The user is shown a diff and must approve it before anything is written. Prefer edit_file for small changes to existing files.',
+        parameters: {
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Relative path to the file, e.g. "src/utils/helpers.js"',
+                },
+                content: {
+                    type: 'string',
+                    description: 'The complete new content of the file',
+                },
+            },
+            required: ['path', 'content'],
+        },
+    },
+    {
+        name: 'edit_file',
+        description:
+            'Replace an exact snippet of text in an existing project file. old_text must match the file exactly (including indentation) and only once, unless replace_all is true. The user must approve the resulting diff.',
+        parameters: {
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Relative path to the file, e.g. "src/ui/banner.js"',
+                },
+                old_text: {
+                    type: 'string',
+                    description: 'The exact text to replace — include enough surrounding lines to make it unique',
+                },
+                new_text: {
+                    type: 'string',
+                    description: 'The text to put in its place',
+                },
+                replace_all: {
+                    type: 'boolean',
+                    description: 'Replace every occurrence instead of requiring a single match (default false)',
+                },
+            },
+            required: ['path', 'old_text', 'new_text'],
+        },
+    },
+    {
+        name: 'apply_patch',
+        description:
+            'Apply a unified diff to one or more project files. Use "--- /dev/null" to create a file and "+++ /dev/null" to delete one. The user must approve the patch before it is applied.',
+        parameters: {
+            properties: {
+                patch: {
+                    type: 'string',
+                    description: 'The unified diff, with "--- a/path" / "+++ b/path" headers and "@@" hunks',
+                },
+            },
+            required: ['patch'],
+        },
+    },
 ];
 
 // ── Format converters ────────────────────────────────────────────
@@ -59,9 +162,10 @@ export const TOOL_CATALOG = [
 /**
  * Convert to OpenAI / Groq / Ollama function-calling format.
  * Used by agents that follow the OpenAI chat completions schema.
+ * @param {object[]} [tools] - Catalog entries (defaults to the built-ins)
  */
-export function toOpenAITools() {
-    return TOOL_CATALOG.map((tool) => ({
+export function toOpenAITools(tools = TOOL_CATALOG) {
+    return tools.map((tool) => ({
         type: 'function',
         function: {
             name: tool.name,
@@ -78,9 +182,10 @@ export function toOpenAITools() {
 /**
  * Convert to Anthropic (Claude API) tool format.
  * https://docs.anthropic.com/en/docs/build-with-claude/tool-use
+ * @param {object[]} [tools] - Catalog entries (defaults to the built-ins)
  */
-export function toAnthropicTools() {
-    return TOOL_CATALOG.map((tool) => ({
+export function toAnthropicTools(tools = TOOL_CATALOG) {
+    return tools.map((tool) => ({
         name: tool.name,
         description: tool.description,
         input_schema: {
@@ -91,23 +196,41 @@ export function toAnthropicTools() {
     }));
 }
 
+/**
+ * Gemini's schema subset: upper-case types, and arrays/objects need their
+ * item and property schemas (MCP and plugin tools may nest them).
+ */
+function toGeminiSchema(schema = {}) {
+    const type = typeof schema.type === 'string' ? schema.type : 'string';
+    const out = { type: type.toUpperCase() };
+    if (schema.description) out.description = schema.description;
+    if (Array.isArray(schema.enum)) out.enum = schema.enum.map(String);
+    if (type === 'array') out.items = toGeminiSchema(schema.items);
+    if (type === 'object' && schema.properties) {
+        out.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, val]) => [key, toGeminiSchema(val)])
+        );
+        if (Array.isArray(schema.required)) out.required = schema.required;
+    }
+    return out;
+}
+
 /**
  * Convert to Google Gemini function-calling format.
  * https://ai.google.dev/gemini-api/docs/function-calling
+ * @param {object[]} [tools] - Catalog entries (defaults to the built-ins)
  */
-export function toGeminiTools() {
+export function toGeminiTools(tools = TOOL_CATALOG) {
+    if (tools.length === 0) return [];
     return [
         {
-            functionDeclarations: TOOL_CATALOG.map((tool) => ({
+            functionDeclarations: tools.map((tool) => ({
                 name: tool.name,
                 description: tool.description,
                 parameters: {
                     type: 'OBJECT',
                     properties: Object.fromEntries(
-                        Object.entries(tool.parameters.properties).map(([key, val]) => [
-                            key,
-                            { type: val.type.toUpperCase(), description: val.description },
-                        ])
+                        Object.entries(tool.parameters.properties).map(([key, val]) => [key, toGeminiSchema(val)])
                     ),
                     required: tool.parameters.required,
                 },
@@ -2,29 +2,37 @@
  * ─── Shared Tool Executor ─────────────────────────────────────────
  *
  * Executes tool calls dispatched by any agent.
- * All tool implementations live here — agents just call executeTool().
+ * All built-in tool implementations live here — agents just call
+ * executeTool(). Anything else is looked up in the plugin registry.
  */
 
-import { listProjectFiles, readProjectFile } from '../utils/project-files.js';
+import { listProjectFiles, readProjectFile, searchProjectFiles } from '../utils/project-files.js';
 import { runCommand } from './command-runner.js';
-import { loadConfig } from '../config.js';
+import { runFileEdit } from './file-edits.js';
+import { getProjectRoots, getPluginTool, getToolCatalog } from './registry.js';
 
 /**
  * Execute a tool call by name and return the result string.
  *
- * @param {string} name - The tool name (must match a TOOL_CATALOG entry)
+ * @param {string} name - The tool name (a TOOL_CATALOG entry or a registered plugin)
  * @param {object} args - Parsed arguments from the model
  * @param {object} [opts] - Options
  * @param {string} [opts.cwd] - Working directory (defaults to process.cwd())
+ * @param {(request: object) => Promise<boolean>} [opts.approve] - Asks the user to
+ *   approve a file change ({ tool, files, diff }); without it, file edits are refused
+ * @param {AbortSignal} [opts.signal] - Cancels a pending approval (as a rejection)
+ *   and is handed to plugin tools
+ * @param {object[]} [opts.tools] - The tools offered to the model; calls to others are refused
  * @returns {Promise<string>} The tool's text result
  */
 export async function executeTool(name, args = {}, opts = {}) {
-    const config = loadConfig();
-    let roots = opts.cwd || process.cwd();
+    // Active workspace roots if defined, otherwise the working directory
+    const roots = getProjectRoots(opts.cwd);
 
-    // Use active workspace roots if defined
-    if (config.activeWorkspace && config.workspaces?.[config.activeWorkspace]) {
-        roots = Object.values(config.workspaces[config.activeWorkspace]);
+    const exists = getToolCatalog().some((tool) => tool.name === name);
+    if (!exists) return `[Error: unknown tool "${name}"]`;
+    if (opts.tools && !opts.tools.some((tool) => tool.name === name)) {
+        return `[Error: tool "${name}" is not enabled for this agent]`;
     }
 
     switch (name) {
@@ -36,7 +44,18 @@ export async function executeTool(name, args = {}, opts = {}) {
         case 'read_file': {
             const path = args.path;
             if (!path) return '[Error: missing "path" argument]';
-            return readProjectFile(roots, path);
+            return readProjectFile(roots, path, { startLine: args.start_line, endLine: args.end_line });
+        }
+
+        case 'search_code': {
+            if (!args.query) return '[Error: missing "query" argument]';
+            return searchProjectFiles(roots, String(args.query), {
+                regex: args.regex === true,
+                caseSensitive: args.case_sensitive === true,
+                path: args.path,
+                context: args.context,
+                maxResults: args.max_results,
+            });
         }
 
         case 'run_command': {
@@ -45,7 +64,29 @@ export async function executeTool(name, args = {}, opts = {}) {
             return await runCommand(command);
         }
 
+        case 'write_file':
+        case 'edit_file':
+        case 'apply_patch':
+            return await runFileEdit(name, args, roots, opts.approve && ((request) => opts.approve(request, { signal: opts.signal })));
+
         default:
-            return `[Error: unknown tool "${name}"]`;
+            return await executePluginTool(name, args, roots, opts.signal);
+    }
+}
+
+/**
+ * Run a registered plugin tool. Non-string results are sent back as JSON;
+ * a throwing plugin becomes an error result, like any other tool failure.
+ */
+async function executePluginTool(name, args, roots, signal) {
+    const tool = getPluginTool(name);
+    if (!tool) return `[Error: unknown tool "${name}"]`;
+
+    try {
+        const result = await tool.execute(args, { roots, signal });
+        if (result === undefined || result === null) return '(no output)';
+        return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+    } catch (err) {
+        return `[Error: ${name} failed — ${err.message}]`;
     }
 }
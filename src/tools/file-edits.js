@@ -0,0 +1,179 @@
+/**
+ * ─── File Edit Tools ────────────────────────────────────────────
+ *
+ * write_file, edit_file and apply_patch. Every change is planned first
+ * (new content + unified diff), shown to the user, and only written once
+ * they approve it.
+ *
+ * Design:
+ *   • Writes are locked to the project roots; .env* files and .git are
+ *     always refused (see resolveWritablePath)
+ *   • A plan remembers each file's content at planning time — if the file
+ *     changed while the user was deciding, nothing is written. Paths are
+ *     checked again right before writing, in case a symlink appeared
+ *   • No approver means no writes: agents running where nobody can be
+ *     asked get an explanatory tool result instead
+ */
+import { readFileSync, writeFileSync, existsSync, statSync, mkdirSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+import { resolveWritablePath } from '../utils/project-files.js';
+import { createUnifiedDiff, parseUnifiedDiff, applyHunks, diffStats } from '../utils/diff.js';
+
+export const FILE_EDIT_TOOLS = ['write_file', 'edit_file', 'apply_patch'];
+
+function readCurrent(absPath, displayPath) {
+    if (!existsSync(absPath)) return null;
+    if (!statSync(absPath).isFile()) throw new Error(`"${displayPath}" is not a file`);
+    return readFileSync(absPath, 'utf-8');
+}
+
+function buildPlan(tool, changes, roots) {
+    const diff = changes
+        .map((c) => createUnifiedDiff(c.before, c.after, c.path))
+        .filter(Boolean)
+        .join('\n');
+    return { tool, changes, diff, roots };
+}
+
+/**
+ * Plan a write_file call: create or overwrite a whole file.
+ * @returns {{ tool: string, changes: object[], diff: string }}
+ */
+export function planWrite(roots, { path, content } = {}) {
+    if (typeof content !== 'string') throw new Error('missing "content" argument');
+    const { absPath, displayPath } = resolveWritablePath(roots, path);
+    const before = readCurrent(absPath, displayPath);
+    return buildPlan('write_file', [{ path: displayPath, absPath, before, after: content }], roots);
+}
+
+/**
+ * Plan an edit_file call: replace an exact snippet of an existing file.
+ * The snippet must match exactly once unless replace_all is set.
+ */
+export function planEdit(roots, { path, old_text, new_text, replace_all } = {}) {
+    if (!old_text) throw new Error('missing "old_text" argument');
+    if (typeof new_text !== 'string') throw new Error('missing "new_text" argument');
+
+    const { absPath, displayPath } = resolveWritablePath(roots, path);
+    const before = readCurrent(absPath, displayPath);
+    if (before === null) throw new Error(`File not found: ${displayPath} — use write_file to create it`);
+
+    const matches = before.split(old_text).length - 1;
+    if (matches === 0) {
+        throw new Error(`old_text was not found in ${displayPath} — read the file and copy the text exactly`);
+    }
+    if (matches > 1 && !replace_all) {
+        throw new Error(`old_text matches ${matches} places in ${displayPath} — include more surrounding lines, or set replace_all`);
+    }
+
+    const after = replace_all ? before.split(old_text).join(new_text) : before.replace(old_text, () => new_text);
+    return buildPlan('edit_file', [{ path: displayPath, absPath, before, after }], roots);
+}
+
+/**
+ * Plan an apply_patch call: a unified diff touching one or more files.
+ * Supports new files (--- /dev/null) and deletions (+++ /dev/null).
+ */
+export function planPatch(roots, { patch } = {}) {
+    if (!patch) throw new Error('missing "patch" argument');
+
+    const changes = [];
+    for (const file of parseUnifiedDiff(patch)) {
+        if (!file.oldPath && !file.newPath) throw new Error('Patch has a file with no path');
+        if (file.oldPath && file.newPath && file.oldPath !== file.newPath) {
+            throw new Error(`Renames are not supported (${file.oldPath} → ${file.newPath})`);
+        }
+
+        const { absPath, displayPath } = resolveWritablePath(roots, file.newPath || file.oldPath);
+        if (changes.some((c) => c.absPath === absPath)) {
+            throw new Error(`Patch touches ${displayPath} more than once`);
+        }
+
+        const before = readCurrent(absPath, displayPath);
+        let after;
+        if (!file.oldPath) {
+            if (before !== null) throw new Error(`${displayPath} already exists`);
+            after = applyHunks('', file.hunks);
+        } else {
+            if (before === null) throw new Error(`File not found: ${displayPath}`);
+            try {
+                after = file.newPath ? applyHunks(before, file.hunks) : null;
+            } catch (err) {
+                throw new Error(`${displayPath}: ${err.message}`);
+            }
+        }
+        changes.push({ path: displayPath, absPath, before, after });
+    }
+
+    return buildPlan('apply_patch', changes, roots);
+}
+
+/**
+ * Write a plan to disk, refusing if any file changed since it was planned
+ * or its path no longer passes resolveWritablePath.
+ * @returns {string[]} One summary line per file
+ */
+export function applyChanges(plan) {
+    for (const change of plan.changes) {
+        resolveWritablePath(plan.roots, change.path);
+        const current = existsSync(change.absPath) ? readFileSync(change.absPath, 'utf-8') : null;
+        if (current !== change.before) {
+            throw new Error(`${change.path} changed on disk since the edit was proposed — nothing was written`);
+        }
+    }
+
+    return plan.changes.map((change) => {
+        const { added, removed } = diffStats(createUnifiedDiff(change.before, change.after, change.path));
+        if (change.after === null) {
+            unlinkSync(change.absPath);
+            return `Deleted ${change.path}`;
+        }
+        mkdirSync(dirname(change.absPath), { recursive: true });
+        writeFileSync(change.absPath, change.after);
+        return change.before === null
+            ? `Created ${change.path} (+${added})`
+            : `Updated ${change.path} (+${added} -${removed})`;
+    });
+}
+
+const PLANNERS = {
+    write_file: planWrite,
+    edit_file: planEdit,
+    apply_patch: planPatch,
+};
+
+/**
+ * Run one of the file edit tools end to end: plan, ask, apply.
+ *
+ * @param {string} name - write_file | edit_file | apply_patch
+ * @param {object} args - Parsed arguments from the model
+ * @param {string|string[]} roots - Project roots (security boundary)
+ * @param {(request: { tool: string, files: string[], diff: string }) => Promise<boolean>} [approve]
+ * @returns {Promise<string>} The tool's text result
+ */
+export async function runFileEdit(name, args, roots, approve) {
+    let plan;
+    try {
+        plan = PLANNERS[name](roots, args);
+    } catch (err) {
+        return `[Error: ${err.message}]`;
+    }
+
+    if (!plan.diff) return 'No changes — the file already has this content.';
+    if (!approve) return '[Error: file changes need user approval, which is not available here]';
+
+    const files = plan.changes.map((c) => c.path);
+    let approved = false;
+    try {
+        approved = await approve({ tool: name, files, diff: plan.diff });
+    } catch {
+        approved = false;
+    }
+    if (!approved) return `[Rejected: the user did not approve the changes to ${files.join(', ')}]`;
+
+    try {
+        return applyChanges(plan).join('\n');
+    } catch (err) {
+        return `[Error: ${err.message}]`;
+    }
+}
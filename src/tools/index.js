@@ -4,4 +4,8 @@
 
 export { TOOL_CATALOG, toOpenAITools, toAnthropicTools, toGeminiTools } from './definitions.js';
 export { executeTool } from './executor.js';
+export {
+    registerTool, unregisterTool, loadPluginTools, listToolLoadErrors,
+    getToolCatalog, getAgentTools, isToolEnabled, getProjectRoots,
+} from './registry.js';
 export { registerCommand, runCommand } from './command-runner.js';
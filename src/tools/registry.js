@@ -0,0 +1,201 @@
+/**
+ * ─── Tool Registry ──────────────────────────────────────────────
+ *
+ * The tools agents can call: the built-in TOOL_CATALOG plus user-defined
+ * plugin tools loaded from disk.
+ *
+ *   ~/.cli-bot/tools/*.js              — available in every project
+ *   <workspace>/.minigeri/tools/*.js   — per project (each workspace root)
+ *
+ * A plugin module exports { name, description, parameters, execute } —
+ * as named exports, a default export, or a default array of tools:
+ *
+ *   export const name = 'word_count';
+ *   export const description = 'Count the words in a string';
+ *   export const parameters = { properties: { text: { type: 'string' } }, required: ['text'] };
+ *   export async function execute({ text }, { roots }) { return String(text.split(/\s+/).length); }
+ *
+ * Design:
+ *   • Plugins can't shadow built-in tools; on a name clash between plugins
+ *     the first one loaded (home before workspace) wins
+ *   • A broken plugin is skipped and reported by `tools`, never fatal
+ *   • Agents see the catalog filtered by their `enabledTools` /
+ *     `disabledTools` config lists
+ *   • Plugins run in-process with full user privileges — only install
+ *     tools you trust (workspace tools come with the project)
+ */
+import { existsSync, readdirSync, statSync } from 'fs';
+import { join, resolve } from 'path';
+import { homedir } from 'os';
+import { pathToFileURL } from 'url';
+import { TOOL_CATALOG } from './definitions.js';
+import { loadConfig } from '../config.js';
+
+export const HOME_TOOLS_DIR = join(homedir(), '.cli-bot', 'tools');
+export const WORKSPACE_TOOLS_DIR = join('.minigeri', 'tools');
+
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+const PLUGIN_EXT = /\.(m?js)$/;
+
+// name → { name, description, parameters, execute, source }
+const plugins = new Map();
+let loadErrors = [];
+
+/**
+ * The project roots tools operate on: the active workspace folders, or cwd.
+ * @param {string} [cwd]
+ * @returns {string|string[]}
+ */
+export function getProjectRoots(cwd) {
+    const config = loadConfig();
+    if (config.activeWorkspace && config.workspaces?.[config.activeWorkspace]) {
+        return Object.values(config.workspaces[config.activeWorkspace]);
+    }
+    return cwd || process.cwd();
+}
+
+/**
+ * Directories plugins are loaded from, home first.
+ * @param {string|string[]} roots
+ */
+export function pluginDirs(roots = getProjectRoots()) {
+    const list = Array.isArray(roots) ? roots : [roots];
+    return [HOME_TOOLS_DIR, ...list.map((root) => join(resolve(root), WORKSPACE_TOOLS_DIR))];
+}
+
+/**
+ * Check a tool definition and bring its parameters into catalog shape.
+ * Accepts either { properties, required } or a full { type: 'object', ... } schema.
+ * @throws On anything agents or providers would choke on
+ */
+function normalizeTool(tool) {
+    if (!tool || typeof tool !== 'object') throw new Error('module does not export a tool');
+    const { name, description, execute } = tool;
+    if (!TOOL_NAME.test(name || '')) throw new Error(`invalid tool name "${name}" (letters, digits, _ and - only)`);
+    if (!description || typeof description !== 'string') throw new Error(`${name}: missing description`);
+    if (typeof execute !== 'function') throw new Error(`${name}: execute must be a function`);
+
+    const properties = tool.parameters?.properties || {};
+    for (const [key, schema] of Object.entries(properties)) {
+        if (typeof schema?.type !== 'string') throw new Error(`${name}: parameter "${key}" needs a type`);
+    }
+    const required = tool.parameters?.required || [];
+    if (!Array.isArray(required)) throw new Error(`${name}: parameters.required must be an array`);
+
+    return { name, description, parameters: { properties, required }, execute };
+}
+
+/**
+ * Register a tool at runtime.
+ *
+ * @param {{ name: string, description: string, parameters?: object, execute: Function }} tool
+ * @param {string} [source] - Where it came from, shown by `tools`
+ * @throws If the definition is invalid or the name is taken
+ */
+export function registerTool(tool, source = 'runtime') {
+    const normalized = normalizeTool(tool);
+    if (TOOL_CATALOG.some((t) => t.name === normalized.name)) {
+        throw new Error(`"${normalized.name}" is a built-in tool`);
+    }
+    if (plugins.has(normalized.name)) {
+        throw new Error(`"${normalized.name}" is already registered by ${plugins.get(normalized.name).source}`);
+    }
+    plugins.set(normalized.name, { ...normalized, source });
+}
+
+/**
+ * Remove a registered (non built-in) tool.
+ * @returns {boolean} Whether it existed
+ */
+export function unregisterTool(name) {
+    return plugins.delete(name);
+}
+
+function exportedTools(mod) {
+    const def = mod.default;
+    if (Array.isArray(def)) return def;
+    if (def && typeof def === 'object' && def.name) return [def];
+    return [mod];
+}
+
+/**
+ * (Re)load plugin tools from disk, replacing anything loaded before.
+ * Tools registered at runtime by other sources are kept.
+ *
+ * @param {string[]} [dirs] - Defaults to pluginDirs()
+ * @returns {Promise<{ loaded: string[], errors: { file: string, error: string }[] }>}
+ */
+export async function loadPluginTools(dirs = pluginDirs()) {
+    for (const [name, tool] of plugins) {
+        if (tool.file) plugins.delete(name);
+    }
+    loadErrors = [];
+    const loaded = [];
+
+    for (const dir of dirs) {
+        if (!existsSync(dir)) continue;
+
+        for (const entry of readdirSync(dir).filter((f) => PLUGIN_EXT.test(f)).sort()) {
+            const file = join(dir, entry);
+            try {
+                // Bust the ESM cache so `tools reload` picks up edits
+                const url = `${pathToFileURL(file).href}?mtime=${statSync(file).mtimeMs}`;
+                const mod = await import(url);
+                for (const tool of exportedTools(mod)) {
+                    registerTool(tool, file);
+                    plugins.get(tool.name).file = file;
+                    loaded.push(tool.name);
+                }
+            } catch (err) {
+                loadErrors.push({ file, error: err.message });
+            }
+        }
+    }
+
+    return { loaded, errors: [...loadErrors] };
+}
+
+/**
+ * Problems from the last loadPluginTools() call.
+ */
+export function listToolLoadErrors() {
+    return [...loadErrors];
+}
+
+/**
+ * Every tool: built-ins first, then registered plugins.
+ * @returns {object[]} Catalog entries; plugins also carry { execute, source }
+ */
+export function getToolCatalog() {
+    return [...TOOL_CATALOG, ...plugins.values()];
+}
+
+/**
+ * A registered (non built-in) tool by name.
+ */
+export function getPluginTool(name) {
+    return plugins.get(name) || null;
+}
+
+/**
+ * Whether an agent may use a tool, per its config:
+ *   "enabledTools": [...]  — only these (when set)
+ *   "disabledTools": [...] — never these
+ *
+ * @param {string} toolName
+ * @param {object} [agentConfig]
+ */
+export function isToolEnabled(toolName, agentConfig = {}) {
+    const { enabledTools, disabledTools } = agentConfig;
+    if (Array.isArray(enabledTools) && !enabledTools.includes(toolName)) return false;
+    if (Array.isArray(disabledTools) && disabledTools.includes(toolName)) return false;
+    return true;
+}
+
+/**
+ * The catalog as one agent sees it.
+ * @param {object} [agentConfig]
+ */
+export function getAgentTools(agentConfig = {}) {
+    return getToolCatalog().filter((tool) => isToolEnabled(tool.name, agentConfig));
+}
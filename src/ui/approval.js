@@ -0,0 +1,68 @@
+import readline from 'readline';
+import { colors, icons } from './theme.js';
+import { colorizeDiff } from '../utils/diff.js';
+import { onAbort } from '../utils/abort.js';
+
+// The shell's readline interface — its question() consumes the answer
+// without it reaching the shell's own 'line' handler
+let shellInterface = null;
+
+/**
+ * Register the readline interface approval prompts should use.
+ * @param {readline.Interface|null} rl
+ */
+export function setApprovalInterface(rl) {
+    shellInterface = rl;
+}
+
+// A cancelled question answers '' — a rejection
+function ask(question, signal) {
+    if (signal?.aborted) return Promise.resolve('');
+    if (shellInterface) {
+        return new Promise((resolve) => {
+            const unlink = onAbort(signal, () => resolve(''));
+            shellInterface.question(question, signal ? { signal } : {}, (answer) => {
+                unlink();
+                resolve(answer);
+            });
+        });
+    }
+    if (!process.stdin.isTTY) return Promise.resolve('');
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+        const unlink = onAbort(signal, () => {
+            rl.close();
+            resolve('');
+        });
+        rl.question(question, (answer) => {
+            unlink();
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * send() approver for the terminal: show the coloured diff and ask y/n.
+ * Anything but "y" / "yes" rejects the change, and so does cancelling
+ * the request while the question is open.
+ *
+ * @param {{ tool: string, files: string[], diff: string }} request
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<boolean>}
+ */
+export async function approveInShell(request, { signal } = {}) {
+    console.log('');
+    console.log(colors.warning.bold(`  ${icons.warning} Proposed change to ${request.files.join(', ')} (${request.tool})`));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    console.log(colorizeDiff(request.diff));
+    console.log('');
+
+    const answer = await ask(colors.warning('  Apply these changes? (y/n) '), signal);
+    const approved = /^y(es)?$/i.test(answer.trim());
+    console.log(approved
+        ? colors.success(`  ${icons.check} Approved\n`)
+        : colors.muted(`  ${icons.cross} Rejected\n`));
+    return approved;
+}
@@ -1,6 +1,11 @@
 import { colors, drawBox } from './theme.js';
 
-export function getHelpText() {
+/**
+ * Help message for remote chats (Telegram Markdown).
+ * @param {string[]} [customAgents] - Names of configured openai-compatible instances
+ */
+export function getHelpText(customAgents = []) {
+    const customLines = customAgents.map((name) => `\n🔌 \`/${name} <prompt>\` — ${name} (OpenAI-compatible)`).join('');
     return `🤖 *minigeri* — your remote AI assistant
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -9,7 +14,7 @@ export function getHelpText() {
 ✨ \`/gemini <prompt>\`  — Google Gemini
 🟣 \`/claude <prompt>\`  — Anthropic Claude
 🦙 \`/ollama <prompt>\`  — Local Ollama model
-⚡ \`/groq <prompt>\`    — Groq (cloud, fast)
+⚡ \`/groq <prompt>\`    — Groq (cloud, fast)${customLines}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━
 🛠️ *Tools & Utilities*
@@ -18,7 +23,12 @@ export function getHelpText() {
 🗂️ \`/workspace <cmd>\`  — Manage workspaces
 🌐 \`/ngrok\`             — Start ngrok tunnel
 💻 \`/cmd <command>\`     — Run safe shell commands
-📎 \`/file <path>\`       — Send a file to Telegram
+📂 \`/cmd-workspace <command>\` — Run in workspace folders
+📎 \`/file <path>\`       — Send a file to this chat
+🧹 \`/clear\`             — Reset agent conversations
+🛑 \`/cancel [all]\`      — Stop the running request (and queued ones)
+✏️ \`/approve <id>\`      — Apply a file change an agent proposed
+🚫 \`/reject <id>\`       — Discard a proposed file change
 ❓ \`help\`               — Show this message
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -47,13 +57,14 @@ export function showHelp() {
     console.log(`  ${colors.gemini.bold('gemini')} ${colors.muted('<prompt>')}               ${colors.text('Talk to Gemini')}`);
     console.log(`  ${colors.ollama.bold('ollama')} ${colors.muted('<prompt>')}               ${colors.text('Chat with Ollama (keeps context)')}`);
     console.log(`  ${colors.groq.bold('groq')} ${colors.muted('<prompt>')}                 ${colors.text('Chat with Groq (cloud, fast)')}`);
+    console.log(`  ${colors.accent.bold('<instance>')} ${colors.muted('<prompt>')}           ${colors.text('Chat with an openai-compatible instance')}`);
     console.log('');
 
     // ── Octopus Mode ──
     console.log(colors.accent.bold('  Octopus Mode'));
     console.log(colors.muted('  ─────────────────────────────────────────────'));
     console.log(`  ${colors.accent.bold('octopus')} ${colors.muted('<agent>')}               ${colors.text('Enter interactive chat mode')}`);
-    console.log(colors.muted('  Agents: groq, ollama, claude, gemini'));
+    console.log(colors.muted('  Agents: groq, ollama, claude, gemini, or any openai-compatible instance'));
     console.log(colors.muted(`  Use ${colors.accent('/exit')} to leave octopus mode`));
     console.log('');
 
@@ -113,7 +124,7 @@ export function showHelp() {
     // ── Telegram ──
     console.log(colors.telegram.bold('  Telegram'));
     console.log(colors.muted('  ─────────────────────────────────────────────'));
-    console.log(`  ${colors.telegram.bold('tg connect')}                    ${colors.text('Connect Telegram bot (polling)')}`);
+    console.log(`  ${colors.telegram.bold('tg connect')}                    ${colors.text('Connect Telegram bot (polling or webhook)')}`);
     console.log(`  ${colors.telegram.bold('tg send')} ${colors.muted('<id> <msg>')}            ${colors.text('Send a message to a chat')}`);
     console.log(`  ${colors.telegram.bold('tg chats')}                      ${colors.text('List recent chats')}`);
     console.log(`  ${colors.telegram.bold('tg status')}                     ${colors.text('Check Telegram bot status')}`);
@@ -125,6 +136,37 @@ export function showHelp() {
     console.log(colors.muted('  Example: /file README.md  or  /file ./docs/guide.txt'));
     console.log('');
 
+    // ── Discord ──
+    console.log(colors.discord.bold('  Discord'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    console.log(`  ${colors.discord.bold('discord connect')}               ${colors.text('Connect Discord bot (DMs and @mentions)')}`);
+    console.log(`  ${colors.discord.bold('discord send')} ${colors.muted('<target> <msg>')}   ${colors.text('Send to a channel, #name or @user_id')}`);
+    console.log(`  ${colors.discord.bold('discord channels')}              ${colors.text('List server channels and recent DMs')}`);
+    console.log(`  ${colors.discord.bold('discord status')}                ${colors.text('Check Discord bot status')}`);
+    console.log(`  ${colors.discord.bold('discord disconnect')}            ${colors.text('Disconnect Discord bot')}`);
+    console.log('');
+
+    // ── Matrix ──
+    console.log(colors.matrix.bold('  Matrix'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    console.log(`  ${colors.matrix.bold('matrix connect')}                ${colors.text('Connect to the Matrix homeserver')}`);
+    console.log(`  ${colors.matrix.bold('matrix send')} ${colors.muted('<room> <msg>')}      ${colors.text('Send to a room ID (!...) or alias (#...)')}`);
+    console.log(`  ${colors.matrix.bold('matrix rooms')}                  ${colors.text('List joined rooms')}`);
+    console.log(`  ${colors.matrix.bold('matrix status')}                 ${colors.text('Check Matrix connection')}`);
+    console.log(`  ${colors.matrix.bold('matrix disconnect')}             ${colors.text('Disconnect Matrix')}`);
+    console.log('');
+
+    // ── Email ──
+    console.log(colors.email.bold('  Email'));
+    console.log(colors.muted('  ─────────────────────────────────────────────'));
+    console.log(`  ${colors.email.bold('email connect')}                 ${colors.text('Start polling the IMAP inbox')}`);
+    console.log(`  ${colors.email.bold('email send')} ${colors.muted('<address> <msg>')}    ${colors.text('Mail a message to an address')}`);
+    console.log(`  ${colors.email.bold('email check')}                   ${colors.text('Check the inbox now')}`);
+    console.log(`  ${colors.email.bold('email threads')}                 ${colors.text('List recent mail threads')}`);
+    console.log(`  ${colors.email.bold('email status')}                  ${colors.text('Check email connection')}`);
+    console.log(`  ${colors.email.bold('email disconnect')}              ${colors.text('Stop polling the inbox')}`);
+    console.log('');
+
     // ── Ngrok ──
     console.log(colors.secondary.bold('  Ngrok'));
     console.log(colors.muted('  ─────────────────────────────────────────────'));
@@ -158,6 +200,21 @@ export function showHelp() {
     console.log(`  ${colors.accent.bold('folder')}                        ${colors.text('Show current working directory')}`);
     console.log(`  ${colors.accent.bold('cd <dir>')}                      ${colors.text('Change current directory')}`);
     console.log(`  ${colors.accent.bold('status')}                        ${colors.text('Show all services status')}`);
+    console.log(`  ${colors.accent.bold('usage')} ${colors.muted('[today|<days>]')}          ${colors.text('Show tokens and cost by day, agent and chat')}`);
+    console.log(`  ${colors.accent.bold('usage prices')}                  ${colors.text('Show the per-model price table')}`);
+    console.log(`  ${colors.accent.bold('users list')}                    ${colors.text('Show roles and the remote users who have them')}`);
+    console.log(`  ${colors.accent.bold('users grant|revoke')} ${colors.muted('<p> <id>')}   ${colors.text('Give a remote user a role, or remove it')}`);
+    console.log(`  ${colors.accent.bold('audit tail')} ${colors.muted('[n]')}                ${colors.text('Show the latest remote actions')}`);
+    console.log(`  ${colors.accent.bold('audit search')} ${colors.muted('<text>')}           ${colors.text('Find remote actions by user, command or outcome')}`);
+    console.log(`  ${colors.accent.bold('audit verify')}                  ${colors.text('Check the audit log hash chain for tampering')}`);
+    console.log(`  ${colors.accent.bold('tools')} ${colors.muted('[reload]')}                ${colors.text('List agent tools, including plugins')}`);
+    console.log(`  ${colors.accent.bold('tools enable|disable')} ${colors.muted('<a> <t>')}   ${colors.text('Turn a tool on or off for one agent')}`);
+    console.log(`  ${colors.accent.bold('mcp')} ${colors.muted('[connect|tools]')}           ${colors.text('MCP servers and the tools they add')}`);
+    console.log(`  ${colors.accent.bold('minigeri mcp-serve')}            ${colors.text('Run minigeri as an MCP server on stdio')}`);
+    console.log(`  ${colors.accent.bold('api')} ${colors.muted('[start|stop|status]')}       ${colors.text('Local HTTP REST API for scripts and CI')}`);
+    console.log(`  ${colors.accent.bold('api token')}                     ${colors.text('Generate and save HTTP_API_TOKEN')}`);
+    console.log(`  ${colors.accent.bold('minigeri daemon')} ${colors.muted('<cmd>')}         ${colors.text('start|stop|status|logs the background daemon')}`);
+    console.log(`  ${colors.accent.bold('minigeri run')} ${colors.muted('"<cmd>"')}          ${colors.text('Run one command in the daemon')}`);
     console.log(`  ${colors.accent.bold('help')}                          ${colors.text('Show this help')}`);
     console.log(`  ${colors.accent.bold('clear')}                         ${colors.text('Clear the screen')}`);
     console.log(`  ${colors.accent.bold('exit')}                          ${colors.text('Quit minigeri')}`);
@@ -0,0 +1,42 @@
+import { colors, icons } from './theme.js';
+import { isSummaryMessage, messageText, SUMMARY_PREFIX } from '../agents/history.js';
+
+const PREVIEW_LENGTH = 200;
+
+function preview(text) {
+    return text.length > PREVIEW_LENGTH ? text.substring(0, PREVIEW_LENGTH) + '...' : text;
+}
+
+/**
+ * Print an agent's conversation for `<agent> history`.
+ * Compacted spans show up as a marker line with the pinned summary.
+ * @param {import('../agents/base.js').BaseAgent} agent
+ * @param {string} speaker - Pre-styled label for assistant messages (e.g. "Groq:")
+ */
+export function printConversation(agent, speaker) {
+    const compactions = agent.compactions || [];
+
+    for (let i = 0; i < agent.messages.length; i++) {
+        const msg = agent.messages[i];
+
+        if (isSummaryMessage(msg)) {
+            const dropped = compactions.reduce((sum, c) => sum + c.dropped, 0);
+            const last = compactions[compactions.length - 1];
+            const when = last ? ` — last at ${new Date(last.at).toLocaleString()}` : '';
+            console.log(colors.warning(`  ${icons.bullet} Compacted ${dropped} earlier message(s) in ${compactions.length} pass(es)${when}`));
+            console.log(`  ${colors.muted.bold('Summary:')} ${colors.muted(preview(messageText(msg).slice(SUMMARY_PREFIX.length).trim()))}`);
+            console.log('');
+            // Skip the assistant's acknowledgement of the summary
+            if (agent.messages[i + 1]?.role !== 'user') i++;
+            continue;
+        }
+
+        const text = messageText(msg);
+        if (msg.role === 'user') {
+            console.log(`  ${colors.accent.bold('You:')} ${colors.text(text)}`);
+        } else if (msg.role === 'assistant' && text) {
+            console.log(`  ${speaker} ${colors.muted(preview(text))}`);
+        }
+        console.log('');
+    }
+}
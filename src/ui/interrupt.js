@@ -0,0 +1,65 @@
+/**
+ * ─── Shell Interrupts ───────────────────────────────────────────
+ *
+ * Ctrl+C while an agent is answering in the terminal cancels that
+ * request instead of quitting.
+ *
+ * Design:
+ *   • sendFromShell() runs one agent turn under its own AbortController;
+ *     Ctrl+C aborts it, which kills the agent's CLI or aborts its HTTP
+ *     request (and rejects an open approval question)
+ *   • A failed or cancelled turn is rolled back, so the agent's history
+ *     never keeps a half-finished tool round
+ *   • With no request running, Ctrl+C keeps readline's meaning: quit
+ */
+import { colors, icons } from './theme.js';
+
+// The running shell request, if any
+let current = null;
+
+/**
+ * Send a prompt from the shell so that Ctrl+C can cancel it.
+ *
+ * @param {import('../agents/base.js').BaseAgent} agent
+ * @param {string} prompt
+ * @param {object} [options] - Other send() options
+ * @returns {Promise<string>}
+ */
+export async function sendFromShell(agent, prompt, options = {}) {
+    const controller = new AbortController();
+    const snapshot = agent.serialize();
+    current = controller;
+    try {
+        return await agent.send(prompt, { ...options, signal: controller.signal });
+    } catch (err) {
+        agent.restore(snapshot);
+        throw err;
+    } finally {
+        if (current === controller) current = null;
+    }
+}
+
+/**
+ * Cancel the running shell request.
+ * @returns {boolean} Whether one was running
+ */
+export function cancelShellRequest() {
+    if (!current || current.signal.aborted) return false;
+    current.abort();
+    return true;
+}
+
+/**
+ * Make Ctrl+C on `rl` cancel the running request; with none running it
+ * closes `rl`, as readline does by default.
+ * @param {import('readline').Interface} rl
+ */
+export function handleShellInterrupts(rl) {
+    rl.on('SIGINT', () => {
+        if (cancelShellRequest()) {
+            process.stdout.write(colors.warning(`\n  ${icons.warning} Cancelling...\n`));
+            return;
+        }
+        rl.close();
+    });
+}
@@ -0,0 +1,45 @@
+/**
+ * ─── Prompt-safe Background Output ──────────────────────────────
+ *
+ * Incoming messages, connector events and daemon logs arrive while the
+ * user may be typing at `minigeri ▸ `. Wrap such output in
+ * beginAsyncOutput() / endAsyncOutput() so the half-typed line is cleared
+ * first and redrawn afterwards, instead of printing over it.
+ *
+ * Design:
+ *   • The shell registers its readline interface and a busy check; while
+ *     a command runs, the prompt is neither cleared nor redrawn
+ *   • Without a registered interface (daemon, one-shot commands) both
+ *     calls do nothing
+ */
+import readline from 'readline';
+
+let activeRl = null;
+let isBusy = () => false;
+
+/**
+ * Register the shell's readline interface.
+ * @param {readline.Interface|null} rl
+ * @param {{ busy?: () => boolean }} [options] - Returns true while a command is running
+ */
+export function setPromptInterface(rl, { busy } = {}) {
+    activeRl = rl;
+    isBusy = busy || (() => false);
+}
+
+/**
+ * Clear the prompt line before printing something unprompted.
+ */
+export function beginAsyncOutput() {
+    if (!activeRl || isBusy() || !process.stdout.isTTY) return;
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+}
+
+/**
+ * Redraw the prompt, with whatever the user had typed, after unprompted output.
+ */
+export function endAsyncOutput() {
+    if (!activeRl || isBusy()) return;
+    activeRl.prompt(true);
+}
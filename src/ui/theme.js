@@ -19,6 +19,9 @@ export const palettes = {
         ollama: '#525252',   // Ollama dark gray
         slack: '#4A154B',   // Slack aubergine
         telegram: '#0088CC',   // Telegram blue
+        discord: '#5865F2',   // Discord blurple
+        matrix: '#0DBD8B',   // Matrix/Element green
+        email: '#EA4335',    // Mail red
         groq: '#F55036',       // Groq orange
     },
     ocean: {
@@ -38,6 +41,9 @@ export const palettes = {
         ollama: '#525252',
         slack: '#4A154B',
         telegram: '#0088CC',
+        discord: '#5865F2',
+        matrix: '#0DBD8B',
+        email: '#EA4335',
         groq: '#F55036',
     },
     forest: {
@@ -57,6 +63,9 @@ export const palettes = {
         ollama: '#525252',
         slack: '#4A154B',
         telegram: '#0088CC',
+        discord: '#5865F2',
+        matrix: '#0DBD8B',
+        email: '#EA4335',
         groq: '#F55036',
     },
     cyberpunk: {
@@ -76,6 +85,9 @@ export const palettes = {
         ollama: '#525252',
         slack: '#4A154B',
         telegram: '#0088CC',
+        discord: '#5865F2',
+        matrix: '#0DBD8B',
+        email: '#EA4335',
         groq: '#F55036',
     },
     dracula: {
@@ -95,6 +107,9 @@ export const palettes = {
         ollama: '#525252',
         slack: '#4A154B',
         telegram: '#0088CC',
+        discord: '#5865F2',
+        matrix: '#0DBD8B',
+        email: '#EA4335',
         groq: '#F55036',
     }
 };
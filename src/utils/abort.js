@@ -0,0 +1,102 @@
+/**
+ * ─── Cancellation ───────────────────────────────────────────────
+ *
+ * Helpers for threading an AbortSignal from the shell (Ctrl+C) and chats
+ * (/cancel) through agents, CLI executors and tool calls.
+ *
+ * Design:
+ *   • Cancelling rejects with an error named "AbortError"; an agent's own
+ *     timeout rejects with one named "TimeoutError" — callers (e.g. the
+ *     fallback chain) tell them apart by name, never by message
+ *   • withTimeout() derives a per-call signal that also fires after the
+ *     agent's timeout; release() must be called once the call is over
+ */
+
+/**
+ * The error a cancelled operation rejects with.
+ * @param {AbortSignal} [signal]
+ * @returns {Error}
+ */
+export function abortError(signal) {
+    const reason = signal?.reason;
+    if (reason instanceof Error && reason.name === 'TimeoutError') return reason;
+    const err = new Error('Cancelled');
+    err.name = 'AbortError';
+    return err;
+}
+
+/**
+ * Whether an error comes from a cancellation (not a timeout).
+ * @param {Error} err
+ */
+export function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
+/**
+ * Throw the cancellation error if `signal` has fired.
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+    if (signal?.aborted) throw abortError(signal);
+}
+
+/**
+ * Run `onAbort` when `signal` fires (right away if it already has).
+ * @returns {() => void} Removes the listener
+ */
+export function onAbort(signal, onAbortFn) {
+    if (!signal) return () => { };
+    if (signal.aborted) {
+        onAbortFn(abortError(signal));
+        return () => { };
+    }
+    const listener = () => onAbortFn(abortError(signal));
+    signal.addEventListener('abort', listener, { once: true });
+    return () => signal.removeEventListener('abort', listener);
+}
+
+/**
+ * A signal that fires when `signal` does, or after `timeoutMs`.
+ *
+ * @param {AbortSignal} [signal] - The caller's signal
+ * @param {number} [timeoutMs] - 0 or missing for no timeout
+ * @param {string} [label] - Who timed out, for the error message
+ * @returns {{ signal: AbortSignal|undefined, release: () => void }}
+ */
+export function withTimeout(signal, timeoutMs, label = 'Request') {
+    if (!(timeoutMs > 0)) return { signal, release: () => { } };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        const err = new Error(`${label} did not finish within ${Math.round(timeoutMs / 1000)}s`);
+        err.name = 'TimeoutError';
+        controller.abort(err);
+    }, timeoutMs);
+    timer.unref?.();
+    const unlink = onAbort(signal, (err) => controller.abort(err));
+
+    return {
+        signal: controller.signal,
+        release: () => {
+            clearTimeout(timer);
+            unlink();
+        },
+    };
+}
+
+/**
+ * Destroy an http(s) request when `signal` fires. `reject` gets the abort
+ * error before any socket error the destroy causes.
+ *
+ * @param {AbortSignal} [signal]
+ * @param {import('http').ClientRequest} req
+ * @param {(err: Error) => void} reject - The request promise's reject
+ */
+export function abortRequest(signal, req, reject) {
+    const unlink = onAbort(signal, (err) => {
+        reject(err);
+        req.destroy(err);
+    });
+    req.once('close', unlink);
+}
@@ -0,0 +1,132 @@
+/**
+ * ─── Attachments ────────────────────────────────────────────────
+ *
+ * Photos and files received on messaging platforms, on their way to an
+ * agent as the `attachments` of its input (see agents/input.js).
+ *
+ * Design:
+ *   • Connectors pass the router a description of each attachment
+ *     ({ name, mimeType, size, load }); nothing is downloaded until an
+ *     allowed user's prompt is about to reach an agent
+ *   • JPEG, PNG, GIF and WebP go to the model as images; text files are
+ *     folded into the prompt; anything else is refused with a reason
+ *   • Size caps keep requests within the providers' limits
+ */
+import { extname } from 'path';
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const MAX_DOCUMENT_BYTES = 256 * 1024;
+
+const IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+const TEXT_TYPES = /^(text\/|application\/(json|xml|javascript|x-javascript|x-sh|x-yaml|yaml|toml|x-toml|sql)$)/;
+const TEXT_EXTENSIONS = new Set([
+    'txt', 'md', 'markdown', 'json', 'csv', 'tsv', 'log', 'xml', 'yaml', 'yml', 'toml', 'ini', 'env',
+    'js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp',
+    'cs', 'php', 'sh', 'bash', 'zsh', 'sql', 'html', 'css', 'scss', 'vue', 'svelte', 'swift', 'lua',
+    'diff', 'patch',
+]);
+
+/**
+ * @typedef {object} IncomingAttachment
+ * @property {string} [name] - File name, if the platform has one
+ * @property {string} [mimeType]
+ * @property {number} [size] - Bytes, if known before downloading
+ * @property {() => Promise<{ data: Buffer, name?: string, mimeType?: string }>} load
+ *   Downloads the file; name and type may only be known afterwards
+ */
+
+/**
+ * What an attachment is to an agent.
+ * @param {{ name?: string, mimeType?: string }} attachment
+ * @returns {'image' | 'document' | null} null when agents can't use it
+ */
+export function attachmentKind({ name = '', mimeType = '' }) {
+    const type = mimeType.toLowerCase().split(';')[0].trim();
+    if (IMAGE_TYPES.has(type)) return 'image';
+    if (TEXT_TYPES.test(type)) return 'document';
+    return TEXT_EXTENSIONS.has(extname(name).slice(1).toLowerCase()) ? 'document' : null;
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function checkSize(kind, size) {
+    const max = kind === 'image' ? MAX_IMAGE_BYTES : MAX_DOCUMENT_BYTES;
+    return size > max ? `too large (${formatSize(size)}, max ${formatSize(max)})` : null;
+}
+
+/**
+ * Download a message's attachments and check that agents can use them.
+ *
+ * @param {IncomingAttachment[]} incoming
+ * @returns {Promise<{ attachments: import('../agents/input.js').Attachment[], refused: string[] }>}
+ *   refused holds one "name: reason" line per attachment that can't be sent
+ */
+export async function loadAttachments(incoming) {
+    const attachments = [];
+    const refused = [];
+
+    for (const described of incoming) {
+        const label = described.name || 'attachment';
+        const knownKind = described.mimeType || described.name ? attachmentKind(described) : null;
+        const early = knownKind && described.size ? checkSize(knownKind, described.size) : null;
+        if (early) {
+            refused.push(`${label}: ${early}`);
+            continue;
+        }
+
+        let loaded;
+        try {
+            loaded = await described.load();
+        } catch (err) {
+            refused.push(`${label}: download failed (${err.message})`);
+            continue;
+        }
+
+        const name = loaded.name || described.name || 'attachment';
+        const mimeType = loaded.mimeType || described.mimeType || '';
+        const kind = attachmentKind({ name, mimeType });
+        if (!kind) {
+            refused.push(`${name}: unsupported file type${mimeType ? ` (${mimeType})` : ''}`);
+            continue;
+        }
+        const tooLarge = checkSize(kind, loaded.data.length);
+        if (tooLarge) {
+            refused.push(`${name}: ${tooLarge}`);
+            continue;
+        }
+        if (kind === 'document' && loaded.data.subarray(0, 8192).includes(0)) {
+            refused.push(`${name}: not a text file`);
+            continue;
+        }
+
+        attachments.push({ kind, name, mimeType: mimeType || 'text/plain', data: loaded.data });
+    }
+
+    return { attachments, refused };
+}
+
+/**
+ * Collect a readable stream into a Buffer, giving up past `maxBytes`.
+ * @param {import('stream').Readable} stream
+ * @param {number} [maxBytes]
+ * @returns {Promise<Buffer>}
+ */
+export function readStream(stream, maxBytes = MAX_IMAGE_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                reject(new Error(`larger than ${formatSize(maxBytes)}`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
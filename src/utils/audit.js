@@ -0,0 +1,175 @@
+/**
+ * ─── Audit Log ──────────────────────────────────────────────────
+ *
+ * Append-only record of every remote action under ~/.cli-bot/audit/:
+ * who asked what from which platform, and how it ended.
+ *
+ * Design:
+ *   • One JSONL file per local day (e.g. 2025-06-01.jsonl), one line per
+ *     action: platform, chat, sender, role, action, arguments, outcome
+ *   • Entries form a hash chain across files: each line stores the hash
+ *     of the previous one (`prev`) and its own `hash` =
+ *     sha256(prev + "\n" + the line without its hash). Editing, removing
+ *     or reordering a line breaks every hash after it
+ *   • The last hash is re-read from disk before each append, so the shell
+ *     and the daemon can both write to the same chain
+ *   • Dropping lines from the very end can't be detected from the log
+ *     alone — `audit verify` prints the head hash to compare with a copy
+ *   • Write errors are reported on stderr and never fail a reply
+ */
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, appendFileSync } from 'fs';
+import { CONFIG_DIR } from '../config.js';
+import { dayKey } from './usage.js';
+
+export const AUDIT_DIR = join(CONFIG_DIR, 'audit');
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Prompts and commands longer than this are cut before they are stored
+const MAX_ARGS_LENGTH = 2000;
+
+const FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+
+/**
+ * Hash of an entry (without its own `hash` field) chained to `prev`.
+ */
+export function hashEntry(entry) {
+    const { hash: _hash, ...rest } = entry;
+    return createHash('sha256').update(`${rest.prev}\n${JSON.stringify(rest)}`).digest('hex');
+}
+
+/**
+ * Audit files, oldest first.
+ * @returns {string[]}
+ */
+export function listAuditFiles(dir = AUDIT_DIR) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir).filter((name) => FILE_PATTERN.test(name)).sort();
+}
+
+function readLines(file) {
+    return readFileSync(file, 'utf-8').split('\n').filter((line) => line.trim());
+}
+
+/**
+ * Hash of the newest entry, or the genesis hash for an empty log.
+ */
+function lastHash(dir) {
+    const files = listAuditFiles(dir);
+    for (let i = files.length - 1; i >= 0; i--) {
+        const lines = readLines(join(dir, files[i]));
+        if (lines.length === 0) continue;
+        try {
+            return JSON.parse(lines[lines.length - 1]).hash || GENESIS_HASH;
+        } catch {
+            // A broken last line still gets chained to; verify reports it
+            return createHash('sha256').update(lines[lines.length - 1]).digest('hex');
+        }
+    }
+    return GENESIS_HASH;
+}
+
+/**
+ * Append one action to today's audit file.
+ *
+ * @param {object} action
+ * @param {string} action.platform - Connector name (telegram, http, ...)
+ * @param {{ id: string, name?: string }} action.sender
+ * @param {string} [action.chatId]
+ * @param {string} [action.role]
+ * @param {string} action.action - e.g. "/cmd", "/claude", "message"
+ * @param {string} [action.args]
+ * @param {string} action.outcome - ok, error, denied, blocked, ...
+ * @returns {object} The stored entry
+ */
+export function appendAudit({ platform, sender, chatId, role, action, args = '', outcome }, dir = AUDIT_DIR) {
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    const now = new Date();
+    const text = String(args);
+    const entry = {
+        ts: now.toISOString(),
+        platform,
+        ...(chatId !== undefined ? { chatId: String(chatId) } : {}),
+        sender: { id: String(sender.id), ...(sender.name ? { name: sender.name } : {}) },
+        ...(role ? { role } : {}),
+        action,
+        args: text.length > MAX_ARGS_LENGTH ? `${text.slice(0, MAX_ARGS_LENGTH)}… (truncated)` : text,
+        outcome,
+        prev: lastHash(dir),
+    };
+    entry.hash = hashEntry(entry);
+    appendFileSync(join(dir, `${dayKey(now)}.jsonl`), JSON.stringify(entry) + '\n', { mode: 0o600 });
+    return entry;
+}
+
+/**
+ * Record an action without ever throwing — audit problems must not stop
+ * the bot from answering.
+ */
+export function recordAudit(action, dir = AUDIT_DIR) {
+    try {
+        appendAudit(action, dir);
+    } catch (err) {
+        process.stderr.write(`Could not write audit log: ${err.message}\n`);
+    }
+}
+
+/**
+ * Read every entry, oldest first. Malformed lines are skipped.
+ * @returns {object[]}
+ */
+export function readAudit(dir = AUDIT_DIR) {
+    const entries = [];
+    for (const name of listAuditFiles(dir)) {
+        for (const line of readLines(join(dir, name))) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch { }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Entries whose platform, sender, role, action, arguments or outcome
+ * contain `query` (case-insensitive).
+ */
+export function searchAudit(query, dir = AUDIT_DIR) {
+    const needle = query.toLowerCase();
+    return readAudit(dir).filter((entry) => [
+        entry.platform, entry.chatId, entry.sender?.id, entry.sender?.name,
+        entry.role, entry.action, entry.args, entry.outcome,
+    ].some((field) => field !== undefined && String(field).toLowerCase().includes(needle)));
+}
+
+/**
+ * Walk the whole chain and report the first line that doesn't match.
+ *
+ * @returns {{ ok: boolean, entries: number, head: string, error?: string, file?: string, line?: number }}
+ */
+export function verifyAudit(dir = AUDIT_DIR) {
+    let prev = GENESIS_HASH;
+    let count = 0;
+
+    for (const name of listAuditFiles(dir)) {
+        const lines = readLines(join(dir, name));
+        for (let i = 0; i < lines.length; i++) {
+            const fail = (error) => ({ ok: false, entries: count, head: prev, error, file: name, line: i + 1 });
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch {
+                return fail('line is not valid JSON');
+            }
+            if (entry.prev !== prev) return fail('chain broken — an entry before it was changed, removed or reordered');
+            if (entry.hash !== hashEntry(entry)) return fail('entry was modified after it was written');
+            prev = entry.hash;
+            count++;
+        }
+    }
+    return { ok: true, entries: count, head: prev };
+}
@@ -0,0 +1,281 @@
+/**
+ * ─── Unified Diffs ──────────────────────────────────────────────
+ *
+ * Creates, parses and applies unified diffs for the file-editing tools,
+ * and colours them for the shell.
+ *
+ * Design:
+ *   • Line-based LCS after trimming the common prefix/suffix — edits made
+ *     by agents are usually small, so the quadratic middle stays tiny;
+ *     very large rewrites fall back to "replace the middle block"
+ *   • Hunks apply at their stated line first, then at the nearest place
+ *     where their context matches exactly (models miscount line numbers)
+ *   • A missing trailing newline is preserved, never reported as a change
+ */
+import { colors } from '../ui/theme.js';
+
+const CONTEXT_LINES = 3;
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Split text into lines, remembering whether it ended with a newline.
+ */
+export function splitLines(text) {
+    if (!text) return { lines: [], trailingNewline: true };
+    const trailingNewline = text.endsWith('\n');
+    const lines = text.split('\n');
+    if (trailingNewline) lines.pop();
+    return { lines, trailingNewline };
+}
+
+function joinLines(lines, trailingNewline) {
+    if (lines.length === 0) return '';
+    return lines.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+/**
+ * Line-level edit script from a to b: [{ type: ' ' | '-' | '+', line }].
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map((line) => ({ type: ' ', line }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > MAX_LCS_CELLS) {
+        ops.push(...midA.map((line) => ({ type: '-', line })));
+        ops.push(...midB.map((line) => ({ type: '+', line })));
+    } else {
+        // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+        const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                ops.push({ type: ' ', line: midA[i++] });
+                j++;
+            } else if (j < midB.length && (i === midA.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                ops.push({ type: '+', line: midB[j++] });
+            } else {
+                ops.push({ type: '-', line: midA[i++] });
+            }
+        }
+    }
+
+    ops.push(...a.slice(endA).map((line) => ({ type: ' ', line })));
+    return ops;
+}
+
+/**
+ * Build a unified diff between two versions of a file.
+ *
+ * @param {string|null} before - Old content (null for a new file)
+ * @param {string|null} after - New content (null for a deleted file)
+ * @param {string} path - Path shown in the headers
+ * @returns {string} The diff, or '' when nothing changed
+ */
+export function createUnifiedDiff(before, after, path) {
+    const a = splitLines(before ?? '').lines;
+    const b = splitLines(after ?? '').lines;
+    const ops = diffLines(a, b);
+    if (!ops.some((op) => op.type !== ' ')) return '';
+
+    const out = [
+        `--- ${before === null ? '/dev/null' : `a/${path}`}`,
+        `+++ ${after === null ? '/dev/null' : `b/${path}`}`,
+    ];
+
+    // Group changes into hunks with CONTEXT_LINES of context around them
+    let i = 0;
+    let oldLine = 1;
+    let newLine = 1;
+    while (i < ops.length) {
+        if (ops[i].type === ' ') {
+            i++;
+            oldLine++;
+            newLine++;
+            continue;
+        }
+
+        const lead = Math.min(CONTEXT_LINES, countContextBefore(ops, i));
+        const start = i - lead;
+        let end = i;
+        let gap = 0;
+        while (end < ops.length) {
+            if (ops[end].type === ' ') {
+                gap++;
+                if (gap > CONTEXT_LINES * 2) break;
+            } else {
+                gap = 0;
+            }
+            end++;
+        }
+        end -= Math.max(0, gap - CONTEXT_LINES);
+
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter((op) => op.type !== '+').length;
+        const newCount = hunk.filter((op) => op.type !== '-').length;
+        const oldStart = oldLine - lead;
+        const newStart = newLine - lead;
+        out.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+        out.push(...hunk.map((op) => op.type + op.line));
+
+        for (let k = i; k < end; k++) {
+            if (ops[k].type !== '+') oldLine++;
+            if (ops[k].type !== '-') newLine++;
+        }
+        i = end;
+    }
+
+    return out.join('\n');
+}
+
+function countContextBefore(ops, index) {
+    let n = 0;
+    while (index - n - 1 >= 0 && ops[index - n - 1].type === ' ') n++;
+    return n;
+}
+
+/**
+ * Count added and removed lines in a unified diff.
+ * @returns {{ added: number, removed: number }}
+ */
+export function diffStats(diff) {
+    let added = 0;
+    let removed = 0;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---')) continue;
+        if (line.startsWith('+')) added++;
+        else if (line.startsWith('-')) removed++;
+    }
+    return { added, removed };
+}
+
+/**
+ * Parse a (possibly multi-file) unified diff.
+ *
+ * @param {string} text
+ * @returns {{ oldPath: string|null, newPath: string|null, hunks: object[] }[]}
+ *   Paths have their a/ b/ prefixes removed; null means /dev/null.
+ *   Each hunk is { oldStart, lines: [' ctx', '-old', '+new'] }.
+ */
+export function parseUnifiedDiff(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+
+    const cleanPath = (raw) => {
+        const path = raw.trim().split('\t')[0];
+        if (path === '/dev/null') return null;
+        return path.replace(/^[ab]\//, '');
+    };
+
+    for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+        if (line.startsWith('--- ') && (!hunk || hunk.remaining <= 0)) {
+            file = { oldPath: cleanPath(line.slice(4)), newPath: null, hunks: [] };
+            files.push(file);
+            hunk = null;
+            continue;
+        }
+        if (line.startsWith('+++ ') && file && file.hunks.length === 0 && !hunk) {
+            file.newPath = cleanPath(line.slice(4));
+            continue;
+        }
+
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (header) {
+            if (!file) throw new Error('Patch has a hunk before any "---" / "+++" file header');
+            const oldLines = header[2] === undefined ? 1 : Number(header[2]);
+            const newLines = header[4] === undefined ? 1 : Number(header[4]);
+            hunk = { oldStart: Number(header[1]), lines: [], remaining: oldLines + newLines };
+            file.hunks.push(hunk);
+            continue;
+        }
+
+        if (!hunk || hunk.remaining <= 0) continue; // diff --git, index, mode lines...
+        if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+
+        if (line.startsWith(' ') || line === '') {
+            hunk.lines.push(' ' + line.slice(1));
+            hunk.remaining -= 2;
+        } else if (line.startsWith('-') || line.startsWith('+')) {
+            hunk.lines.push(line);
+            hunk.remaining -= 1;
+        }
+    }
+
+    if (files.length === 0) throw new Error('No file headers ("--- a/path" / "+++ b/path") found in patch');
+    for (const f of files) {
+        for (const h of f.hunks) delete h.remaining;
+    }
+    return files;
+}
+
+function matchesAt(lines, expected, at) {
+    if (at < 0 || at + expected.length > lines.length) return false;
+    for (let k = 0; k < expected.length; k++) {
+        if (lines[at + k] !== expected[k]) return false;
+    }
+    return true;
+}
+
+/**
+ * Apply parsed hunks to a file's content.
+ *
+ * @param {string} content - Current content ('' for a new file)
+ * @param {object[]} hunks - From parseUnifiedDiff()
+ * @returns {string} The patched content
+ * @throws When a hunk's context cannot be found
+ */
+export function applyHunks(content, hunks) {
+    const { lines, trailingNewline } = splitLines(content);
+    let offset = 0;
+
+    hunks.forEach((hunk, index) => {
+        const expected = hunk.lines.filter((l) => l[0] !== '+').map((l) => l.slice(1));
+        const replacement = hunk.lines.filter((l) => l[0] !== '-').map((l) => l.slice(1));
+        const stated = hunk.oldStart - 1 + offset + (expected.length === 0 ? 1 : 0);
+        const wanted = Math.min(Math.max(0, stated), lines.length);
+
+        // Search outwards from the stated position
+        let at = -1;
+        for (let d = 0; d <= lines.length; d++) {
+            if (matchesAt(lines, expected, wanted - d)) { at = wanted - d; break; }
+            if (matchesAt(lines, expected, wanted + d)) { at = wanted + d; break; }
+        }
+        if (at === -1) {
+            throw new Error(`Hunk ${index + 1} does not apply (context not found near line ${hunk.oldStart})`);
+        }
+
+        lines.splice(at, expected.length, ...replacement);
+        offset = at + replacement.length - (hunk.oldStart - 1 + expected.length);
+    });
+
+    return joinLines(lines, trailingNewline || content === '');
+}
+
+/**
+ * Colour a unified diff for the terminal.
+ */
+export function colorizeDiff(diff) {
+    return diff.split('\n').map((line) => {
+        if (line.startsWith('+++') || line.startsWith('---')) return colors.text.bold(`  ${line}`);
+        if (line.startsWith('@@')) return colors.accent(`  ${line}`);
+        if (line.startsWith('+')) return colors.success(`  ${line}`);
+        if (line.startsWith('-')) return colors.error(`  ${line}`);
+        return colors.muted(`  ${line}`);
+    }).join('\n');
+}
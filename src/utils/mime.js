@@ -0,0 +1,287 @@
+/**
+ * ─── MIME ───────────────────────────────────────────────────────
+ *
+ * Just enough RFC 5322 / MIME for the email connector: read the text of
+ * an incoming mail and build a plain-text reply.
+ *
+ * Design:
+ *   • Raw messages are handled as latin1 strings, which map bytes 1:1,
+ *     so bodies are decoded to bytes first and to text (charset) last
+ *   • text/plain is preferred; HTML-only mail is reduced to its text
+ *   • Quoted history and signatures are cut from replies, so a thread
+ *     doesn't send the whole conversation back to the agent each time
+ *   • Outgoing mail is quoted-printable UTF-8, attachments base64
+ */
+import { randomBytes } from 'crypto';
+import { basename } from 'path';
+
+// ── Parsing ─────────────────────────────────────────────────────
+
+function decodeCharset(bytes, charset = 'utf-8') {
+    try {
+        return new TextDecoder(charset.trim().toLowerCase()).decode(bytes);
+    } catch {
+        return bytes.toString('latin1');
+    }
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const source = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(source.charCodeAt(i) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?UTF-8?B?...?= / =?...?Q?...?=) in a header.
+ */
+export function decodeHeaderValue(value) {
+    return value
+        .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, data) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(data, 'base64')
+                : decodeQuotedPrintable(data.replace(/_/g, ' '));
+            return decodeCharset(bytes, charset);
+        });
+}
+
+/**
+ * Split a header block into lowercase name → values (unfolded, decoded).
+ */
+function parseHeaders(block) {
+    const headers = {};
+    for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        // 8-bit headers are UTF-8 in practice (RFC 6532)
+        const value = decodeHeaderValue(Buffer.from(line.slice(colon + 1).trim(), 'latin1').toString('utf8'));
+        (headers[name] ||= []).push(value);
+    }
+    return headers;
+}
+
+function splitHeadersAndBody(raw) {
+    const match = /\r?\n\r?\n/.exec(raw);
+    if (!match) return { head: raw, body: '' };
+    return { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+}
+
+/**
+ * Parse a Content-Type-like header: `text/plain; charset="utf-8"`.
+ */
+function parseParams(value = '') {
+    const [type, ...rest] = value.split(';');
+    const params = {};
+    for (const part of rest) {
+        const eq = part.indexOf('=');
+        if (eq > 0) params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"|"$/g, '');
+    }
+    return { type: type.trim().toLowerCase(), params };
+}
+
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Find the best text body of a MIME entity: text/plain first, then HTML.
+ * @returns {{ type: string, text: string }|null}
+ */
+function extractText(headers, body) {
+    const { type, params } = parseParams(headers['content-type']?.[0] || 'text/plain');
+
+    if (type.startsWith('multipart/') && params.boundary) {
+        const parts = body.split(`--${params.boundary}`).slice(1);
+        let html = null;
+        for (const part of parts) {
+            if (part.startsWith('--')) break;
+            const { head, body: partBody } = splitHeadersAndBody(part.replace(/^\r?\n/, ''));
+            const partHeaders = parseHeaders(head);
+            if (/^attachment/i.test(partHeaders['content-disposition']?.[0] || '')) continue;
+            const found = extractText(partHeaders, partBody);
+            if (found?.type === 'text/plain') return found;
+            html ||= found;
+        }
+        return html;
+    }
+    if (type !== 'text/plain' && type !== 'text/html') return null;
+
+    const encoding = (headers['content-transfer-encoding']?.[0] || '7bit').toLowerCase();
+    const bytes = encoding === 'base64'
+        ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+        : encoding === 'quoted-printable' ? decodeQuotedPrintable(body) : Buffer.from(body, 'latin1');
+    const text = decodeCharset(bytes, params.charset || 'utf-8');
+    return { type, text: type === 'text/html' ? htmlToText(text) : text };
+}
+
+/**
+ * Parse `"Name" <user@host>` (or a bare address).
+ * @returns {{ name: string, address: string }}
+ */
+export function parseAddress(value = '') {
+    const angle = /^\s*"?([^"<]*?)"?\s*<([^>]+)>/.exec(value);
+    if (angle) return { name: angle[1].trim(), address: angle[2].trim().toLowerCase() };
+    const address = value.trim().split(/\s+/)[0].toLowerCase();
+    return { name: '', address };
+}
+
+function parseIdList(value = '') {
+    return value.match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Parse a raw message into the parts the connector needs.
+ * @param {Buffer|string} raw
+ * @returns {{ from: { name: string, address: string }, subject: string, date: string,
+ *   messageId: string|null, inReplyTo: string|null, references: string[], text: string,
+ *   headers: Record<string, string[]> }}
+ */
+export function parseMessage(raw) {
+    const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+    const { head, body } = splitHeadersAndBody(source);
+    const headers = parseHeaders(head);
+    const first = (name) => headers[name]?.[0] || '';
+
+    return {
+        from: parseAddress(first('from')),
+        subject: first('subject'),
+        date: first('date'),
+        messageId: parseIdList(first('message-id'))[0] || null,
+        inReplyTo: parseIdList(first('in-reply-to'))[0] || null,
+        references: parseIdList(first('references')),
+        text: (extractText(headers, body)?.text || '').replace(/\r\n/g, '\n'),
+        headers,
+    };
+}
+
+/**
+ * Drop the quoted conversation and the signature from a reply.
+ */
+export function stripQuotedReply(text) {
+    const lines = [];
+    for (const line of text.split('\n')) {
+        // "On <date>, <someone> wrote:" and Outlook's separators start the quote
+        if (/^On\b.*\bwrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line)) break;
+        if (/^(From|De|Von):\s/.test(line) && lines.at(-1)?.trim() === '') break;
+        if (line === '-- ') break;
+        if (line.startsWith('>')) continue;
+        lines.push(line);
+    }
+    return lines.join('\n').trim();
+}
+
+/**
+ * Remove "Re:", "Fwd:" and similar prefixes from a subject.
+ */
+export function baseSubject(subject = '') {
+    return subject.replace(/^(\s*(re|fwd?|aw|wg|sv|rv)\s*(\[\d+\])?\s*:\s*)+/i, '').trim();
+}
+
+// ── Building ────────────────────────────────────────────────────
+
+/**
+ * Encode UTF-8 text as quoted-printable with lines of at most 76 characters.
+ */
+export function encodeQuotedPrintable(text) {
+    return text.replace(/\r?\n/g, '\n').split('\n').map((line) => {
+        let out = '';
+        let width = 0;
+        const bytes = Buffer.from(line, 'utf8');
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            const isLast = i === bytes.length - 1;
+            const plain = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+            const token = plain ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+            if (width + token.length > 75) {
+                out += '=\r\n';
+                width = 0;
+            }
+            out += token;
+            width += token.length;
+        }
+        return out;
+    }).join('\r\n');
+}
+
+function encodeHeaderValue(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Create a new Message-ID on the sender's domain.
+ */
+export function createMessageId(fromAddress) {
+    const domain = fromAddress.split('@')[1] || 'minigeri.local';
+    return `<${Date.now().toString(36)}.${randomBytes(8).toString('hex')}@${domain}>`;
+}
+
+/**
+ * Build a plain-text message, optionally with attachments.
+ *
+ * @param {object} mail
+ * @param {string} mail.from - Address
+ * @param {string} mail.to - Address
+ * @param {string} mail.subject
+ * @param {string} mail.text
+ * @param {string} [mail.messageId] - Generated if missing
+ * @param {string} [mail.inReplyTo]
+ * @param {string[]} [mail.references]
+ * @param {{ path: string, content: Buffer }[]} [mail.attachments]
+ * @returns {string} The message with CRLF line endings
+ */
+export function buildMessage({ from, to, subject, text, messageId, inReplyTo, references = [], attachments = [] }) {
+    const headers = [
+        `From: minigeri <${from}>`,
+        `To: <${to}>`,
+        `Subject: ${encodeHeaderValue(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: ${messageId || createMessageId(from)}`,
+        ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+        ...(references.length ? [`References: ${references.join(' ')}`] : []),
+        'MIME-Version: 1.0',
+        'Auto-Submitted: auto-replied',
+    ];
+    const textPart = [
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        encodeQuotedPrintable(text),
+    ];
+
+    if (attachments.length === 0) {
+        return [...headers, ...textPart].join('\r\n') + '\r\n';
+    }
+
+    const boundary = `minigeri-${randomBytes(12).toString('hex')}`;
+    const lines = [...headers, `Content-Type: multipart/mixed; boundary="${boundary}"`, '', `--${boundary}`, ...textPart];
+    for (const attachment of attachments) {
+        const name = encodeHeaderValue(basename(attachment.path).replace(/"/g, ''));
+        lines.push(
+            `--${boundary}`,
+            `Content-Type: application/octet-stream; name="${name}"`,
+            `Content-Disposition: attachment; filename="${name}"`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            ...(attachment.content.toString('base64').match(/.{1,76}/g) || []),
+        );
+    }
+    lines.push(`--${boundary}--`);
+    return lines.join('\r\n') + '\r\n';
+}
@@ -1,6 +1,6 @@
 import { execSync } from 'child_process';
-import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
-import { join, relative, resolve, basename } from 'path';
+import { readFileSync, readdirSync, statSync, lstatSync, existsSync, realpathSync, openSync, readSync, closeSync } from 'fs';
+import { join, relative, resolve, basename, dirname, sep, isAbsolute } from 'path';
 
 // Binary / non-text extensions to skip
 const BINARY_EXT = new Set([
@@ -14,8 +14,11 @@ const BINARY_EXT = new Set([
     '.lock',
 ]);
 
-// Max size per file when reading (8 KB)
-const MAX_FILE_SIZE = 8 * 1024;
+// Max size of one read_file page (8 KB) — larger files are read in pages
+const MAX_PAGE_SIZE = 8 * 1024;
+
+// read_file scans files in chunks of this size instead of loading them whole
+const READ_CHUNK_SIZE = 64 * 1024;
 
 /**
  * Check if a filename is an env file that should always be excluded.
@@ -34,15 +37,12 @@ function isBinary(filepath) {
 }
 
 /**
- * Get the list of valid project file paths from one or more root directories.
+ * Collect every searchable file under the roots, with its absolute path
+ * and the path agents see (prefixed with the root folder name if multi-root).
  * Uses git ls-files (respects .gitignore). Falls back to manual walk.
  * Always excludes .env* files and binary files.
- *
- * @param {string|string[]} rootDirs - One or more root directories to scan
- * @returns {string[]} Array of file paths (prefixed with alias/path if multi-root)
  */
-export function listProjectFiles(rootDirs) {
-    const roots = Array.isArray(rootDirs) ? rootDirs : [rootDirs];
+function collectProjectFiles(roots) {
     const allFiles = [];
 
     for (const root of roots) {
@@ -80,9 +80,24 @@ export function listProjectFiles(rootDirs) {
 
         // If multi-root, prefix files with their root folder name to disambiguate
         const prefix = roots.length > 1 ? `${basename(absRoot)}/` : '';
-        allFiles.push(...filtered.map(f => prefix + f));
+        allFiles.push(...filtered.map(f => ({ absPath: resolve(absRoot, f), displayPath: prefix + f })));
     }
 
+    return allFiles;
+}
+
+/**
+ * Get the list of valid project file paths from one or more root directories.
+ * Uses git ls-files (respects .gitignore). Falls back to manual walk.
+ * Always excludes .env* files and binary files.
+ *
+ * @param {string|string[]} rootDirs - One or more root directories to scan
+ * @returns {string[]} Array of file paths (prefixed with alias/path if multi-root)
+ */
+export function listProjectFiles(rootDirs) {
+    const roots = Array.isArray(rootDirs) ? rootDirs : [rootDirs];
+    const allFiles = collectProjectFiles(roots).map(f => f.displayPath);
+
     // Limit to 500 files to avoid sending multi-MB lists to the AI
     const MAX_FILES = 500;
     if (allFiles.length > MAX_FILES) {
@@ -94,14 +109,119 @@ export function listProjectFiles(rootDirs) {
     return allFiles;
 }
 
+// Search limits
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024;
+const MAX_LINE_LENGTH = 300;
+const MAX_CONTEXT = 5;
+const MAX_RESULTS = 200;
+
+function clampInt(value, fallback, min, max) {
+    const n = Math.floor(Number(value));
+    return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+/**
+ * Search project files for a literal string or regex, grep-style.
+ * Covers the same files as listProjectFiles (no cap), skipping files over 1 MB.
+ *
+ * Output: `path:line: text` for matches, `path-line- text` for context
+ * lines, and `--` between non-adjacent groups.
+ *
+ * @param {string|string[]} rootDirs - The root directories to search
+ * @param {string} query - Text or regular expression to look for
+ * @param {object} [options]
+ * @param {boolean} [options.regex=false] - Treat query as a regular expression
+ * @param {boolean} [options.caseSensitive=false]
+ * @param {string} [options.path] - Only search files under this path prefix
+ * @param {number} [options.context=2] - Lines of context around each match (max 5)
+ * @param {number} [options.maxResults=50] - Stop after this many matches (max 200)
+ * @returns {string} The matches, or an explanatory message
+ */
+export function searchProjectFiles(rootDirs, query, options = {}) {
+    const roots = Array.isArray(rootDirs) ? rootDirs : [rootDirs];
+    const context = clampInt(options.context, 2, 0, MAX_CONTEXT);
+    const maxResults = clampInt(options.maxResults, 50, 1, MAX_RESULTS);
+    const prefix = (options.path || '').replace(/^\.\//, '').replace(/\/+$/, '');
+
+    let pattern;
+    try {
+        const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        pattern = new RegExp(source, options.caseSensitive ? '' : 'i');
+    } catch (err) {
+        return `[Error: invalid regex — ${err.message}]`;
+    }
+
+    const output = [];
+    let matchCount = 0;
+    let fileCount = 0;
+    let truncated = false;
+
+    for (const file of collectProjectFiles(roots)) {
+        if (prefix && file.displayPath !== prefix && !file.displayPath.startsWith(prefix + '/')) continue;
+
+        let content;
+        try {
+            if (statSync(file.absPath).size > MAX_SEARCH_FILE_SIZE) continue;
+            content = readFileSync(file.absPath, 'utf-8');
+        } catch {
+            continue;
+        }
+
+        const lines = content.split('\n');
+        const hits = [];
+        for (let i = 0; i < lines.length && matchCount + hits.length < maxResults; i++) {
+            if (pattern.test(lines[i])) hits.push(i);
+        }
+        if (hits.length === 0) continue;
+
+        fileCount++;
+        matchCount += hits.length;
+
+        // Merge overlapping context windows into groups
+        const hitSet = new Set(hits);
+        let last = -1;
+        for (const hit of hits) {
+            const from = Math.max(hit - context, last + 1);
+            const to = Math.min(hit + context, lines.length - 1);
+            if (output.length > 0 && (last === -1 || from > last + 1)) output.push('--');
+            for (let i = from; i <= to; i++) {
+                const text = lines[i].length > MAX_LINE_LENGTH ? lines[i].slice(0, MAX_LINE_LENGTH) + '…' : lines[i];
+                const mark = hitSet.has(i) ? ':' : '-';
+                output.push(`${file.displayPath}${mark}${i + 1}${mark} ${text}`);
+            }
+            last = Math.max(last, to);
+        }
+
+        if (matchCount >= maxResults) {
+            truncated = true;
+            break;
+        }
+    }
+
+    if (matchCount === 0) return `No matches for "${query}"${prefix ? ` under ${prefix}` : ''}.`;
+
+    const summary = truncated
+        ? `Stopped after ${matchCount} matches in ${fileCount} files — narrow the search (e.g. with "path") to see more.`
+        : `${matchCount} match(es) in ${fileCount} file(s).`;
+    return `${output.join('\n')}\n\n${summary}`;
+}
+
 /**
  * Read a single project file safely (locked to rootDirs and below).
  *
+ * Returns one page of line-numbered output (`  12\ttext`), headed by the
+ * range shown and the file's total line count. A page ends at end_line or
+ * after 8 KB, whichever comes first; the footer says where to continue.
+ * The file is scanned in chunks and only the page is kept in memory.
+ *
  * @param {string|string[]} rootDirs - The root directories (security boundary)
  * @param {string} filePath - Relative path to the file
- * @returns {string} File contents or an error message
+ * @param {object} [range]
+ * @param {number} [range.startLine=1] - First line to return (1-based)
+ * @param {number} [range.endLine] - Last line to return (inclusive)
+ * @returns {string} The page of the file or an error message
  */
-export function readProjectFile(rootDirs, filePath) {
+export function readProjectFile(rootDirs, filePath, { startLine, endLine } = {}) {
     const roots = Array.isArray(rootDirs) ? rootDirs : [rootDirs];
     
     // Try to resolve the file in each root
@@ -133,12 +253,10 @@ export function readProjectFile(rootDirs, filePath) {
             const stat = statSync(absPath);
             if (!stat.isFile()) continue; // Keep looking if it's a directory
             
-            if (stat.size > MAX_FILE_SIZE) {
-                // Read just the first chunk
-                const content = readFileSync(absPath, 'utf-8').substring(0, MAX_FILE_SIZE);
-                return content + '\n\n[... file truncated at 8 KB ...]';
-            }
-            return readFileSync(absPath, 'utf-8');
+            const first = clampInt(startLine, 1, 1, Infinity);
+            const last = clampInt(endLine, Infinity, first, Infinity);
+            const { lines, total } = scanLines(absPath, first, last);
+            return formatPage(filePath, lines, total, first, endLine);
         } catch (err) {
             // If it failed for a specific reason (e.g. permission), report it
             return `[Error: ${err.message}]`;
@@ -148,6 +266,181 @@ export function readProjectFile(rootDirs, filePath) {
     return '[Error: File not found in any project root]';
 }
 
+/**
+ * Read the lines first..last of a file in one streaming pass, keeping no
+ * more than a page of them, and count its lines on the way.
+ *
+ * @returns {{ lines: string[], total: number }} lines starts at line `first`
+ *   and may stop early once it holds a full page
+ */
+function scanLines(absPath, first, last) {
+    const lines = [];
+    const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+    // A line is cut at MAX_PAGE_SIZE characters — 4 bytes each at most
+    const maxLineBytes = MAX_PAGE_SIZE * 4;
+    let newlines = 0;
+    let lastByte = -1;
+    let keptBytes = 0;
+    let parts = [];
+    let partBytes = 0;
+
+    const keeping = () => newlines + 1 >= first && newlines + 1 <= last && keptBytes <= MAX_PAGE_SIZE;
+    const finishLine = () => {
+        const line = Buffer.concat(parts).toString('utf-8');
+        lines.push(line);
+        keptBytes += partBytes;
+        parts = [];
+        partBytes = 0;
+    };
+
+    const fd = openSync(absPath, 'r');
+    try {
+        let read;
+        while ((read = readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+            const data = chunk.subarray(0, read);
+            lastByte = data[read - 1];
+            let pos = 0;
+            while (pos < read) {
+                const nl = data.indexOf(10, pos);
+                const end = nl === -1 ? read : nl;
+                const keep = keeping();
+                if (keep && partBytes < maxLineBytes) {
+                    const piece = data.subarray(pos, Math.min(end, pos + maxLineBytes - partBytes));
+                    parts.push(Buffer.from(piece));
+                    partBytes += piece.length;
+                }
+                if (nl === -1) break;
+                if (keep) finishLine();
+                newlines++;
+                pos = nl + 1;
+            }
+        }
+    } finally {
+        closeSync(fd);
+    }
+
+    // A last line without a trailing newline still counts
+    const unterminated = lastByte !== -1 && lastByte !== 10;
+    if (unterminated && keeping()) finishLine();
+    return { lines, total: newlines + (unterminated ? 1 : 0) };
+}
+
+/**
+ * Format one line-numbered page for readProjectFile() from the lines
+ * scanLines() kept.
+ */
+function formatPage(filePath, lines, total, first, endLine) {
+    if (total === 0) return `[${filePath} — empty file]`;
+
+    const last = clampInt(endLine, total, first, total);
+    if (first > total) {
+        return `[Error: start_line ${first} is past the end of ${filePath} (${total} lines)]`;
+    }
+
+    const width = String(last).length;
+    const page = [];
+    let size = 0;
+    let shownTo = first - 1;
+    for (let n = first; n <= last && n - first < lines.length; n++) {
+        const raw = lines[n - first];
+        const text = raw.length > MAX_PAGE_SIZE ? raw.slice(0, MAX_PAGE_SIZE) + '… [line truncated]' : raw;
+        const line = `${String(n).padStart(width)}\t${text}`;
+        if (page.length > 0 && size + line.length + 1 > MAX_PAGE_SIZE) break;
+        page.push(line);
+        size += line.length + 1;
+        shownTo = n;
+    }
+
+    const header = `[${filePath} — lines ${first}-${shownTo} of ${total}]`;
+    const footer = shownTo < total
+        ? `\n[... ${total - shownTo} more line(s) — call read_file with start_line=${shownTo + 1} to continue]`
+        : '';
+    return `${header}\n${page.join('\n')}${footer}`;
+}
+
+/**
+ * Resolve a path an agent wants to write to (locked to rootDirs and below).
+ * The file itself need not exist yet.
+ *
+ * Multi-root paths may be prefixed with a root folder name (as listed by
+ * listProjectFiles); otherwise the first root is used. .env* files and
+ * anything inside .git are always refused — also when a symlink leads to
+ * them — and so is a path that leaves its root through a symlink.
+ *
+ * @param {string|string[]} rootDirs - The root directories (security boundary)
+ * @param {string} filePath - Relative path to the file
+ * @returns {{ absPath: string, displayPath: string }}
+ * @throws If the path escapes its root or is restricted
+ */
+export function resolveWritablePath(rootDirs, filePath) {
+    const roots = (Array.isArray(rootDirs) ? rootDirs : [rootDirs]).map(r => resolve(r));
+    if (!filePath || typeof filePath !== 'string') throw new Error('missing "path" argument');
+
+    let absRoot = roots[0];
+    let targetPath = filePath;
+    if (roots.length > 1) {
+        const match = roots.find(r => filePath.startsWith(basename(r) + '/'));
+        if (match) {
+            absRoot = match;
+            targetPath = filePath.slice(basename(match).length + 1);
+        }
+    }
+
+    const absPath = resolve(absRoot, targetPath);
+    const rel = relative(absRoot, absPath);
+    if (!rel || rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+        throw new Error(`Access denied — "${filePath}" is outside the project root`);
+    }
+
+    // The check above is lexical — a symlink inside the project (link -> /etc)
+    // would still lead outside, so compare where the path really ends up
+    const realPath = realTarget(absPath);
+    const realRel = realPath && relative(realTarget(absRoot) || absRoot, realPath);
+    if (!realRel || realRel === '..' || realRel.startsWith(`..${sep}`) || isAbsolute(realRel)) {
+        throw new Error(`Access denied — "${filePath}" leads outside the project root through a symlink`);
+    }
+
+    // Check both spellings, so a link named notes.txt -> .env is refused too
+    const segments = rel.split(sep);
+    const realSegments = realRel.split(sep);
+    if (segments.some(isEnvFile) || realSegments.some(isEnvFile)) {
+        throw new Error('Access denied — .env files are restricted');
+    }
+    if (segments.includes('.git') || realSegments.includes('.git')) {
+        throw new Error('Access denied — .git is restricted');
+    }
+
+    const prefix = roots.length > 1 ? `${basename(absRoot)}/` : '';
+    return { absPath, displayPath: prefix + segments.join('/') };
+}
+
+
+/**
+ * Where a path that may not exist yet really points: its nearest existing
+ * ancestor with symlinks resolved, plus the rest of the path. null for a
+ * dangling symlink, whose target could be anywhere.
+ */
+function realTarget(absPath) {
+    const rest = [];
+    let existing = absPath;
+    for (;;) {
+        try {
+            return join(realpathSync(existing), ...rest);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            try {
+                lstatSync(existing);
+                return null;
+            } catch {
+                // Doesn't exist at all — try its parent
+            }
+            const parent = dirname(existing);
+            if (parent === existing) return absPath;
+            rest.unshift(basename(existing));
+            existing = parent;
+        }
+    }
+}
 
 // ─── Manual directory walk (fallback when git is unavailable) ──────
 
@@ -0,0 +1,83 @@
+/**
+ * ─── Rate Limits ────────────────────────────────────────────────
+ *
+ * Token buckets that cap how fast remote users can start agent requests.
+ *
+ * Design:
+ *   • A bucket holds up to `burst` tokens and refills at `perMinute`;
+ *     each request takes one token
+ *   • Every request draws from its user's bucket and the global one, and
+ *     only goes through when both have a token (neither is spent otherwise)
+ *   • Limits come from config.rateLimit and are re-read on every request,
+ *     so `config` edits apply without a restart; a scope set to null or
+ *     missing is unlimited
+ */
+
+/**
+ * A bucket's state; limits are applied when it's read.
+ */
+class TokenBucket {
+    constructor(limits, now) {
+        this.tokens = limits.burst;
+        this.updated = now;
+    }
+
+    /**
+     * Refill for the time since the last read and return the tokens available.
+     */
+    refill({ burst, perMinute }, now) {
+        const elapsed = Math.max(0, now - this.updated);
+        this.tokens = Math.min(burst, this.tokens + (elapsed * perMinute) / 60_000);
+        this.updated = now;
+        return this.tokens;
+    }
+}
+
+function isLimited(limits) {
+    return !!limits && limits.burst > 0 && limits.perMinute > 0;
+}
+
+export class RateLimiter {
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    _bucket(key, limits, now) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket(limits, now);
+            this.buckets.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Take a token for one request.
+     *
+     * @param {string} userKey - e.g. "telegram:123456"
+     * @param {{ user?: { burst: number, perMinute: number }, global?: { burst: number, perMinute: number } }} [limits]
+     * @param {number} [now]
+     * @returns {{ allowed: true } | { allowed: false, scope: 'user'|'global', retryAfterMs: number }}
+     */
+    take(userKey, limits = {}, now = Date.now()) {
+        const scopes = [
+            ['user', `user:${userKey}`, limits.user],
+            ['global', 'global', limits.global],
+        ].filter(([, , scopeLimits]) => isLimited(scopeLimits));
+
+        const checked = scopes.map(([scope, key, scopeLimits]) => {
+            const bucket = this._bucket(key, scopeLimits, now);
+            return { scope, bucket, limits: scopeLimits, tokens: bucket.refill(scopeLimits, now) };
+        });
+
+        const empty = checked.filter((c) => c.tokens < 1);
+        if (empty.length > 0) {
+            const waits = empty.map((c) => ({ scope: c.scope, ms: ((1 - c.tokens) * 60_000) / c.limits.perMinute }));
+            const longest = waits.reduce((a, b) => (b.ms > a.ms ? b : a));
+            return { allowed: false, scope: longest.scope, retryAfterMs: Math.ceil(longest.ms) };
+        }
+
+        for (const c of checked) c.bucket.tokens -= 1;
+        return { allowed: true };
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * ─── Roles ──────────────────────────────────────────────────────
+ *
+ * What a remote user may do: which slash commands, agents, workspaces
+ * and /cmd binaries. Roles are policies; users get one per platform id.
+ *
+ * Design:
+ *   • owner, developer and viewer are built in; config.roles adds roles
+ *     or overrides fields of the built-in ones
+ *   • config.users maps "<platform>:<id>" (e.g. "telegram:123456",
+ *     "whatsapp:34600000000") to a role name
+ *   • A role grant lets a user in, like the platform allowlist does.
+ *     Allowlisted users without a grant are owners, as before roles
+ *   • Each policy field is "*" or a list; unknown roles deny everything
+ *   • Agents prompted by a remote user are offered only the tools the
+ *     role could use itself (canUseTool). CLI agents bring their own
+ *     tools, so they need a role with every workspace and binary
+ */
+import { loadConfig } from '../config.js';
+
+export const BUILT_IN_ROLES = {
+    owner: {
+        description: 'Everything, like the shell',
+        commands: '*',
+        agents: '*',
+        workspaces: '*',
+        binaries: '*',
+    },
+    developer: {
+        description: 'Agents, /cmd and files — no tunnels or workspace management',
+        commands: ['/help', '/folder', '/cmd', '/cmd-workspace', '/file', '/clear', '/cancel', '/approve', '/reject'],
+        agents: '*',
+        workspaces: '*',
+        binaries: '*',
+    },
+    viewer: {
+        description: 'Talk to API agents; no commands, files or approvals',
+        commands: ['/help', '/folder', '/clear', '/cancel'],
+        agents: '*',
+        workspaces: [],
+        binaries: [],
+    },
+};
+
+// Platform → allowlist variable; ids are normalized like the connector does
+export const PLATFORMS = {
+    telegram: 'TELEGRAM_ALLOWED_USERS',
+    whatsapp: 'WHATSAPP_ALLOWED_USERS',
+    slack: 'SLACK_ALLOWED_USERS',
+    discord: 'DISCORD_ALLOWED_USERS',
+    matrix: 'MATRIX_ALLOWED_USERS',
+    email: 'EMAIL_ALLOWED_SENDERS',
+};
+
+const PLATFORM_ALIASES = { tg: 'telegram', wa: 'whatsapp', mail: 'email' };
+
+// Command spellings that share a policy entry
+const COMMAND_ALIASES = { 'help': '/help', '/reset': '/clear' };
+
+/**
+ * Resolve a platform name or alias (tg, wa) to a platform key.
+ * @returns {string|null}
+ */
+export function resolvePlatform(name = '') {
+    const key = PLATFORM_ALIASES[name.toLowerCase()] || name.toLowerCase();
+    return PLATFORMS[key] ? key : null;
+}
+
+/**
+ * Normalize a user id the way the platform reports it.
+ */
+export function normalizeUserId(platform, id) {
+    const value = String(id).trim();
+    if (platform === 'whatsapp') return value.replace(/[^0-9]/g, '');
+    if (platform === 'email') return value.toLowerCase();
+    return value;
+}
+
+/**
+ * Built-in roles merged with config.roles.
+ * @returns {Record<string, object>}
+ */
+export function getRoles(config = loadConfig()) {
+    const roles = { ...BUILT_IN_ROLES };
+    for (const [name, policy] of Object.entries(config.roles || {})) {
+        roles[name] = { ...(BUILT_IN_ROLES[name] || {}), ...policy };
+    }
+    return roles;
+}
+
+/**
+ * The role explicitly granted to a user, if any.
+ * @returns {string|null}
+ */
+export function getAssignedRole(platform, id, config = loadConfig()) {
+    return config.users?.[`${platform}:${normalizeUserId(platform, id)}`] || null;
+}
+
+/**
+ * Resolve what a remote sender may do.
+ *
+ * @param {import('../connectors/base.js').BaseConnector} connector
+ * @param {string} senderId
+ * @param {object} [config]
+ * @returns {{ name: string, policy: object }|null} null = not allowed in at all
+ */
+export function resolveRole(connector, senderId, config = loadConfig()) {
+    const assigned = getAssignedRole(connector.name, senderId, config);
+    if (assigned) {
+        const policy = getRoles(config)[assigned];
+        return { name: assigned, policy: policy || {} };
+    }
+    if (connector.isAllowed(senderId)) {
+        return { name: 'owner', policy: getRoles(config).owner };
+    }
+    return null;
+}
+
+function allows(list, value) {
+    if (list === '*') return true;
+    return Array.isArray(list) && list.some((entry) => String(entry).toLowerCase() === String(value).toLowerCase());
+}
+
+/**
+ * Check a slash command against a role ("/cmd", "help", "/reset"...).
+ */
+export function canUseCommand(role, command) {
+    const name = COMMAND_ALIASES[command] || command;
+    return allows(role.policy.commands, name);
+}
+
+// CLI agents run their own shell and file tools without asking
+// (--dangerously-skip-permissions, --yolo), so nothing here can narrow them
+const SELF_TOOLED_AGENTS = new Set(['claude-code', 'gemini-cli']);
+
+/**
+ * Whether an agent runs commands and edits files with its own tools.
+ */
+export function hasOwnTools(agentName) {
+    return SELF_TOOLED_AGENTS.has(agentName);
+}
+
+function hasFullAccess(role) {
+    return role.policy.workspaces === '*' && role.policy.binaries === '*';
+}
+
+/**
+ * Check an agent route: the policy may name the family ("claude") or
+ * the resolved agent ("claude-api"). Agents with their own tools also
+ * need every workspace and binary, whatever the agents list says.
+ */
+export function canUseAgent(role, family, agentName) {
+    if (hasOwnTools(agentName) && !hasFullAccess(role)) return false;
+    return allows(role.policy.agents, family) || allows(role.policy.agents, agentName);
+}
+
+export function canUseWorkspace(role, workspace) {
+    return allows(role.policy.workspaces, workspace);
+}
+
+export function canRunBinary(role, binary) {
+    return allows(role.policy.binaries, binary);
+}
+
+/**
+ * Check a tool an agent wants to offer on behalf of a remote user.
+ * run_command needs /cmd and every binary — it runs minigeri commands,
+ * which a binaries list can't describe. Every other tool — the file tools and
+ * plugins, which are all handed the project roots — needs the active
+ * workspace, or a role with every workspace ("*") when none is active
+ * and the tools work on the working directory.
+ */
+export function canUseTool(role, toolName, config = loadConfig()) {
+    if (toolName === 'run_command') return canUseCommand(role, '/cmd') && role.policy.binaries === '*';
+    return config.activeWorkspace
+        ? canUseWorkspace(role, config.activeWorkspace)
+        : role.policy.workspaces === '*';
+}
@@ -0,0 +1,99 @@
+/**
+ * ─── Session Store ──────────────────────────────────────────────
+ *
+ * Persists agent conversations under ~/.cli-bot/sessions/ so remote
+ * chats and the shell keep their context across minigeri restarts.
+ *
+ * Design:
+ *   • One JSON file per platform + chat + agent
+ *     (e.g. telegram+123456+groq.json, shell+local+claude-code.json)
+ *   • The payload is whatever agent.serialize() returns — message history
+ *     plus CLI session IDs for claude-code / gemini-cli
+ *   • Sessions are restored lazily, when a chat first uses an agent
+ *   • Files are written 0600, like config.json, since they hold prompts
+ */
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync, readdirSync } from 'fs';
+import { CONFIG_DIR } from '../config.js';
+
+export const SESSIONS_DIR = join(CONFIG_DIR, 'sessions');
+
+// The interactive shell's agents share one pseudo-chat
+export const SHELL_PLATFORM = 'shell';
+export const SHELL_CHAT = 'local';
+
+/**
+ * Build the file name for a session. Each part is URI-encoded so chat IDs
+ * like "34600000000@c.us" or "-100123" are filesystem-safe and '+' can
+ * never appear inside a part.
+ */
+export function sessionFileName(platform, chatId, agentName) {
+    return [platform, chatId, agentName]
+        .map((part) => encodeURIComponent(String(part)))
+        .join('+') + '.json';
+}
+
+/**
+ * Read a stored session.
+ * @returns {object|null} The serialized agent state, or null if none / unreadable.
+ */
+export function loadSession(platform, chatId, agentName, dir = SESSIONS_DIR) {
+    const file = join(dir, sessionFileName(platform, chatId, agentName));
+    if (!existsSync(file)) return null;
+    try {
+        const data = JSON.parse(readFileSync(file, 'utf-8'));
+        return data.state || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write an agent's current state for a chat.
+ * @param {import('../agents/base.js').BaseAgent} agent
+ */
+export function saveSession(platform, chatId, agent, dir = SESSIONS_DIR) {
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    const data = {
+        platform,
+        chatId: String(chatId),
+        agent: agent.name,
+        updatedAt: new Date().toISOString(),
+        state: agent.serialize(),
+    };
+    const file = join(dir, sessionFileName(platform, chatId, agent.name));
+    writeFileSync(file, JSON.stringify(data), { mode: 0o600 });
+}
+
+/**
+ * Restore a stored session into a freshly created agent, if one exists.
+ * @returns {boolean} Whether anything was restored
+ */
+export function restoreSession(platform, chatId, agent, dir = SESSIONS_DIR) {
+    const state = loadSession(platform, chatId, agent.name, dir);
+    if (!state) return false;
+    agent.restore(state);
+    return true;
+}
+
+/**
+ * Delete stored sessions for a chat — one agent, or all of them.
+ * @param {string} [agentName] - Omit to delete every agent's session for the chat
+ */
+export function deleteSession(platform, chatId, agentName, dir = SESSIONS_DIR) {
+    if (!existsSync(dir)) return;
+
+    if (agentName) {
+        rmSync(join(dir, sessionFileName(platform, chatId, agentName)), { force: true });
+        return;
+    }
+
+    const prefix = sessionFileName(platform, chatId, '').replace(/\.json$/, '');
+    for (const file of readdirSync(dir)) {
+        if (file.startsWith(prefix)) {
+            rmSync(join(dir, file), { force: true });
+        }
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * ─── Usage Ledger ───────────────────────────────────────────────
+ *
+ * Records token usage for every model call under ~/.cli-bot/usage/
+ * and turns it into totals, costs and daily budget checks.
+ *
+ * Design:
+ *   • One JSONL file per local day (e.g. 2025-06-01.jsonl), one line per
+ *     API call: agent, model, input/output tokens, latency and the
+ *     surface it came from (shell, octopus, telegram + chat id, ...)
+ *   • Agents only report usage through send()'s `onUsage` option;
+ *     callers attach a recorder that knows the originating surface
+ *   • Costs are computed when reading, from a per-model price table
+ *     (USD per million tokens) — config.prices overrides the defaults,
+ *     so fixing a price re-prices the whole history
+ *   • Budgets (config.budget) cap today's spend overall and per agent;
+ *     the router refuses remote requests once a cap is reached
+ */
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, appendFileSync } from 'fs';
+import { CONFIG_DIR } from '../config.js';
+
+export const USAGE_DIR = join(CONFIG_DIR, 'usage');
+
+/**
+ * Default prices in USD per million tokens. Models missing here (and
+ * from config.prices) are reported as unpriced and cost nothing —
+ * which is right for local Ollama models.
+ */
+export const DEFAULT_PRICES = {
+    'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+    'claude-sonnet-4-20250514': { input: 3, output: 15 },
+    'claude-opus-4-20250514': { input: 15, output: 75 },
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+};
+
+/**
+ * Local calendar day of a date, as YYYY-MM-DD.
+ */
+export function dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Append one usage entry to today's ledger file.
+ * @param {object} entry - { agent, model, inputTokens, outputTokens, latencyMs, surface, chatId? }
+ */
+export function appendUsage(entry, dir = USAGE_DIR) {
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    const now = new Date();
+    const line = JSON.stringify({ ts: now.toISOString(), ...entry });
+    appendFileSync(join(dir, `${dayKey(now)}.jsonl`), line + '\n', { mode: 0o600 });
+}
+
+/**
+ * Build an `onUsage` callback that records calls from one surface.
+ * Ledger write errors are reported once on stderr and never fail a reply.
+ *
+ * @param {{ surface: string, chatId?: string|number }} origin
+ * @returns {(usage: object) => void}
+ */
+export function usageRecorder(origin, dir = USAGE_DIR) {
+    const chatId = origin.chatId !== undefined ? String(origin.chatId) : undefined;
+    return (usage) => {
+        try {
+            appendUsage({ ...usage, surface: origin.surface, ...(chatId ? { chatId } : {}) }, dir);
+        } catch (err) {
+            process.stderr.write(`Could not record usage: ${err.message}\n`);
+        }
+    };
+}
+
+/**
+ * Read the ledger for the last `days` days (today included).
+ * Malformed lines are skipped.
+ * @returns {object[]}
+ */
+export function readUsage({ days = 7, now = new Date(), dir = USAGE_DIR } = {}) {
+    if (!existsSync(dir)) return [];
+
+    const entries = [];
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+        const file = join(dir, `${dayKey(date)}.jsonl`);
+        if (!existsSync(file)) continue;
+
+        for (const line of readFileSync(file, 'utf-8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch { }
+        }
+    }
+    return entries;
+}
+
+/**
+ * The effective price table: defaults overridden by config.prices.
+ */
+export function getPrices(config = {}) {
+    return { ...DEFAULT_PRICES, ...(config.prices || {}) };
+}
+
+/**
+ * Cost of one entry in USD, or null when its model has no price.
+ */
+export function entryCost(entry, prices) {
+    const price = prices[entry.model];
+    if (!price) return null;
+    return ((entry.inputTokens || 0) * (price.input || 0) + (entry.outputTokens || 0) * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Human label for the chat an entry came from.
+ */
+export function chatLabel(entry) {
+    return entry.chatId ? `${entry.surface}:${entry.chatId}` : entry.surface || 'shell';
+}
+
+function emptyBucket() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, cost: 0 };
+}
+
+function addTo(bucket, entry, cost) {
+    bucket.requests++;
+    bucket.inputTokens += entry.inputTokens || 0;
+    bucket.outputTokens += entry.outputTokens || 0;
+    bucket.latencyMs += entry.latencyMs || 0;
+    bucket.cost += cost || 0;
+}
+
+/**
+ * Aggregate entries into totals by day, agent and chat.
+ * @returns {{ total: object, byDay: object, byAgent: object, byChat: object, unpriced: string[] }}
+ */
+export function summarizeUsage(entries, prices) {
+    const summary = { total: emptyBucket(), byDay: {}, byAgent: {}, byChat: {}, unpriced: [] };
+    const unpriced = new Set();
+
+    for (const entry of entries) {
+        const cost = entryCost(entry, prices);
+        if (cost === null) unpriced.add(entry.model);
+
+        const day = entry.ts ? dayKey(new Date(entry.ts)) : 'unknown';
+        const chat = chatLabel(entry);
+        addTo(summary.total, entry, cost);
+        addTo(summary.byDay[day] ||= emptyBucket(), entry, cost);
+        addTo(summary.byAgent[entry.agent] ||= emptyBucket(), entry, cost);
+        addTo(summary.byChat[chat] ||= emptyBucket(), entry, cost);
+    }
+
+    summary.unpriced = [...unpriced].sort();
+    return summary;
+}
+
+/**
+ * Check today's spend against config.budget:
+ *
+ *   "budget": { "daily": 5, "agents": { "claude-api": 2 } }
+ *
+ * Amounts are in USD. The per-agent cap is checked first.
+ *
+ * @param {string} agentName
+ * @param {object} config
+ * @returns {{ scope: string, limit: number, spent: number } | null} The exceeded cap, or null
+ */
+export function checkBudget(agentName, config, { now = new Date(), dir = USAGE_DIR } = {}) {
+    const budget = config.budget || {};
+    const agentLimit = budget.agents?.[agentName];
+    const dailyLimit = budget.daily;
+    if (!(agentLimit > 0) && !(dailyLimit > 0)) return null;
+
+    const prices = getPrices(config);
+    const entries = readUsage({ days: 1, now, dir });
+    const spentOn = (list) => list.reduce((sum, e) => sum + (entryCost(e, prices) || 0), 0);
+
+    if (agentLimit > 0) {
+        const spent = spentOn(entries.filter((e) => e.agent === agentName));
+        if (spent >= agentLimit) return { scope: agentName, limit: agentLimit, spent };
+    }
+    if (dailyLimit > 0) {
+        const spent = spentOn(entries);
+        if (spent >= dailyLimit) return { scope: 'daily', limit: dailyLimit, spent };
+    }
+    return null;
+}
@@ -0,0 +1,158 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { withTimeout } from '../src/utils/abort.js';
+
+// Agents read config under HOME — point it at a temp dir before they load
+const home = mkdtempSync(join(tmpdir(), 'minigeri-abort-'));
+process.env.HOME = home;
+
+const { execAgent } = await import('../src/executor.js');
+const { BaseAgent } = await import('../src/agents/base.js');
+const { OpenAICompatibleAgent } = await import('../src/agents/openai-compatible.js');
+const { sendWithFallback } = await import('../src/agents/fallback.js');
+const { sendFromShell, cancelShellRequest } = await import('../src/ui/interrupt.js');
+const { approveInShell, setApprovalInterface } = await import('../src/ui/approval.js');
+
+/** Fake OpenAI-compatible server that never answers; counts closed requests. */
+function startSilentModel() {
+    const server = http.createServer((req) => {
+        server.received++;
+        req.on('close', () => { server.closed++; });
+    });
+    server.received = 0;
+    server.closed = 0;
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+/** Agent whose send() fails with an error of the given name. */
+class FailingAgent extends BaseAgent {
+    constructor(name, errorName) {
+        super(name);
+        this.errorName = errorName;
+        this.calls = 0;
+    }
+
+    async send() {
+        this.calls++;
+        const err = new Error(`${this.name} gave up`);
+        err.name = this.errorName;
+        throw err;
+    }
+}
+
+describe('Cancellation', () => {
+    let model;
+
+    before(async () => {
+        model = await startSilentModel();
+    });
+
+    after(() => {
+        model.closeAllConnections();
+        model.close();
+        rmSync(home, { recursive: true, force: true });
+    });
+
+    test('execAgent should kill the child process when the signal fires', async () => {
+        const controller = new AbortController();
+        const started = Date.now();
+        const run = execAgent(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], {
+            silent: true,
+            signal: controller.signal,
+        });
+        setTimeout(() => controller.abort(), 50);
+
+        await assert.rejects(run, { name: 'AbortError', message: 'Cancelled' });
+        assert.ok(Date.now() - started < 2000, 'the process was killed, not waited for');
+    });
+
+    test('execAgent should refuse to start with an aborted signal', async () => {
+        await assert.rejects(execAgent(process.execPath, ['--version'], { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    });
+
+    test('withTimeout should fire a TimeoutError naming who ran over', async () => {
+        const call = withTimeout(undefined, 20, 'groq request');
+        await waitFor(() => call.signal.aborted);
+        assert.strictEqual(call.signal.reason.name, 'TimeoutError');
+        assert.match(call.signal.reason.message, /^groq request did not finish within 0s$/);
+        call.release();
+
+        const untimed = withTimeout(undefined, 0);
+        assert.strictEqual(untimed.signal, undefined);
+    });
+
+    test('an API agent should abort its HTTP request and roll back the turn', async () => {
+        const agent = new OpenAICompatibleAgent({ name: 'local', baseUrl: `http://127.0.0.1:${model.address().port}/v1`, model: 'm' });
+        agent.recordExchange('earlier', 'answer');
+
+        const receivedBefore = model.received;
+        const closedBefore = model.closed;
+        const pending = sendFromShell(agent, 'slow question', { silent: true });
+        await waitFor(() => model.received === receivedBefore + 1);
+        assert.ok(cancelShellRequest());
+
+        await assert.rejects(pending, { name: 'AbortError' });
+        await waitFor(() => model.closed === closedBefore + 1);
+        assert.deepStrictEqual(agent.messages.map((m) => m.content), ['earlier', 'answer']);
+        assert.strictEqual(cancelShellRequest(), false, 'nothing is left running');
+    });
+
+    test('an agent that runs past its timeout should reject with a TimeoutError', async () => {
+        const agent = new OpenAICompatibleAgent({ name: 'local', baseUrl: `http://127.0.0.1:${model.address().port}/v1`, model: 'm', timeout: 0.05 });
+        await assert.rejects(agent.send('hello', { silent: true }), {
+            name: 'TimeoutError',
+            message: 'local request did not finish within 0s',
+        });
+    });
+
+    test('a cancelled prompt should not be retried or handed to a fallback', async () => {
+        const primary = new FailingAgent('groq', 'AbortError');
+        await assert.rejects(sendWithFallback(primary, 'hi', {
+            chain: ['groq', 'ollama'],
+            createAgent: () => assert.fail('no fallback expected'),
+            sleep: async () => { },
+        }), { name: 'AbortError' });
+        assert.strictEqual(primary.calls, 1);
+    });
+
+    test('a timed-out agent should fail over without retrying', async () => {
+        const primary = new FailingAgent('groq', 'TimeoutError');
+        const fallback = new FailingAgent('ollama', 'Error');
+        fallback.send = async (message) => `ollama: ${message}`;
+
+        const { response, failovers } = await sendWithFallback(primary, 'hi', {
+            chain: ['groq', 'ollama'],
+            createAgent: () => fallback,
+            sleep: async () => { },
+        });
+        assert.strictEqual(primary.calls, 1);
+        assert.strictEqual(response, 'ollama: hi');
+        assert.strictEqual(failovers[0].from, 'groq');
+    });
+
+    test('cancelling should reject an open approval question', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        let asked = null;
+        setApprovalInterface({ question: (query, options, answer) => { asked = { options, answer }; } });
+
+        const controller = new AbortController();
+        const approval = approveInShell({ tool: 'write_file', files: ['a.txt'], diff: '+a' }, { signal: controller.signal });
+        assert.strictEqual(asked.options.signal, controller.signal);
+        controller.abort();
+
+        assert.strictEqual(await approval, false);
+        setApprovalInterface(null);
+    });
+});
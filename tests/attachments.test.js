@@ -0,0 +1,237 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { attachmentKind, loadAttachments, MAX_IMAGE_BYTES } from '../src/utils/attachments.js';
+import { foldInput, inputImages } from '../src/agents/input.js';
+
+// Config, sessions and the audit log live under HOME — point it at a
+// temp dir before any agent or router module is loaded
+const home = mkdtempSync(join(tmpdir(), 'minigeri-attachments-'));
+process.env.HOME = home;
+
+const { ClaudeApiAgent } = await import('../src/agents/claude-api.js');
+const { GeminiApiAgent } = await import('../src/agents/gemini-api.js');
+const { OllamaAgent } = await import('../src/agents/ollama.js');
+const { GroqAgent } = await import('../src/agents/groq.js');
+const { ClaudeCodeAgent } = await import('../src/agents/claude-code.js');
+const { BaseConnector } = await import('../src/connectors/base.js');
+const { createMessageRouter } = await import('../src/connectors/router.js');
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+const image = { kind: 'image', name: 'photo.png', mimeType: 'image/png', data: PNG };
+const notes = { kind: 'document', name: 'notes.md', mimeType: 'text/markdown', data: Buffer.from('# Todo\n- ship it\n') };
+
+/** An incoming attachment whose download is already done. */
+const incoming = (name, mimeType, data, extra = {}) => ({ name, mimeType, load: async () => ({ data }), ...extra });
+
+/** Fake OpenAI-compatible server that echoes the last message's content. */
+function startEchoModel() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (c) => { body += c; });
+        req.on('end', () => {
+            const { messages } = JSON.parse(body);
+            server.prompts.push(messages[messages.length - 1].content);
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'read it' } }] })}\n\n`);
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    server.prompts = [];
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+class FakeConnector extends BaseConnector {
+    constructor() {
+        super('fake');
+        this.label = 'Fake';
+    }
+
+    isAllowed() {
+        return true;
+    }
+}
+
+describe('Attachments', () => {
+    test('attachmentKind should tell images, text files and the rest apart', () => {
+        assert.strictEqual(attachmentKind({ mimeType: 'image/jpeg' }), 'image');
+        assert.strictEqual(attachmentKind({ mimeType: 'image/webp' }), 'image');
+        assert.strictEqual(attachmentKind({ mimeType: 'text/csv; charset=utf-8' }), 'document');
+        assert.strictEqual(attachmentKind({ mimeType: 'application/json' }), 'document');
+        assert.strictEqual(attachmentKind({ name: 'main.py', mimeType: 'application/octet-stream' }), 'document');
+        assert.strictEqual(attachmentKind({ name: 'report.pdf', mimeType: 'application/pdf' }), null);
+        assert.strictEqual(attachmentKind({ name: 'photo.heic', mimeType: 'image/heic' }), null);
+    });
+
+    test('loadAttachments should keep usable files and explain the rest', async () => {
+        let bigDownloaded = false;
+        const { attachments, refused } = await loadAttachments([
+            incoming('photo.png', 'image/png', PNG),
+            incoming('notes.md', 'application/octet-stream', notes.data),
+            incoming('huge.jpg', 'image/jpeg', PNG, { size: MAX_IMAGE_BYTES + 1, load: async () => { bigDownloaded = true; } }),
+            incoming('report.pdf', 'application/pdf', Buffer.from('%PDF')),
+            incoming('data.txt', 'text/plain', Buffer.from([0x61, 0x00, 0x62])),
+            { name: 'gone.png', mimeType: 'image/png', load: async () => { throw new Error('404'); } },
+        ]);
+
+        assert.deepStrictEqual(attachments.map((a) => [a.kind, a.name]), [['image', 'photo.png'], ['document', 'notes.md']]);
+        assert.deepStrictEqual(refused, [
+            'huge.jpg: too large (5.0 MB, max 5.0 MB)',
+            'report.pdf: unsupported file type (application/pdf)',
+            'data.txt: not a text file',
+            'gone.png: download failed (404)',
+        ]);
+        assert.strictEqual(bigDownloaded, false, 'a file known to be too large is never downloaded');
+    });
+
+    test('loadAttachments should use the name and type only known after the download', async () => {
+        const { attachments } = await loadAttachments([
+            { name: 'image', load: async () => ({ data: PNG, mimeType: 'image/png' }) },
+        ]);
+        assert.strictEqual(attachments[0].kind, 'image');
+        assert.strictEqual(attachments[0].mimeType, 'image/png');
+    });
+});
+
+describe('Multimodal agent input', () => {
+    const input = { text: 'What is this?', attachments: [image, notes] };
+
+    test('documents should be folded into the prompt text', () => {
+        const text = foldInput(input);
+        assert.ok(text.startsWith('What is this?\n\n--- Attached file: notes.md ---\n# Todo\n- ship it\n--- End of notes.md ---'));
+        assert.ok(!text.includes('[Image'));
+        assert.match(foldInput(input, { imageMarkers: true }), /^What is this\?\n\n\[Image: photo\.png\]\n\n--- Attached file/);
+        assert.deepStrictEqual(inputImages(input), [{ name: 'photo.png', mimeType: 'image/png', data: PNG.toString('base64') }]);
+    });
+
+    test('Claude API should send image blocks before the text', () => {
+        const message = new ClaudeApiAgent({ apiKey: 'k' }).userMessage(input);
+        assert.deepStrictEqual(message.content[0], {
+            type: 'image',
+            source: { type: 'base64', media_type: 'image/png', data: PNG.toString('base64') },
+        });
+        assert.strictEqual(message.content[1].type, 'text');
+        assert.match(message.content[1].text, /^What is this\?\n\n--- Attached file: notes\.md/);
+        assert.deepStrictEqual(new ClaudeApiAgent({ apiKey: 'k' }).userMessage('hi'), { role: 'user', content: 'hi' });
+    });
+
+    test('Gemini API should send inlineData parts', () => {
+        const message = new GeminiApiAgent({ apiKey: 'k' }).userMessage({ text: '', attachments: [image] });
+        assert.deepStrictEqual(message, { role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: PNG.toString('base64') } }] });
+    });
+
+    test('Ollama should send base64 images alongside the content', () => {
+        const message = new OllamaAgent().userMessage({ text: 'Describe it', attachments: [image] });
+        assert.deepStrictEqual(message, { role: 'user', content: 'Describe it', images: [PNG.toString('base64')] });
+        assert.deepStrictEqual(new OllamaAgent().userMessage('hi'), { role: 'user', content: 'hi' });
+    });
+
+    test('images should only stay in history for the turn they were sent in', async () => {
+        const agents = [new ClaudeApiAgent({ apiKey: 'k' }), new GeminiApiAgent({ apiKey: 'k' }), new OllamaAgent()];
+        const placeholders = [
+            [{ type: 'text', text: '[Image]' }, { type: 'text', text: 'Describe it' }],
+            [{ text: '[Image]' }, { text: 'Describe it' }],
+            '[Image]\n\nDescribe it',
+        ];
+
+        for (const [index, agent] of agents.entries()) {
+            agent.messages = [agent.userMessage({ text: 'Describe it', attachments: [image] })];
+            assert.ok(!JSON.stringify(agent.serialize()).includes(PNG.toString('base64')), `${agent.name}: nothing saved`);
+            assert.ok(JSON.stringify(agent.messages).includes(PNG.toString('base64')), `${agent.name}: still there for the turn`);
+
+            await agent.trimHistory();
+            const [message] = agent.messages;
+            assert.deepStrictEqual(message.content ?? message.parts, placeholders[index], agent.name);
+            assert.strictEqual(message.images, undefined);
+        }
+    });
+
+    test('agents without vision should refuse images but read documents', async () => {
+        const groq = new GroqAgent({ apiKey: 'k' });
+        await assert.rejects(groq.send({ text: 'look', attachments: [image] }, { silent: true }), /groq can't read images/);
+        assert.strictEqual(groq.messages.length, 0, 'a refused prompt leaves no history');
+        assert.match(groq.userMessage({ text: 'summarize', attachments: [notes] }).content, /- ship it/);
+
+        await assert.rejects(new ClaudeCodeAgent().send({ text: 'look', attachments: [image] }), /claude-code can't read images/);
+    });
+});
+
+describe('Attachments from chats', () => {
+    let model;
+
+    before(async () => {
+        model = await startEchoModel();
+        mkdirSync(join(home, '.cli-bot'), { recursive: true });
+        writeFileSync(join(home, '.cli-bot', 'config.json'), JSON.stringify({
+            agents: {
+                local: { provider: 'openai-compatible', baseUrl: `http://127.0.0.1:${model.address().port}/v1`, model: 'm' },
+            },
+        }));
+    });
+
+    after(() => {
+        model.close();
+        rmSync(home, { recursive: true, force: true });
+    });
+
+    const sender = (id) => ({ id, name: 'Tester', chatId: id, chatType: 'private' });
+
+    test('a captioned text file should reach the agent inside the prompt', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const route = createMessageRouter(new FakeConnector());
+        const replies = [];
+
+        await route('/local Summarize this', sender('1'), async (text) => { replies.push(text); }, [
+            incoming('notes.md', 'text/markdown', notes.data),
+        ]);
+
+        assert.match(model.prompts[model.prompts.length - 1], /^Summarize this\n\n--- Attached file: notes\.md ---\n# Todo/);
+        assert.ok(replies.includes('read it'));
+    });
+
+    test('unusable attachments should be refused before the agent is called', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const route = createMessageRouter(new FakeConnector());
+        const replies = [];
+        const asked = model.prompts.length;
+
+        await route('/local Read this', sender('2'), async (text) => { replies.push(text); }, [
+            incoming('report.pdf', 'application/pdf', Buffer.from('%PDF')),
+        ]);
+
+        assert.strictEqual(model.prompts.length, asked);
+        assert.strictEqual(replies[0], "📎 Can't send that to local:\n• report.pdf: unsupported file type (application/pdf)");
+    });
+
+    test('an image for an agent without vision should be refused before it is queued', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const route = createMessageRouter(new FakeConnector());
+        const asked = model.prompts.length;
+        let downloaded = false;
+        const photo = incoming('photo.png', 'image/png', PNG, { load: async () => { downloaded = true; return { data: PNG }; } });
+
+        for (const [command, agent] of [['/local', 'local'], ['/claude', 'claude-code']]) {
+            const replies = [];
+            await route(`${command} What is this?`, sender('3'), async (text) => { replies.push(text); }, [photo]);
+
+            assert.strictEqual(replies.length, 1, 'no "Thinking..." before the refusal');
+            assert.match(replies[0], new RegExp(`^📎 ${agent} can't read images\\. .*\`claude mode api\``));
+        }
+        assert.strictEqual(model.prompts.length, asked);
+        assert.strictEqual(downloaded, false);
+    });
+
+    test('an uncaptioned photo in a private chat should get a hint', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const route = createMessageRouter(new FakeConnector());
+        const replies = [];
+
+        await route('', sender('4'), async (text) => { replies.push(text); }, [incoming('photo.jpg', 'image/jpeg', PNG)]);
+
+        assert.strictEqual(replies.length, 1);
+        assert.match(replies[0], /^📎 Add a caption with an agent command/);
+    });
+});
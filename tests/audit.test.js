@@ -0,0 +1,136 @@
+import { test, describe, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// The router writes to ~/.cli-bot/audit — point HOME at a temp dir
+// before any minigeri module is loaded
+const home = mkdtempSync(join(tmpdir(), 'minigeri-audit-home-'));
+process.env.HOME = home;
+
+const {
+    appendAudit, readAudit, searchAudit, verifyAudit, GENESIS_HASH, AUDIT_DIR,
+} = await import('../src/utils/audit.js');
+const { dayKey } = await import('../src/utils/usage.js');
+const { BaseConnector } = await import('../src/connectors/base.js');
+const { createMessageRouter } = await import('../src/connectors/router.js');
+
+after(() => {
+    rmSync(home, { recursive: true, force: true });
+});
+
+const alice = { id: '42', name: 'Alice' };
+
+describe('Audit Log', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'minigeri-audit-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should chain entries in a daily JSONL file', () => {
+        const first = appendAudit({ platform: 'telegram', sender: alice, chatId: 42, action: '/cmd', args: 'ls', outcome: 'ok' }, dir);
+        const second = appendAudit({ platform: 'slack', sender: { id: 'U1' }, action: '/file', args: 'a.txt', outcome: 'not found' }, dir);
+
+        assert.deepStrictEqual(readdirSync(dir), [`${dayKey()}.jsonl`]);
+        assert.strictEqual(first.prev, GENESIS_HASH);
+        assert.strictEqual(second.prev, first.hash);
+        assert.strictEqual(first.chatId, '42');
+        assert.deepStrictEqual(verifyAudit(dir), { ok: true, entries: 2, head: second.hash });
+    });
+
+    test('should continue the chain across days', () => {
+        const yesterday = appendAudit({ platform: 'telegram', sender: alice, action: '/cmd', args: 'ls', outcome: 'ok' }, dir);
+        writeFileSync(join(dir, '2000-01-01.jsonl'), readFileSync(join(dir, `${dayKey()}.jsonl`)));
+        rmSync(join(dir, `${dayKey()}.jsonl`));
+
+        const today = appendAudit({ platform: 'telegram', sender: alice, action: '/folder', outcome: 'ok' }, dir);
+        assert.strictEqual(today.prev, yesterday.hash);
+        assert.strictEqual(verifyAudit(dir).ok, true);
+    });
+
+    test('verify should point at an edited entry', () => {
+        appendAudit({ platform: 'telegram', sender: alice, action: '/cmd', args: 'ls', outcome: 'ok' }, dir);
+        appendAudit({ platform: 'telegram', sender: alice, action: '/cmd', args: 'rm -rf build', outcome: 'ok' }, dir);
+        appendAudit({ platform: 'telegram', sender: alice, action: '/folder', outcome: 'ok' }, dir);
+
+        const file = join(dir, `${dayKey()}.jsonl`);
+        writeFileSync(file, readFileSync(file, 'utf-8').replace('rm -rf build', 'ls build'));
+
+        const result = verifyAudit(dir);
+        assert.strictEqual(result.ok, false);
+        assert.strictEqual(result.line, 2);
+        assert.strictEqual(result.entries, 1);
+        assert.match(result.error, /modified/);
+    });
+
+    test('verify should notice a removed entry', () => {
+        for (const args of ['one', 'two', 'three']) {
+            appendAudit({ platform: 'telegram', sender: alice, action: '/cmd', args, outcome: 'ok' }, dir);
+        }
+        const file = join(dir, `${dayKey()}.jsonl`);
+        const lines = readFileSync(file, 'utf-8').trim().split('\n');
+        writeFileSync(file, `${lines[0]}\n${lines[2]}\n`);
+
+        const result = verifyAudit(dir);
+        assert.strictEqual(result.ok, false);
+        assert.strictEqual(result.line, 2);
+        assert.match(result.error, /chain broken/);
+    });
+
+    test('search should match senders, actions and arguments', () => {
+        appendAudit({ platform: 'telegram', sender: alice, action: '/cmd', args: 'git pull', outcome: 'ok' }, dir);
+        appendAudit({ platform: 'whatsapp', sender: { id: '346', name: 'Bob' }, action: '/claude', args: 'hi', outcome: 'denied' }, dir);
+
+        assert.strictEqual(searchAudit('alice', dir).length, 1);
+        assert.strictEqual(searchAudit('GIT', dir).length, 1);
+        assert.strictEqual(searchAudit('denied', dir)[0].sender.name, 'Bob');
+        assert.strictEqual(searchAudit('nothing', dir).length, 0);
+    });
+
+    test('long arguments should be truncated', () => {
+        const entry = appendAudit({ platform: 'http', sender: { id: '127.0.0.1' }, action: '/groq', args: 'x'.repeat(5000), outcome: 'ok' }, dir);
+        assert.ok(entry.args.length < 2100);
+        assert.match(entry.args, /truncated\)$/);
+    });
+});
+
+describe('Audit Log — router', () => {
+    class FakeConnector extends BaseConnector {
+        constructor(allowed) {
+            super('fake');
+            this.label = 'Fake';
+            this.allowed = allowed;
+        }
+
+        isAllowed() {
+            return this.allowed;
+        }
+
+        trackChat() { }
+    }
+
+    const sender = { id: '7', name: 'Eve', chatId: '7', chatType: 'private' };
+
+    test('should record commands and blocked messages', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const reply = async () => { };
+
+        await createMessageRouter(new FakeConnector(true))('/folder', sender, reply);
+        await createMessageRouter(new FakeConnector(false))('/cmd cat ~/.ssh/id_rsa', sender, reply);
+
+        const entries = readAudit(AUDIT_DIR);
+        assert.strictEqual(entries.length, 2);
+        assert.deepStrictEqual(
+            entries.map((e) => [e.platform, e.sender.name, e.role, e.action, e.outcome]),
+            [['fake', 'Eve', 'owner', '/folder', 'ok'], ['fake', 'Eve', undefined, 'message', 'blocked']],
+        );
+        assert.strictEqual(entries[1].args, '/cmd cat ~/.ssh/id_rsa');
+        assert.strictEqual(verifyAudit(AUDIT_DIR).ok, true);
+    });
+});
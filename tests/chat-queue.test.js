@@ -0,0 +1,220 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { RateLimiter } from '../src/utils/rate-limit.js';
+
+// Config, sessions and the audit log live under HOME — point it at a
+// temp dir before any minigeri module is loaded
+const home = mkdtempSync(join(tmpdir(), 'minigeri-chat-queue-'));
+process.env.HOME = home;
+
+/**
+ * Fake OpenAI-compatible server that holds every request until the test
+ * releases it, then echoes the last message.
+ */
+function startHeldModel() {
+    const pending = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (c) => { body += c; });
+        req.on('end', () => {
+            const { messages } = JSON.parse(body);
+            pending.push(() => {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: `echo: ${messages[messages.length - 1].content}` } }] })}\n\n`);
+                res.end('data: [DONE]\n\n');
+            });
+        });
+    });
+    server.pending = pending;
+    server.release = () => pending.shift()();
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+describe('Rate Limiter', () => {
+    const limits = { user: { burst: 2, perMinute: 6 }, global: { burst: 3, perMinute: 60 } };
+
+    test('should allow a burst, then refill over time', () => {
+        const limiter = new RateLimiter();
+        assert.ok(limiter.take('tg:1', limits, 0).allowed);
+        assert.ok(limiter.take('tg:1', limits, 0).allowed);
+
+        const refused = limiter.take('tg:1', limits, 0);
+        assert.strictEqual(refused.allowed, false);
+        assert.strictEqual(refused.scope, 'user');
+        assert.strictEqual(refused.retryAfterMs, 10_000);
+
+        assert.ok(limiter.take('tg:1', limits, 10_000).allowed);
+    });
+
+    test('the global bucket should be shared by every user', () => {
+        const limiter = new RateLimiter();
+        assert.ok(limiter.take('tg:1', limits, 0).allowed);
+        assert.ok(limiter.take('tg:2', limits, 0).allowed);
+        assert.ok(limiter.take('tg:3', limits, 0).allowed);
+
+        const refused = limiter.take('tg:4', limits, 0);
+        assert.strictEqual(refused.scope, 'global');
+        assert.strictEqual(refused.retryAfterMs, 1000);
+    });
+
+    test('a refused request should not spend the other bucket', () => {
+        const limiter = new RateLimiter();
+        const tight = { user: { burst: 1, perMinute: 1 }, global: { burst: 2, perMinute: 1 } };
+        assert.ok(limiter.take('tg:1', tight, 0).allowed);
+        assert.strictEqual(limiter.take('tg:1', tight, 0).allowed, false);
+        assert.ok(limiter.take('tg:2', tight, 0).allowed, 'the global token was not spent on the refusal');
+    });
+
+    test('missing or null scopes should be unlimited', () => {
+        const limiter = new RateLimiter();
+        for (let i = 0; i < 50; i++) {
+            assert.ok(limiter.take('tg:1', { user: null }, 0).allowed);
+        }
+        assert.ok(limiter.take('tg:1', undefined, 0).allowed);
+    });
+});
+
+describe('Per-chat request queue', () => {
+    let model;
+    let FakeConnector;
+    let createMessageRouter;
+
+    const writeConfig = (extra = {}) => writeFileSync(join(home, '.cli-bot', 'config.json'), JSON.stringify({
+        agents: {
+            local: { provider: 'openai-compatible', baseUrl: `http://127.0.0.1:${model.address().port}/v1`, model: 'm' },
+        },
+        ...extra,
+    }));
+
+    before(async () => {
+        model = await startHeldModel();
+        mkdirSync(join(home, '.cli-bot'), { recursive: true });
+        writeConfig();
+
+        const { BaseConnector } = await import('../src/connectors/base.js');
+        ({ createMessageRouter } = await import('../src/connectors/router.js'));
+        FakeConnector = class extends BaseConnector {
+            constructor() {
+                super('fake');
+                this.label = 'Fake';
+            }
+
+            isAllowed() {
+                return true;
+            }
+
+            trackChat() { }
+        };
+    });
+
+    after(() => {
+        while (model.pending.length > 0) model.release();
+        model.close();
+        rmSync(home, { recursive: true, force: true });
+    });
+
+    const sender = (id) => ({ id, name: 'Tester', chatId: id, chatType: 'private' });
+
+    test('should run one agent request per chat and report the queue position', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const route = createMessageRouter(new FakeConnector());
+        const replies = [];
+        const reply = async (text) => { replies.push(text); };
+
+        const first = route('/local one', sender('1'), reply);
+        await waitFor(() => model.pending.length === 1);
+        const second = route('/local two', sender('1'), reply);
+        const third = route('/local three', sender('1'), reply);
+        await waitFor(() => replies.filter((r) => r.startsWith('⏳')).length === 2);
+
+        assert.ok(replies.includes('⏳ Queued, 1 ahead. Send /cancel to stop the running request.'));
+        assert.ok(replies.some((r) => r.startsWith('⏳ Queued, 2 ahead')));
+        assert.strictEqual(model.pending.length, 1, 'queued prompts must not reach the model');
+
+        model.release();
+        await first;
+        for (const pending of [second, third]) {
+            await waitFor(() => model.pending.length === 1);
+            model.release();
+            await pending;
+        }
+
+        const answers = replies.filter((r) => r.startsWith('echo'));
+        assert.deepStrictEqual(answers, ['echo: one', 'echo: two', 'echo: three']);
+    });
+
+    test('/cancel should stop the running request and let the next one start', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const route = createMessageRouter(new FakeConnector());
+        const replies = [];
+        const reply = async (text) => { replies.push(text); };
+
+        const running = route('/local slow', sender('2'), reply);
+        await waitFor(() => model.pending.length === 1);
+        const queued = route('/local next', sender('2'), reply);
+        await waitFor(() => replies.some((r) => r.startsWith('⏳')));
+
+        await route('/cancel', sender('2'), reply);
+        assert.ok(replies.includes('🛑 Cancelled the running request.'));
+        await running;
+
+        // The cancelled call is still held by the model; the queued one starts too
+        await waitFor(() => model.pending.length === 2);
+        model.release();
+        model.release();
+        await queued;
+
+        const answers = replies.filter((r) => r.startsWith('echo'));
+        assert.deepStrictEqual(answers, ['echo: next'], 'the cancelled answer is never sent');
+    });
+
+    test('/cancel all should also drop queued requests', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const route = createMessageRouter(new FakeConnector());
+        const replies = [];
+        const reply = async (text) => { replies.push(text); };
+
+        const running = route('/local a', sender('3'), reply);
+        await waitFor(() => model.pending.length === 1);
+        const queued = route('/local b', sender('3'), reply);
+        await waitFor(() => replies.some((r) => r.startsWith('⏳')));
+
+        await route('/cancel all', sender('3'), reply);
+        assert.ok(replies.includes('🛑 Cancelled the running request and 1 queued.'));
+        await Promise.all([running, queued]);
+        model.release();
+
+        await route('/cancel', sender('3'), reply);
+        assert.match(replies[replies.length - 1], /Nothing to cancel/);
+        assert.ok(!replies.some((r) => r.startsWith('echo')));
+    });
+
+    test('should refuse prompts over the per-user rate limit', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        writeConfig({ rateLimit: { user: { burst: 1, perMinute: 1 } } });
+        const route = createMessageRouter(new FakeConnector());
+        const replies = [];
+        const reply = async (text) => { replies.push(text); };
+
+        const first = route('/local hi', sender('4'), reply);
+        await waitFor(() => model.pending.length === 1);
+        await route('/local again', sender('4'), reply);
+        assert.match(replies[replies.length - 1], /^🐢 You are sending requests too fast\. Try again in \d+s\.$/);
+
+        model.release();
+        await first;
+        writeConfig();
+    });
+});
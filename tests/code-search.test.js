@@ -0,0 +1,67 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { searchProjectFiles } from '../src/utils/project-files.js';
+
+describe('Code Search', () => {
+    let root;
+
+    before(() => {
+        root = mkdtempSync(join(tmpdir(), 'minigeri-search-'));
+        mkdirSync(join(root, 'src'));
+        mkdirSync(join(root, 'dist'));
+        writeFileSync(join(root, '.gitignore'), 'dist/\n');
+        writeFileSync(join(root, '.env'), 'SECRET=createAgent\n');
+        writeFileSync(join(root, 'dist', 'bundle.js'), 'createAgent();\n');
+        writeFileSync(join(root, 'src', 'index.js'), [
+            'import x from "y";',
+            '',
+            'export function createAgent(name) {',
+            '    return new Agent(name);',
+            '}',
+            '',
+            'const a = createAgent("groq");',
+        ].join('\n'));
+        writeFileSync(join(root, 'README.md'), 'Call CreateAgent() to start.\n');
+    });
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should return grep-style matches with merged context', () => {
+        const result = searchProjectFiles(root, 'createAgent', { path: 'src', context: 1 });
+        assert.strictEqual(result, [
+            'src/index.js-2- ',
+            'src/index.js:3: export function createAgent(name) {',
+            'src/index.js-4-     return new Agent(name);',
+            '--',
+            'src/index.js-6- ',
+            'src/index.js:7: const a = createAgent("groq");',
+            '',
+            '2 match(es) in 1 file(s).',
+        ].join('\n'));
+    });
+
+    test('should honour .gitignore and never search .env files', () => {
+        const result = searchProjectFiles(root, 'createAgent', { context: 0 });
+        assert.match(result, /README\.md:1: Call CreateAgent/);
+        assert.doesNotMatch(result, /dist\/bundle\.js|\.env/);
+    });
+
+    test('should support regex and case sensitivity', () => {
+        assert.match(searchProjectFiles(root, 'createAgent', { caseSensitive: true, context: 0 }), /2 match\(es\) in 1 file/);
+        assert.match(searchProjectFiles(root, 'new \\w+\\(', { regex: true, context: 0 }), /src\/index\.js:4:/);
+        assert.match(searchProjectFiles(root, '(', { regex: true }), /^\[Error: invalid regex/);
+        assert.match(searchProjectFiles(root, 'new Agent(', { context: 0 }), /src\/index\.js:4:/);
+    });
+
+    test('should stop at max_results and say so', () => {
+        const result = searchProjectFiles(root, 'agent', { maxResults: 1, context: 0 });
+        assert.strictEqual(result.split('\n').filter((l) => /:\d+: /.test(l)).length, 1);
+        assert.match(result, /Stopped after 1 matches/);
+        assert.strictEqual(searchProjectFiles(root, 'nothing-here'), 'No matches for "nothing-here".');
+    });
+});
@@ -0,0 +1,143 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+    createControlServer, daemonRequest, getDaemonStatus, runInDaemon, subscribeToDaemon, tailDaemonLog,
+} from '../src/services/daemon.js';
+import { registerCommand, runCommand } from '../src/tools/command-runner.js';
+
+describe('Daemon control socket', () => {
+    let dir;
+    let socketPath;
+    let server;
+    let stopped;
+    let ran;
+
+    beforeEach(async () => {
+        dir = mkdtempSync(join(tmpdir(), 'minigeri-daemon-'));
+        socketPath = join(dir, 'minigeri.sock');
+        stopped = false;
+        ran = [];
+        server = createControlServer({
+            run: async (command) => {
+                ran.push(command);
+                await new Promise((r) => setTimeout(r, 20));
+                return `ran: ${command}`;
+            },
+            status: async () => ({ pid: 4242, version: '1.2.3' }),
+            stop: () => { stopped = true; },
+        });
+        await server.listen(socketPath);
+    });
+
+    afterEach(async () => {
+        await server.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should answer status and run requests', async () => {
+        const status = await getDaemonStatus({ socketPath });
+        assert.strictEqual(status.pid, 4242);
+        assert.strictEqual(status.version, '1.2.3');
+
+        assert.strictEqual(await runInDaemon('tg send 1 hi', { socketPath }), 'ran: tg send 1 hi');
+    });
+
+    test('should run commands one at a time, in order', async () => {
+        const outputs = await Promise.all(['a', 'b', 'c'].map((c) => runInDaemon(c, { socketPath })));
+        assert.deepStrictEqual(outputs, ['ran: a', 'ran: b', 'ran: c']);
+        assert.deepStrictEqual(ran, ['a', 'b', 'c']);
+    });
+
+    test('should stream broadcast logs to subscribers', async () => {
+        const received = [];
+        const subscription = await subscribeToDaemon((text) => received.push(text), { socketPath });
+        server.broadcast('📩 Telegram DM');
+        await new Promise((r) => setTimeout(r, 50));
+        subscription.close();
+
+        assert.deepStrictEqual(received, ['📩 Telegram DM']);
+    });
+
+    test('should reject unknown requests and call stop', async () => {
+        await assert.rejects(daemonRequest({ type: 'dance' }, { socketPath }), /Unknown request type/);
+
+        await daemonRequest({ type: 'stop' }, { socketPath });
+        await new Promise((r) => setTimeout(r, 50));
+        assert.strictEqual(stopped, true);
+    });
+
+    test('should create the socket for this user only', { skip: process.platform === 'win32' }, () => {
+        assert.strictEqual(statSync(socketPath).mode & 0o777, 0o600);
+    });
+
+    test('should refuse a second daemon but replace a stale socket', { skip: process.platform === 'win32' }, async () => {
+        const second = createControlServer({ run: async () => '', status: async () => ({}), stop: () => { } });
+        await assert.rejects(second.listen(socketPath), /already listening/);
+
+        await server.close();
+        writeFileSync(socketPath, ''); // left behind by a crash
+        server = createControlServer({ run: async () => '', status: async () => ({ pid: 1 }), stop: () => { } });
+        await server.listen(socketPath);
+        assert.strictEqual((await getDaemonStatus({ socketPath })).pid, 1);
+    });
+
+    test('should report no daemon when nothing listens', async () => {
+        assert.strictEqual(await getDaemonStatus({ socketPath: join(dir, 'nothing.sock') }), null);
+        assert.ok(!existsSync(join(dir, 'nothing.sock')));
+    });
+
+    test('should tail the log file', () => {
+        const log = join(dir, 'daemon.log');
+        writeFileSync(log, Array.from({ length: 100 }, (_, i) => `line ${i}`).join('\n') + '\n');
+        assert.deepStrictEqual(tailDaemonLog(3, log), ['line 97', 'line 98', 'line 99']);
+        assert.deepStrictEqual(tailDaemonLog(3, join(dir, 'missing.log')), []);
+    });
+});
+
+describe('Daemon run output', () => {
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+    test('should capture only the command\'s own output', async (t) => {
+        const logged = [];
+        t.mock.method(console, 'log', (...args) => { logged.push(args.join(' ')); });
+        registerCommand('status', async () => {
+            console.log('status line 1');
+            await sleep(30);
+            console.log('status line 2');
+            // Started by the command, but logs after it finished
+            setTimeout(() => console.log('late connector log'), 10);
+        });
+
+        const run = runCommand('status');
+        await sleep(10);
+        console.log('[Telegram] message from another chat');
+
+        assert.strictEqual(await run, 'status line 1\nstatus line 2');
+        await sleep(30);
+        assert.deepStrictEqual(logged, ['[Telegram] message from another chat', 'late connector log']);
+    });
+
+    test('should keep concurrent commands apart and restore the console', async (t) => {
+        const mocked = t.mock.method(console, 'log', () => { });
+        const installed = console.log;
+        registerCommand('usage', async () => {
+            console.log('usage: first');
+            await sleep(40);
+            console.log('usage: second');
+        });
+        registerCommand('folder', async () => {
+            await sleep(10);
+            console.log('folder: only');
+        });
+
+        // Sent together: folder waits for usage, and neither sees the other
+        const [usage, folder] = await Promise.all([runCommand('usage'), runCommand('folder')]);
+        assert.strictEqual(usage, 'usage: first\nusage: second');
+        assert.strictEqual(folder, 'folder: only');
+        assert.strictEqual(console.log, installed);
+        assert.strictEqual(mocked.mock.callCount(), 0);
+    });
+});
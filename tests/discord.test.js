@@ -0,0 +1,214 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'node:events';
+import { WebSocketServer } from 'ws';
+import { DiscordConnector } from '../src/connectors/discord.js';
+
+const TOKEN = `${'A'.repeat(24)}.abcdef.ghijkl`;
+const BOT = { id: '900000000000000001', username: 'geri', bot: true };
+
+/**
+ * Fake Discord Gateway: says hello, acks heartbeats and answers
+ * Identify/Resume. Every payload a client sends is recorded.
+ */
+async function startGateway() {
+    const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await once(wss, 'listening');
+    const url = `ws://127.0.0.1:${wss.address().port}`;
+    const gateway = { url, received: [], sockets: [], seq: 0 };
+
+    gateway.dispatch = (t, d) => {
+        const socket = gateway.sockets.at(-1);
+        socket.send(JSON.stringify({ op: 0, t, s: ++gateway.seq, d }));
+    };
+    gateway.waitFor = async (op) => {
+        for (let i = 0; i < 200; i++) {
+            const payload = gateway.received.find((p) => p.op === op);
+            if (payload) return payload;
+            await new Promise((r) => setTimeout(r, 10));
+        }
+        throw new Error(`No op ${op} received`);
+    };
+    gateway.close = () => new Promise((resolve) => {
+        for (const socket of wss.clients) socket.terminate();
+        wss.close(() => resolve());
+    });
+
+    wss.on('connection', (socket) => {
+        gateway.sockets.push(socket);
+        socket.send(JSON.stringify({ op: 10, d: { heartbeat_interval: 50 } }));
+        socket.on('message', (raw) => {
+            const payload = JSON.parse(raw.toString());
+            gateway.received.push(payload);
+            if (payload.op === 1) socket.send(JSON.stringify({ op: 11 }));
+            if (payload.op === 2) {
+                socket.send(JSON.stringify({
+                    op: 0, t: 'READY', s: ++gateway.seq,
+                    d: { session_id: 'sess-1', resume_gateway_url: url, user: BOT },
+                }));
+            }
+            if (payload.op === 6) socket.send(JSON.stringify({ op: 0, t: 'RESUMED', s: ++gateway.seq, d: {} }));
+        });
+    });
+    return gateway;
+}
+
+/** Connector whose REST calls are recorded instead of sent. */
+function makeConnector(gateway) {
+    const connector = new DiscordConnector({ token: TOKEN, gatewayUrl: gateway.url });
+    const requests = [];
+    connector.request = async (method, path, body) => {
+        requests.push({ method, path, body });
+        if (path === '/users/@me') return BOT;
+        if (path === '/users/@me/channels') return { id: '700000000000000007' };
+        return { id: String(requests.length) };
+    };
+    const received = [];
+    connector.setMessageHandler(async (text, sender, reply) => {
+        received.push({ text, sender });
+        await reply('pong');
+    });
+    return { connector, requests, received };
+}
+
+const waitUntil = async (fn) => {
+    for (let i = 0; i < 200 && !fn(); i++) await new Promise((r) => setTimeout(r, 10));
+};
+
+describe('Discord Connector', () => {
+    test('should identify, heartbeat and route DMs', async () => {
+        const gateway = await startGateway();
+        const { connector, requests, received } = makeConnector(gateway);
+        try {
+            const bot = await connector.start();
+            assert.strictEqual(bot.username, 'geri');
+            assert.ok(connector.isConnected());
+
+            const identify = await gateway.waitFor(2);
+            assert.strictEqual(identify.d.token, TOKEN);
+            assert.strictEqual(identify.d.intents, (1 << 0) | (1 << 9) | (1 << 12));
+            await gateway.waitFor(1); // heartbeat
+
+            gateway.dispatch('MESSAGE_CREATE', {
+                id: 'm1', channel_id: 'dm1', content: '/groq hi',
+                author: { id: 'u1', username: 'ana', global_name: 'Ana' },
+            });
+            await waitUntil(() => requests.length > 1);
+
+            assert.deepStrictEqual(received, [{
+                text: '/groq hi',
+                sender: { id: 'u1', name: 'Ana', chatId: 'dm1', chatName: 'Ana', chatType: 'private' },
+            }]);
+            assert.deepStrictEqual(requests[1], {
+                method: 'POST',
+                path: '/channels/dm1/messages',
+                body: {
+                    content: 'pong',
+                    allowed_mentions: { parse: [] },
+                    message_reference: { message_id: 'm1', fail_if_not_exists: false },
+                },
+            });
+        } finally {
+            await connector.stop();
+            await gateway.close();
+        }
+    });
+
+    test('should only answer @mentions in servers and ignore bots', async () => {
+        const gateway = await startGateway();
+        const { connector, received } = makeConnector(gateway);
+        try {
+            await connector.start();
+            gateway.dispatch('GUILD_CREATE', {
+                id: 'g1', name: 'Team',
+                channels: [{ id: 'c1', name: 'general', type: 0 }, { id: 'v1', name: 'Voice', type: 2 }],
+            });
+            const author = { id: 'u1', username: 'ana' };
+            gateway.dispatch('MESSAGE_CREATE', { id: 'm1', guild_id: 'g1', channel_id: 'c1', content: 'chatter', author, mentions: [] });
+            gateway.dispatch('MESSAGE_CREATE', { id: 'm2', guild_id: 'g1', channel_id: 'c1', content: `<@${BOT.id}> hi`, author: { id: 'b2', bot: true }, mentions: [BOT] });
+            gateway.dispatch('MESSAGE_CREATE', {
+                id: 'm3', guild_id: 'g1', channel_id: 'c1', content: `<@${BOT.id}> /folder`, author,
+                member: { nick: 'Ana (ops)' }, mentions: [BOT],
+            });
+            await waitUntil(() => received.length > 0);
+            await new Promise((r) => setTimeout(r, 50));
+
+            assert.strictEqual(received.length, 1);
+            assert.strictEqual(received[0].text, '/folder');
+            assert.deepStrictEqual(received[0].sender, {
+                id: 'u1', name: 'Ana (ops)', chatId: 'c1', chatName: 'general', chatType: 'channel',
+            });
+            assert.deepStrictEqual([...connector.channels.keys()], ['c1']);
+            assert.strictEqual(await connector.resolveChannel('#General'), 'c1');
+        } finally {
+            await connector.stop();
+            await gateway.close();
+        }
+    });
+
+    test('should resume the session after the connection drops', async () => {
+        const gateway = await startGateway();
+        const { connector } = makeConnector(gateway);
+        try {
+            await connector.start();
+            gateway.dispatch('GUILD_CREATE', { id: 'g1', name: 'Team', channels: [] });
+            gateway.sockets[0].close(4000);
+
+            const resume = await gateway.waitFor(6);
+            assert.deepStrictEqual(resume.d, { token: TOKEN, session_id: 'sess-1', seq: 2 });
+            assert.strictEqual(gateway.received.filter((p) => p.op === 2).length, 1);
+        } finally {
+            await connector.stop();
+            await gateway.close();
+        }
+    });
+
+    test('should fail without reconnecting when the token is rejected', async () => {
+        const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+        await once(wss, 'listening');
+        let connections = 0;
+        wss.on('connection', (socket) => {
+            connections++;
+            socket.close(4004);
+        });
+        const { connector } = makeConnector({ url: `ws://127.0.0.1:${wss.address().port}` });
+        try {
+            await assert.rejects(connector.start(), /Authentication failed/);
+            assert.strictEqual(connector.isConnected(), false);
+            await new Promise((r) => setTimeout(r, 50));
+            assert.strictEqual(connections, 1);
+        } finally {
+            await new Promise((r) => wss.close(r));
+        }
+    });
+
+    test('should split long messages at 2000 characters and open DMs', async () => {
+        const { connector, requests } = makeConnector({ url: 'ws://unused' });
+        const text = `${'a'.repeat(1500)}\n\n${'b'.repeat(1500)}\n\n${'c'.repeat(1500)}`;
+
+        await connector.sendText('@700000000000000001', text, { replyTo: 'm9' });
+
+        const posts = requests.filter((r) => r.path.endsWith('/messages'));
+        assert.strictEqual(requests[0].path, '/users/@me/channels');
+        assert.deepStrictEqual(requests[0].body, { recipient_id: '700000000000000001' });
+        assert.strictEqual(posts.length, 3);
+        assert.ok(posts.every((p) => p.path === '/channels/700000000000000007/messages' && p.body.content.length <= 2000));
+        assert.ok(posts[0].body.message_reference);
+        assert.ok(!posts[1].body.message_reference);
+    });
+
+    test('should fail closed without DISCORD_ALLOWED_USERS', () => {
+        const saved = process.env.DISCORD_ALLOWED_USERS;
+        try {
+            delete process.env.DISCORD_ALLOWED_USERS;
+            assert.strictEqual(new DiscordConnector().isAllowed('u1'), false);
+
+            process.env.DISCORD_ALLOWED_USERS = 'u1, u2';
+            assert.strictEqual(new DiscordConnector().isAllowed('u2'), true);
+            assert.strictEqual(new DiscordConnector().isAllowed('u3'), false);
+        } finally {
+            if (saved === undefined) delete process.env.DISCORD_ALLOWED_USERS;
+            else process.env.DISCORD_ALLOWED_USERS = saved;
+        }
+    });
+});
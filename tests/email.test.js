@@ -0,0 +1,372 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import net from 'node:net';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { EmailConnector, verifySender } from '../src/connectors/email.js';
+import { parseMessage, buildMessage, stripQuotedReply, baseSubject } from '../src/utils/mime.js';
+
+const BOT = 'bot@example.org';
+const OWNER = 'owner@example.org';
+const AUTHSERV = 'mx.example.org';
+const PASS = `Authentication-Results: ${AUTHSERV}; dkim=pass header.i=@example.org header.s=s1; spf=pass smtp.mailfrom=example.org; dmarc=pass (p=REJECT) header.from=example.org`;
+
+/**
+ * Fake IMAP server holding an in-memory inbox of { uid, raw, seen }.
+ */
+async function startImap() {
+    const imap = { inbox: [], commands: [], nextUid: 1 };
+    imap.deliver = (raw) => imap.inbox.push({ uid: imap.nextUid++, raw: Buffer.from(raw), seen: false });
+
+    const server = net.createServer((socket) => {
+        socket.write('* OK fake IMAP ready\r\n');
+        let buffer = '';
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const [tag, ...rest] = line.split(' ');
+                const command = rest.join(' ');
+                imap.commands.push(command);
+                const ok = () => socket.write(`${tag} OK done\r\n`);
+
+                if (/^CAPABILITY/i.test(command)) {
+                    socket.write('* CAPABILITY IMAP4rev1 AUTH=PLAIN\r\n');
+                    ok();
+                } else if (/^LOGIN/i.test(command)) {
+                    if (command === `LOGIN "${BOT}" "secret"`) ok();
+                    else socket.write(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+                } else if (/^SELECT/i.test(command)) {
+                    socket.write(`* ${imap.inbox.length} EXISTS\r\n`);
+                    ok();
+                } else if (/^UID SEARCH UNSEEN/i.test(command)) {
+                    socket.write(`* SEARCH ${imap.inbox.filter((m) => !m.seen).map((m) => m.uid).join(' ')}\r\n`);
+                    ok();
+                } else if (/^UID FETCH/i.test(command)) {
+                    const uid = Number(command.split(' ')[2]);
+                    const message = imap.inbox.find((m) => m.uid === uid);
+                    socket.write(`* 1 FETCH (UID ${uid} BODY[] {${message.raw.length}}\r\n`);
+                    socket.write(message.raw);
+                    socket.write(')\r\n');
+                    ok();
+                } else if (/^UID STORE/i.test(command)) {
+                    imap.inbox.find((m) => m.uid === Number(command.split(' ')[2])).seen = true;
+                    ok();
+                } else if (/^LOGOUT/i.test(command)) {
+                    socket.write('* BYE\r\n');
+                    ok();
+                    socket.end();
+                } else {
+                    socket.write(`${tag} BAD unknown command\r\n`);
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    imap.port = server.address().port;
+    imap.close = () => new Promise((resolve) => server.close(() => resolve()));
+    return imap;
+}
+
+/**
+ * Fake SMTP server recording every delivered message.
+ */
+async function startSmtp() {
+    const smtp = { sent: [] };
+    const server = net.createServer((socket) => {
+        socket.write('220 fake SMTP ready\r\n');
+        let buffer = '';
+        let envelope = {};
+        let inData = false;
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            while (true) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    smtp.sent.push({ ...envelope, data: buffer.slice(0, end + 2).replace(/^\.\./gm, '.') });
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    envelope = {};
+                    socket.write('250 queued\r\n');
+                    continue;
+                }
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (/^EHLO/i.test(line)) socket.write('250-fake.local\r\n250 AUTH PLAIN LOGIN\r\n');
+                else if (/^AUTH PLAIN/i.test(line)) {
+                    envelope.auth = Buffer.from(line.split(' ')[2], 'base64').toString().split('\0');
+                    socket.write('235 accepted\r\n');
+                } else if (/^MAIL FROM:/i.test(line)) {
+                    envelope.from = line.slice(10).replace(/[<>]/g, '');
+                    socket.write('250 ok\r\n');
+                } else if (/^RCPT TO:/i.test(line)) {
+                    envelope.to = line.slice(8).replace(/[<>]/g, '');
+                    socket.write('250 ok\r\n');
+                } else if (/^DATA/i.test(line)) {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('502 unknown\r\n');
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    smtp.port = server.address().port;
+    smtp.close = () => new Promise((resolve) => server.close(() => resolve()));
+    return smtp;
+}
+
+function mail({ from = OWNER, subject, body, messageId, inReplyTo, references, headers = [], auth = [PASS] }) {
+    return [
+        ...auth,
+        `From: Owner <${from}>`,
+        `To: ${BOT}`,
+        `Subject: ${subject}`,
+        `Message-ID: ${messageId}`,
+        ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+        ...(references ? [`References: ${references}`] : []),
+        ...headers,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        body,
+        '',
+    ].join('\r\n');
+}
+
+const waitUntil = async (fn) => {
+    for (let i = 0; i < 300 && !fn(); i++) await new Promise((r) => setTimeout(r, 10));
+};
+
+async function setup() {
+    const imap = await startImap();
+    const smtp = await startSmtp();
+    const dir = mkdtempSync(join(tmpdir(), 'minigeri-email-'));
+    const previous = process.env.EMAIL_ALLOWED_SENDERS;
+    process.env.EMAIL_ALLOWED_SENDERS = OWNER;
+
+    const connector = new EmailConnector({
+        imapHost: '127.0.0.1', imapPort: imap.port,
+        smtpHost: '127.0.0.1', smtpPort: smtp.port,
+        user: BOT, password: 'secret',
+        trustedAuthservId: AUTHSERV,
+        threadsFile: join(dir, 'threads.json'),
+    });
+    const received = [];
+    connector.setMessageHandler(async (text, sender, reply) => {
+        received.push({ text, sender });
+        await reply(`answer ${received.length}`);
+    });
+
+    const teardown = async () => {
+        await connector.stop();
+        await imap.close();
+        await smtp.close();
+        rmSync(dir, { recursive: true, force: true });
+        if (previous === undefined) delete process.env.EMAIL_ALLOWED_SENDERS;
+        else process.env.EMAIL_ALLOWED_SENDERS = previous;
+    };
+    return { imap, smtp, connector, received, teardown };
+}
+
+describe('MIME helpers', () => {
+    test('should read the text part of a multipart mail', () => {
+        const raw = [
+            'From: =?UTF-8?B?SsO6bGlh?= <Julia@Example.org>',
+            'Subject: =?UTF-8?Q?Caf=C3=A9?= review',
+            'Message-ID: <a1@example.org>',
+            'References: <r0@example.org> <r1@example.org>',
+            'Content-Type: multipart/alternative; boundary="b1"',
+            '',
+            '--b1',
+            'Content-Type: text/html; charset=utf-8',
+            '',
+            '<p>html</p>',
+            '--b1',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: quoted-printable',
+            '',
+            '/claude caf=C3=A9 =',
+            'please',
+            '--b1--',
+        ].join('\r\n');
+
+        const parsed = parseMessage(Buffer.from(raw, 'latin1'));
+        assert.deepStrictEqual(parsed.from, { name: 'Júlia', address: 'julia@example.org' });
+        assert.strictEqual(parsed.subject, 'Café review');
+        assert.strictEqual(parsed.messageId, '<a1@example.org>');
+        assert.deepStrictEqual(parsed.references, ['<r0@example.org>', '<r1@example.org>']);
+        assert.strictEqual(parsed.text.trim(), '/claude café please');
+    });
+
+    test('should cut quoted history from replies', () => {
+        const text = 'and the tests?\n\nOn Mon, 1 Jan 2026 at 10:00, bot wrote:\n> answer 1\n';
+        assert.strictEqual(stripQuotedReply(text), 'and the tests?');
+        assert.strictEqual(stripQuotedReply('yes\n> quoted\nno\n-- \nsignature'), 'yes\nno');
+        assert.strictEqual(baseSubject('Re: RE: Fwd: /groq report'), '/groq report');
+    });
+
+    test('should build replies that parse back with their threading headers', () => {
+        const built = buildMessage({
+            from: BOT, to: OWNER, subject: 'Re: Ünïcode', text: '.leading dot and a long line '.repeat(5),
+            messageId: '<m2@example.org>', inReplyTo: '<m1@example.org>', references: ['<m0@example.org>', '<m1@example.org>'],
+        });
+        assert.ok(built.split('\r\n').every((line) => line.length <= 998));
+        const parsed = parseMessage(built);
+        assert.strictEqual(parsed.subject, 'Re: Ünïcode');
+        assert.strictEqual(parsed.inReplyTo, '<m1@example.org>');
+        assert.deepStrictEqual(parsed.references, ['<m0@example.org>', '<m1@example.org>']);
+        assert.strictEqual(parsed.text.trim(), '.leading dot and a long line '.repeat(5).trim());
+    });
+});
+
+describe('Sender verification', () => {
+    const parsed = (auth, from = OWNER) => parseMessage(Buffer.from(mail({ from, subject: 's', body: 'b', messageId: '<v@x>', auth })));
+
+    test('should accept DMARC or aligned DKIM from the trusted server', () => {
+        assert.strictEqual(verifySender(parsed([PASS]), AUTHSERV), null);
+        assert.strictEqual(verifySender(parsed([`Authentication-Results: ${AUTHSERV}; dkim=pass header.d=example.org`], 'a@mail.example.org'), AUTHSERV), null);
+        assert.strictEqual(verifySender(parsed([`Authentication-Results: MX.Example.org 1; dmarc=pass header.from=example.org`]), AUTHSERV), null);
+    });
+
+    test('should refuse other servers, unaligned signatures and a missing setting', () => {
+        assert.match(verifySender(parsed([PASS.replace(AUTHSERV, 'mx.evil.test')]), AUTHSERV), /no Authentication-Results/);
+        assert.match(verifySender(parsed([`Authentication-Results: ${AUTHSERV}; dkim=pass header.d=evil.test`]), AUTHSERV), /did not verify/);
+        assert.match(verifySender(parsed([`Authentication-Results: ${AUTHSERV}; dmarc=pass header.from=evil.test`]), AUTHSERV), /did not verify/);
+        assert.match(verifySender(parsed([PASS]), ''), /EMAIL_TRUSTED_AUTHSERV_ID is not set/);
+    });
+});
+
+describe('Email Connector', () => {
+    test('should route a subject command and reply in the thread', async () => {
+        const { imap, smtp, connector, received, teardown } = await setup();
+        try {
+            imap.deliver(mail({ subject: '/groq review the repo', body: 'Focus on tests.', messageId: '<m1@example.org>' }));
+            await connector.start();
+            await waitUntil(() => smtp.sent.length > 0);
+
+            assert.strictEqual(received.length, 1);
+            assert.strictEqual(received[0].text, '/groq review the repo\n\nFocus on tests.');
+            assert.deepStrictEqual(received[0].sender, {
+                id: OWNER, name: 'Owner', chatId: '<m1@example.org>', chatName: '/groq review the repo', chatType: 'private',
+            });
+            assert.ok(imap.inbox[0].seen);
+
+            const [sent] = smtp.sent;
+            assert.strictEqual(sent.from, BOT);
+            assert.strictEqual(sent.to, OWNER);
+            assert.deepStrictEqual(sent.auth, ['', BOT, 'secret']);
+            const reply = parseMessage(sent.data);
+            assert.strictEqual(reply.subject, 'Re: /groq review the repo');
+            assert.strictEqual(reply.inReplyTo, '<m1@example.org>');
+            assert.deepStrictEqual(reply.references, ['<m1@example.org>']);
+            assert.strictEqual(reply.text.trim(), 'answer 1');
+
+            // A reply to the bot's answer, without References, continues the thread with the same agent
+            imap.deliver(mail({
+                subject: 'Re: /groq review the repo',
+                body: 'And the CI setup?\r\n\r\nOn Mon, bot wrote:\r\n> answer 1',
+                messageId: '<m3@example.org>',
+                inReplyTo: reply.messageId,
+            }));
+            await connector.poll();
+            await waitUntil(() => smtp.sent.length > 1);
+
+            assert.strictEqual(received[1].text, '/groq And the CI setup?');
+            assert.strictEqual(received[1].sender.chatId, '<m1@example.org>');
+            assert.deepStrictEqual(parseMessage(smtp.sent[1].data).references, ['<m3@example.org>']);
+        } finally {
+            await teardown();
+        }
+    });
+
+    test('should never answer unknown senders or auto-replies', async () => {
+        const { imap, smtp, connector, received, teardown } = await setup();
+        try {
+            imap.deliver(mail({ from: 'stranger@evil.test', subject: '/claude hi', body: '', messageId: '<s1@evil.test>' }));
+            imap.deliver(mail({ subject: 'Out of office', body: '/claude hi', messageId: '<o1@example.org>', headers: ['Auto-Submitted: auto-replied'] }));
+            imap.deliver(mail({ subject: 'Question', body: 'no command here', messageId: '<q1@example.org>' }));
+            await connector.start();
+            await waitUntil(() => received.length === 2 && smtp.sent.length === 1);
+
+            assert.deepStrictEqual(received.map((r) => [r.sender.id, r.text]), [
+                ['stranger@evil.test', '/claude hi'],
+                [OWNER, '/help'],
+            ]);
+            assert.strictEqual(smtp.sent.length, 1);
+            assert.strictEqual(smtp.sent[0].to, OWNER);
+            assert.ok(imap.inbox.every((m) => m.seen));
+        } finally {
+            await teardown();
+        }
+    });
+
+    test('should refuse a forged From without a passing Authentication-Results', async () => {
+        const { imap, smtp, connector, received, teardown } = await setup();
+        try {
+            // No header, a failing one, and a "pass" the sender wrote below the real result
+            imap.deliver(mail({ subject: '/cmd id', body: '', messageId: '<f1@evil.test>', auth: [] }));
+            imap.deliver(mail({
+                subject: '/cmd id', body: '', messageId: '<f2@evil.test>',
+                auth: [`Authentication-Results: ${AUTHSERV}; dkim=none; spf=fail smtp.mailfrom=evil.test; dmarc=fail header.from=example.org`],
+            }));
+            imap.deliver(mail({
+                subject: '/cmd id', body: '', messageId: '<f3@evil.test>',
+                auth: [`Authentication-Results: ${AUTHSERV}; dmarc=fail header.from=example.org`, PASS],
+            }));
+            await connector.start();
+            await waitUntil(() => received.length === 3);
+            await new Promise((r) => setTimeout(r, 50));
+
+            assert.ok(received.every((r) => r.sender.id === OWNER && r.sender.unverified));
+            assert.match(received[0].sender.unverified, /no Authentication-Results from mx\.example\.org/);
+            assert.match(received[1].sender.unverified, /did not verify example\.org/);
+            assert.strictEqual(smtp.sent.length, 0, 'nothing is answered');
+        } finally {
+            await teardown();
+        }
+    });
+
+    test('should send a streamed answer as a single mail', async () => {
+        const { imap, smtp, connector, teardown } = await setup();
+        connector.setMessageHandler(async (text, sender) => {
+            const stream = connector.createReplyStream(sender);
+            await stream.start('🤖 Thinking...');
+            stream.push('partial');
+            await stream.finish('full answer');
+        });
+        try {
+            imap.deliver(mail({ subject: 'Report', body: '/claude status', messageId: '<r1@example.org>' }));
+            await connector.start();
+            await waitUntil(() => smtp.sent.length > 0);
+            await new Promise((r) => setTimeout(r, 50));
+
+            assert.strictEqual(smtp.sent.length, 1);
+            assert.strictEqual(parseMessage(smtp.sent[0].data).text.trim(), 'full answer');
+        } finally {
+            await teardown();
+        }
+    });
+
+    test('should fail to start with wrong credentials', async () => {
+        const { connector, teardown } = await setup();
+        connector.config.password = 'wrong';
+        try {
+            await assert.rejects(connector.start(), /AUTHENTICATIONFAILED/);
+            assert.strictEqual(connector.isConnected(), false);
+        } finally {
+            await teardown();
+        }
+    });
+});
@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { BaseAgent } from '../src/agents/base.js';
+import { createAgent } from '../src/agents/index.js';
+import {
+    getFallbackChain, isRetryable, sendWithFallback, listFailovers,
+} from '../src/agents/fallback.js';
+
+/** Agent that fails with the queued errors, then echoes. */
+class ScriptedAgent extends BaseAgent {
+    constructor(name, errors = []) {
+        super(name);
+        this.errors = [...errors];
+        this.calls = 0;
+    }
+
+    async send(message) {
+        this.calls++;
+        this.messages.push({ role: 'user', content: message });
+        const error = this.errors.shift();
+        if (error) throw new Error(error);
+        const answer = `${this.name}: ${message}`;
+        this.messages.push({ role: 'assistant', content: answer });
+        return answer;
+    }
+}
+
+const noSleep = async () => { };
+
+describe('Fallback Chains', () => {
+    test('getFallbackChain should put the agent first and drop duplicates', () => {
+        const config = { fallbacks: { groq: ['ollama', 'groq', 'gemini-api'] } };
+        assert.deepStrictEqual(getFallbackChain('groq', config), ['groq', 'ollama', 'gemini-api']);
+        assert.deepStrictEqual(getFallbackChain('ollama', config), ['ollama']);
+    });
+
+    test('isRetryable should only match transient errors', () => {
+        assert.ok(isRetryable(new Error('Groq rate limit exceeded.')));
+        assert.ok(isRetryable(new Error('Claude API error (529): overloaded')));
+        assert.ok(isRetryable(new Error('socket hang up')));
+        assert.ok(!isRetryable(new Error('GROQ_API_KEY is not set.')));
+        assert.ok(!isRetryable(new Error('Cannot connect to Ollama. Is the Ollama server running?')));
+    });
+
+    test('should retry transient errors with backoff and roll back history', async () => {
+        const primary = new ScriptedAgent('groq', ['Groq rate limit exceeded.', 'Groq rate limit exceeded.']);
+        const delays = [];
+        let retries = 0;
+
+        const { response, failovers } = await sendWithFallback(primary, 'hi', {
+            chain: ['groq'],
+            createAgent: () => assert.fail('no fallback expected'),
+            backoffMs: 100,
+            sleep: async (ms) => { delays.push(ms); },
+            onRetry: () => { retries++; },
+        });
+
+        assert.strictEqual(response, 'groq: hi');
+        assert.deepStrictEqual(delays, [100, 200]);
+        assert.strictEqual(retries, 2, 'streamed text is dropped before each retry');
+        assert.deepStrictEqual(failovers, []);
+        assert.strictEqual(primary.messages.length, 2, 'failed attempts leave no trace');
+    });
+
+    test('should rethrow the original error when there is no fallback', async () => {
+        const primary = new ScriptedAgent('groq', ['GROQ_API_KEY is not set.']);
+        await assert.rejects(
+            sendWithFallback(primary, 'hi', { chain: ['groq'], createAgent: () => null, sleep: noSleep }),
+            /GROQ_API_KEY is not set/
+        );
+        assert.strictEqual(primary.calls, 1, 'permanent errors are not retried');
+    });
+
+    test('should hand the conversation to the next agent and record the answer', async () => {
+        const primary = new ScriptedAgent('groq', ['GROQ_API_KEY is not set.']);
+        primary.messages = [
+            { role: 'user', content: 'my name is Ada' },
+            { role: 'assistant', content: 'Hi Ada' },
+        ];
+        const fallback = new ScriptedAgent('ollama');
+        let retries = 0;
+
+        const { response, agent, failovers } = await sendWithFallback(primary, 'who am I?', {
+            chain: ['groq', 'ollama'],
+            createAgent: () => fallback,
+            origin: 'Telegram 42',
+            sleep: noSleep,
+            onRetry: () => { retries++; },
+        });
+
+        assert.strictEqual(response, 'ollama: who am I?');
+        assert.strictEqual(retries, 1, 'the fallback starts from an empty stream');
+        assert.strictEqual(agent, fallback);
+        assert.deepStrictEqual(fallback.messages.slice(0, 2), [
+            { role: 'user', content: 'my name is Ada' },
+            { role: 'assistant', content: 'Hi Ada' },
+        ]);
+        assert.deepStrictEqual(primary.messages.slice(-2), [
+            { role: 'user', content: 'who am I?' },
+            { role: 'assistant', content: 'ollama: who am I?' },
+        ]);
+        assert.strictEqual(failovers.length, 1);
+        assert.strictEqual(failovers[0].from, 'groq');
+        assert.strictEqual(failovers[0].to, 'ollama');
+
+        const logged = listFailovers().at(-1);
+        assert.strictEqual(logged.origin, 'Telegram 42');
+        assert.ok(logged.at);
+    });
+
+    test('should skip unusable fallbacks and report every failure', async () => {
+        const primary = new ScriptedAgent('groq', ['GROQ_API_KEY is not set.']);
+        const broken = new ScriptedAgent('gemini-api', ['GOOGLE_API_KEY is not set.']);
+
+        await assert.rejects(
+            sendWithFallback(primary, 'hi', {
+                chain: ['groq', 'claude-api', 'gemini-api'],
+                createAgent: () => broken,
+                canUse: (name) => name !== 'claude-api',
+                sleep: noSleep,
+            }),
+            /All agents failed — groq: GROQ_API_KEY is not set\.; claude-api: skipped; gemini-api: GOOGLE_API_KEY is not set\./
+        );
+    });
+
+    test('should convert history between provider formats', async () => {
+        const primary = createAgent('gemini-api', { apiKey: 'x' });
+        primary.messages = [
+            { role: 'user', parts: [{ text: 'list files' }] },
+            { role: 'model', parts: [{ functionCall: { name: 'list_files', args: {} } }] },
+            { role: 'user', parts: [{ functionResponse: { name: 'list_files', response: { result: 'a.js' } } }] },
+            { role: 'model', parts: [{ text: 'There is a.js' }] },
+        ];
+        primary.send = async () => { throw new Error('Gemini API error (503): unavailable'); };
+        const claude = createAgent('claude-api', { apiKey: 'x' });
+        claude.send = async function (message) { return `seen ${this.messages.length} messages, then ${message}`; };
+
+        const { response } = await sendWithFallback(primary, 'thanks', {
+            chain: ['gemini-api', 'claude-api'],
+            createAgent: () => claude,
+            attempts: 1,
+            sleep: noSleep,
+        });
+
+        assert.strictEqual(response, 'seen 2 messages, then thanks');
+        assert.deepStrictEqual(claude.messages, [
+            { role: 'user', content: 'list files' },
+            { role: 'assistant', content: 'There is a.js' },
+        ]);
+        assert.deepStrictEqual(primary.messages.slice(-1), [{ role: 'model', parts: [{ text: response }] }]);
+    });
+
+    test('should fold the transcript into the prompt for CLI agents', async () => {
+        const primary = new ScriptedAgent('groq', ['GROQ_API_KEY is not set.']);
+        primary.messages = [{ role: 'user', content: 'remember 7' }, { role: 'assistant', content: 'ok' }];
+        const cli = createAgent('claude-code', {});
+        let sent = '';
+        cli.send = async (message) => { sent = message; return 'done'; };
+
+        await sendWithFallback(primary, 'what number?', {
+            chain: ['groq', 'claude-code'],
+            createAgent: () => cli,
+            sleep: noSleep,
+        });
+
+        assert.match(sent, /User: remember 7\nAssistant: ok/);
+        assert.match(sent, /Current message:\nwhat number\?$/);
+    });
+});
@@ -0,0 +1,203 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, existsSync, mkdirSync, symlinkSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createUnifiedDiff, parseUnifiedDiff, applyHunks, diffStats } from '../src/utils/diff.js';
+import { resolveWritablePath } from '../src/utils/project-files.js';
+import { planWrite, planEdit, planPatch, applyChanges, runFileEdit } from '../src/tools/file-edits.js';
+import { requestApproval, resolveApproval, listPendingApprovals } from '../src/tools/approvals.js';
+
+describe('Unified Diffs', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n') + '\n';
+
+    test('createUnifiedDiff should produce a hunk that applies back cleanly', () => {
+        const after = before.replace('e\n', 'E\nE2\n');
+        const diff = createUnifiedDiff(before, after, 'x.txt');
+
+        assert.ok(diff.startsWith('--- a/x.txt\n+++ b/x.txt\n@@ -2,7 +2,8 @@'));
+        assert.deepStrictEqual(diffStats(diff), { added: 2, removed: 1 });
+
+        const [file] = parseUnifiedDiff(diff);
+        assert.strictEqual(file.oldPath, 'x.txt');
+        assert.strictEqual(applyHunks(before, file.hunks), after);
+    });
+
+    test('createUnifiedDiff should return an empty string when nothing changed', () => {
+        assert.strictEqual(createUnifiedDiff(before, before, 'x.txt'), '');
+    });
+
+    test('applyHunks should find hunks whose line numbers are off', () => {
+        const patch = '--- a/x.txt\n+++ b/x.txt\n@@ -40,3 +40,3 @@\n g\n-h\n+H\n i\n';
+        const [file] = parseUnifiedDiff(patch);
+        assert.strictEqual(applyHunks(before, file.hunks), before.replace('h\n', 'H\n'));
+    });
+
+    test('applyHunks should refuse hunks whose context does not match', () => {
+        const patch = '--- a/x.txt\n+++ b/x.txt\n@@ -1,2 +1,2 @@\n nope\n-b\n+B\n';
+        const [file] = parseUnifiedDiff(patch);
+        assert.throws(() => applyHunks(before, file.hunks), /does not apply/);
+    });
+});
+
+describe('File Edit Tools', () => {
+    let root;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'minigeri-edits-'));
+        writeFileSync(join(root, 'app.js'), 'const a = 1;\nconst b = 2;\nconst a2 = 1;\n');
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    test('resolveWritablePath should keep writes inside the root', () => {
+        assert.strictEqual(resolveWritablePath(root, 'src/new.js').displayPath, 'src/new.js');
+        assert.throws(() => resolveWritablePath(root, '../outside.js'), /outside the project root/);
+        assert.throws(() => resolveWritablePath(root, '/etc/passwd'), /outside the project root/);
+        assert.throws(() => resolveWritablePath(root, '.env'), /\.env/);
+        assert.throws(() => resolveWritablePath(root, 'config/.env.local'), /\.env/);
+        assert.throws(() => resolveWritablePath(root, '.git/config'), /\.git/);
+    });
+
+    test('resolveWritablePath should not follow symlinks out of the root', () => {
+        const outside = mkdtempSync(join(tmpdir(), 'minigeri-edits-outside-'));
+        try {
+            symlinkSync(outside, join(root, 'link'));
+            symlinkSync(join(outside, 'secret.txt'), join(root, 'secret.txt'));
+            symlinkSync(join(outside, 'missing', 'x.txt'), join(root, 'dangling.txt'));
+            mkdirSync(join(root, 'src'));
+            symlinkSync(join(root, 'src'), join(root, 'src-link'));
+
+            assert.throws(() => resolveWritablePath(root, 'link/new.js'), /outside the project root through a symlink/);
+            assert.throws(() => resolveWritablePath(root, 'link/deep/new.js'), /through a symlink/);
+            assert.throws(() => resolveWritablePath(root, 'secret.txt'), /through a symlink/);
+            assert.throws(() => resolveWritablePath(root, 'dangling.txt'), /through a symlink/);
+            assert.throws(() => planWrite(root, { path: 'link/pwned.txt', content: 'x' }), /through a symlink/);
+            assert.strictEqual(resolveWritablePath(root, 'src-link/ok.js').displayPath, 'src-link/ok.js');
+        } finally {
+            rmSync(outside, { recursive: true, force: true });
+        }
+    });
+
+    test('resolveWritablePath should refuse symlinks to .env files and .git', () => {
+        writeFileSync(join(root, '.env'), 'TOKEN=secret\n');
+        mkdirSync(join(root, '.git'));
+        symlinkSync(join(root, '.env'), join(root, 'notes.txt'));
+        symlinkSync(join(root, '.git'), join(root, 'meta'));
+
+        assert.throws(() => resolveWritablePath(root, 'notes.txt'), /\.env files are restricted/);
+        assert.throws(() => resolveWritablePath(root, 'meta/hooks/pre-commit'), /\.git is restricted/);
+        assert.throws(() => planWrite(root, { path: 'notes.txt', content: 'x' }), /\.env/);
+    });
+
+    test('applyChanges should check each path again before writing', () => {
+        const outside = mkdtempSync(join(tmpdir(), 'minigeri-edits-outside-'));
+        try {
+            mkdirSync(join(root, 'out'));
+            const plan = planWrite(root, { path: 'out/file.txt', content: 'x' });
+
+            // The directory turns into a symlink while the user is deciding
+            rmSync(join(root, 'out'), { recursive: true });
+            symlinkSync(outside, join(root, 'out'));
+
+            assert.throws(() => applyChanges(plan), /through a symlink/);
+            assert.strictEqual(existsSync(join(outside, 'file.txt')), false);
+        } finally {
+            rmSync(outside, { recursive: true, force: true });
+        }
+    });
+
+    test('resolveWritablePath should honour multi-root prefixes', () => {
+        const other = mkdtempSync(join(tmpdir(), 'minigeri-edits-other-'));
+        try {
+            const name = other.split(/[\\/]/).pop();
+            assert.strictEqual(resolveWritablePath([root, other], `${name}/a.js`).absPath, join(other, 'a.js'));
+            assert.strictEqual(resolveWritablePath([root, other], 'a.js').absPath, join(root, 'a.js'));
+        } finally {
+            rmSync(other, { recursive: true, force: true });
+        }
+    });
+
+    test('planEdit should require a unique match unless replace_all is set', () => {
+        assert.throws(() => planEdit(root, { path: 'app.js', old_text: '= 1;', new_text: '= 9;' }), /matches 2 places/);
+        assert.throws(() => planEdit(root, { path: 'app.js', old_text: 'nope', new_text: '' }), /not found/);
+        assert.throws(() => planEdit(root, { path: 'missing.js', old_text: 'a', new_text: 'b' }), /File not found/);
+
+        const plan = planEdit(root, { path: 'app.js', old_text: '= 1;', new_text: '= 9;', replace_all: true });
+        assert.strictEqual(plan.changes[0].after, 'const a = 9;\nconst b = 2;\nconst a2 = 9;\n');
+        assert.match(plan.diff, /^-const a = 1;$/m);
+    });
+
+    test('applyChanges should create directories and refuse stale plans', () => {
+        const plan = planWrite(root, { path: 'lib/util.js', content: 'export {};\n' });
+        assert.deepStrictEqual(applyChanges(plan), ['Created lib/util.js (+1)']);
+        assert.strictEqual(readFileSync(join(root, 'lib/util.js'), 'utf-8'), 'export {};\n');
+
+        const stale = planEdit(root, { path: 'app.js', old_text: 'const b', new_text: 'let b' });
+        writeFileSync(join(root, 'app.js'), 'changed\n');
+        assert.throws(() => applyChanges(stale), /changed on disk/);
+        assert.strictEqual(readFileSync(join(root, 'app.js'), 'utf-8'), 'changed\n');
+    });
+
+    test('planPatch should create, modify and delete files', () => {
+        mkdirSync(join(root, 'old'));
+        writeFileSync(join(root, 'old/gone.txt'), 'bye\n');
+        const patch = [
+            '--- a/app.js', '+++ b/app.js', '@@ -1,3 +1,3 @@', ' const a = 1;', '-const b = 2;', '+const b = 3;', ' const a2 = 1;',
+            '--- /dev/null', '+++ b/docs/new.md', '@@ -0,0 +1,2 @@', '+# New', '+text',
+            '--- a/old/gone.txt', '+++ /dev/null', '@@ -1 +0,0 @@', '-bye',
+        ].join('\n');
+
+        const summary = applyChanges(planPatch(root, { patch }));
+        assert.deepStrictEqual(summary, ['Updated app.js (+1 -1)', 'Created docs/new.md (+2)', 'Deleted old/gone.txt']);
+        assert.match(readFileSync(join(root, 'app.js'), 'utf-8'), /const b = 3;/);
+        assert.strictEqual(readFileSync(join(root, 'docs/new.md'), 'utf-8'), '# New\ntext\n');
+        assert.strictEqual(existsSync(join(root, 'old/gone.txt')), false);
+    });
+
+    test('runFileEdit should only write after approval', async () => {
+        const args = { path: 'app.js', old_text: 'const b = 2;', new_text: 'const b = 3;' };
+        const original = readFileSync(join(root, 'app.js'), 'utf-8');
+
+        assert.match(await runFileEdit('edit_file', args, root), /need user approval/);
+        assert.match(await runFileEdit('edit_file', args, root, async () => false), /^\[Rejected/);
+        assert.strictEqual(readFileSync(join(root, 'app.js'), 'utf-8'), original);
+
+        let seen;
+        const result = await runFileEdit('edit_file', args, root, async (request) => {
+            seen = request;
+            return true;
+        });
+        assert.strictEqual(result, 'Updated app.js (+1 -1)');
+        assert.deepStrictEqual(seen.files, ['app.js']);
+        assert.match(seen.diff, /^\+const b = 3;$/m);
+
+        assert.match(await runFileEdit('write_file', { path: '.env', content: 'X=1' }, root, async () => true), /\.env files are restricted/);
+    });
+});
+
+describe('Remote Approvals', () => {
+    test('should only be settled from the chat that was asked', async () => {
+        const { id, promise } = requestApproval('telegram:1', { files: ['a.js'] });
+        assert.strictEqual(resolveApproval('telegram:2', id, true), null);
+        assert.strictEqual(listPendingApprovals('telegram:1').length, 1);
+
+        assert.deepStrictEqual(resolveApproval('telegram:1', id.toUpperCase(), true), { files: ['a.js'] });
+        assert.strictEqual(await promise, true);
+        assert.strictEqual(listPendingApprovals('telegram:1').length, 0);
+    });
+
+    test('should accept a missing id when exactly one change is pending', async () => {
+        const { promise } = requestApproval('slack:C1', { files: ['a.js'] });
+        assert.ok(resolveApproval('slack:C1', '', false));
+        assert.strictEqual(await promise, false);
+    });
+
+    test('should reject automatically after the timeout', async () => {
+        const { promise } = requestApproval('whatsapp:9', { files: ['a.js'] }, { timeoutMs: 5 });
+        assert.strictEqual(await promise, false);
+        assert.strictEqual(listPendingApprovals('whatsapp:9').length, 0);
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * A minimal MCP server for tests. Run directly it speaks newline-delimited
+ * JSON-RPC over stdio; handleMessage() is also imported by the HTTP test.
+ *
+ * Tools: echo, add, fail — tools/list is split over two pages.
+ */
+import { fileURLToPath } from 'url';
+
+const TOOLS = [
+    {
+        name: 'echo',
+        description: 'Echo the text back',
+        inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    },
+    {
+        name: 'add',
+        description: 'Add two numbers',
+        inputSchema: {
+            type: 'object',
+            properties: { a: { type: 'number' }, b: { type: ['number', 'null'] } },
+            required: ['a'],
+        },
+    },
+    { name: 'fail', description: 'Always fails', inputSchema: { type: 'object', properties: {} } },
+];
+
+function callTool({ name, arguments: args = {} }) {
+    switch (name) {
+        case 'echo':
+            return { content: [{ type: 'text', text: `echo: ${args.text}` }] };
+        case 'add':
+            return { content: [{ type: 'text', text: String(args.a + (args.b || 0)) }] };
+        case 'fail':
+            return { content: [{ type: 'text', text: 'something broke' }], isError: true };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Answer one JSON-RPC message; returns the response, or null for notifications.
+ */
+export function handleMessage(msg) {
+    if (msg.id === undefined) return null;
+    const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+
+    switch (msg.method) {
+        case 'initialize':
+            return reply({
+                protocolVersion: msg.params.protocolVersion,
+                capabilities: { tools: {} },
+                serverInfo: { name: 'fixture', version: '0.1.0' },
+            });
+        case 'tools/list':
+            return msg.params?.cursor === 'page2'
+                ? reply({ tools: TOOLS.slice(2) })
+                : reply({ tools: TOOLS.slice(0, 2), nextCursor: 'page2' });
+        case 'tools/call': {
+            const result = callTool(msg.params);
+            return result
+                ? reply(result)
+                : { jsonrpc: '2.0', id: msg.id, error: { code: -32602, message: `Unknown tool: ${msg.params.name}` } };
+        }
+        default:
+            return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'Method not found' } };
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    let buffer = '';
+    process.stdin.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (!line.trim()) continue;
+            const response = handleMessage(JSON.parse(line));
+            if (response) process.stdout.write(JSON.stringify(response) + '\n');
+        }
+    });
+    process.stderr.write('fixture server ready\n');
+}
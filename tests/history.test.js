@@ -0,0 +1,128 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createAgent } from '../src/agents/index.js';
+import {
+    SUMMARY_PREFIX, isSummaryMessage, planCompaction, renderTranscript,
+} from '../src/agents/history.js';
+
+// Alternating user/assistant turns in OpenAI format
+function openAITurns(count) {
+    const messages = [];
+    for (let i = 1; i <= count; i++) {
+        messages.push({ role: 'user', content: `question ${i}` });
+        messages.push({ role: 'assistant', content: `answer ${i}` });
+    }
+    return messages;
+}
+
+describe('History Compaction', () => {
+    test('planCompaction should keep the last N user turns and leading system messages', () => {
+        const messages = [{ role: 'system', content: 'rules' }, ...openAITurns(5)];
+        const plan = planCompaction(messages, 2);
+
+        assert.deepStrictEqual(plan.head, [{ role: 'system', content: 'rules' }]);
+        assert.strictEqual(plan.dropped.length, 6);
+        assert.strictEqual(plan.kept[0].content, 'question 4');
+        assert.strictEqual(plan.kept.length, 4);
+    });
+
+    test('planCompaction should never cut between a tool call and its result', () => {
+        const messages = [
+            { role: 'user', content: 'read the file' },
+            { role: 'assistant', content: null, tool_calls: [{ id: 'c1', function: { name: 'read_file', arguments: '{}' } }] },
+            { role: 'tool', tool_call_id: 'c1', content: 'file body' },
+            { role: 'assistant', content: 'done' },
+            { role: 'user', content: 'next' },
+            { role: 'assistant', content: 'ok' },
+        ];
+        const plan = planCompaction(messages, 1);
+        assert.strictEqual(plan.dropped.length, 4);
+        assert.strictEqual(plan.kept[0].content, 'next');
+    });
+
+    test('planCompaction should treat Anthropic tool_result blocks and Gemini functionResponse as tool output', () => {
+        const anthropic = [
+            { role: 'user', content: 'q1' },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'list_files', input: {} }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'a.js' }] },
+            { role: 'assistant', content: 'a1' },
+            { role: 'user', content: 'q2' },
+            { role: 'assistant', content: 'a2' },
+        ];
+        assert.strictEqual(planCompaction(anthropic, 1).kept[0].content, 'q2');
+
+        const gemini = [
+            { role: 'user', parts: [{ text: 'q1' }] },
+            { role: 'model', parts: [{ functionCall: { name: 'list_files', args: {} } }] },
+            { role: 'user', parts: [{ functionResponse: { name: 'list_files', response: { result: 'a.js' } } }] },
+            { role: 'model', parts: [{ text: 'a1' }] },
+            { role: 'user', parts: [{ text: 'q2' }] },
+            { role: 'model', parts: [{ text: 'a2' }] },
+        ];
+        assert.deepStrictEqual(planCompaction(gemini, 1).kept[0].parts, [{ text: 'q2' }]);
+    });
+
+    test('planCompaction should return null when there is nothing new to drop', () => {
+        assert.strictEqual(planCompaction(openAITurns(2), 4), null);
+
+        const alreadyCompacted = [
+            { role: 'user', content: `${SUMMARY_PREFIX}\n- earlier` },
+            { role: 'assistant', content: 'ack' },
+            ...openAITurns(2),
+        ];
+        assert.strictEqual(planCompaction(alreadyCompacted, 2), null);
+    });
+
+    test('renderTranscript should include text, tool calls and tool results', () => {
+        const transcript = renderTranscript([
+            { role: 'user', content: 'read it' },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'read_file', input: { path: 'a.js' } }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'x'.repeat(600) }] },
+            { role: 'model', parts: [{ text: 'it is short' }] },
+        ]);
+
+        assert.ok(transcript.includes('User: read it'));
+        assert.ok(transcript.includes('Tool call: read_file({"path":"a.js"})'));
+        assert.ok(transcript.includes(`Tool result: ${'x'.repeat(500)}...`));
+        assert.ok(transcript.includes('Assistant: it is short'));
+    });
+
+    test('compactHistory should pin a summary and record the compaction', async () => {
+        const agent = createAgent('groq', { apiKey: 'test', historyMode: 'compact', keepTurns: 1 });
+        agent.messages = openAITurns(3);
+        let seen = '';
+        agent.summarize = async (transcript) => {
+            seen = transcript;
+            return '- user asked two questions';
+        };
+
+        assert.strictEqual(await agent.compactHistory(), true);
+        assert.ok(seen.includes('User: question 1'));
+        assert.ok(!seen.includes('question 3'));
+        assert.ok(isSummaryMessage(agent.messages[0]));
+        assert.ok(agent.messages[0].content.includes('- user asked two questions'));
+        assert.strictEqual(agent.messages[2].content, 'question 3');
+        assert.strictEqual(agent.compactions.length, 1);
+        assert.strictEqual(agent.compactions[0].dropped, 4);
+        assert.strictEqual(agent.getHistoryStats().turns, 1);
+    });
+
+    test('trimHistory should fall back to truncation when summarizing fails', async () => {
+        const agent = createAgent('groq', { apiKey: 'test', historyMode: 'compact', maxTurns: 2 });
+        agent.messages = openAITurns(6);
+        agent.summarize = async () => { throw new Error('offline'); };
+
+        await agent.trimHistory();
+        assert.strictEqual(agent.messages.length, 10);
+        assert.strictEqual(agent.compactions.length, 0);
+    });
+
+    test('Gemini summary messages should use parts and the model role', () => {
+        const agent = createAgent('gemini-api', { apiKey: 'test' });
+        const [summary, ack] = agent.summaryMessages('- notes');
+        assert.strictEqual(summary.role, 'user');
+        assert.strictEqual(summary.parts[0].text, `${SUMMARY_PREFIX}\n- notes`);
+        assert.strictEqual(ack.role, 'model');
+        assert.ok(isSummaryMessage(summary));
+    });
+});
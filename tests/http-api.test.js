@@ -0,0 +1,202 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Config, sessions and usage live under HOME — point it at a temp dir
+// before any minigeri module is loaded
+const home = mkdtempSync(join(tmpdir(), 'minigeri-http-api-'));
+process.env.HOME = home;
+
+const TOKEN = 'test-token-0123456789';
+
+/** Fake OpenAI-compatible server that echoes the message count (system prompt included). */
+function startFakeModel() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (c) => { body += c; });
+        req.on('end', () => {
+            if (server.failNext > 0) {
+                server.failNext--;
+                res.writeHead(429, { 'Content-Type': 'application/json' });
+                res.end('{"error":"slow down"}');
+                return;
+            }
+            const { messages } = JSON.parse(body);
+            const last = messages[messages.length - 1].content;
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: `echo(${messages.length}): ` } }] })}\n\n`);
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: last } }] })}\n\n`);
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    server.failNext = 0;
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('HTTP API connector', () => {
+    let model;
+    let api;
+    let base;
+    let registerCommand;
+
+    before(async () => {
+        model = await startFakeModel();
+        mkdirSync(join(home, '.cli-bot'), { recursive: true });
+        writeFileSync(join(home, '.cli-bot', 'config.json'), JSON.stringify({
+            agents: {
+                local: { provider: 'openai-compatible', baseUrl: `http://127.0.0.1:${model.address().port}/v1`, model: 'm' },
+            },
+            retry: { backoffMs: 1 },
+        }));
+
+        const { HttpApiConnector } = await import('../src/connectors/http.js');
+        ({ registerCommand } = await import('../src/tools/command-runner.js'));
+        api = new HttpApiConnector({ token: TOKEN, port: 0 });
+        const { port } = await api.start();
+        base = `http://127.0.0.1:${port}`;
+    });
+
+    after(async () => {
+        await api.stop();
+        model.close();
+        rmSync(home, { recursive: true, force: true });
+    });
+
+    const call = (path, { method = 'POST', body, token = TOKEN, headers = {} } = {}) => fetch(`${base}${path}`, {
+        method,
+        headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    test('should refuse requests without the bearer token', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const missing = await call('/v1/status', { method: 'GET', token: null });
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer');
+
+        const wrong = await call('/v1/status', { method: 'GET', token: 'nope-nope-nope-nope' });
+        assert.strictEqual(wrong.status, 401);
+    });
+
+    test('should report status', async () => {
+        const res = await call('/v1/status', { method: 'GET' });
+        assert.strictEqual(res.status, 200);
+        const body = await res.json();
+        assert.strictEqual(body.status, 'ok');
+        assert.ok(body.agents.includes('local'));
+    });
+
+    test('should answer agent messages as JSON and keep the session', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const first = await call('/v1/agents/local/messages', { body: { message: 'hi', session_id: 'ci-1' } });
+        assert.strictEqual(first.status, 200);
+        assert.deepStrictEqual(await first.json(), { response: 'echo(2): hi', agent: 'local', session_id: 'ci-1', failovers: [] });
+
+        // Second message in the same session sees the earlier turn
+        const second = await call('/v1/agents/local/messages', { body: { message: 'again', session_id: 'ci-1' } });
+        assert.strictEqual((await second.json()).response, 'echo(4): again');
+        assert.ok(readdirSync(join(home, '.cli-bot', 'sessions')).some((f) => f.startsWith('http+ci-1+local')));
+    });
+
+    test('should stream agent messages as server-sent events', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const res = await call('/v1/agents/local/messages', { body: { message: 'yo', session_id: 'sse', stream: true } });
+        assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+        const text = await res.text();
+        const events = text.trim().split('\n\n').map((block) => {
+            const [eventLine, dataLine] = block.split('\n');
+            return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+        });
+        assert.deepStrictEqual(events.filter((e) => e.event === 'token').map((e) => e.data.text), ['echo(2): ', 'yo']);
+        assert.strictEqual(events.at(-1).event, 'done');
+        assert.strictEqual(events.at(-1).data.response, 'echo(2): yo');
+    });
+
+    test('should tell streaming clients to drop tokens when an attempt is retried', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        model.failNext = 1;
+        const res = await call('/v1/agents/local/messages', { body: { message: 'again', session_id: 'sse-retry', stream: true } });
+
+        const events = (await res.text()).trim().split('\n\n').map((block) => block.split('\n')[0].slice(7));
+        assert.deepStrictEqual(events, ['retry', 'token', 'token', 'done']);
+    });
+
+    test('should validate agent requests', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        assert.strictEqual((await call('/v1/agents/nobody/messages', { body: { message: 'x' } })).status, 404);
+        assert.strictEqual((await call('/v1/agents/local/messages', { body: {} })).status, 400);
+        assert.strictEqual((await call('/v1/agents/local/messages', { body: { message: 'x', session_id: '../etc' } })).status, 400);
+        assert.strictEqual((await call('/v1/agents/local/messages', { method: 'GET' })).status, 405);
+        assert.strictEqual((await call('/v1/nothing', { method: 'GET' })).status, 404);
+    });
+
+    test('should run allowed commands and refuse others', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        registerCommand('folder', () => console.log('  /some/dir'));
+
+        const ok = await call('/v1/commands', { body: { command: 'folder' } });
+        assert.strictEqual(ok.status, 200);
+
+        const denied = await call('/v1/commands', { body: { command: 'uninstall' } });
+        assert.strictEqual(denied.status, 403);
+        assert.match((await denied.json()).error, /not allowed/);
+    });
+
+    test('should answer overlapping messages in a session one at a time', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const ask = () => call('/v1/agents/local/messages', { body: { message: 'x', session_id: 'pair' } }).then((r) => r.json());
+
+        const answers = await Promise.all([ask(), ask()]);
+        // Run together, both turns would see the same history
+        assert.deepStrictEqual(answers.map((a) => a.response).sort(), ['echo(2): x', 'echo(4): x']);
+    });
+
+    test('should rate limit agent messages per session', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const configFile = join(home, '.cli-bot', 'config.json');
+        const saved = readFileSync(configFile, 'utf-8');
+        writeFileSync(configFile, JSON.stringify({ ...JSON.parse(saved), rateLimit: { user: { burst: 1, perMinute: 1 } } }));
+        try {
+            const ask = (session) => call('/v1/agents/local/messages', { body: { message: 'hi', session_id: session } });
+            assert.strictEqual((await ask('busy')).status, 200);
+
+            const limited = await ask('busy');
+            assert.strictEqual(limited.status, 429);
+            assert.strictEqual(limited.headers.get('retry-after'), '60');
+            assert.match((await limited.json()).error, /Too many requests \(user limit\)/);
+
+            assert.strictEqual((await ask('other')).status, 200, 'each session has its own bucket');
+        } finally {
+            writeFileSync(configFile, saved);
+        }
+    });
+
+    test('should run overlapping commands one at a time', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const installed = console.log;
+        const events = [];
+        registerCommand('usage', async () => {
+            events.push('usage start');
+            console.log('usage: today');
+            await new Promise((r) => setTimeout(r, 50));
+            console.log('usage: month');
+            events.push('usage end');
+        });
+        registerCommand('status', async () => {
+            events.push('status start');
+            console.log('status: ok');
+        });
+
+        const [usage, status] = await Promise.all([
+            call('/v1/commands', { body: { command: 'usage' } }).then((r) => r.json()),
+            call('/v1/commands', { body: { command: 'status' } }).then((r) => r.json()),
+        ]);
+        assert.deepStrictEqual([usage.output, status.output], ['usage: today\nusage: month', 'status: ok']);
+        assert.deepStrictEqual(events, ['usage start', 'usage end', 'status start']);
+        assert.strictEqual(console.log, installed, 'console restored');
+    });
+});
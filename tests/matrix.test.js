@@ -0,0 +1,212 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { once } from 'node:events';
+import { MatrixConnector, markdownToMatrixHtml } from '../src/connectors/matrix.js';
+
+const BOT = '@geri:example.org';
+const OWNER = '@owner:example.org';
+const ROOM = '!ops:example.org';
+
+/**
+ * Fake homeserver: whoami, an initial sync, long-polled syncs fed from
+ * a queue, joins and sends. Every request is recorded.
+ */
+async function startHomeserver() {
+    const server = http.createServer();
+    const hs = { requests: [], queue: [], waiting: null, batch: 0 };
+
+    const flush = () => {
+        if (!hs.waiting || hs.queue.length === 0) return;
+        const res = hs.waiting;
+        hs.waiting = null;
+        res.end(JSON.stringify({ next_batch: `s${++hs.batch}`, rooms: hs.queue.shift() }));
+    };
+    hs.push = (rooms) => {
+        hs.queue.push(rooms);
+        flush();
+    };
+
+    server.on('request', (req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            hs.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, auth: req.headers.authorization, body: body ? JSON.parse(body) : null });
+            res.setHeader('Content-Type', 'application/json');
+
+            if (req.headers.authorization !== 'Bearer secret-token') {
+                res.statusCode = 401;
+                return res.end(JSON.stringify({ errcode: 'M_UNKNOWN_TOKEN', error: 'Invalid token' }));
+            }
+            if (url.pathname.endsWith('/account/whoami')) return res.end(JSON.stringify({ user_id: BOT }));
+            if (url.pathname.endsWith('/sync')) {
+                if (url.searchParams.get('timeout') === '0') {
+                    return res.end(JSON.stringify({
+                        next_batch: 's0',
+                        rooms: { join: { [ROOM]: { state: { events: [{ type: 'm.room.name', content: { name: 'Ops' } }] } } } },
+                    }));
+                }
+                hs.waiting = res;
+                return flush();
+            }
+            if (url.pathname.includes('/join/')) return res.end(JSON.stringify({ room_id: decodeURIComponent(url.pathname.split('/').pop()) }));
+            if (url.pathname.includes('/send/')) return res.end(JSON.stringify({ event_id: `$e${hs.requests.length}` }));
+            res.statusCode = 404;
+            res.end(JSON.stringify({ errcode: 'M_UNRECOGNIZED', error: 'Unrecognized request' }));
+        });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    hs.url = `http://127.0.0.1:${server.address().port}`;
+    hs.close = () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+    return hs;
+}
+
+function makeConnector(hs, config = {}) {
+    const connector = new MatrixConnector({
+        homeserver: hs.url,
+        accessToken: 'secret-token',
+        allowedRooms: '',
+        ...config,
+    });
+    const received = [];
+    connector.setMessageHandler(async (text, sender, reply) => {
+        received.push({ text, sender });
+        await reply('**pong**', { markdown: true });
+    });
+    return { connector, received };
+}
+
+const message = (sender, body, extra = {}) => ({
+    type: 'm.room.message', sender, event_id: `$${Math.random()}`, content: { msgtype: 'm.text', body, ...extra },
+});
+
+const waitUntil = async (fn) => {
+    for (let i = 0; i < 200 && !fn(); i++) await new Promise((r) => setTimeout(r, 10));
+};
+
+describe('Matrix Connector', () => {
+    test('should sync from the current position and reply in the room', async () => {
+        const hs = await startHomeserver();
+        const { connector, received } = makeConnector(hs);
+        try {
+            const whoami = await connector.start();
+            assert.strictEqual(whoami.user_id, BOT);
+            assert.ok(connector.isConnected());
+            assert.strictEqual(connector.rooms.get(ROOM).name, 'Ops');
+
+            hs.push({ join: { [ROOM]: { timeline: { events: [message(OWNER, 'hello')] } } } });
+            await waitUntil(() => hs.requests.some((r) => r.method === 'PUT'));
+
+            assert.strictEqual(received.length, 1);
+            assert.strictEqual(received[0].text, 'hello');
+            assert.deepStrictEqual(received[0].sender, {
+                id: OWNER, name: 'owner', chatId: ROOM, chatName: 'Ops', chatType: 'room',
+            });
+
+            const put = hs.requests.find((r) => r.method === 'PUT');
+            assert.ok(put.path.startsWith(`/_matrix/client/v3/rooms/${encodeURIComponent(ROOM)}/send/m.room.message/`));
+            assert.strictEqual(put.body.body, '**pong**');
+            assert.strictEqual(put.body.formatted_body, '<strong>pong</strong>');
+
+            // The long poll continues from the batch token of the initial sync
+            const syncs = hs.requests.filter((r) => r.path.endsWith('/sync'));
+            assert.strictEqual(syncs[1].query.get('since'), 's0');
+        } finally {
+            await connector.stop();
+            await hs.close();
+        }
+    });
+
+    test('should ignore its own messages, notices, edits and rooms outside the allowlist', async () => {
+        const hs = await startHomeserver();
+        const { connector, received } = makeConnector(hs, { allowedRooms: ROOM });
+        try {
+            await connector.start();
+            hs.push({
+                join: {
+                    [ROOM]: {
+                        timeline: {
+                            events: [
+                                message(BOT, 'echo'),
+                                { ...message(OWNER, 'bot output'), content: { msgtype: 'm.notice', body: 'bot output' } },
+                                message(OWNER, '* fixed', { 'm.relates_to': { rel_type: 'm.replace', event_id: '$1' } }),
+                            ],
+                        },
+                    },
+                    '!other:example.org': { timeline: { events: [message(OWNER, 'elsewhere')] } },
+                },
+            });
+            hs.push({ join: { [ROOM]: { timeline: { events: [message(OWNER, 'last')] } } } });
+            await waitUntil(() => received.length > 0);
+
+            assert.deepStrictEqual(received.map((m) => m.text), ['last']);
+        } finally {
+            await connector.stop();
+            await hs.close();
+        }
+    });
+
+    test('should only accept invites from allowed users', async () => {
+        const hs = await startHomeserver();
+        const { connector } = makeConnector(hs);
+        const previous = process.env.MATRIX_ALLOWED_USERS;
+        process.env.MATRIX_ALLOWED_USERS = OWNER;
+        const invite = (sender) => ({
+            invite_state: { events: [{ type: 'm.room.member', state_key: BOT, sender, content: { membership: 'invite' } }] },
+        });
+        try {
+            await connector.start();
+            hs.push({ invite: { '!spam:example.org': invite('@stranger:example.org'), '!new:example.org': invite(OWNER) } });
+            await waitUntil(() => connector.rooms.has('!new:example.org'));
+
+            const joins = hs.requests.filter((r) => r.path.includes('/join/')).map((r) => decodeURIComponent(r.path.split('/').pop()));
+            assert.deepStrictEqual(joins, ['!new:example.org']);
+        } finally {
+            if (previous === undefined) delete process.env.MATRIX_ALLOWED_USERS;
+            else process.env.MATRIX_ALLOWED_USERS = previous;
+            await connector.stop();
+            await hs.close();
+        }
+    });
+
+    test('should stop promptly while a long poll is pending', async () => {
+        const hs = await startHomeserver();
+        const { connector } = makeConnector(hs);
+        try {
+            await connector.start();
+            await waitUntil(() => hs.waiting);
+
+            const started = Date.now();
+            await connector.stop();
+            assert.ok(Date.now() - started < 1000);
+            assert.strictEqual(connector.isConnected(), false);
+        } finally {
+            await hs.close();
+        }
+    });
+
+    test('should reject an invalid access token', async () => {
+        const hs = await startHomeserver();
+        const connector = new MatrixConnector({ homeserver: hs.url, accessToken: 'wrong' });
+        try {
+            await assert.rejects(connector.start(), /M_UNKNOWN_TOKEN/);
+            assert.strictEqual(connector.isConnected(), false);
+        } finally {
+            await hs.close();
+        }
+    });
+
+    test('should render agent Markdown as Matrix HTML', () => {
+        assert.strictEqual(
+            markdownToMatrixHtml('**Done** with `a<b`\n```js\nx *= 2\n```'),
+            '<strong>Done</strong> with <code>a&lt;b</code><br><pre><code>x *= 2\n</code></pre>'
+        );
+        assert.strictEqual(markdownToMatrixHtml('an *idea*'), 'an <em>idea</em>');
+    });
+});
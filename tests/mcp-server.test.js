@@ -0,0 +1,115 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createMcpServer, serveMcpStdio } from '../src/services/mcp-server.js';
+import { registerCommand } from '../src/tools/command-runner.js';
+import { createControlServer } from '../src/services/daemon.js';
+
+describe('MCP server', () => {
+    let dir;
+    let server;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'minigeri-mcp-serve-'));
+        writeFileSync(join(dir, 'notes.txt'), 'alpha\nbeta\n');
+        registerCommand('status', () => console.log('all services up'));
+        server = createMcpServer({ version: '9.9.9', cwd: dir });
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    const call = (name, args) => server.handle({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+
+    test('should answer initialize with tool capabilities', async () => {
+        const res = await server.handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+        assert.strictEqual(res.result.protocolVersion, '2025-03-26');
+        assert.deepStrictEqual(res.result.capabilities, { tools: {} });
+        assert.strictEqual(res.result.serverInfo.version, '9.9.9');
+        assert.strictEqual(await server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+    });
+
+    test('should list run_command and the read-only project tools', async () => {
+        const res = await server.handle({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+        const names = res.result.tools.map((t) => t.name);
+        assert.deepStrictEqual(names.sort(), ['list_files', 'read_file', 'run_command', 'search_code']);
+        const runCommand = res.result.tools.find((t) => t.name === 'run_command');
+        assert.match(runCommand.description, /Available commands: .*status/);
+        assert.strictEqual(runCommand.inputSchema.type, 'object');
+    });
+
+    test('should run allowed commands and refuse others', async () => {
+        const ok = await call('run_command', { command: 'status' });
+        assert.deepStrictEqual(ok.result, { content: [{ type: 'text', text: 'all services up' }], isError: false });
+
+        const denied = await call('run_command', { command: 'uninstall' });
+        assert.strictEqual(denied.result.isError, true);
+        assert.match(denied.result.content[0].text, /not allowed/);
+    });
+
+    test('should send connector commands to the running daemon', async () => {
+        const socketPath = join(dir, 'minigeri.sock');
+        const ran = [];
+        const daemon = createControlServer({
+            run: async (command) => {
+                ran.push(command);
+                return `sent: ${command}`;
+            },
+            status: async () => ({ pid: 4242 }),
+            stop: () => { },
+        });
+        await daemon.listen(socketPath);
+        try {
+            const forwarding = createMcpServer({ cwd: dir, daemonCommands: { tg: 'tg', telegram: 'tg' }, socketPath });
+            const res = await forwarding.handle({
+                jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'run_command', arguments: { command: 'telegram send 1001 hi' } },
+            });
+            assert.deepStrictEqual(res.result, { content: [{ type: 'text', text: 'sent: tg send 1001 hi' }], isError: false });
+
+            const local = await forwarding.handle({
+                jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'run_command', arguments: { command: 'status' } },
+            });
+            assert.strictEqual(local.result.content[0].text, 'all services up');
+            assert.deepStrictEqual(ran, ['tg send 1001 hi']);
+        } finally {
+            await daemon.close();
+        }
+    });
+
+    test('should refuse connector commands without a daemon', async () => {
+        const forwarding = createMcpServer({ cwd: dir, daemonCommands: { tg: 'tg' }, socketPath: join(dir, 'nobody.sock') });
+        const res = await forwarding.handle({
+            jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'run_command', arguments: { command: 'tg send 1001 hi' } },
+        });
+        assert.strictEqual(res.result.isError, true);
+        assert.match(res.result.content[0].text, /need the minigeri daemon.*minigeri daemon start/);
+    });
+
+    test('should read project files and refuse write tools', async () => {
+        const read = await call('read_file', { path: 'notes.txt' });
+        assert.match(read.result.content[0].text, /beta/);
+
+        const write = await call('write_file', { path: 'x.txt', content: 'x' });
+        assert.strictEqual(write.error.code, -32602);
+    });
+
+    test('should speak newline-delimited JSON over streams', async () => {
+        const input = new PassThrough();
+        const lines = [];
+        const done = serveMcpStdio(server, { input, write: (line) => lines.push(line) });
+
+        input.write('{"jsonrpc":"2.0","id":7,"method":"ping"}\nnot json\n');
+        input.end('{"jsonrpc":"2.0","id":8,"method":"nope"}\n');
+        await done;
+
+        const messages = lines.map((l) => JSON.parse(l));
+        assert.ok(lines.every((l) => l.endsWith('\n')));
+        assert.deepStrictEqual(messages.find((m) => m.id === 7), { jsonrpc: '2.0', id: 7, result: {} });
+        assert.strictEqual(messages.find((m) => m.id === null).error.code, -32700);
+        assert.strictEqual(messages.find((m) => m.id === 8).error.code, -32601);
+    });
+});
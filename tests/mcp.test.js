@@ -0,0 +1,122 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+    connectMcpServer, disconnectMcpServer, getMcpClient, mcpToolName,
+} from '../src/services/mcp.js';
+import { getToolCatalog, getPluginTool } from '../src/tools/registry.js';
+import { toGeminiTools } from '../src/tools/definitions.js';
+import { executeTool } from '../src/tools/executor.js';
+import { handleMessage } from './fixtures/mcp-server.js';
+
+const FIXTURE = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'mcp-server.js');
+const stdioServer = { command: process.execPath, args: [FIXTURE], timeoutMs: 5000 };
+
+/**
+ * Streamable HTTP server around the fixture: tools/call answers as SSE,
+ * everything else as plain JSON. Records the session ids it sees.
+ */
+function startHttpServer() {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+        if (req.method === 'DELETE') {
+            res.writeHead(200).end();
+            return;
+        }
+        let body = '';
+        req.on('data', (c) => { body += c; });
+        req.on('end', () => {
+            const msg = JSON.parse(body);
+            seen.push({ method: msg.method, session: req.headers['mcp-session-id'] });
+            const response = handleMessage(msg);
+            if (!response) {
+                res.writeHead(202).end();
+            } else if (msg.method === 'tools/call') {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: {} })}\n\n`);
+                res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+            } else {
+                res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' });
+                res.end(JSON.stringify(response));
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, seen, url: `http://127.0.0.1:${server.address().port}/mcp` }));
+    });
+}
+
+describe('MCP client', () => {
+    afterEach(async () => {
+        await disconnectMcpServer('fixture');
+        await disconnectMcpServer('remote');
+    });
+
+    test('should connect over stdio and list tools across pages', async () => {
+        const client = await connectMcpServer('fixture', stdioServer);
+
+        assert.strictEqual(client.serverInfo.name, 'fixture');
+        assert.deepStrictEqual(client.tools.map((t) => t.name), ['echo', 'add', 'fail']);
+        assert.strictEqual(getMcpClient('fixture'), client);
+    });
+
+    test('should register tools in the catalog and call them through the executor', async () => {
+        await connectMcpServer('fixture', stdioServer);
+
+        const names = getToolCatalog().map((t) => t.name);
+        assert.ok(names.includes('fixture__echo'));
+        assert.strictEqual(getPluginTool('fixture__add').source, 'mcp:fixture');
+
+        assert.strictEqual(await executeTool('fixture__echo', { text: 'hi' }), 'echo: hi');
+        assert.strictEqual(await executeTool('fixture__add', { a: 2, b: 3 }), '5');
+        assert.strictEqual(await executeTool('fixture__fail', {}), '[Error: something broke]');
+    });
+
+    test('should give union-typed parameters a single type for providers', async () => {
+        await connectMcpServer('fixture', stdioServer);
+
+        const [gemini] = toGeminiTools([getPluginTool('fixture__add')]);
+        assert.deepStrictEqual(gemini.functionDeclarations[0].parameters.properties.b, { type: 'NUMBER' });
+    });
+
+    test('should remove tools on disconnect', async () => {
+        await connectMcpServer('fixture', stdioServer);
+        assert.strictEqual(await disconnectMcpServer('fixture'), true);
+
+        assert.strictEqual(getPluginTool('fixture__echo'), null);
+        assert.strictEqual(getMcpClient('fixture'), null);
+        assert.strictEqual(await disconnectMcpServer('fixture'), false);
+    });
+
+    test('should report a server that cannot start', async () => {
+        await assert.rejects(
+            connectMcpServer('fixture', { command: 'minigeri-no-such-mcp-server', timeoutMs: 2000 }),
+            /Could not start/
+        );
+        assert.strictEqual(getMcpClient('fixture'), null);
+    });
+
+    test('should connect over streamable HTTP with JSON and SSE responses', async () => {
+        const { server, seen, url } = await startHttpServer();
+        try {
+            const client = await connectMcpServer('remote', { url, headers: { Authorization: 'Bearer t' } });
+            assert.strictEqual(client.tools.length, 3);
+            assert.strictEqual(await client.callTool('echo', { text: 'over http' }), 'echo: over http');
+
+            // The session id from initialize is sent on every later request
+            assert.strictEqual(seen[0].session, undefined);
+            assert.ok(seen.slice(1).every((r) => r.session === 'session-1'));
+        } finally {
+            await disconnectMcpServer('remote');
+            server.close();
+        }
+    });
+
+    test('should build provider-safe tool names', () => {
+        assert.strictEqual(mcpToolName('supabase', 'list_tables'), 'supabase__list_tables');
+        assert.strictEqual(mcpToolName('my server', 'get.thing'), 'my_server__get_thing');
+        assert.strictEqual(mcpToolName('s', 'x'.repeat(100)).length, 64);
+    });
+});
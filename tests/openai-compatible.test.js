@@ -0,0 +1,149 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { createAgent, listAgentNames, listCustomAgentNames } from '../src/agents/index.js';
+import { OpenAICompatibleAgent } from '../src/agents/openai-compatible.js';
+
+/** Write an SSE chat-completions stream built from delta objects, plus a final usage chunk. */
+function sse(res, deltas, usage = { prompt_tokens: 12, completion_tokens: 3 }) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const delta of deltas) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`);
+    }
+    res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+    res.end('data: [DONE]\n\n');
+}
+
+describe('OpenAI-compatible Agent', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (c) => { body += c; });
+            req.on('end', () => {
+                const parsed = body ? JSON.parse(body) : null;
+                requests.push({ url: req.url, headers: req.headers, body: parsed });
+
+                if (req.url === '/v1/models') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ data: [{ id: 'b-model' }, { id: 'a-model' }] }));
+                    return;
+                }
+
+                const last = parsed.messages[parsed.messages.length - 1];
+                if (last.role === 'user' && last.content === 'use a tool') {
+                    // Tool call split across two deltas, as servers stream it
+                    sse(res, [
+                        { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'no_such', arguments: '{"a":' } }] },
+                        { tool_calls: [{ index: 0, function: { arguments: '1}' } }] },
+                    ]);
+                } else if (last.role === 'tool') {
+                    sse(res, [{ content: `tool said: ${last.content}` }]);
+                } else {
+                    sse(res, [{ content: 'Hel' }, { content: 'lo' }]);
+                }
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    function makeAgent(extra = {}) {
+        return new OpenAICompatibleAgent({ name: 'local', baseUrl, model: 'test-model', ...extra });
+    }
+
+    test('should stream tokens and keep history', async () => {
+        const agent = makeAgent({ apiKey: 'secret', headers: { 'X-Title': 'minigeri' } });
+        const tokens = [];
+
+        const reply = await agent.send('hi', { silent: true, onToken: (t) => tokens.push(t) });
+
+        assert.strictEqual(reply, 'Hello');
+        assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+        assert.deepStrictEqual(agent.messages.slice(-2), [
+            { role: 'user', content: 'hi' },
+            { role: 'assistant', content: 'Hello' },
+        ]);
+
+        const sent = requests[requests.length - 1];
+        assert.strictEqual(sent.url, '/v1/chat/completions');
+        assert.strictEqual(sent.headers.authorization, 'Bearer secret');
+        assert.strictEqual(sent.headers['x-title'], 'minigeri');
+        assert.strictEqual(sent.body.model, 'test-model');
+        assert.strictEqual(sent.body.stream, true);
+        assert.ok(sent.body.tools.length > 0, 'tools should be offered');
+    });
+
+    test('should assemble streamed tool calls and feed results back', async () => {
+        const agent = makeAgent();
+
+        const reply = await agent.send('use a tool', { silent: true });
+
+        assert.match(reply, /^tool said: \[Error: unknown tool "no_such"\]/);
+        const assistant = agent.messages.find((m) => m.tool_calls);
+        assert.deepStrictEqual(assistant.tool_calls, [
+            { id: 'call_1', type: 'function', function: { name: 'no_such', arguments: '{"a":1}' } },
+        ]);
+        assert.strictEqual(agent.messages.find((m) => m.role === 'tool').tool_call_id, 'call_1');
+    });
+
+    test('should omit tools when disabled for the instance', async () => {
+        await makeAgent({ tools: false }).send('hi', { silent: true });
+        assert.strictEqual(requests[requests.length - 1].body.tools, undefined);
+    });
+
+    test('should report usage once per API call', async () => {
+        const usage = [];
+        await makeAgent().send('use a tool', { silent: true, onUsage: (u) => usage.push(u) });
+
+        assert.strictEqual(usage.length, 2, 'tool round + final answer');
+        assert.strictEqual(usage[0].agent, 'local');
+        assert.strictEqual(usage[0].model, 'test-model');
+        assert.strictEqual(usage[0].inputTokens, 12);
+        assert.strictEqual(usage[0].outputTokens, 3);
+        assert.ok(usage[0].latencyMs >= 0);
+        assert.deepStrictEqual(requests[requests.length - 1].body.stream_options, { include_usage: true });
+    });
+
+    test('listModels should query /models', async () => {
+        const { models } = await makeAgent().listModels();
+        assert.deepStrictEqual(models.map((m) => m.id), ['a-model', 'b-model']);
+    });
+
+    test('should refuse to send without a model', async () => {
+        await assert.rejects(makeAgent({ model: '' }).send('hi', { silent: true }), /No model set for "local"/);
+    });
+});
+
+describe('OpenAI-compatible Instances', () => {
+    const config = {
+        agents: {
+            'groq': { apiKey: 'x' },
+            'lmstudio': { provider: 'openai-compatible', baseUrl: 'http://localhost:1234/v1', model: 'm' },
+            'ollama': { provider: 'openai-compatible' }, // Built-in names cannot be shadowed
+        },
+    };
+
+    test('listCustomAgentNames should return configured instances only', () => {
+        assert.deepStrictEqual(listCustomAgentNames(config), ['lmstudio']);
+    });
+
+    test('listAgentNames should include instances when given a config', () => {
+        assert.ok(!listAgentNames().includes('openai-compatible'));
+        assert.ok(listAgentNames(config).includes('lmstudio'));
+    });
+
+    test('createAgent should resolve instances through their provider', () => {
+        const agent = createAgent('lmstudio', { name: 'lmstudio', ...config.agents.lmstudio });
+        assert.ok(agent instanceof OpenAICompatibleAgent);
+        assert.strictEqual(agent.name, 'lmstudio');
+        assert.strictEqual(agent.baseUrl, 'http://localhost:1234/v1');
+    });
+});
@@ -0,0 +1,71 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { readProjectFile } from '../src/utils/project-files.js';
+
+describe('Ranged File Reads', () => {
+    let root;
+
+    before(() => {
+        root = mkdtempSync(join(tmpdir(), 'minigeri-read-'));
+        writeFileSync(join(root, 'small.txt'), 'one\ntwo\nthree\n');
+        writeFileSync(join(root, 'big.log'), Array.from({ length: 2000 }, (_, i) => `log line ${i + 1}`).join('\n'));
+        writeFileSync(join(root, 'empty.txt'), '');
+        writeFileSync(join(root, '.env'), 'SECRET=1\n');
+        // Lines that straddle the 64 KB read chunks, a 20 KB line and CRLF endings
+        const lines = Array.from({ length: 30000 }, (_, i) => `entry ${i + 1} ${'x'.repeat(i % 7)}`);
+        lines[12000] = 'y'.repeat(20 * 1024);
+        writeFileSync(join(root, 'huge.log'), lines.join('\r\n') + '\r\n');
+
+    });
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should return line-numbered output with the total line count', () => {
+        assert.strictEqual(readProjectFile(root, 'small.txt'), '[small.txt — lines 1-3 of 3]\n1\tone\n2\ttwo\n3\tthree');
+        assert.strictEqual(readProjectFile(root, 'empty.txt'), '[empty.txt — empty file]');
+    });
+
+    test('should return only the requested range', () => {
+        const result = readProjectFile(root, 'big.log', { startLine: 1500, endLine: 1502 });
+        assert.strictEqual(result, [
+            '[big.log — lines 1500-1502 of 2000]',
+            '1500\tlog line 1500',
+            '1501\tlog line 1501',
+            '1502\tlog line 1502',
+            '[... 498 more line(s) — call read_file with start_line=1503 to continue]',
+        ].join('\n'));
+    });
+
+    test('should page large files at about 8 KB and say where to continue', () => {
+        const first = readProjectFile(root, 'big.log');
+        assert.ok(first.length <= 8 * 1024 + 200);
+        const next = Number(first.match(/start_line=(\d+)/)[1]);
+        assert.match(first, new RegExp(`lines 1-${next - 1} of 2000`));
+
+        const second = readProjectFile(root, 'big.log', { startLine: next });
+        assert.ok(second.startsWith(`[big.log — lines ${next}-`));
+        assert.match(second, new RegExp(`^ *${next}\\tlog line ${next}$`, 'm'));
+    });
+
+    test('should page through files larger than one read chunk', () => {
+        const page = readProjectFile(root, 'huge.log', { startLine: 29999 });
+        assert.strictEqual(page, '[huge.log — lines 29999-30000 of 30000]\n29999\tentry 29999 xxx\r\n30000\tentry 30000 xxxx\r');
+
+        const long = readProjectFile(root, 'huge.log', { startLine: 12001, endLine: 12002 });
+        assert.match(long, /^\[huge\.log — lines 12001-12001 of 30000\]\n12001\ty{8192}… \[line truncated\]\n/);
+        assert.match(long, /start_line=12002 to continue/);
+
+        const middle = readProjectFile(root, 'huge.log', { startLine: 7000, endLine: 7001 });
+        assert.strictEqual(middle, '[huge.log — lines 7000-7001 of 30000]\n7000\tentry 7000 xxxxxx\r\n7001\tentry 7001 \r\n[... 22999 more line(s) — call read_file with start_line=7002 to continue]');
+    });
+
+    test('should reject ranges past the end and keep .env files blocked', () => {
+        assert.match(readProjectFile(root, 'small.txt', { startLine: 10 }), /start_line 10 is past the end of small\.txt \(3 lines\)/);
+        assert.match(readProjectFile(root, '.env', { startLine: 1 }), /Access denied/);
+    });
+});
@@ -0,0 +1,223 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Roles and grants live in the config under HOME — point it at a temp
+// dir before any minigeri module is loaded
+const home = mkdtempSync(join(tmpdir(), 'minigeri-roles-'));
+process.env.HOME = home;
+
+const { BaseConnector } = await import('../src/connectors/base.js');
+const { createMessageRouter } = await import('../src/connectors/router.js');
+const { loadConfig, saveConfig } = await import('../src/config.js');
+const roles = await import('../src/utils/roles.js');
+
+class FakeConnector extends BaseConnector {
+    constructor() {
+        super('telegram');
+        this.label = 'Fake';
+        this.allowlistKey = 'TELEGRAM_ALLOWED_USERS';
+    }
+
+    trackChat() { }
+}
+
+function makeSender(id) {
+    return { id, name: 'Tester', chatId: `chat-${id}`, chatType: 'private' };
+}
+
+/** Fake OpenAI-compatible server that records the tools it is offered. */
+function startToolModel() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (c) => { body += c; });
+        req.on('end', () => {
+            const { tools = [] } = JSON.parse(body);
+            server.offered.push(tools.map((tool) => tool.function.name));
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'ok' } }] })}\n\n`);
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    server.offered = [];
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function send(text, id) {
+    const replies = [];
+    const route = createMessageRouter(new FakeConnector());
+    await route(text, makeSender(id), async (reply) => { replies.push(reply); });
+    return replies;
+}
+
+describe('Roles', () => {
+    let savedAllowlist;
+    let model;
+
+    before(async () => {
+        model = await startToolModel();
+        savedAllowlist = process.env.TELEGRAM_ALLOWED_USERS;
+        process.env.TELEGRAM_ALLOWED_USERS = '1,2';
+        saveConfig({
+            ...loadConfig(),
+            agents: {
+                local: { provider: 'openai-compatible', baseUrl: `http://127.0.0.1:${model.address().port}/v1`, model: 'm' },
+                down: { provider: 'openai-compatible', baseUrl: 'http://127.0.0.1:9/v1', model: 'm' },
+            },
+            fallbacks: { down: ['claude-code'] },
+            roles: {
+                ops: { commands: ['/cmd'], agents: [], workspaces: [], binaries: ['git'] },
+                files: { commands: [], agents: '*', workspaces: '*', binaries: [] },
+                lister: { commands: ['/cmd'], agents: '*', workspaces: '*', binaries: ['ls'] },
+            },
+            users: {
+                'telegram:2': 'viewer',
+                'telegram:3': 'developer',
+                'telegram:4': 'ops',
+                'telegram:5': 'ghost',
+                'telegram:6': 'files',
+                'telegram:7': 'lister',
+            },
+        });
+    });
+
+    after(() => {
+        model.close();
+        if (savedAllowlist === undefined) delete process.env.TELEGRAM_ALLOWED_USERS;
+        else process.env.TELEGRAM_ALLOWED_USERS = savedAllowlist;
+        rmSync(home, { recursive: true, force: true });
+    });
+
+    test('allowlisted users without a grant are owners', () => {
+        const role = roles.resolveRole(new FakeConnector(), '1');
+        assert.strictEqual(role.name, 'owner');
+        assert.ok(roles.canUseCommand(role, '/tunnel'));
+        assert.ok(roles.canRunBinary(role, 'rm'));
+    });
+
+    test('a grant lets a user in without the allowlist', () => {
+        assert.ok(new FakeConnector().isAllowed('3'));
+        assert.strictEqual(roles.resolveRole(new FakeConnector(), '3').name, 'developer');
+        assert.strictEqual(roles.resolveRole(new FakeConnector(), '99'), null);
+    });
+
+    test('a grant overrides the implicit owner role', () => {
+        assert.strictEqual(roles.resolveRole(new FakeConnector(), '2').name, 'viewer');
+    });
+
+    test('viewers are refused /cmd with a denial reply', async (t) => {
+        const logs = [];
+        t.mock.method(console, 'log', (line) => { logs.push(String(line)); });
+
+        const replies = await send('/cmd ls', '2');
+
+        assert.strictEqual(replies.length, 1);
+        assert.match(replies[0], /🚫 Your role \(viewer\) doesn't allow \/cmd/);
+        assert.ok(logs.some((line) => line.includes('Denied /cmd') && line.includes('role: viewer')));
+    });
+
+    test('custom roles limit /cmd to their binaries and agents', async (t) => {
+        t.mock.method(console, 'log', () => { });
+
+        const refused = await send('/cmd ls', '4');
+        assert.match(refused[0], /doesn't allow running `ls`/);
+
+        const agent = await send('/claude hello', '4');
+        assert.match(agent[0], /doesn't allow the claude/);
+    });
+
+    test('viewers are refused the CLI agents, which bring their own tools', async (t) => {
+        t.mock.method(console, 'log', () => { });
+
+        const claude = await send('/claude hello', '2');
+        assert.strictEqual(claude.length, 1);
+        assert.match(claude[0], /🚫 Your role \(viewer\) doesn't allow the claude-code agent, which runs commands and edits files on its own/);
+
+        const gemini = await send('/gemini hello', '2');
+        assert.match(gemini[0], /doesn't allow the gemini-cli agent/);
+
+        const viewer = { name: 'viewer', policy: roles.getRoles().viewer };
+        const developer = { name: 'developer', policy: roles.getRoles().developer };
+        assert.ok(roles.canUseAgent(viewer, 'claude', 'claude-api'));
+        assert.ok(roles.canUseAgent(developer, 'claude', 'claude-code'));
+    });
+
+    test('a viewer\'s failing agent does not fall back to a CLI agent', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const replies = await send('/down hello', '2');
+        assert.ok(replies.some((reply) => /claude-code: skipped/.test(reply)), replies.join('\n'));
+    });
+
+    test('an unverified sender is blocked even when allowlisted', async (t) => {
+        const logs = [];
+        t.mock.method(console, 'log', (line) => { logs.push(String(line)); });
+        const replies = [];
+        const route = createMessageRouter(new FakeConnector());
+
+        await route('/cmd id', { ...makeSender('1'), unverified: 'no DKIM pass' }, async (reply) => { replies.push(reply); });
+
+        assert.match(replies[0], /Access denied/);
+        assert.ok(logs.some((line) => line.includes('Unverified sender: no DKIM pass')));
+    });
+
+    test('agents are only offered the tools the role allows', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const offered = async (id) => {
+            await send('/local hello', id);
+            return model.offered[model.offered.length - 1];
+        };
+
+        const owner = await offered('1');
+        assert.ok(owner.includes('run_command') && owner.includes('read_file'));
+
+        assert.deepStrictEqual(await offered('2'), [], 'viewers get neither /cmd nor the workspace');
+
+        const files = await offered('6');
+        assert.ok(!files.includes('run_command'), 'no /cmd, no run_command');
+        assert.ok(['list_files', 'read_file', 'search_code'].every((tool) => files.includes(tool)));
+
+        const lister = await offered('7');
+        assert.ok(!lister.includes('run_command'), 'run_command would get past the binaries list');
+        assert.ok(lister.includes('read_file'));
+
+        const saved = loadConfig();
+        saveConfig({
+            ...saved,
+            activeWorkspace: 'secret',
+            roles: { ...saved.roles, files: { commands: [], agents: '*', workspaces: ['public'], binaries: [] } },
+        });
+        try {
+            assert.ok((await offered('3')).includes('read_file'), 'developers may use every workspace');
+            assert.deepStrictEqual(await offered('6'), [], 'the active workspace is not one of the role\'s');
+        } finally {
+            saveConfig(saved);
+        }
+    });
+
+    test('an unknown role denies everything', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const replies = await send('/folder', '5');
+        assert.match(replies[0], /Your role \(ghost\) doesn't allow \/folder/);
+    });
+
+    test('policy helpers match names, aliases and families', () => {
+        const developer = { name: 'developer', policy: roles.getRoles().developer };
+        assert.ok(roles.canUseCommand(developer, '/reset'), '/reset shares the /clear entry');
+        assert.ok(!roles.canUseCommand(developer, '/tunnel'));
+
+        const claudeOnly = { name: 'x', policy: { agents: ['claude'] } };
+        assert.ok(roles.canUseAgent(claudeOnly, 'claude', 'claude-api'));
+        assert.ok(!roles.canUseAgent(claudeOnly, 'gemini', 'gemini-api'));
+    });
+
+    test('platforms resolve aliases and normalize ids', () => {
+        assert.strictEqual(roles.resolvePlatform('tg'), 'telegram');
+        assert.strictEqual(roles.resolvePlatform('WA'), 'whatsapp');
+        assert.strictEqual(roles.resolvePlatform('fax'), null);
+        assert.strictEqual(roles.normalizeUserId('whatsapp', '+34 600 000 000'), '34600000000');
+        assert.strictEqual(roles.normalizeUserId('email', 'Alice@Example.com'), 'alice@example.com');
+    });
+});
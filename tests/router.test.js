@@ -0,0 +1,116 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Routed messages are written to the audit log under HOME — point it at
+// a temp dir before any minigeri module is loaded
+const home = mkdtempSync(join(tmpdir(), 'minigeri-router-'));
+process.env.HOME = home;
+after(() => rmSync(home, { recursive: true, force: true }));
+
+const { BaseConnector } = await import('../src/connectors/base.js');
+const { createMessageRouter } = await import('../src/connectors/router.js');
+const { createConnector, listConnectorNames } = await import('../src/connectors/index.js');
+
+class FakeConnector extends BaseConnector {
+    constructor(allowed = true) {
+        super('fake');
+        this.label = 'Fake';
+        this.allowed = allowed;
+        this.tracked = [];
+    }
+
+    isAllowed() {
+        return this.allowed;
+    }
+
+    trackChat(sender) {
+        this.tracked.push(sender.chatId);
+    }
+}
+
+function makeSender() {
+    return { id: '42', name: 'Tester', chatId: '1001', chatType: 'private' };
+}
+
+describe('Connector Registry', () => {
+    test('listConnectorNames should include telegram, whatsapp and slack', () => {
+        const names = listConnectorNames();
+        for (const name of ['telegram', 'whatsapp', 'slack']) {
+            assert.ok(names.includes(name), `connectors should include "${name}"`);
+        }
+    });
+
+    test('createConnector should return BaseConnector subclasses', () => {
+        for (const name of listConnectorNames()) {
+            const connector = createConnector(name);
+            assert.ok(connector instanceof BaseConnector, `${name} should extend BaseConnector`);
+            assert.strictEqual(connector.name, name);
+        }
+    });
+
+    test('createConnector should throw for an unknown connector', () => {
+        assert.throws(() => createConnector('carrier-pigeon'), /Unknown connector: "carrier-pigeon"/);
+    });
+});
+
+describe('Message Router', () => {
+    test('should deny senders the connector does not allow', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const connector = new FakeConnector(false);
+        const replies = [];
+        const route = createMessageRouter(connector);
+
+        await route('/folder', makeSender(), async (text) => { replies.push(text); });
+
+        assert.strictEqual(replies.length, 1);
+        assert.match(replies[0], /Access denied/);
+        assert.strictEqual(connector.tracked.length, 0, 'denied chats should not be tracked');
+    });
+
+    test('should answer /folder with the working directory', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const connector = new FakeConnector();
+        const replies = [];
+        const route = createMessageRouter(connector);
+
+        await route('/folder', makeSender(), async (text) => { replies.push(text); });
+
+        assert.strictEqual(replies.length, 1);
+        assert.ok(replies[0].includes(process.cwd()));
+        assert.deepStrictEqual(connector.tracked, ['1001']);
+    });
+
+    test('should ask for a prompt when an agent command has none', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const replies = [];
+        const route = createMessageRouter(new FakeConnector());
+
+        await route('/groq', makeSender(), async (text) => { replies.push(text); });
+
+        assert.deepStrictEqual(replies, ['Please provide a prompt. Example: /groq Hello!']);
+    });
+
+    test('should report connectors that cannot send files', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const replies = [];
+        const route = createMessageRouter(new FakeConnector());
+
+        await route('/file package.json', makeSender(), async (text) => { replies.push(text); });
+
+        assert.strictEqual(replies.length, 1);
+        assert.match(replies[0], /Fake does not support sending files/);
+    });
+
+    test('should ignore messages that match no route', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const replies = [];
+        const route = createMessageRouter(new FakeConnector());
+
+        await route('just chatting', makeSender(), async (text) => { replies.push(text); });
+
+        assert.strictEqual(replies.length, 0);
+    });
+});
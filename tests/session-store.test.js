@@ -0,0 +1,91 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createAgent } from '../src/agents/index.js';
+import {
+    sessionFileName, loadSession, saveSession, restoreSession, deleteSession,
+} from '../src/utils/session-store.js';
+
+describe('Session Store', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'minigeri-sessions-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('sessionFileName should make chat IDs filesystem-safe', () => {
+        assert.strictEqual(sessionFileName('whatsapp', '34600000000@c.us', 'groq'), 'whatsapp+34600000000%40c.us+groq.json');
+        assert.strictEqual(sessionFileName('telegram', -100123, 'ollama'), 'telegram+-100123+ollama.json');
+        assert.ok(!sessionFileName('x', '../../etc', 'y').includes('/'));
+    });
+
+    test('should round-trip API agent history without system messages', () => {
+        const agent = createAgent('groq', { apiKey: 'test' });
+        agent.messages = [
+            { role: 'system', content: 'instructions' },
+            { role: 'user', content: 'hi' },
+            { role: 'assistant', content: 'hello' },
+        ];
+        saveSession('telegram', '42', agent, dir);
+
+        const restored = createAgent('groq', { apiKey: 'test' });
+        assert.strictEqual(restoreSession('telegram', '42', restored, dir), true);
+        assert.deepStrictEqual(restored.messages, [
+            { role: 'user', content: 'hi' },
+            { role: 'assistant', content: 'hello' },
+        ]);
+    });
+
+    test('should persist CLI session IDs', () => {
+        const agent = createAgent('claude-code');
+        agent.sessionId = 'abc-123';
+        agent.sessionContext = null;
+        agent.turnCount = 3;
+        saveSession('shell', 'local', agent, dir);
+
+        const restored = createAgent('claude-code');
+        restoreSession('shell', 'local', restored, dir);
+        assert.strictEqual(restored.sessionId, 'abc-123');
+        assert.strictEqual(restored.sessionContext, null);
+        assert.strictEqual(restored.getHistoryStats().turns, 3);
+    });
+
+    test('should keep sessions separate per platform, chat and agent', () => {
+        const agent = createAgent('groq', { apiKey: 'test' });
+        agent.messages = [{ role: 'user', content: 'hi' }];
+        saveSession('telegram', '42', agent, dir);
+
+        assert.strictEqual(loadSession('whatsapp', '42', 'groq', dir), null);
+        assert.strictEqual(loadSession('telegram', '43', 'groq', dir), null);
+        assert.strictEqual(loadSession('telegram', '42', 'ollama', dir), null);
+        assert.ok(loadSession('telegram', '42', 'groq', dir));
+    });
+
+    test('should write session files readable only by the owner', { skip: process.platform === 'win32' }, () => {
+        const agent = createAgent('groq', { apiKey: 'test' });
+        saveSession('telegram', '42', agent, dir);
+        const file = join(dir, readdirSync(dir)[0]);
+        assert.strictEqual(statSync(file).mode & 0o777, 0o600);
+    });
+
+    test('deleteSession should remove one agent or the whole chat', () => {
+        const groq = createAgent('groq', { apiKey: 'test' });
+        const ollama = createAgent('ollama');
+        saveSession('telegram', '42', groq, dir);
+        saveSession('telegram', '42', ollama, dir);
+        saveSession('telegram', '420', groq, dir);
+
+        deleteSession('telegram', '42', 'groq', dir);
+        assert.strictEqual(loadSession('telegram', '42', 'groq', dir), null);
+        assert.ok(loadSession('telegram', '42', 'ollama', dir));
+
+        deleteSession('telegram', '42', undefined, dir);
+        assert.deepStrictEqual(readdirSync(dir), [sessionFileName('telegram', '420', 'groq')]);
+    });
+});
@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { SlackConnector } from '../src/connectors/slack.js';
+
+function makeConnector() {
+    const connector = new SlackConnector();
+    const posted = [];
+    connector.botInfo = { user_id: 'UBOT' };
+    connector.client = {
+        users: { info: async ({ user }) => ({ user: { real_name: `Name of ${user}` } }) },
+        chat: { postMessage: async (msg) => { posted.push(msg); } },
+    };
+    const received = [];
+    connector.setMessageHandler(async (text, sender, reply) => {
+        received.push({ text, sender });
+        await reply('pong');
+    });
+    return { connector, posted, received };
+}
+
+describe('Slack Connector', () => {
+    test('should route DMs and reply in the thread', async () => {
+        const { connector, posted, received } = makeConnector();
+
+        await connector._handleEvent({
+            type: 'message', channel_type: 'im', channel: 'D123', user: 'U1', text: '/groq hi', ts: '100.1',
+        });
+
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(received[0].text, '/groq hi');
+        assert.deepStrictEqual(received[0].sender, {
+            id: 'U1', name: 'Name of U1', chatId: 'D123', chatType: 'private',
+        });
+        assert.deepStrictEqual(posted, [{ channel: 'D123', text: 'pong', thread_ts: '100.1' }]);
+    });
+
+    test('should strip the bot mention and keep existing threads', async () => {
+        const { connector, posted, received } = makeConnector();
+
+        await connector._handleEvent({
+            type: 'app_mention', channel: 'C9', user: 'U1', text: '<@UBOT> /folder', ts: '200.2', thread_ts: '150.0',
+        });
+
+        assert.strictEqual(received[0].text, '/folder');
+        assert.strictEqual(received[0].sender.chatType, 'channel');
+        assert.strictEqual(posted[0].thread_ts, '150.0');
+    });
+
+    test('should turn a "!" command prefix into "/"', async () => {
+        const { connector, received } = makeConnector();
+
+        await connector._handleEvent({
+            type: 'message', channel_type: 'im', channel: 'D123', user: 'U1', text: '!claude hi there', ts: '300.1',
+        });
+        await connector._handleEvent({
+            type: 'app_mention', channel: 'C9', user: 'U1', text: '<@UBOT> !cmd ls', ts: '300.2',
+        });
+        await connector._handleEvent({
+            type: 'message', channel_type: 'im', channel: 'D123', user: 'U1', text: '! not a command', ts: '300.3',
+        });
+
+        assert.deepStrictEqual(received.map((r) => r.text), ['/claude hi there', '/cmd ls', '! not a command']);
+    });
+
+    test('should ignore channel chatter, bot posts and edits', async () => {
+        const { connector, received } = makeConnector();
+
+        await connector._handleEvent({ type: 'message', channel_type: 'channel', channel: 'C9', user: 'U1', text: 'hi', ts: '1' });
+        await connector._handleEvent({ type: 'message', channel_type: 'im', channel: 'D1', user: 'UBOT', text: 'hi', ts: '2' });
+        await connector._handleEvent({ type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', bot_id: 'B1', text: 'hi', ts: '3' });
+        await connector._handleEvent({ type: 'message', subtype: 'message_changed', channel_type: 'im', channel: 'D1', ts: '4' });
+
+        assert.strictEqual(received.length, 0);
+    });
+
+    test('should fail closed without SLACK_ALLOWED_USERS', () => {
+        const saved = process.env.SLACK_ALLOWED_USERS;
+        try {
+            delete process.env.SLACK_ALLOWED_USERS;
+            assert.strictEqual(new SlackConnector().isAllowed('U1'), false);
+
+            process.env.SLACK_ALLOWED_USERS = 'U1, U2';
+            assert.strictEqual(new SlackConnector().isAllowed('U2'), true);
+            assert.strictEqual(new SlackConnector().isAllowed('U3'), false);
+        } finally {
+            if (saved === undefined) delete process.env.SLACK_ALLOWED_USERS;
+            else process.env.SLACK_ALLOWED_USERS = saved;
+        }
+    });
+});
@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { TelegramReplyStream } from '../src/connectors/telegram-stream.js';
+
+/** Minimal stand-in for node-telegram-bot-api that records chat state. */
+function makeBot() {
+    let nextId = 1;
+    const messages = new Map();
+    const calls = { send: 0, edit: 0, delete: 0 };
+    return {
+        messages,
+        calls,
+        async sendMessage(chatId, text) {
+            calls.send++;
+            const id = nextId++;
+            messages.set(id, text);
+            return { message_id: id };
+        },
+        async editMessageText(text, { message_id }) {
+            calls.edit++;
+            if (messages.get(message_id) === text) throw new Error('message is not modified');
+            messages.set(message_id, text);
+        },
+        async deleteMessage(chatId, messageId) {
+            calls.delete++;
+            messages.delete(messageId);
+        },
+    };
+}
+
+describe('Telegram Reply Stream', () => {
+    test('should edit the placeholder with streamed tokens', async () => {
+        const bot = makeBot();
+        const stream = new TelegramReplyStream(bot, 1, { intervalMs: 0 });
+
+        await stream.start('🤖 Thinking...');
+        stream.push('Hello');
+        stream.push(' world');
+        await sleep(10);
+
+        assert.deepStrictEqual([...bot.messages.values()], ['Hello world']);
+
+        await stream.finish('Hello world');
+        assert.deepStrictEqual([...bot.messages.values()], ['Hello world']);
+        assert.strictEqual(bot.calls.send, 1);
+    });
+
+    test('should batch tokens that arrive within the throttle window', async () => {
+        const bot = makeBot();
+        const stream = new TelegramReplyStream(bot, 1, { intervalMs: 50 });
+
+        await stream.start('🤖 Thinking...');
+        stream.lastEdit = Date.now();
+        for (const token of ['a', 'b', 'c', 'd']) stream.push(token);
+        await sleep(100);
+
+        assert.strictEqual(bot.calls.edit, 1);
+        assert.deepStrictEqual([...bot.messages.values()], ['abcd']);
+        await stream.finish('abcd');
+    });
+
+    test('should roll over into a new message at the split point', async () => {
+        const bot = makeBot();
+        const stream = new TelegramReplyStream(bot, 1, { limit: 12, intervalMs: 0 });
+
+        await stream.start('🤖 Thinking...');
+        stream.push('first line\nsecond line\nthird');
+        await sleep(10);
+
+        assert.deepStrictEqual([...bot.messages.values()], ['first line', 'second line', 'third']);
+    });
+
+    test('should delete leftover messages when the final answer is shorter', async () => {
+        const bot = makeBot();
+        const stream = new TelegramReplyStream(bot, 1, { limit: 12, intervalMs: 0 });
+
+        await stream.start('🤖 Thinking...');
+        stream.push('thinking out loud for a while');
+        await sleep(10);
+        assert.ok(bot.messages.size > 1);
+
+        await stream.finish('Done.');
+        assert.deepStrictEqual([...bot.messages.values()], ['Done.']);
+    });
+
+    test('should start over when a failed attempt is retried', async () => {
+        const bot = makeBot();
+        const stream = new TelegramReplyStream(bot, 1, { limit: 12, intervalMs: 0 });
+
+        await stream.start('🤖 Thinking...');
+        stream.push('half an answer that broke');
+        await sleep(10);
+        assert.ok(bot.messages.size > 1);
+
+        stream.reset();
+        await sleep(10);
+        assert.deepStrictEqual([...bot.messages.values()], ['🔄 Retrying...']);
+
+        stream.push('Fresh start');
+        await sleep(10);
+        assert.deepStrictEqual([...bot.messages.values()], ['Fresh start']);
+
+        await stream.finish('Fresh start');
+        assert.deepStrictEqual([...bot.messages.values()], ['Fresh start']);
+    });
+
+    test('should show errors in the live message', async () => {
+        const bot = makeBot();
+        const stream = new TelegramReplyStream(bot, 1, { intervalMs: 0 });
+
+        await stream.start('🤖 Thinking...');
+        await stream.fail('❌ Error from groq: boom');
+
+        assert.deepStrictEqual([...bot.messages.values()], ['❌ Error from groq: boom']);
+    });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { startTelegramWebhook, WEBHOOK_PATH } from '../src/connectors/telegram-webhook.js';
+
+/** Stand-in for node-telegram-bot-api that records webhook calls. */
+function makeBot() {
+    return {
+        webhook: null,
+        deleted: 0,
+        updates: [],
+        async setWebHook(url, options) { this.webhook = { url, ...options }; },
+        async deleteWebHook() { this.deleted++; },
+        processUpdate(update) { this.updates.push(update); },
+    };
+}
+
+const post = (port, { path = WEBHOOK_PATH, secret, body = '{}' } = {}) => fetch(`http://127.0.0.1:${port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {}) },
+    body,
+});
+
+describe('Telegram webhook', () => {
+    test('should register the public URL with a secret token', async () => {
+        const bot = makeBot();
+        const webhook = await startTelegramWebhook(bot, { port: 0, getPublicUrl: () => ({ url: 'https://bot.example.com/' }) });
+        try {
+            assert.strictEqual(webhook.url, `https://bot.example.com${WEBHOOK_PATH}`);
+            assert.strictEqual(bot.webhook.url, webhook.url);
+            assert.match(bot.webhook.secret_token, /^[0-9a-f]{64}$/);
+        } finally {
+            await webhook.close();
+        }
+        assert.strictEqual(bot.deleted, 1);
+    });
+
+    test('should only pass on updates carrying the secret', async () => {
+        const bot = makeBot();
+        const webhook = await startTelegramWebhook(bot, { port: 0, getPublicUrl: () => ({ url: 'https://bot.example.com' }) });
+        const secret = bot.webhook.secret_token;
+        const update = { update_id: 1, message: { text: 'hi' } };
+        try {
+            assert.strictEqual((await post(webhook.port, { body: JSON.stringify(update) })).status, 401);
+            assert.strictEqual((await post(webhook.port, { secret: 'wrong', body: JSON.stringify(update) })).status, 401);
+            assert.strictEqual((await post(webhook.port, { path: '/other', secret })).status, 404);
+            assert.strictEqual((await post(webhook.port, { secret, body: 'not json' })).status, 400);
+            assert.strictEqual(bot.updates.length, 0);
+
+            assert.strictEqual((await post(webhook.port, { secret, body: JSON.stringify(update) })).status, 200);
+            assert.deepStrictEqual(bot.updates, [update]);
+        } finally {
+            await webhook.close();
+        }
+    });
+
+    test('should refuse plain http URLs and release the port', async () => {
+        const bot = makeBot();
+        let closed = false;
+        let usedPort;
+        await assert.rejects(
+            startTelegramWebhook(bot, {
+                port: 0,
+                getPublicUrl: async (port) => {
+                    usedPort = port;
+                    return { url: 'http://bot.example.com', close: () => { closed = true; } };
+                },
+            }),
+            /https:\/\//,
+        );
+        assert.strictEqual(bot.webhook, null);
+        assert.ok(closed);
+        await assert.rejects(post(usedPort, { secret: 'x' }));
+    });
+});
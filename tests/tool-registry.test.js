@@ -0,0 +1,102 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+    loadPluginTools, registerTool, unregisterTool, getToolCatalog, getAgentTools,
+    isToolEnabled, listToolLoadErrors,
+} from '../src/tools/registry.js';
+import { toOpenAITools, toAnthropicTools, toGeminiTools } from '../src/tools/definitions.js';
+import { executeTool } from '../src/tools/executor.js';
+
+describe('Tool Registry', () => {
+    let homeDir;
+    let workspaceDir;
+
+    beforeEach(() => {
+        homeDir = mkdtempSync(join(tmpdir(), 'minigeri-tools-home-'));
+        workspaceDir = mkdtempSync(join(tmpdir(), 'minigeri-tools-ws-'));
+    });
+
+    afterEach(async () => {
+        await loadPluginTools([]);
+        rmSync(homeDir, { recursive: true, force: true });
+        rmSync(workspaceDir, { recursive: true, force: true });
+    });
+
+    test('should load named-export, default-export and array plugins', async () => {
+        writeFileSync(join(homeDir, 'shout.mjs'), `
+            export const name = 'shout';
+            export const description = 'Upper-case some text';
+            export const parameters = { properties: { text: { type: 'string' } }, required: ['text'] };
+            export function execute({ text }) { return text.toUpperCase(); }
+        `);
+        writeFileSync(join(workspaceDir, 'pair.js'), `
+            export default [
+                { name: 'first', description: 'One', execute: () => 1 },
+                { name: 'second', description: 'Two', execute: () => ({ ok: true }) },
+            ];
+        `);
+
+        const { loaded, errors } = await loadPluginTools([homeDir, workspaceDir]);
+        assert.deepStrictEqual(loaded, ['shout', 'first', 'second']);
+        assert.deepStrictEqual(errors, []);
+
+        const shout = getToolCatalog().find((t) => t.name === 'shout');
+        assert.strictEqual(shout.source, join(homeDir, 'shout.mjs'));
+        assert.strictEqual(await executeTool('shout', { text: 'hi' }), 'HI');
+        assert.strictEqual(await executeTool('second', {}), '{\n  "ok": true\n}');
+    });
+
+    test('should report broken plugins and refuse to shadow built-ins', async () => {
+        writeFileSync(join(homeDir, 'a-broken.js'), 'export const name = ;');
+        writeFileSync(join(homeDir, 'b-builtin.js'), `export default { name: 'read_file', description: 'x', execute() {} };`);
+        writeFileSync(join(homeDir, 'c-noexec.js'), `export default { name: 'noexec', description: 'x' };`);
+        writeFileSync(join(homeDir, 'notes.txt'), 'not a plugin');
+
+        const { loaded, errors } = await loadPluginTools([homeDir]);
+        assert.deepStrictEqual(loaded, []);
+        assert.strictEqual(errors.length, 3);
+        assert.match(errors[1].error, /built-in/);
+        assert.match(errors[2].error, /execute must be a function/);
+        assert.strictEqual(listToolLoadErrors().length, 3);
+    });
+
+    test('should feed plugins to every provider format', () => {
+        registerTool({
+            name: 'lookup',
+            description: 'Look something up',
+            parameters: { type: 'object', properties: { key: { type: 'string', description: 'Key' } }, required: ['key'] },
+            execute: () => 'value',
+        });
+        try {
+            const catalog = getToolCatalog();
+            assert.ok(toOpenAITools(catalog).some((t) => t.function.name === 'lookup'));
+            assert.deepStrictEqual(toAnthropicTools(catalog).at(-1).input_schema.required, ['key']);
+            assert.strictEqual(toGeminiTools(catalog)[0].functionDeclarations.at(-1).parameters.properties.key.type, 'STRING');
+            assert.deepStrictEqual(toGeminiTools([]), []);
+        } finally {
+            unregisterTool('lookup');
+        }
+    });
+
+    test('should apply per-agent enabledTools / disabledTools lists', async () => {
+        assert.strictEqual(isToolEnabled('run_command', { disabledTools: ['run_command'] }), false);
+        assert.strictEqual(isToolEnabled('read_file', { enabledTools: ['list_files'] }), false);
+        assert.strictEqual(isToolEnabled('list_files', { enabledTools: ['list_files'] }), true);
+
+        const tools = getAgentTools({ enabledTools: ['list_files', 'read_file'], disabledTools: ['read_file'] });
+        assert.deepStrictEqual(tools.map((t) => t.name), ['list_files']);
+        assert.match(await executeTool('run_command', { command: 'status' }, { tools }), /not enabled for this agent/);
+    });
+
+    test('should turn a throwing plugin into an error result', async () => {
+        registerTool({ name: 'boom', description: 'Fails', execute: () => { throw new Error('kaput'); } });
+        try {
+            assert.strictEqual(await executeTool('boom', {}), '[Error: boom failed — kaput]');
+        } finally {
+            unregisterTool('boom');
+        }
+    });
+});
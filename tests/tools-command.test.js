@@ -0,0 +1,57 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// The tools command edits ~/.cli-bot/config.json — point HOME at a temp dir
+const home = mkdtempSync(join(tmpdir(), 'minigeri-tools-cmd-'));
+process.env.HOME = home;
+
+const { handleTools } = await import('../src/handlers/tools.js');
+const { registerCommand, runCommand } = await import('../src/tools/command-runner.js');
+
+const configFile = join(home, '.cli-bot', 'config.json');
+const readConfig = () => JSON.parse(readFileSync(configFile, 'utf-8'));
+
+describe('tools command', () => {
+    before(() => {
+        mkdirSync(join(home, '.cli-bot'), { recursive: true });
+        writeFileSync(configFile, JSON.stringify({
+            agents: { lmstudio: { provider: 'openai-compatible', baseUrl: 'http://127.0.0.1:1234/v1', model: 'm' } },
+        }));
+        registerCommand('tools', handleTools);
+    });
+
+    after(() => {
+        rmSync(home, { recursive: true, force: true });
+    });
+
+    test('should filter tools for a named openai-compatible instance', async (t) => {
+        const logged = [];
+        t.mock.method(console, 'log', (...args) => { logged.push(args.join(' ')); });
+
+        await handleTools(['disable', 'lmstudio', 'run_command']);
+        assert.deepStrictEqual(readConfig().agents.lmstudio.disabledTools, ['run_command']);
+
+        await handleTools(['list']);
+        assert.ok(logged.some((line) => /lmstudio.*disabled: run_command/.test(line)), 'listed under Per-agent');
+
+        await handleTools(['enable', 'lmstudio', 'run_command']);
+        assert.strictEqual(readConfig().agents.lmstudio.disabledTools, undefined);
+    });
+
+    test('should only let agents list tools and MCP servers', async () => {
+        registerCommand('mcp', async (args) => console.log(`mcp ${args.join(' ')}`.trim()));
+        assert.strictEqual(await runCommand('mcp'), 'mcp');
+        assert.strictEqual(await runCommand('mcp tools docs'), 'mcp tools docs');
+        assert.strictEqual(await runCommand('mcp connect docs'), '[Error: "mcp connect" is not allowed. Permitted: mcp, mcp list, mcp tools]');
+        assert.match(await runCommand('mcp disconnect docs'), /"mcp disconnect" is not allowed/);
+
+        assert.match(await runCommand('tools'), /Agent Tools/);
+        assert.match(await runCommand('tools list'), /Agent Tools/);
+        assert.strictEqual(await runCommand('tools enable lmstudio run_command'), '[Error: "tools enable" is not allowed. Permitted: tools, tools list]');
+        assert.match(await runCommand('tools reload'), /"tools reload" is not allowed/);
+        assert.strictEqual(readConfig().agents.lmstudio.disabledTools, undefined);
+    });
+});
@@ -0,0 +1,96 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+    appendUsage, usageRecorder, readUsage, summarizeUsage, getPrices,
+    entryCost, checkBudget, dayKey,
+} from '../src/utils/usage.js';
+
+describe('Usage Ledger', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'minigeri-usage-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should append one JSONL line per call into a daily file', () => {
+        appendUsage({ agent: 'groq', model: 'm', inputTokens: 10, outputTokens: 5 }, dir);
+        appendUsage({ agent: 'groq', model: 'm', inputTokens: 1, outputTokens: 1 }, dir);
+
+        assert.deepStrictEqual(readdirSync(dir), [`${dayKey()}.jsonl`]);
+        const entries = readUsage({ dir });
+        assert.strictEqual(entries.length, 2);
+        assert.ok(entries[0].ts);
+        assert.strictEqual(entries[0].inputTokens, 10);
+    });
+
+    test('usageRecorder should tag entries with the originating surface', () => {
+        usageRecorder({ surface: 'telegram', chatId: 42 }, dir)({ agent: 'groq', model: 'm', inputTokens: 1, outputTokens: 2 });
+        usageRecorder({ surface: 'shell' }, dir)({ agent: 'ollama', model: 'llama3', inputTokens: 3, outputTokens: 4 });
+
+        const [remote, local] = readUsage({ dir });
+        assert.strictEqual(remote.surface, 'telegram');
+        assert.strictEqual(remote.chatId, '42');
+        assert.strictEqual(local.surface, 'shell');
+        assert.strictEqual(local.chatId, undefined);
+    });
+
+    test('readUsage should only include the requested days and skip bad lines', () => {
+        const now = new Date(2025, 5, 10, 12);
+        const line = (day) => JSON.stringify({ ts: new Date(2025, 5, day, 9).toISOString(), agent: 'groq', model: 'm' });
+        writeFileSync(join(dir, '2025-06-10.jsonl'), `${line(10)}\nnot json\n`);
+        writeFileSync(join(dir, '2025-06-08.jsonl'), `${line(8)}\n`);
+        writeFileSync(join(dir, '2025-06-01.jsonl'), `${line(1)}\n`);
+
+        assert.strictEqual(readUsage({ days: 1, now, dir }).length, 1);
+        assert.strictEqual(readUsage({ days: 3, now, dir }).length, 2);
+        assert.strictEqual(readUsage({ days: 30, now, dir }).length, 3);
+    });
+
+    test('config.prices should override the default price table', () => {
+        const prices = getPrices({ prices: { 'llama-3.3-70b-versatile': { input: 1, output: 2 }, 'mine': { input: 0, output: 1 } } });
+        assert.deepStrictEqual(prices['llama-3.3-70b-versatile'], { input: 1, output: 2 });
+        assert.ok(prices['gemini-2.5-flash']);
+        assert.strictEqual(entryCost({ model: 'mine', inputTokens: 5, outputTokens: 2_000_000 }, prices), 2);
+        assert.strictEqual(entryCost({ model: 'unknown' }, prices), null);
+    });
+
+    test('summarizeUsage should total by day, agent and chat', () => {
+        const prices = { a: { input: 1, output: 1 } };
+        const summary = summarizeUsage([
+            { ts: '2025-06-10T10:00:00Z', agent: 'groq', model: 'a', inputTokens: 1e6, outputTokens: 0, surface: 'telegram', chatId: '7' },
+            { ts: '2025-06-10T11:00:00Z', agent: 'groq', model: 'a', inputTokens: 0, outputTokens: 1e6, surface: 'shell' },
+            { ts: '2025-06-10T12:00:00Z', agent: 'ollama', model: 'llama3', inputTokens: 10, outputTokens: 10, surface: 'octopus' },
+        ], prices);
+
+        assert.strictEqual(summary.total.requests, 3);
+        assert.strictEqual(summary.total.cost, 2);
+        assert.strictEqual(summary.byAgent.groq.cost, 2);
+        assert.strictEqual(summary.byAgent.ollama.cost, 0);
+        assert.deepStrictEqual(Object.keys(summary.byChat).sort(), ['octopus', 'shell', 'telegram:7']);
+        assert.deepStrictEqual(summary.unpriced, ['llama3']);
+    });
+
+    test('checkBudget should report the exceeded cap, agent first', () => {
+        const config = { prices: { a: { input: 1, output: 0 } }, budget: { daily: 5, agents: { groq: 1 } } };
+        assert.strictEqual(checkBudget('groq', config, { dir }), null);
+
+        appendUsage({ agent: 'groq', model: 'a', inputTokens: 1e6, outputTokens: 0 }, dir);
+        assert.deepStrictEqual(checkBudget('groq', config, { dir }), { scope: 'groq', limit: 1, spent: 1 });
+        assert.strictEqual(checkBudget('claude-api', config, { dir }), null);
+
+        appendUsage({ agent: 'claude-api', model: 'a', inputTokens: 4e6, outputTokens: 0 }, dir);
+        assert.strictEqual(checkBudget('claude-api', config, { dir }).scope, 'daily');
+    });
+
+    test('checkBudget should do nothing without caps', () => {
+        appendUsage({ agent: 'groq', model: 'llama-3.3-70b-versatile', inputTokens: 1e9, outputTokens: 0 }, dir);
+        assert.strictEqual(checkBudget('groq', {}, { dir }), null);
+    });
+});
@@ -0,0 +1,74 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// The router writes the audit log and sessions under HOME — point it at
+// a temp dir before any minigeri module is loaded
+const home = mkdtempSync(join(tmpdir(), 'minigeri-whatsapp-'));
+process.env.HOME = home;
+
+const { WhatsAppConnector } = await import('../src/connectors/whatsapp.js');
+const { createMessageRouter } = await import('../src/connectors/router.js');
+
+/** A whatsapp-web.js media message, as far as the connector reads it. */
+function imageMessage(body, data = {}) {
+    const msg = {
+        from: '34600000000@c.us',
+        body,
+        type: 'image',
+        hasMedia: true,
+        _data: data,
+        replies: [],
+        downloaded: false,
+        getContact: async () => ({ pushname: 'Ana' }),
+        reply: async (text) => { msg.replies.push(text); },
+        downloadMedia: async () => {
+            msg.downloaded = true;
+            return { data: 'iVBORw0KGgo=', mimetype: 'image/png' };
+        },
+    };
+    return msg;
+}
+
+describe('WhatsApp Connector', () => {
+    let savedAllowlist;
+
+    before(() => {
+        savedAllowlist = process.env.WHATSAPP_ALLOWED_USERS;
+        process.env.WHATSAPP_ALLOWED_USERS = '34600000000';
+    });
+
+    after(() => {
+        if (savedAllowlist === undefined) delete process.env.WHATSAPP_ALLOWED_USERS;
+        else process.env.WHATSAPP_ALLOWED_USERS = savedAllowlist;
+        rmSync(home, { recursive: true, force: true });
+    });
+
+    test('should describe media with its type before downloading it', () => {
+        const connector = new WhatsAppConnector();
+
+        const [png] = connector._attachments(imageMessage('', { mimetype: 'image/png', size: 1234 }));
+        assert.deepStrictEqual([png.name, png.mimeType, png.size], ['image', 'image/png', 1234]);
+
+        const [photo] = connector._attachments(imageMessage(''));
+        assert.strictEqual(photo.mimeType, 'image/jpeg');
+
+        const doc = { ...imageMessage(''), type: 'document', _data: { mimetype: 'text/plain', filename: 'notes.txt' } };
+        assert.deepStrictEqual(connector._attachments(doc).map((a) => [a.name, a.mimeType]), [['notes.txt', 'text/plain']]);
+    });
+
+    test('should refuse an image for an agent without vision before downloading it', async (t) => {
+        t.mock.method(console, 'log', () => { });
+        const connector = new WhatsAppConnector();
+        connector.setMessageHandler(createMessageRouter(connector));
+        const msg = imageMessage('/claude What is this?', { mimetype: 'image/jpeg' });
+
+        await connector._handleMessage(msg);
+
+        assert.strictEqual(msg.replies.length, 1, 'no "Thinking..." before the refusal');
+        assert.match(msg.replies[0], /^📎 claude-code can't read images\./);
+        assert.strictEqual(msg.downloaded, false);
+    });
+});